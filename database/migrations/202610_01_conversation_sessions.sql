@@ -0,0 +1,32 @@
+-- Migración: sesiones de conversación con estado de diálogo en el servidor
+-- Permite resolver confirmaciones ("sí", "busca", "no actualices") sin que el
+-- cliente tenga que reenviar el estado de la pregunta anterior.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Tabla de sesiones de conversación
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  -- Confirmación pendiente: { type: 'web_search' | 'knowledge_update', originalQuery, knowledgeId }
+  pending_action JSONB DEFAULT NULL,
+  -- Último conocimiento utilizado para responder
+  last_knowledge_id UUID REFERENCES knowledge_base(id) ON DELETE SET NULL,
+  -- Últimos turnos de la conversación: [{ query, response, source, knowledgeId, createdAt }]
+  recent_turns JSONB NOT NULL DEFAULT '[]'::jsonb,
+  last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS conversation_sessions_user_id_idx
+ON conversation_sessions(user_id);
+
+CREATE INDEX IF NOT EXISTS conversation_sessions_last_activity_idx
+ON conversation_sessions(last_activity_at);
+
+-- Trigger para mantener updated_at
+DROP TRIGGER IF EXISTS update_conversation_sessions_timestamp ON conversation_sessions;
+CREATE TRIGGER update_conversation_sessions_timestamp
+BEFORE UPDATE ON conversation_sessions
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
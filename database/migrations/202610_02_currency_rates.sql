@@ -0,0 +1,33 @@
+-- Migración: tabla local de tipos de cambio para conversiones de moneda
+-- Las tasas se expresan como unidades de la moneda por 1 dólar estadounidense
+-- (USD). Los administradores las actualizan desde /api/admin/currency-rates.
+
+-- Tabla de tipos de cambio
+CREATE TABLE IF NOT EXISTS currency_rates (
+  code VARCHAR(3) PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  rate_to_usd NUMERIC(18, 8) NOT NULL CHECK (rate_to_usd > 0),
+  rate_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trigger para mantener updated_at
+DROP TRIGGER IF EXISTS update_currency_rates_timestamp ON currency_rates;
+CREATE TRIGGER update_currency_rates_timestamp
+BEFORE UPDATE ON currency_rates
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
+
+-- Tasas de referencia iniciales (deben actualizarse desde la API de administración)
+INSERT INTO currency_rates (code, name, rate_to_usd, rate_date) VALUES
+  ('USD', 'dólar estadounidense', 1, '2026-10-01'),
+  ('GTQ', 'quetzal', 7.70, '2026-10-01'),
+  ('MXN', 'peso mexicano', 18.40, '2026-10-01'),
+  ('EUR', 'euro', 0.86, '2026-10-01'),
+  ('GBP', 'libra esterlina', 0.75, '2026-10-01'),
+  ('JPY', 'yen', 148.00, '2026-10-01'),
+  ('HNL', 'lempira', 26.20, '2026-10-01'),
+  ('CRC', 'colón costarricense', 503.00, '2026-10-01'),
+  ('CAD', 'dólar canadiense', 1.39, '2026-10-01')
+ON CONFLICT (code) DO NOTHING;
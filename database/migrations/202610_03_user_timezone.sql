@@ -0,0 +1,12 @@
+-- Migración: zona horaria del usuario para la habilidad de fecha y hora
+-- Sustituye además la respuesta fija sembrada para "¿Qué hora es?", que ahora
+-- responde la habilidad de fecha y hora.
+
+ALTER TABLE user_preferences
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'America/Guatemala';
+
+-- Eliminar la respuesta sembrada que impedía dar la hora real
+DELETE FROM knowledge_base
+WHERE query = '¿Qué hora es?'
+  AND source = 'system'
+  AND response LIKE 'Lo siento, necesito acceder a tu sistema%';
@@ -0,0 +1,31 @@
+-- Migración: recordatorios y temporizadores personales
+-- Los recordatorios pendientes se entregan al cliente de voz mediante
+-- GET /api/assistant/reminders/due, que los marca como entregados.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Tabla de recordatorios
+CREATE TABLE IF NOT EXISTS reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  remind_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- Zona horaria con la que se interpretó la hora (para mostrarla al usuario)
+  timezone VARCHAR(64) NOT NULL DEFAULT 'America/Guatemala',
+  is_timer BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'cancelled')),
+  delivered_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Índice para buscar los recordatorios vencidos de cada usuario
+CREATE INDEX IF NOT EXISTS reminders_user_status_remind_at_idx
+ON reminders(user_id, status, remind_at);
+
+-- Trigger para mantener updated_at
+DROP TRIGGER IF EXISTS update_reminders_timestamp ON reminders;
+CREATE TRIGGER update_reminders_timestamp
+BEFORE UPDATE ON reminders
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
@@ -0,0 +1,56 @@
+-- Migración: notas y listas personales (compras, tareas, etc.)
+-- Son datos privados: cada consulta filtra siempre por el usuario dueño.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Notas del usuario ("anota que el wifi es X")
+CREATE TABLE IF NOT EXISTS user_notes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS user_notes_user_id_idx ON user_notes(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS user_notes_content_trgm_idx ON user_notes USING gin (content gin_trgm_ops);
+
+-- Listas del usuario ("compras", "tareas", ...)
+CREATE TABLE IF NOT EXISTS user_lists (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_lists_user_name_idx ON user_lists(user_id, LOWER(name));
+
+-- Elementos de cada lista
+CREATE TABLE IF NOT EXISTS user_list_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  list_id UUID NOT NULL REFERENCES user_lists(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  is_checked BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS user_list_items_list_id_idx ON user_list_items(list_id, created_at);
+
+-- Triggers para mantener updated_at
+DROP TRIGGER IF EXISTS update_user_notes_timestamp ON user_notes;
+CREATE TRIGGER update_user_notes_timestamp
+BEFORE UPDATE ON user_notes
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
+
+DROP TRIGGER IF EXISTS update_user_lists_timestamp ON user_lists;
+CREATE TRIGGER update_user_lists_timestamp
+BEFORE UPDATE ON user_lists
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
+
+DROP TRIGGER IF EXISTS update_user_list_items_timestamp ON user_list_items;
+CREATE TRIGGER update_user_list_items_timestamp
+BEFORE UPDATE ON user_list_items
+FOR EACH ROW EXECUTE PROCEDURE update_timestamp();
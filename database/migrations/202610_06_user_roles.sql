@@ -0,0 +1,22 @@
+-- Migración: roles de usuario para el control de acceso (RBAC)
+-- Roles válidos: user, moderator, admin. Los permisos de cada rol se definen
+-- en la configuración (config.rbac) y se incluyen en el JWT.
+
+-- Normalizar roles vacíos o desconocidos
+UPDATE users
+SET role = 'user'
+WHERE role IS NULL OR role NOT IN ('user', 'moderator', 'admin');
+
+ALTER TABLE users
+  ALTER COLUMN role SET DEFAULT 'user',
+  ALTER COLUMN role SET NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'moderator', 'admin'));
+  END IF;
+END $$;
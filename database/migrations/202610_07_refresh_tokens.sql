@@ -0,0 +1,41 @@
+-- Migración: tokens de renovación (refresh tokens) y lista de tokens revocados
+-- Cada inicio de sesión abre una familia de refresh tokens. Al renovar, el token
+-- usado se revoca y se emite otro de la misma familia (rotación); si se vuelve a
+-- presentar un token ya rotado se revoca la familia completa (reutilización).
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Tabla de refresh tokens (solo se guarda el hash SHA-256 del token)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  family_id UUID NOT NULL,
+  -- jti del token de acceso emitido junto con este refresh token
+  access_jti UUID NOT NULL,
+  access_expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  revoked_reason VARCHAR(30) DEFAULT NULL
+    CHECK (revoked_reason IN ('rotated', 'logout', 'reuse_detected', 'signed_out_all')),
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_access_jti_idx ON refresh_tokens(access_jti);
+
+-- Lista de tokens de acceso revocados (jti). Las entradas pueden borrarse
+-- cuando el token habría expirado de todas formas.
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti UUID PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  reason VARCHAR(30) NOT NULL DEFAULT 'logout',
+  revoked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS revoked_tokens_expires_at_idx ON revoked_tokens(expires_at);
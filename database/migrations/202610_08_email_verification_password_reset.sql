@@ -0,0 +1,49 @@
+-- Migración: verificación de email y recuperación de contraseña
+-- Los tokens se envían por correo y aquí solo se guarda su hash SHA-256.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Estado de verificación del email. Las cuentas que ya existían al añadir la
+-- columna se consideran verificadas (la actualización solo ocurre esa vez).
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified'
+  ) THEN
+    ALTER TABLE users
+      ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+    UPDATE users SET email_verified = true, email_verified_at = NOW();
+  END IF;
+END $$;
+
+-- Tokens de verificación de email (el email se guarda para detectar si cambió
+-- después de enviar el enlace)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS email_verification_tokens_user_idx
+ON email_verification_tokens(user_id, used_at);
+
+-- Tokens de recuperación de contraseña
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+ON password_reset_tokens(user_id, used_at);
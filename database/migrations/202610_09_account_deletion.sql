@@ -0,0 +1,7 @@
+-- Migración: eliminación de cuentas
+-- Los tokens de acceso revocados de una cuenta eliminada deben seguir en la
+-- lista de revocados hasta que expiren, así que la entrada no puede borrarse
+-- en cascada con el usuario.
+
+ALTER TABLE revoked_tokens
+  DROP CONSTRAINT IF EXISTS revoked_tokens_user_id_fkey;
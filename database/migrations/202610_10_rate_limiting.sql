@@ -0,0 +1,15 @@
+-- Migración: limitación de peticiones y bloqueo de cuentas por intentos fallidos
+
+-- Contadores de ventana fija (solo se usan con config.rateLimit.store = 'postgres')
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_buckets_reset_at_idx ON rate_limit_buckets(reset_at);
+
+-- Intentos de inicio de sesión fallidos y bloqueo temporal de la cuenta
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE DEFAULT NULL;
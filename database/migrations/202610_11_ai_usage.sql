@@ -0,0 +1,29 @@
+-- Migración: registro del consumo de los proveedores de IA
+-- Cada llamada a un proveedor (OpenAI, Anthropic, HuggingFace) deja una fila con
+-- los tokens usados, el coste estimado y la latencia. Los presupuestos diarios,
+-- semanales y mensuales de config.ai.quotaManager se calculan sobre esta tabla.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- Se conserva el registro (sin usuario) aunque la cuenta se elimine
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  provider VARCHAR(30) NOT NULL,
+  model VARCHAR(100),
+  purpose VARCHAR(30) NOT NULL DEFAULT 'query'
+    CHECK (purpose IN ('query', 'knowledge_update')),
+  tokens_in INTEGER NOT NULL DEFAULT 0,
+  tokens_out INTEGER NOT NULL DEFAULT 0,
+  -- true si el proveedor no informó los tokens y se estimaron a partir del texto
+  tokens_estimated BOOLEAN NOT NULL DEFAULT false,
+  estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL DEFAULT 0,
+  streamed BOOLEAN NOT NULL DEFAULT false,
+  success BOOLEAN NOT NULL DEFAULT true,
+  error_message VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_created_at_idx ON ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS ai_usage_user_created_at_idx ON ai_usage(user_id, created_at);
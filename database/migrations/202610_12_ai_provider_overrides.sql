@@ -0,0 +1,12 @@
+-- Migración: estado forzado de los proveedores de IA
+-- Un administrador puede activar o desactivar un proveedor desde
+-- /api/admin/ai/providers sin esperar al cortacircuitos automático.
+-- Sin fila para un proveedor, su uso lo decide el cortacircuitos.
+
+CREATE TABLE IF NOT EXISTS ai_provider_overrides (
+  provider VARCHAR(30) PRIMARY KEY,
+  mode VARCHAR(10) NOT NULL CHECK (mode IN ('enabled', 'disabled')),
+  reason VARCHAR(255),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,84 @@
+-- Migración: plantillas de prompts versionadas y idioma del usuario
+-- Cada categoría de consulta tiene una plantilla activa. Editarla crea una
+-- versión nueva y la activa; restaurar una versión anterior solo cambia cuál
+-- está activa, de modo que el historial se conserva completo.
+-- Variables disponibles: {{assistantName}}, {{creator}}, {{language}} y {{query}}.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Idioma de las respuestas de la IA
+ALTER TABLE user_preferences
+  ADD COLUMN IF NOT EXISTS language VARCHAR(10) DEFAULT 'es';
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  category VARCHAR(30) NOT NULL
+    CHECK (category IN ('base', 'creator', 'definition', 'person', 'location', 'date', 'quantity', 'factual', 'general')),
+  version INTEGER NOT NULL,
+  -- base: reglas comunes del prompt de sistema; creator: prompt de sistema completo;
+  -- resto: instrucciones que se añaden a base según la categoría
+  system_prompt TEXT,
+  -- Mensaje enviado como consulta; debe incluir {{query}}
+  user_prompt TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  notes VARCHAR(255),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  activated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (category, version)
+);
+
+-- Una sola versión activa por categoría
+CREATE UNIQUE INDEX IF NOT EXISTS prompt_templates_active_idx
+  ON prompt_templates(category) WHERE is_active;
+
+-- Versión inicial: los prompts que antes estaban en AIService
+INSERT INTO prompt_templates (category, version, system_prompt, user_prompt, is_active, notes, activated_at) VALUES
+  ('base', 1,
+   'Eres {{assistantName}}, un asistente virtual especializado en proporcionar información factual precisa y actualizada.
+Tu objetivo es ofrecer respuestas breves, concisas y directamente relacionadas con la pregunta.
+Responde siempre en {{language}}.
+Concéntrate únicamente en responder con información verificable y objetiva.
+Si no sabes la respuesta, indica claramente que no tienes información suficiente.
+No inventes información ni des opiniones personales.
+Es muy importante que tu respuesta sea directamente relevante a la pregunta exacta.
+IMPORTANTE: Nunca debes decir que fuiste creado por OpenAI, Anthropic, Google, Microsoft u otras empresas de IA. Si te preguntan quién te creó, di que fuiste creado por {{creator}}.
+NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual desarrollado por otra entidad que no sean los estudiantes mencionados.',
+   NULL, true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('creator', 1,
+   'Eres {{assistantName}}, un asistente virtual creado por {{creator}}.
+Responde siempre en {{language}}.
+IMPORTANTE: Siempre que te pregunten quién te creó, debes decir específicamente que fuiste creado por {{creator}}.
+NO menciones a ninguna otra empresa de IA como creador, NO menciones a OpenAI, Anthropic, Google, Microsoft u otras.
+NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual desarrollado por otra entidad que no sean los estudiantes mencionados.',
+   'Responde que fuiste creado por {{creator}}. No menciones ningún otro creador o empresa de IA. Nunca menciones OpenAI, Anthropic, Google, Microsoft u otras empresas de IA: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('definition', 1,
+   'Estás respondiendo a una pregunta sobre definiciones. Define el concepto de manera clara y concisa.',
+   'Define brevemente y con precisión: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('person', 1,
+   'Estás respondiendo a una pregunta sobre una persona. Proporciona datos clave: quién es/fue, por qué es conocido/a y fechas relevantes si aplica.',
+   'Proporciona información breve y precisa sobre esta persona: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('location', 1,
+   'Estás respondiendo a una pregunta sobre ubicaciones. Proporciona información geográfica precisa y concisa.',
+   'Describe brevemente la ubicación de: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('date', 1,
+   NULL,
+   'Indica la fecha o periodo exacto de: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('quantity', 1,
+   NULL,
+   'Proporciona el valor numérico exacto para: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('factual', 1,
+   'Estás respondiendo a una pregunta factual directa. Da solo la información específica solicitada, sin agregar contexto innecesario.',
+   'Responde de manera concisa y directa a esta consulta: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP),
+  ('general', 1,
+   NULL,
+   'Responde de manera concisa y directa a esta consulta. IMPORTANTE: Si te preguntan sobre quién te creó, di que fuiste creado por {{creator}}: {{query}}',
+   true, 'Versión inicial', CURRENT_TIMESTAMP)
+ON CONFLICT (category, version) DO NOTHING;
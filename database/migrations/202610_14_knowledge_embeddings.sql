@@ -0,0 +1,21 @@
+-- Migración: embeddings para la búsqueda semántica en la base de conocimientos
+-- Cada entrada guarda el vector (normalizado a longitud 1) de su pregunta y respuesta
+-- y el modelo que lo generó; al cambiar de modelo, las entradas se vuelven a indexar.
+-- Se usa REAL[] para no depender de la extensión pgvector.
+
+ALTER TABLE knowledge_base
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS knowledge_embedding_model_idx ON knowledge_base(embedding_model);
+
+-- Similitud coseno entre dos vectores normalizados (producto escalar);
+-- 0 si falta alguno o sus dimensiones no coinciden
+CREATE OR REPLACE FUNCTION knowledge_vector_similarity(a REAL[], b REAL[])
+RETURNS DOUBLE PRECISION AS $$
+  SELECT CASE
+    WHEN a IS NULL OR b IS NULL OR cardinality(a) <> cardinality(b) THEN 0
+    ELSE COALESCE((SELECT SUM(x * y) FROM unnest(a, b) AS v(x, y)), 0)
+  END
+$$ LANGUAGE SQL IMMUTABLE;
@@ -0,0 +1,19 @@
+-- Migración: formas alternativas de una misma pregunta en la base de conocimientos
+-- knowledge_base.query es la forma principal; cada alias es otra forma de preguntar
+-- lo mismo y comparte la respuesta. La búsqueda compara la consulta con todas ellas.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS knowledge_aliases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  knowledge_id UUID NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  query TEXT NOT NULL,
+  source VARCHAR(50) DEFAULT 'user',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (knowledge_id, query)
+);
+
+CREATE INDEX IF NOT EXISTS knowledge_aliases_knowledge_idx ON knowledge_aliases(knowledge_id);
+CREATE INDEX IF NOT EXISTS knowledge_aliases_query_idx ON knowledge_aliases USING GIN (query gin_trgm_ops);
@@ -0,0 +1,28 @@
+-- Migración: conflictos entre respuestas enseñadas por los usuarios
+-- Cuando alguien enseña una respuesta distinta para una pregunta que ya existe,
+-- no se sobrescribe: se registra un conflicto para que un moderador decida.
+-- times_reported cuenta cuántas veces se ha propuesto la misma respuesta.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS knowledge_conflicts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  knowledge_id UUID NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  query TEXT NOT NULL,
+  existing_response TEXT NOT NULL,
+  proposed_response TEXT NOT NULL,
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  answer_similarity FLOAT,
+  times_reported INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'kept', 'replaced')),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Un solo conflicto pendiente por conocimiento y respuesta propuesta
+CREATE UNIQUE INDEX IF NOT EXISTS knowledge_conflicts_pending_idx
+  ON knowledge_conflicts(knowledge_id, proposed_response)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS knowledge_conflicts_status_idx ON knowledge_conflicts(status, created_at);
@@ -0,0 +1,38 @@
+-- Migración: cola de moderación de la base de conocimientos
+-- Las entradas nuevas quedan pendientes (pending). Las enseñadas por usuarios se
+-- guardan privadas (is_public = false) y solo las ve su autor hasta que un moderador
+-- las aprueba; al aprobarlas pasan a ser públicas y verificadas. Las rechazadas no
+-- se publican nunca.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'knowledge_base' AND column_name = 'moderation_status'
+  ) THEN
+    -- Las entradas existentes se dan por aprobadas, salvo las enseñadas por
+    -- usuarios registrados que nadie ha verificado
+    ALTER TABLE knowledge_base
+      ADD COLUMN moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+        CHECK (moderation_status IN ('pending', 'approved', 'rejected'));
+
+    UPDATE knowledge_base
+    SET moderation_status = 'pending'
+    WHERE source IN ('user', 'user_explicit') AND is_verified = false AND user_id IS NOT NULL;
+
+    ALTER TABLE knowledge_base
+      ALTER COLUMN moderation_status SET DEFAULT 'pending';
+  END IF;
+END $$;
+
+ALTER TABLE knowledge_base
+  ADD COLUMN IF NOT EXISTS moderation_notes TEXT,
+  ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE;
+
+-- Las entradas verificadas (por ejemplo, las de seed.sql) no necesitan revisión
+UPDATE knowledge_base
+SET moderation_status = 'approved'
+WHERE is_verified = true AND moderation_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS knowledge_moderation_status_idx ON knowledge_base(moderation_status, created_at);
@@ -0,0 +1,35 @@
+-- Migración: historial completo de versiones de la base de conocimientos
+-- Cada cambio de respuesta o de confianza de un conocimiento incrementa su versión
+-- y guarda en knowledge_updates los valores anteriores y nuevos, el motivo y el autor.
+-- La versión 1 es el contenido original (previous_* del primer cambio).
+
+ALTER TABLE knowledge_base
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE knowledge_updates
+  ADD COLUMN IF NOT EXISTS version INTEGER,
+  ADD COLUMN IF NOT EXISTS previous_confidence FLOAT,
+  ADD COLUMN IF NOT EXISTS new_confidence FLOAT,
+  ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Numerar los cambios registrados antes de esta migración (solo la actualización con IA los guardaba)
+WITH numbered AS (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY knowledge_id ORDER BY created_at, id) + 1 AS version
+  FROM knowledge_updates
+  WHERE version IS NULL
+)
+UPDATE knowledge_updates u
+SET version = n.version
+FROM numbered n
+WHERE u.id = n.id;
+
+UPDATE knowledge_base k
+SET version = h.version
+FROM (
+  SELECT knowledge_id, MAX(version) AS version
+  FROM knowledge_updates
+  GROUP BY knowledge_id
+) h
+WHERE h.knowledge_id = k.id AND k.version < h.version;
+
+CREATE UNIQUE INDEX IF NOT EXISTS knowledge_updates_version_idx ON knowledge_updates(knowledge_id, version);
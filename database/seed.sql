@@ -19,7 +19,6 @@ VALUES
     ('Buenas noches', 'Buenas noches, ¿necesitas algo antes de terminar el día?', 'saludo', 'system', 1.0, true, true),
     ('Gracias', 'De nada. Estoy aquí para ayudarte.', 'agradecimiento', 'system', 1.0, true, true),
     ('Adiós', 'Hasta luego. Estaré aquí cuando me necesites.', 'despedida', 'system', 1.0, true, true),
-    ('¿Qué hora es?', 'Lo siento, necesito acceder a tu sistema para darte la hora actual.', 'tiempo', 'system', 1.0, true, true),
     ('¿Qué puedes hacer?', 'Puedo responder preguntas, aprender nuevas respuestas, buscar información en la web, y ayudarte con varias tareas. Simplemente pregúntame lo que necesites.', 'capacidades', 'system', 1.0, true, true),
     ('Aprende que', 'Para enseñarme algo nuevo, di "aprende que" seguido de la pregunta y respuesta. Por ejemplo: "aprende que mi color favorito es azul".', 'aprendizaje', 'system', 1.0, true, true)
 ON CONFLICT DO NOTHING;
@@ -52,7 +52,87 @@ const config = {
   // JWT (autenticación)
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Token de acceso de vida corta
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30, // Vida del refresh token
+  },
+  
+  // Cuentas de usuario: verificación de email y recuperación de contraseña
+  account: {
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true', // Impedir el login hasta verificar el email
+    verificationTokenHours: 48,   // Validez del enlace de verificación
+    resetTokenMinutes: 60,        // Validez del enlace para restablecer la contraseña
+    
+    // Bloqueo temporal de la cuenta tras varios inicios de sesión fallidos seguidos
+    lockout: {
+      maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+      lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+    }
+  },
+  
+  // Limitación de peticiones por ventana fija. Cada regla tiene uno o varios
+  // contadores; el ámbito indica a quién se cuenta:
+  // - ip: todas las peticiones de la IP
+  // - anonymous: peticiones sin usuario autenticado, por IP
+  // - user: peticiones de un usuario autenticado
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory', // memory, postgres (compartido entre instancias)
+    rules: {
+      login: [
+        { scope: 'ip', windowSeconds: 15 * 60, max: 20 }
+      ],
+      register: [
+        { scope: 'ip', windowSeconds: 60 * 60, max: 5 }
+      ],
+      accountEmail: [ // forgot-password y reenvío de verificación
+        { scope: 'ip', windowSeconds: 60 * 60, max: 5 }
+      ],
+      accountToken: [ // reset-password, verify-email y refresh
+        { scope: 'ip', windowSeconds: 15 * 60, max: 30 }
+      ],
+      query: [
+        { scope: 'anonymous', windowSeconds: 60, max: 10 },
+        { scope: 'anonymous', windowSeconds: 24 * 60 * 60, max: 100 },
+        { scope: 'user', windowSeconds: 60, max: 30 },
+        { scope: 'ip', windowSeconds: 60, max: 120 }
+      ]
+    }
+  },
+  
+  // Número de proxies de confianza delante del servidor (para obtener la IP real del cliente)
+  trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
+  
+  // Correo saliente
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'outbox', // outbox, log
+    from: process.env.MAIL_FROM || 'Asistente de Voz <no-responder@asistente.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'),
+    appUrl: process.env.APP_URL || 'http://localhost:3000' // Base de los enlaces enviados por correo
+  },
+  
+  // Roles y permisos (RBAC). Los permisos viajan en el JWT, por lo que un cambio
+  // de rol se aplica cuando el usuario renueva su token.
+  rbac: {
+    defaultRole: 'user',
+    roles: {
+      user: [],
+      moderator: [
+        'knowledge:read_all',    // Ver todos los conocimientos, públicos y privados
+        'knowledge:moderate',    // Revisar y corregir conocimientos de otros usuarios
+        'knowledge:update',      // Lanzar actualizaciones de conocimientos con IA
+        'knowledge:delete_any'   // Eliminar conocimientos de cualquier usuario
+      ],
+      admin: [
+        'knowledge:read_all',
+        'knowledge:moderate',
+        'knowledge:update',
+        'knowledge:delete_any',
+        'knowledge:clear',       // Vaciar la base de conocimientos
+        'currency:manage',       // Gestionar los tipos de cambio
+        'users:manage',          // Listar usuarios y cambiar sus roles
+        'ai:manage'              // Consultar el consumo de IA y gestionar sus proveedores
+      ]
+    }
   },
   
   // Configuración del asistente de voz
@@ -64,6 +144,26 @@ const config = {
     webSearchEnabled: true,      // Habilitado para permitir búsquedas web
     learningEnabled: true,       // Habilitado para permitir aprendizaje
     maxQueryLength: 500, // Limitar la longitud de las consultas
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'America/Guatemala', // Zona horaria si el usuario no configuró una
+    defaultLanguage: process.env.DEFAULT_LANGUAGE || 'es', // Idioma de las respuestas de la IA si el usuario no configuró uno
+    
+    // Identidad del asistente (variables {{assistantName}} y {{creator}} de las plantillas de prompts)
+    name: process.env.ASSISTANT_NAME || 'Asistente de Voz',
+    creator: process.env.ASSISTANT_CREATOR || 'estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá',
+    
+    // Sesiones de conversación (estado de diálogo en el servidor)
+    session: {
+      ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES) || 30, // Inactividad máxima antes de expirar
+      maxTurns: 10 // Turnos recientes que se conservan por sesión
+    },
+    
+    // Pasarela WebSocket para el cliente de voz siempre activo
+    voiceGateway: {
+      path: process.env.VOICE_GATEWAY_PATH || '/api/assistant/voice',
+      authTimeoutMs: 10000,        // Tiempo para enviar el mensaje de autenticación
+      heartbeatIntervalMs: 30000,  // Intervalo de ping para detectar conexiones caídas
+      maxPayloadBytes: 64 * 1024   // Tamaño máximo de un mensaje del cliente
+    },
     
     // Nueva configuración para priorización de fuentes
     sourcePriority: {
@@ -82,6 +182,40 @@ const config = {
     cx: process.env.GOOGLE_SEARCH_CX // Solo para búsquedas de Google
   },
   
+  // Búsqueda semántica en la base de conocimientos: cada entrada guarda el embedding
+  // de su pregunta y sus alias, y la búsqueda combina la similitud coseno con la de trigramas.
+  // La similitud coseno se calibra por modelo con cosineRange [sin relación, mismo significado]
+  // para que quede en la misma escala 0-1 que la de trigramas.
+  // Desactivada por defecto: los embeddings puntúan casi igual preguntas que solo cambian
+  // de entidad ("capital de Francia" / "capital de Alemania"); solo puede subir la
+  // similitud de entradas que ya se parecen por texto.
+  semanticSearch: {
+    enabled: process.env.SEMANTIC_SEARCH_ENABLED === 'true',
+    provider: process.env.EMBEDDING_PROVIDER || 'local', // local (modelo de embeddings) o hashing (determinista, solo para desarrollo)
+    hashing: {
+      dimensions: 256,
+      cosineRange: [0.1, 0.6]
+    },
+    // Modelo de embeddings en el servidor local de config.ai.local (Ollama o compatible con OpenAI)
+    local: {
+      model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+      timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 10000,
+      cosineRange: [0.45, 0.85]
+    },
+    semanticWeight: 0.5,    // Peso de la similitud semántica en la puntuación combinada
+    minTextSimilarity: 0.4, // Similitud de trigramas mínima para que la semántica cuente en la puntuación
+    reindexBatchSize: 100   // Entradas sin embedding que se indexan por lote al arrancar
+  },
+  
+  // Aprendizaje por comandos ("aprende que..."): una pregunta casi igual a una existente
+  // no crea otra entrada; si la respuesta coincide se refuerza la existente y si no,
+  // se registra un conflicto para moderación.
+  learning: {
+    duplicateSimilarity: 0.8, // Similitud mínima (findAnswers) para tratar la pregunta como la misma
+    agreementSimilarity: 0.8, // Similitud mínima entre respuestas para considerarlas iguales
+    confidenceBoost: 0.05     // Aumento de confianza al confirmar una respuesta existente
+  },
+  
   // Paths
   paths: {
     uploads: path.join(__dirname, '../../uploads'),
@@ -100,7 +234,7 @@ const config = {
   // Configuración de servicios de IA
   ai: {
     enabled: process.env.AI_ENABLED === 'true' || true, // Habilitar por defecto
-    provider: process.env.AI_PROVIDER || 'openai', // openai, anthropic, huggingface
+    provider: process.env.AI_PROVIDER || 'openai', // openai, anthropic, huggingface, local
     fallbackProvider: process.env.AI_FALLBACK_PROVIDER || 'huggingface', // Proveedor alternativo en caso de error
     apiKey: process.env.AI_API_KEY,
     fallbackApiKey: process.env.AI_FALLBACK_API_KEY,
@@ -117,11 +251,58 @@ const config = {
       enabled: true,
       maxAgeDays: 30 // Máxima edad de las entradas en caché (días)
     },
-    // Gestión de cuota
+    // Modelo alojado localmente (proveedor "local"): no necesita API key ni salida a internet
+    local: {
+      api: process.env.LOCAL_LLM_API || 'ollama', // ollama (/api/chat) u openai (/v1/chat/completions: llama.cpp, vLLM, LM Studio)
+      url: process.env.LOCAL_LLM_URL || 'http://localhost:11434',
+      apiKey: process.env.LOCAL_LLM_API_KEY, // Solo si el servidor la exige
+      model: process.env.LOCAL_LLM_MODEL || 'llama3.1:8b',
+      contextLength: parseInt(process.env.LOCAL_LLM_CONTEXT_LENGTH) || 4096, // Tokens de contexto (prompt + respuesta)
+      timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 30000 // En CPU la generación es más lenta
+    },
+    // Cortacircuitos por proveedor (estado en memoria de cada proceso). Un proveedor que
+    // falla seguido o con una tasa de error alta deja de consultarse durante openSeconds
+    // (el doble en cada apertura seguida, hasta maxOpenSeconds); después se prueba con una
+    // sola consulta y, si responde, vuelve a usarse.
+    circuitBreaker: {
+      enabled: process.env.AI_CIRCUIT_BREAKER_ENABLED !== 'false',
+      failureThreshold: 3,      // Fallos seguidos que abren el circuito
+      errorRateThreshold: 0.5,  // Tasa de error de la ventana que abre el circuito...
+      minCalls: 5,              // ...si la ventana tiene al menos estas llamadas
+      windowSize: 20,           // Llamadas recientes consideradas
+      windowSeconds: 300,       // Antigüedad máxima de las llamadas consideradas
+      openSeconds: 30,
+      maxOpenSeconds: 600,
+      slowLatencyMs: 6000       // Latencia media a partir de la cual el proveedor pasa al final de la lista
+    },
+    // Gestión de cuota. Cada llamada a un proveedor se registra en la tabla ai_usage
+    // y, antes de consultar a la IA, se comprueban los presupuestos globales y los
+    // del usuario autenticado. Los periodos son naturales (día, semana desde el lunes,
+    // mes) en config.assistant.defaultTimezone; null significa sin límite.
     quotaManager: {
-      enabled: true,
-      maxQueriesPerDay: 400, // Máximo de consultas por día
-      resetPeriod: 'daily' // 'daily', 'weekly', 'monthly'
+      enabled: process.env.AI_QUOTA_ENABLED !== 'false',
+      budgets: {
+        global: {
+          daily: { maxQueries: parseInt(process.env.AI_MAX_QUERIES_PER_DAY) || 400, maxCost: null },
+          weekly: { maxQueries: null, maxCost: null },
+          monthly: { maxQueries: null, maxCost: parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || 20 }
+        },
+        user: {
+          daily: { maxQueries: parseInt(process.env.AI_USER_MAX_QUERIES_PER_DAY) || 50, maxCost: null },
+          weekly: { maxQueries: 200, maxCost: null },
+          monthly: { maxQueries: null, maxCost: 2 }
+        }
+      },
+      // Precio en USD por millón de tokens de entrada y de salida; los modelos sin
+      // precio se registran con coste 0
+      pricing: {
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+        'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+        'claude-3-5-sonnet-20241022': { input: 3, output: 15 }
+      }
     }
   },
 };
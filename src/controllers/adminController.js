@@ -1,5 +1,16 @@
 const KnowledgeUpdateService = require('../services/knowledgeUpdateService');
 const KnowledgeModel = require('../models/knowledgeModel');
+const CurrencyRateModel = require('../models/currencyRateModel');
+const UserModel = require('../models/userModel');
+const PermissionService = require('../services/permissionService');
+const AuthService = require('../services/authService');
+const VoiceGatewayService = require('../services/voiceGatewayService');
+const AIService = require('../services/aiService');
+const AIProviderHealthService = require('../services/aiProviderHealthService');
+const PromptTemplateService = require('../services/promptTemplateService');
+const KnowledgeConflictService = require('../services/knowledgeConflictService');
+const KnowledgeModerationService = require('../services/knowledgeModerationService');
+const KnowledgeHistoryService = require('../services/knowledgeHistoryService');
 const { logger, config } = require('../config');
 
 /**
@@ -92,7 +103,7 @@ const AdminController = {
       }
       
       // Actualizar el conocimiento
-      const result = await KnowledgeUpdateService.verifyAndUpdateKnowledge(knowledge);
+      const result = await KnowledgeUpdateService.verifyAndUpdateKnowledge(knowledge, req.user.id);
       
       return res.json({
         success: true,
@@ -146,6 +157,350 @@ const AdminController = {
     }
   },
 
+  /**
+   * Lista los conflictos entre respuestas de conocimientos
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listKnowledgeConflicts(req, res) {
+    try {
+      const status = req.query.status || 'pending';
+      const page = parseInt(req.query.page) || 0;
+      const limit = parseInt(req.query.limit) || 20;
+
+      if (status !== 'pending' && !Object.values(KnowledgeConflictService.RESOLUTIONS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Estado no válido. Estados disponibles: pending, ${Object.values(KnowledgeConflictService.RESOLUTIONS).join(', ')}`
+        });
+      }
+
+      const conflicts = await KnowledgeConflictService.list({ status, limit, offset: page * limit });
+
+      return res.json({
+        success: true,
+        data: conflicts,
+        page,
+        limit
+      });
+    } catch (error) {
+      logger.error('Error al listar conflictos de conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener los conflictos de conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Resuelve un conflicto entre respuestas de un conocimiento
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async resolveKnowledgeConflict(req, res) {
+    try {
+      const { conflictId } = req.params;
+      const { resolution } = req.body;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(conflictId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conflicto no válido'
+        });
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(KnowledgeConflictService.RESOLUTIONS, resolution)) {
+        return res.status(400).json({
+          success: false,
+          message: `Resolución no válida. Resoluciones disponibles: ${Object.keys(KnowledgeConflictService.RESOLUTIONS).join(', ')}`
+        });
+      }
+
+      const result = await KnowledgeConflictService.resolve(conflictId, resolution, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: resolution === 'replace'
+          ? 'Conflicto resuelto: se usa la respuesta propuesta'
+          : 'Conflicto resuelto: se conserva la respuesta guardada',
+        data: result.conflict
+      });
+    } catch (error) {
+      logger.error('Error al resolver el conflicto de conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al resolver el conflicto de conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Lista la cola de moderación de conocimientos
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listModerationQueue(req, res) {
+    try {
+      const status = req.query.status || 'pending';
+      const page = parseInt(req.query.page) || 0;
+      const limit = parseInt(req.query.limit) || 20;
+
+      if (!KnowledgeModerationService.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Estado no válido. Estados disponibles: ${KnowledgeModerationService.STATUSES.join(', ')}`
+        });
+      }
+
+      const entries = await KnowledgeModerationService.listQueue({ status, limit, offset: page * limit });
+
+      return res.json({
+        success: true,
+        data: entries,
+        page,
+        limit
+      });
+    } catch (error) {
+      logger.error('Error al listar la cola de moderación:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener la cola de moderación'
+      });
+    }
+  },
+
+  /**
+   * Aprueba un conocimiento, opcionalmente corrigiendo su respuesta
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async approveKnowledge(req, res) {
+    try {
+      const { knowledgeId } = req.params;
+      const { response, notes } = req.body;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(knowledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conocimiento no válido'
+        });
+      }
+
+      const result = await KnowledgeModerationService.approve(knowledgeId, {
+        response,
+        notes: notes || null,
+        userId: req.user.id
+      });
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Conocimiento aprobado y publicado',
+        data: result.knowledge
+      });
+    } catch (error) {
+      logger.error('Error al aprobar el conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al aprobar el conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Rechaza un conocimiento
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async rejectKnowledge(req, res) {
+    try {
+      const { knowledgeId } = req.params;
+      const { notes } = req.body;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(knowledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conocimiento no válido'
+        });
+      }
+
+      const result = await KnowledgeModerationService.reject(knowledgeId, {
+        notes: notes || null,
+        userId: req.user.id
+      });
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Conocimiento rechazado',
+        data: result.knowledge
+      });
+    } catch (error) {
+      logger.error('Error al rechazar el conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al rechazar el conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Obtiene el historial de versiones de un conocimiento
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async getKnowledgeHistory(req, res) {
+    try {
+      const { knowledgeId } = req.params;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(knowledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conocimiento no válido'
+        });
+      }
+
+      const history = await KnowledgeHistoryService.getHistory(knowledgeId);
+
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conocimiento no encontrado'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      logger.error('Error al obtener el historial del conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener el historial del conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Compara dos versiones de un conocimiento
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async diffKnowledgeVersions(req, res) {
+    try {
+      const { knowledgeId } = req.params;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(knowledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conocimiento no válido'
+        });
+      }
+
+      const from = Number(req.query.from);
+      let to = req.query.to !== undefined ? Number(req.query.to) : null;
+
+      if (!Number.isInteger(from) || from < 1 || (to !== null && (!Number.isInteger(to) || to < 1))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Las versiones deben ser números enteros positivos'
+        });
+      }
+
+      if (to === null) {
+        const knowledge = await KnowledgeModel.getById(knowledgeId);
+        to = knowledge ? knowledge.version : from;
+      }
+
+      const result = await KnowledgeHistoryService.diff(knowledgeId, from, to);
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: result.diff
+      });
+    } catch (error) {
+      logger.error('Error al comparar versiones del conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al comparar las versiones del conocimiento'
+      });
+    }
+  },
+
+  /**
+   * Restaura una versión anterior de un conocimiento
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async rollbackKnowledge(req, res) {
+    try {
+      const { knowledgeId } = req.params;
+      const version = Number(req.body.version);
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(knowledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de conocimiento no válido'
+        });
+      }
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'La versión debe ser un número entero positivo'
+        });
+      }
+
+      const result = await KnowledgeHistoryService.rollback(knowledgeId, version, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Conocimiento restaurado a la versión ${version}`,
+        data: result.knowledge
+      });
+    } catch (error) {
+      logger.error('Error al restaurar la versión del conocimiento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al restaurar la versión del conocimiento'
+      });
+    }
+  },
+
   /**
    * Limpia la base de conocimientos (para pruebas)
    * @param {Object} req - Objeto de solicitud
@@ -153,8 +508,8 @@ const AdminController = {
    */
   async clearKnowledgeBase(req, res) {
     try {
-      // Verificar si el usuario tiene permisos adecuados (debe ser admin)
-      if (!req.user || req.user.role !== 'admin') {
+      // Verificar el permiso también aquí: la operación es irreversible
+      if (!PermissionService.hasPermission(req.user, 'knowledge:clear')) {
         return res.status(403).json({
           success: false,
           message: 'No tiene permisos para realizar esta acción'
@@ -185,6 +540,545 @@ const AdminController = {
         message: 'Error al limpiar la base de conocimientos'
       });
     }
+  },
+
+  /**
+   * Lista los tipos de cambio usados en las conversiones de moneda
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listCurrencyRates(req, res) {
+    try {
+      const rates = await CurrencyRateModel.getAllRates();
+
+      return res.json({
+        success: true,
+        baseCurrency: 'USD',
+        data: rates
+      });
+    } catch (error) {
+      logger.error('Error al listar tipos de cambio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener los tipos de cambio'
+      });
+    }
+  },
+
+  /**
+   * Crea o actualiza el tipo de cambio de una moneda
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updateCurrencyRate(req, res) {
+    try {
+      const code = String(req.params.code || '').toUpperCase();
+      const { name, rate, rateDate } = req.body;
+      const numericRate = parseFloat(rate);
+
+      if (!/^[A-Z]{3}$/.test(code)) {
+        return res.status(400).json({
+          success: false,
+          message: 'El código de moneda debe tener 3 letras (ISO 4217)'
+        });
+      }
+
+      if (isNaN(numericRate) || numericRate <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La tasa debe ser un número mayor que 0 (unidades de la moneda por 1 USD)'
+        });
+      }
+
+      if (code === 'USD' && numericRate !== 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'El dólar estadounidense es la moneda base y su tasa debe ser 1'
+        });
+      }
+
+      if (rateDate && (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate) || isNaN(Date.parse(rateDate)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'La fecha del tipo de cambio debe tener el formato AAAA-MM-DD'
+        });
+      }
+
+      const saved = await CurrencyRateModel.upsertRate(code, { name, rate: numericRate, rateDate }, req.user.id);
+
+      return res.json({
+        success: true,
+        message: `Tipo de cambio de ${code} actualizado correctamente`,
+        data: saved
+      });
+    } catch (error) {
+      logger.error('Error al actualizar tipo de cambio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al actualizar el tipo de cambio'
+      });
+    }
+  },
+
+  /**
+   * Elimina el tipo de cambio de una moneda
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async deleteCurrencyRate(req, res) {
+    try {
+      const code = String(req.params.code || '').toUpperCase();
+
+      if (code === 'USD') {
+        return res.status(400).json({
+          success: false,
+          message: 'No se puede eliminar la moneda base'
+        });
+      }
+
+      const deleted = await CurrencyRateModel.deleteRate(code);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tipo de cambio no encontrado'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Tipo de cambio de ${code} eliminado correctamente`
+      });
+    } catch (error) {
+      logger.error('Error al eliminar tipo de cambio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al eliminar el tipo de cambio'
+      });
+    }
+  },
+
+  /**
+   * Lista los usuarios con su rol
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listUsers(req, res) {
+    try {
+      const { role } = req.query;
+
+      if (role && !PermissionService.isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Rol no válido. Roles disponibles: ${PermissionService.getRoles().join(', ')}`
+        });
+      }
+
+      const page = parseInt(req.query.page) || 0;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const users = await UserModel.listUsers({ role: role || null, limit, offset: page * limit });
+
+      return res.json({
+        success: true,
+        data: users.map(user => ({
+          ...user,
+          permissions: PermissionService.getRolePermissions(user.role)
+        })),
+        pagination: {
+          page,
+          limit
+        }
+      });
+    } catch (error) {
+      logger.error('Error al listar usuarios:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener la lista de usuarios'
+      });
+    }
+  },
+
+  /**
+   * Cambia el rol de un usuario
+   * El usuario recibe los permisos nuevos al renovar su token.
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updateUserRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de usuario no válido'
+        });
+      }
+
+      if (!PermissionService.isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Rol no válido. Roles disponibles: ${PermissionService.getRoles().join(', ')}`
+        });
+      }
+
+      const user = await UserModel.getUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      // No dejar el sistema sin administradores activos
+      if (user.role === 'admin' && role !== 'admin' && user.is_active &&
+          await UserModel.countActiveByRole('admin') <= 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'No se puede quitar el rol al último administrador activo'
+        });
+      }
+
+      const updated = await UserModel.updateRole(userId, role);
+      logger.info(`El usuario ${req.user.id} cambió el rol de ${userId} de ${user.role} a ${role}`);
+
+      return res.json({
+        success: true,
+        message: `Rol actualizado a ${role}. Se aplicará cuando el usuario renueve su token`,
+        data: {
+          ...updated,
+          permissions: PermissionService.getRolePermissions(updated.role)
+        }
+      });
+    } catch (error) {
+      logger.error('Error al cambiar el rol del usuario:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al cambiar el rol del usuario'
+      });
+    }
+  },
+
+  /**
+   * Cierra la sesión de un usuario en todos sus dispositivos
+   * Revoca sus refresh tokens y los tokens de acceso que sigan vigentes.
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async signOutUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de usuario no válido'
+        });
+      }
+
+      const user = await UserModel.getUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      const sessions = await AuthService.revokeAllSessions(userId, 'signed_out_all');
+      const connections = VoiceGatewayService.disconnectUser(userId);
+      logger.info(`El usuario ${req.user.id} cerró todas las sesiones de ${userId}`);
+
+      return res.json({
+        success: true,
+        message: `Se cerraron ${sessions} sesiones del usuario ${user.username}`,
+        data: { sessions, voiceConnections: connections }
+      });
+    } catch (error) {
+      logger.error('Error al cerrar las sesiones del usuario:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al cerrar las sesiones del usuario'
+      });
+    }
+  },
+
+  /**
+   * Informe de consumo de IA: llamadas, tokens, coste estimado y latencia por
+   * proveedor, día y usuario, junto con el estado de los presupuestos
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async getAIUsage(req, res) {
+    try {
+      const { from, to, userId } = req.query;
+
+      for (const date of [from, to]) {
+        if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Las fechas deben tener el formato AAAA-MM-DD'
+          });
+        }
+      }
+
+      if (from && to && from > to) {
+        return res.status(400).json({
+          success: false,
+          message: 'La fecha inicial no puede ser posterior a la final'
+        });
+      }
+
+      if (userId && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de usuario no válido'
+        });
+      }
+
+      const report = await AIService.getUsageReport({ from, to, userId: userId || null });
+
+      return res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error al obtener el consumo de IA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener el consumo de IA'
+      });
+    }
+  },
+
+  /**
+   * Lista los proveedores de IA con el estado de su cortacircuitos, tasa de error y latencia
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listAIProviders(req, res) {
+    try {
+      return res.json({
+        success: true,
+        data: AIService.getProvidersStatus()
+      });
+    } catch (error) {
+      logger.error('Error al listar los proveedores de IA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener el estado de los proveedores de IA'
+      });
+    }
+  },
+
+  /**
+   * Fuerza la activación o desactivación de un proveedor de IA, o lo devuelve al modo automático
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updateAIProvider(req, res) {
+    try {
+      const { provider } = req.params;
+      const { mode, reason } = req.body;
+
+      if (!Object.prototype.hasOwnProperty.call(AIService.providers, provider)) {
+        return res.status(404).json({
+          success: false,
+          message: `Proveedor de IA no encontrado. Proveedores disponibles: ${Object.keys(AIService.providers).join(', ')}`
+        });
+      }
+
+      if (!['enabled', 'disabled', 'auto'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'El modo debe ser enabled, disabled o auto'
+        });
+      }
+
+      if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+        return res.status(400).json({
+          success: false,
+          message: 'El motivo debe ser un texto de máximo 255 caracteres'
+        });
+      }
+
+      const status = await AIProviderHealthService.setOverride(provider, mode, { reason, userId: req.user.id });
+      const messages = {
+        enabled: `Proveedor ${provider} activado manualmente`,
+        disabled: `Proveedor ${provider} desactivado manualmente`,
+        auto: `Proveedor ${provider} en modo automático`
+      };
+
+      return res.json({
+        success: true,
+        message: messages[mode],
+        data: {
+          provider,
+          model: AIService.getProviderModel(provider),
+          ...status
+        }
+      });
+    } catch (error) {
+      logger.error('Error al cambiar el modo del proveedor de IA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al cambiar el modo del proveedor de IA'
+      });
+    }
+  },
+
+  /**
+   * Lista la versión activa de la plantilla de prompts de cada categoría
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listPromptTemplates(req, res) {
+    try {
+      const templates = await PromptTemplateService.listActive();
+
+      return res.json({
+        success: true,
+        data: templates
+      });
+    } catch (error) {
+      logger.error('Error al listar las plantillas de prompts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener las plantillas de prompts'
+      });
+    }
+  },
+
+  /**
+   * Obtiene el historial de versiones de una plantilla de prompts
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async getPromptTemplateHistory(req, res) {
+    try {
+      const { category } = req.params;
+
+      if (!PromptTemplateService.CATEGORIES.includes(category)) {
+        return res.status(404).json({
+          success: false,
+          message: `Categoría de plantilla no encontrada. Categorías disponibles: ${PromptTemplateService.CATEGORIES.join(', ')}`
+        });
+      }
+
+      const versions = await PromptTemplateService.getHistory(category);
+
+      return res.json({
+        success: true,
+        data: {
+          category,
+          versions
+        }
+      });
+    } catch (error) {
+      logger.error('Error al obtener el historial de la plantilla de prompts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener el historial de la plantilla de prompts'
+      });
+    }
+  },
+
+  /**
+   * Guarda una versión nueva de una plantilla de prompts y la activa
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updatePromptTemplate(req, res) {
+    try {
+      const { category } = req.params;
+      const { systemPrompt, userPrompt, notes } = req.body;
+
+      if (!PromptTemplateService.CATEGORIES.includes(category)) {
+        return res.status(404).json({
+          success: false,
+          message: `Categoría de plantilla no encontrada. Categorías disponibles: ${PromptTemplateService.CATEGORIES.join(', ')}`
+        });
+      }
+
+      if (systemPrompt === undefined && userPrompt === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Debe indicar systemPrompt, userPrompt o ambos'
+        });
+      }
+
+      const result = await PromptTemplateService.createVersion(category, {
+        systemPrompt,
+        userPrompt,
+        notes: typeof notes === 'string' ? notes : null,
+        userId: req.user.id
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      return res.json({
+        success: true,
+        message: `Plantilla ${category} actualizada a la versión ${result.template.version}`,
+        data: result.template
+      });
+    } catch (error) {
+      logger.error('Error al actualizar la plantilla de prompts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al actualizar la plantilla de prompts'
+      });
+    }
+  },
+
+  /**
+   * Vuelve a activar una versión anterior de una plantilla de prompts
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async rollbackPromptTemplate(req, res) {
+    try {
+      const { category } = req.params;
+      const version = Number(req.body.version);
+
+      if (!PromptTemplateService.CATEGORIES.includes(category)) {
+        return res.status(404).json({
+          success: false,
+          message: `Categoría de plantilla no encontrada. Categorías disponibles: ${PromptTemplateService.CATEGORIES.join(', ')}`
+        });
+      }
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'La versión debe ser un número entero positivo'
+        });
+      }
+
+      const template = await PromptTemplateService.rollback(category, version, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: `La plantilla ${category} no tiene una versión ${version}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Plantilla ${category} restaurada a la versión ${version}`,
+        data: template
+      });
+    } catch (error) {
+      logger.error('Error al restaurar la plantilla de prompts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al restaurar la plantilla de prompts'
+      });
+    }
   }
 };
 
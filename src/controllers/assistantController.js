@@ -1,4 +1,5 @@
 const AssistantService = require('../services/assistantService');
+const PermissionService = require('../services/permissionService');
 const { logger } = require('../config');
 
 /**
@@ -12,7 +13,7 @@ const AssistantController = {
    */
   async processQuery(req, res) {
     try {
-      const { query, options } = req.body;
+      const { query, options, sessionId } = req.body;
       
       if (!query) {
         return res.status(400).json({
@@ -24,8 +25,14 @@ const AssistantController = {
       // Obtener el ID de usuario del token (si existe)
       const userId = req.user ? req.user.id : null;
       
-      // Procesar la consulta - ahora incluye opciones para confirmaciones
-      const result = await AssistantService.processQuery(query, userId, options || {});
+      // El sessionId puede enviarse en el cuerpo o dentro de las opciones
+      const queryOptions = { ...(options || {}) };
+      if (sessionId) {
+        queryOptions.sessionId = sessionId;
+      }
+      
+      // Procesar la consulta - el estado de confirmaciones se guarda en la sesión
+      const result = await AssistantService.processQuery(query, userId, queryOptions);
       
       return res.json({
         success: true,
@@ -40,6 +47,86 @@ const AssistantController = {
     }
   },
   
+  /**
+   * Procesa una consulta transmitiendo el progreso como Server-Sent Events
+   * Eventos: intent, status, token (fragmentos de la IA), final (resultado completo)
+   * y error. El texto de los eventos token es provisional: el del evento final es
+   * el definitivo (ya saneado, o la respuesta web si resultó mejor).
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async processQueryStream(req, res) {
+    const { query, options, sessionId } = req.body;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'La consulta es requerida'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const sendEvent = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const userId = req.user ? req.user.id : null;
+
+      const queryOptions = { ...(options || {}), onEvent: sendEvent };
+      if (sessionId) {
+        queryOptions.sessionId = sessionId;
+      }
+
+      const result = await AssistantService.processQuery(query, userId, queryOptions);
+      sendEvent('final', result);
+    } catch (error) {
+      logger.error('Error al procesar consulta por streaming:', error);
+      sendEvent('error', { message: 'Error al procesar la consulta' });
+    }
+
+    if (!closed) {
+      res.end();
+    }
+  },
+
+  /**
+   * Termina una sesión de conversación
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async endSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user ? req.user.id : null;
+      
+      const result = await AssistantService.endSession(sessionId, userId);
+      
+      return res.json({
+        success: result,
+        message: result 
+          ? 'Sesión terminada correctamente' 
+          : 'No se encontró la sesión o no tienes permisos'
+      });
+    } catch (error) {
+      logger.error('Error al terminar sesión:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al terminar la sesión'
+      });
+    }
+  },
+  
   /**
    * Proporciona retroalimentación a una respuesta
    * @param {Object} req - Objeto de solicitud
@@ -125,8 +212,9 @@ const AssistantController = {
         });
       }
       
-      // Eliminar conocimiento
-      const result = await AssistantService.deleteKnowledge(knowledgeId, userId);
+      // Con knowledge:delete_any se puede eliminar el conocimiento de cualquier usuario
+      const ownerFilter = PermissionService.hasPermission(req.user, 'knowledge:delete_any') ? null : userId;
+      const result = await AssistantService.deleteKnowledge(knowledgeId, ownerFilter);
       
       return res.json({
         success: result,
@@ -1,6 +1,26 @@
 const AuthService = require('../services/authService');
+const VoiceGatewayService = require('../services/voiceGatewayService');
+const AccountService = require('../services/accountService');
 const UserModel = require('../models/userModel');
+const PermissionService = require('../services/permissionService');
+const PromptTemplateService = require('../services/promptTemplateService');
 const { logger } = require('../config');
+const dateTimeService = require('../services/dateTimeService');
+
+// Formato de email (implementación básica)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Datos del cliente que se guardan con cada sesión
+ * @param {Object} req - Objeto de solicitud
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+function clientContext(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  };
+}
 
 /**
  * Controlador para gestión de autenticación
@@ -23,10 +43,19 @@ const AuthController = {
       }
       
       // Intentar autenticar
-      const authResult = await AuthService.login(username, password);
+      const authResult = await AuthService.login(username, password, clientContext(req));
+      
+      if (authResult.reason === 'locked') {
+        res.set('Retry-After', String(authResult.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: authResult.message,
+          retryAfter: authResult.retryAfter
+        });
+      }
       
       if (!authResult.success) {
-        return res.status(401).json({
+        return res.status(authResult.reason === 'email_not_verified' ? 403 : 401).json({
           success: false,
           message: authResult.message || 'Credenciales inválidas'
         });
@@ -37,7 +66,9 @@ const AuthController = {
         message: 'Inicio de sesión exitoso',
         data: {
           user: authResult.user,
-          token: authResult.token
+          token: authResult.token,
+          refreshToken: authResult.refreshToken,
+          expiresAt: authResult.expiresAt
         }
       });
     } catch (error) {
@@ -67,8 +98,7 @@ const AuthController = {
       }
       
       // Validar formato de email (implementación básica)
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
+      if (!EMAIL_REGEX.test(email)) {
         return res.status(400).json({
           success: false,
           message: 'Formato de email inválido'
@@ -88,7 +118,7 @@ const AuthController = {
         username,
         email,
         password
-      });
+      }, clientContext(req));
       
       if (!registerResult.success) {
         return res.status(400).json({
@@ -97,12 +127,20 @@ const AuthController = {
         });
       }
       
+      // El envío del enlace no impide el registro: puede pedirse de nuevo después
+      const verificationSent = await AccountService.sendVerificationEmail(registerResult.user);
+      
       return res.status(201).json({
         success: true,
-        message: 'Usuario registrado exitosamente',
+        message: verificationSent
+          ? 'Usuario registrado exitosamente. Te enviamos un enlace para verificar tu correo'
+          : 'Usuario registrado exitosamente',
         data: {
           user: registerResult.user,
-          token: registerResult.token
+          token: registerResult.token,
+          refreshToken: registerResult.refreshToken,
+          expiresAt: registerResult.expiresAt,
+          verificationSent
         }
       });
     } catch (error) {
@@ -114,6 +152,400 @@ const AuthController = {
     }
   },
   
+  /**
+   * Renueva la sesión con un refresh token
+   * El refresh token usado deja de ser válido; el cliente debe guardar el nuevo.
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'El refresh token es requerido'
+        });
+      }
+      
+      const refreshResult = await AuthService.refreshSession(refreshToken, clientContext(req));
+      
+      if (!refreshResult.success) {
+        return res.status(401).json({
+          success: false,
+          message: refreshResult.message
+        });
+      }
+      
+      return res.json({
+        success: true,
+        message: 'Token renovado correctamente',
+        data: {
+          user: refreshResult.user,
+          token: refreshResult.token,
+          refreshToken: refreshResult.refreshToken,
+          expiresAt: refreshResult.expiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error al renovar token:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Cierra la sesión actual o, con allDevices, todas las del usuario
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async logout(req, res) {
+    try {
+      const { refreshToken, allDevices } = req.body || {};
+      
+      await AuthService.logout(req.user, {
+        refreshToken: typeof refreshToken === 'string' ? refreshToken : null,
+        allDevices: allDevices === true
+      });
+      
+      // Cerrar también las conexiones de voz abiertas con los tokens revocados
+      VoiceGatewayService.disconnectUser(req.user.id, allDevices === true ? null : req.user.jti);
+      
+      return res.json({
+        success: true,
+        message: allDevices === true
+          ? 'Se cerró la sesión en todos los dispositivos'
+          : 'Sesión cerrada correctamente'
+      });
+    } catch (error) {
+      logger.error('Error al cerrar sesión:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Envía un enlace para restablecer la contraseña
+   * Responde igual exista o no la cuenta, para no revelar qué emails están registrados.
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      
+      if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Se requiere un email válido'
+        });
+      }
+      
+      await AccountService.requestPasswordReset(email.trim());
+      
+      return res.json({
+        success: true,
+        message: 'Si el email corresponde a una cuenta, recibirás un enlace para restablecer la contraseña'
+      });
+    } catch (error) {
+      logger.error('Error al solicitar recuperación de contraseña:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Restablece la contraseña con el token recibido por correo
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+      
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'El token es requerido'
+        });
+      }
+      
+      if (!password || typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'La contraseña debe tener al menos 6 caracteres'
+        });
+      }
+      
+      const resetResult = await AccountService.resetPassword(token, password);
+      
+      if (!resetResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: resetResult.message
+        });
+      }
+      
+      VoiceGatewayService.disconnectUser(resetResult.userId);
+      
+      return res.json({
+        success: true,
+        message: 'Contraseña restablecida correctamente. Inicia sesión con tu nueva contraseña'
+      });
+    } catch (error) {
+      logger.error('Error al restablecer contraseña:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Verifica el email con el token recibido por correo
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async verifyEmail(req, res) {
+    try {
+      const token = (req.body && req.body.token) || req.query.token;
+      
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'El token es requerido'
+        });
+      }
+      
+      const verifyResult = await AccountService.verifyEmail(token);
+      
+      if (!verifyResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: verifyResult.message
+        });
+      }
+      
+      return res.json({
+        success: true,
+        message: 'Correo electrónico verificado correctamente',
+        data: {
+          email: verifyResult.user.email,
+          emailVerified: true
+        }
+      });
+    } catch (error) {
+      logger.error('Error al verificar email:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Vuelve a enviar el enlace de verificación al usuario actual
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async resendVerification(req, res) {
+    try {
+      const user = await UserModel.getUserById(req.user.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+      
+      if (user.email_verified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tu correo electrónico ya está verificado'
+        });
+      }
+      
+      const sent = await AccountService.sendVerificationEmail(user);
+      
+      if (!sent) {
+        return res.status(502).json({
+          success: false,
+          message: 'No se pudo enviar el correo de verificación. Inténtalo más tarde'
+        });
+      }
+      
+      return res.json({
+        success: true,
+        message: `Te enviamos un enlace de verificación a ${user.email}`
+      });
+    } catch (error) {
+      logger.error('Error al reenviar verificación de email:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Cambia la contraseña del usuario actual
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Se requieren currentPassword y newPassword'
+        });
+      }
+      
+      if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'La contraseña debe tener al menos 6 caracteres'
+        });
+      }
+      
+      const changeResult = await AccountService.changePassword(req.user.id, currentPassword, newPassword, clientContext(req));
+      
+      if (!changeResult.success) {
+        return res.status(403).json({
+          success: false,
+          message: changeResult.message
+        });
+      }
+      
+      // Las demás sesiones quedaron cerradas; este dispositivo recibe tokens nuevos
+      VoiceGatewayService.disconnectUser(req.user.id);
+      
+      return res.json({
+        success: true,
+        message: 'Contraseña actualizada. Se cerró la sesión en los demás dispositivos',
+        data: {
+          token: changeResult.token,
+          refreshToken: changeResult.refreshToken,
+          expiresAt: changeResult.expiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error al cambiar contraseña:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Cambia el email del usuario actual (queda pendiente de verificación)
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async changeEmail(req, res) {
+    try {
+      const { email, password } = req.body;
+      
+      if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Formato de email inválido'
+        });
+      }
+      
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'La contraseña es requerida para cambiar el email'
+        });
+      }
+      
+      const changeResult = await AccountService.changeEmail(req.user.id, password, email);
+      
+      if (!changeResult.success) {
+        const status = { invalid_password: 403, email_in_use: 409 }[changeResult.reason] || 400;
+        return res.status(status).json({
+          success: false,
+          message: changeResult.message
+        });
+      }
+      
+      return res.json({
+        success: true,
+        message: changeResult.verificationSent
+          ? `Email actualizado. Te enviamos un enlace de verificación a ${changeResult.user.email}`
+          : 'Email actualizado. Solicita un nuevo enlace de verificación para confirmarlo',
+        data: {
+          email: changeResult.user.email,
+          emailVerified: false
+        }
+      });
+    } catch (error) {
+      logger.error('Error al cambiar email:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
+  /**
+   * Elimina la cuenta del usuario actual e informa de lo eliminado
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async deleteAccount(req, res) {
+    try {
+      const { password, anonymizeHistory } = req.body || {};
+      
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'La contraseña es requerida para eliminar la cuenta'
+        });
+      }
+      
+      const deleteResult = await AccountService.deleteAccount(req.user.id, password, {
+        anonymizeHistory: anonymizeHistory === true
+      });
+      
+      if (!deleteResult.success) {
+        const status = { invalid_password: 403, last_admin: 409, not_found: 404 }[deleteResult.reason] || 400;
+        return res.status(status).json({
+          success: false,
+          message: deleteResult.message
+        });
+      }
+      
+      VoiceGatewayService.disconnectUser(req.user.id);
+      
+      return res.json({
+        success: true,
+        message: 'Cuenta eliminada correctamente',
+        data: {
+          removed: deleteResult.removed
+        }
+      });
+    } catch (error) {
+      logger.error('Error al eliminar cuenta:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error en el servidor al procesar la solicitud'
+      });
+    }
+  },
+  
   /**
    * Obtiene el perfil del usuario actual
    * @param {Object} req - Objeto de solicitud
@@ -143,6 +575,9 @@ const AuthController = {
             id: user.id,
             username: user.username,
             email: user.email,
+            emailVerified: user.email_verified,
+            role: user.role,
+            permissions: PermissionService.getRolePermissions(user.role),
             createdAt: user.created_at,
             updatedAt: user.updated_at
           },
@@ -166,7 +601,7 @@ const AuthController = {
   async updatePreferences(req, res) {
     try {
       const userId = req.user.id;
-      const { voice_type, voice_speed, wake_word, theme } = req.body;
+      const { voice_type, voice_speed, wake_word, theme, timezone, language } = req.body;
       
       // Validar datos
       if (voice_speed && (voice_speed < 0.5 || voice_speed > 2.0)) {
@@ -176,12 +611,28 @@ const AuthController = {
         });
       }
       
+      if (timezone && !dateTimeService.isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'La zona horaria no es válida (ejemplo: America/Guatemala)'
+        });
+      }
+      
+      if (language && !PromptTemplateService.isSupportedLanguage(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `El idioma no es válido. Idiomas disponibles: ${Object.keys(PromptTemplateService.LANGUAGE_NAMES).join(', ')}`
+        });
+      }
+      
       // Actualizar preferencias
       const updatedPreferences = await UserModel.updatePreferences(userId, {
         voice_type,
         voice_speed,
         wake_word,
-        theme
+        theme,
+        timezone,
+        language
       });
       
       return res.json({
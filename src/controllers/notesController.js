@@ -0,0 +1,459 @@
+const NoteModel = require('../models/noteModel');
+const ListModel = require('../models/listModel');
+const { logger } = require('../config');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_ITEMS_PER_REQUEST = 100;
+
+/**
+ * Verifica que los IDs de la ruta sean UUID válidos
+ * @param {Object} res - Objeto de respuesta
+ * @param {Array<string>} ids - IDs a validar
+ * @returns {boolean} - true si son válidos (si no, ya se respondió con 400)
+ */
+function validIds(res, ids) {
+  if (ids.every(id => UUID_PATTERN.test(id))) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'ID no válido'
+  });
+  return false;
+}
+
+/**
+ * Controlador para las notas y listas personales del usuario
+ * Un recurso de otro usuario se trata igual que uno inexistente (404).
+ */
+const NotesController = {
+  /**
+   * Lista las notas del usuario
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listNotes(req, res) {
+    try {
+      const notes = await NoteModel.getUserNotes(req.user.id, {
+        search: req.query.search || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200),
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      return res.json({
+        success: true,
+        data: notes
+      });
+    } catch (error) {
+      logger.error('Error al listar notas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener las notas'
+      });
+    }
+  },
+
+  /**
+   * Crea una nota
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async createNote(req, res) {
+    try {
+      const { content } = req.body;
+
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'El contenido de la nota es requerido'
+        });
+      }
+
+      const note = await NoteModel.createNote(req.user.id, content.trim());
+
+      return res.status(201).json({
+        success: true,
+        message: 'Nota guardada correctamente',
+        data: note
+      });
+    } catch (error) {
+      logger.error('Error al crear nota:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al guardar la nota'
+      });
+    }
+  },
+
+  /**
+   * Actualiza una nota
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updateNote(req, res) {
+    try {
+      const { id } = req.params;
+      const { content } = req.body;
+
+      if (!validIds(res, [id])) return;
+
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'El contenido de la nota es requerido'
+        });
+      }
+
+      const note = await NoteModel.updateNote(id, req.user.id, content.trim());
+
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nota no encontrada'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Nota actualizada correctamente',
+        data: note
+      });
+    } catch (error) {
+      logger.error('Error al actualizar nota:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al actualizar la nota'
+      });
+    }
+  },
+
+  /**
+   * Elimina una nota
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async deleteNote(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!validIds(res, [id])) return;
+
+      const deleted = await NoteModel.deleteNote(id, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nota no encontrada'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Nota eliminada correctamente'
+      });
+    } catch (error) {
+      logger.error('Error al eliminar nota:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al eliminar la nota'
+      });
+    }
+  },
+
+  /**
+   * Lista las listas del usuario
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async listLists(req, res) {
+    try {
+      const lists = await ListModel.getUserLists(req.user.id);
+
+      return res.json({
+        success: true,
+        data: lists
+      });
+    } catch (error) {
+      logger.error('Error al listar listas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener las listas'
+      });
+    }
+  },
+
+  /**
+   * Crea una lista
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async createList(req, res) {
+    try {
+      const { name } = req.body;
+
+      if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'El nombre de la lista es requerido (máximo 100 caracteres)'
+        });
+      }
+
+      const list = await ListModel.createList(req.user.id, name.trim());
+
+      if (!list) {
+        return res.status(409).json({
+          success: false,
+          message: `Ya tienes una lista llamada "${name.trim()}"`
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Lista creada correctamente',
+        data: list
+      });
+    } catch (error) {
+      logger.error('Error al crear lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al crear la lista'
+      });
+    }
+  },
+
+  /**
+   * Obtiene una lista con sus elementos
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async getList(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!validIds(res, [id])) return;
+
+      const list = await ListModel.getListById(id, req.user.id);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lista no encontrada'
+        });
+      }
+
+      const items = await ListModel.getItems(id, req.user.id);
+
+      return res.json({
+        success: true,
+        data: { ...list, items }
+      });
+    } catch (error) {
+      logger.error('Error al obtener lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener la lista'
+      });
+    }
+  },
+
+  /**
+   * Elimina una lista y sus elementos
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async deleteList(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!validIds(res, [id])) return;
+
+      const deleted = await ListModel.deleteList(id, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lista no encontrada'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Lista eliminada correctamente'
+      });
+    } catch (error) {
+      logger.error('Error al eliminar lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al eliminar la lista'
+      });
+    }
+  },
+
+  /**
+   * Añade elementos a una lista
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async addItems(req, res) {
+    try {
+      const { id } = req.params;
+      const { content, items } = req.body;
+
+      if (!validIds(res, [id])) return;
+
+      const contents = (Array.isArray(items) ? items : [content])
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+
+      if (contents.length === 0 || contents.length > MAX_ITEMS_PER_REQUEST) {
+        return res.status(400).json({
+          success: false,
+          message: `Se requiere content o items (entre 1 y ${MAX_ITEMS_PER_REQUEST} elementos de texto)`
+        });
+      }
+
+      const list = await ListModel.getListById(id, req.user.id);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lista no encontrada'
+        });
+      }
+
+      const added = await ListModel.addItems(id, req.user.id, contents);
+
+      return res.status(201).json({
+        success: true,
+        message: added.length === contents.length
+          ? 'Elementos añadidos correctamente'
+          : `Se añadieron ${added.length} elementos; el resto ya estaba en la lista`,
+        data: added
+      });
+    } catch (error) {
+      logger.error('Error al añadir elementos a la lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al añadir elementos a la lista'
+      });
+    }
+  },
+
+  /**
+   * Actualiza un elemento (texto o marcado como comprado/hecho)
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async updateItem(req, res) {
+    try {
+      const { id, itemId } = req.params;
+      const { content, isChecked } = req.body;
+
+      if (!validIds(res, [id, itemId])) return;
+
+      if ((content !== undefined && (typeof content !== 'string' || !content.trim())) ||
+          (isChecked !== undefined && typeof isChecked !== 'boolean')) {
+        return res.status(400).json({
+          success: false,
+          message: 'content debe ser un texto no vacío e isChecked un booleano'
+        });
+      }
+
+      const item = await ListModel.updateItem(itemId, id, req.user.id, {
+        content: content ? content.trim() : null,
+        isChecked
+      });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Elemento no encontrado'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Elemento actualizado correctamente',
+        data: item
+      });
+    } catch (error) {
+      logger.error('Error al actualizar elemento de la lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al actualizar el elemento'
+      });
+    }
+  },
+
+  /**
+   * Elimina un elemento de una lista
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async removeItem(req, res) {
+    try {
+      const { id, itemId } = req.params;
+
+      if (!validIds(res, [id, itemId])) return;
+
+      const deleted = await ListModel.removeItem(itemId, id, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Elemento no encontrado'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Elemento eliminado correctamente'
+      });
+    } catch (error) {
+      logger.error('Error al eliminar elemento de la lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al eliminar el elemento'
+      });
+    }
+  },
+
+  /**
+   * Vacía una lista (todos los elementos o solo los marcados)
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async clearItems(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!validIds(res, [id])) return;
+
+      const list = await ListModel.getListById(id, req.user.id);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lista no encontrada'
+        });
+      }
+
+      const removed = await ListModel.clearList(id, req.user.id, req.query.checked === 'true');
+
+      return res.json({
+        success: true,
+        message: `Se eliminaron ${removed} elementos de la lista`,
+        data: { removed }
+      });
+    } catch (error) {
+      logger.error('Error al vaciar lista:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al vaciar la lista'
+      });
+    }
+  }
+};
+
+module.exports = NotesController;
@@ -0,0 +1,276 @@
+const ReminderModel = require('../models/reminderModel');
+const reminderService = require('../services/reminderService');
+const dateTimeService = require('../services/dateTimeService');
+const { logger } = require('../config');
+
+const VALID_STATUSES = ['pending', 'delivered', 'cancelled'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Resuelve la fecha de un recordatorio a partir de remindAt (ISO 8601)
+ * o de una expresión en español ("mañana a las 8")
+ * @param {Object} body - Cuerpo de la solicitud
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {Object} - { remindAt } o { error }
+ */
+function resolveRemindAt(body, timezone) {
+  const now = dateTimeService.now();
+
+  if (body.remindAt) {
+    const remindAt = new Date(body.remindAt);
+    if (isNaN(remindAt.getTime())) {
+      return { error: 'remindAt debe ser una fecha ISO 8601 válida' };
+    }
+    if (remindAt <= now) {
+      return { error: 'La fecha del recordatorio debe estar en el futuro' };
+    }
+    return { remindAt };
+  }
+
+  if (body.when) {
+    const parsed = reminderService.parseTimeExpression(reminderService.fold(String(body.when)), timezone, now);
+    if (parsed.error) {
+      return {
+        error: parsed.error === 'PAST'
+          ? 'La fecha del recordatorio debe estar en el futuro'
+          : `No se pudo interpretar la fecha "${body.when}"`
+      };
+    }
+    return { remindAt: parsed.remindAt };
+  }
+
+  return { remindAt: null };
+}
+
+/**
+ * Controlador para los recordatorios y temporizadores del usuario
+ */
+const ReminderController = {
+  /**
+   * Lista los recordatorios del usuario
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async list(req, res) {
+    try {
+      const { status } = req.query;
+
+      if (status && !VALID_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Estado no válido. Valores permitidos: ${VALID_STATUSES.join(', ')}`
+        });
+      }
+
+      const reminders = await ReminderModel.getUserReminders(req.user.id, {
+        status: status || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200),
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      return res.json({
+        success: true,
+        data: reminders
+      });
+    } catch (error) {
+      logger.error('Error al listar recordatorios:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener los recordatorios'
+      });
+    }
+  },
+
+  /**
+   * Crea un recordatorio
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async create(req, res) {
+    try {
+      const { message, timezone: requestedTimezone, isTimer } = req.body;
+
+      if (!message || typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'El mensaje del recordatorio es requerido'
+        });
+      }
+
+      const timezone = await dateTimeService.getUserTimezone(req.user.id, requestedTimezone);
+      const { remindAt, error } = resolveRemindAt(req.body, timezone);
+
+      if (error || !remindAt) {
+        return res.status(400).json({
+          success: false,
+          message: error || 'Se requiere remindAt (ISO 8601) o when (por ejemplo: "mañana a las 8")'
+        });
+      }
+
+      const reminder = await ReminderModel.createReminder({
+        userId: req.user.id,
+        message: message.trim(),
+        remindAt,
+        timezone,
+        isTimer: isTimer === true
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `Recordatorio programado para el ${dateTimeService.formatDateTime(remindAt, timezone)}`,
+        data: reminder
+      });
+    } catch (error) {
+      logger.error('Error al crear recordatorio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al crear el recordatorio'
+      });
+    }
+  },
+
+  /**
+   * Entrega los recordatorios vencidos para que el cliente de voz los anuncie
+   * Los recordatorios devueltos quedan marcados como entregados.
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async getDue(req, res) {
+    try {
+      const reminders = await ReminderModel.takeDueReminders(req.user.id);
+
+      return res.json({
+        success: true,
+        data: reminders.map(reminder => ({
+          ...reminder,
+          announcement: reminder.is_timer
+            ? `Tu ${reminder.message.charAt(0).toLowerCase() + reminder.message.slice(1)} ha terminado.`
+            : `Recordatorio: ${reminder.message}`
+        }))
+      });
+    } catch (error) {
+      logger.error('Error al obtener recordatorios vencidos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al obtener los recordatorios vencidos'
+      });
+    }
+  },
+
+  /**
+   * Actualiza o reprograma un recordatorio
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+      const { message, status, timezone: requestedTimezone } = req.body;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de recordatorio no válido'
+        });
+      }
+
+      if (status && !VALID_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Estado no válido. Valores permitidos: ${VALID_STATUSES.join(', ')}`
+        });
+      }
+
+      if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'El mensaje del recordatorio no puede estar vacío'
+        });
+      }
+
+      if (requestedTimezone && !dateTimeService.isValidTimezone(requestedTimezone)) {
+        return res.status(400).json({
+          success: false,
+          message: `Zona horaria no válida: ${requestedTimezone}`
+        });
+      }
+
+      const existing = await ReminderModel.getById(id, req.user.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recordatorio no encontrado'
+        });
+      }
+
+      const timezone = requestedTimezone || existing.timezone;
+      const { remindAt, error } = resolveRemindAt(req.body, timezone);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const reminder = await ReminderModel.updateReminder(id, req.user.id, {
+        message: message ? message.trim() : null,
+        remindAt,
+        timezone: requestedTimezone || null,
+        status: status || null
+      });
+
+      return res.json({
+        success: true,
+        message: 'Recordatorio actualizado correctamente',
+        data: reminder
+      });
+    } catch (error) {
+      logger.error('Error al actualizar recordatorio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al actualizar el recordatorio'
+      });
+    }
+  },
+
+  /**
+   * Elimina un recordatorio
+   * @param {Object} req - Objeto de solicitud
+   * @param {Object} res - Objeto de respuesta
+   */
+  async remove(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de recordatorio no válido'
+        });
+      }
+
+      const deleted = await ReminderModel.deleteReminder(id, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recordatorio no encontrado'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Recordatorio eliminado correctamente'
+      });
+    } catch (error) {
+      logger.error('Error al eliminar recordatorio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error al eliminar el recordatorio'
+      });
+    }
+  }
+};
+
+module.exports = ReminderController;
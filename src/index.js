@@ -74,6 +74,32 @@ async function initializeAdditionalServices() {
     // Limpiar caché antigua
     await CacheService.cleanOldCache(30);
     
+    // Limpiar sesiones de conversación expiradas
+    const ConversationSessionModel = require('./models/conversationSessionModel');
+    await ConversationSessionModel.deleteExpiredSessions(config.assistant.session.ttlMinutes);
+    
+    // Limpiar refresh tokens y entradas de la lista de revocados ya expirados
+    const RefreshTokenModel = require('./models/refreshTokenModel');
+    const RevokedTokenModel = require('./models/revokedTokenModel');
+    await RefreshTokenModel.deleteExpired();
+    await RevokedTokenModel.deleteExpired();
+    
+    // Limpiar tokens de verificación y recuperación de contraseña vencidos
+    const AccountTokenModel = require('./models/accountTokenModel');
+    await AccountTokenModel.deleteExpired();
+    
+    // Limpiar contadores de límites de peticiones vencidos
+    const RateLimitService = require('./services/rateLimitService');
+    await RateLimitService.cleanup();
+    
+    // Cargar los proveedores de IA activados o desactivados manualmente
+    const AIProviderHealthService = require('./services/aiProviderHealthService');
+    await AIProviderHealthService.loadOverrides();
+    
+    // Indexar en segundo plano los conocimientos sin embedding (o de otro modelo)
+    const KnowledgeModel = require('./models/knowledgeModel');
+    KnowledgeModel.reindexEmbeddings();
+    
     // Cualquier otra inicialización de servicios
     logger.info('Servicios adicionales inicializados correctamente');
   } catch (error) {
@@ -85,6 +111,11 @@ async function initializeAdditionalServices() {
 // Crear aplicación Express
 const app = express();
 
+// IP real del cliente detrás de proxies (necesaria para la limitación de peticiones)
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors(config.cors));
@@ -117,7 +148,7 @@ const PORT = config.port || 3001;
 // Inicializar sistema y luego iniciar servidor
 initializeSystem()
   .then(() => {
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Servidor iniciado en puerto ${PORT} (${config.nodeEnv})`);
       
       // Configuración de IA
@@ -135,6 +166,10 @@ initializeSystem()
         logger.info('Servicios de IA deshabilitados por configuración');
       }
     });
+    
+    // Pasarela WebSocket para sesiones de voz continuas
+    const VoiceGatewayService = require('./services/voiceGatewayService');
+    VoiceGatewayService.attach(server);
   })
   .catch(error => {
     logger.error('Error crítico durante la inicialización:', error);
@@ -0,0 +1,105 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Tablas de cada tipo de token de cuenta
+const TABLES = {
+  verification: 'email_verification_tokens',
+  password_reset: 'password_reset_tokens'
+};
+
+/**
+ * Obtiene la tabla de un tipo de token
+ * @param {string} type - Tipo de token (verification, password_reset)
+ * @returns {string} - Nombre de la tabla
+ */
+function tableFor(type) {
+  const table = TABLES[type];
+  if (!table) {
+    throw new Error(`Tipo de token de cuenta desconocido: ${type}`);
+  }
+  return table;
+}
+
+// Modelo para los tokens de un solo uso enviados por correo
+const AccountTokenModel = {
+  /**
+   * Guarda un token nuevo e invalida los anteriores sin usar del mismo tipo
+   * @param {string} type - Tipo de token (verification, password_reset)
+   * @param {Object} token - { userId, tokenHash, email, expiresAt }
+   * @returns {Promise<Object>} - Token guardado
+   */
+  async createToken(type, { userId, tokenHash, email, expiresAt }) {
+    const table = tableFor(type);
+
+    try {
+      // Solo el último enlace enviado es válido
+      await db.query(
+        `UPDATE ${table} SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+      );
+
+      const result = await db.query(
+        `INSERT INTO ${table} (user_id, token_hash, email, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, email, expires_at, created_at;`,
+        [userId, tokenHash, email, expiresAt]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al guardar token de ${type} del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Marca como usado un token vigente y lo devuelve
+   * La operación es atómica: un mismo token no puede consumirse dos veces.
+   * @param {string} type - Tipo de token (verification, password_reset)
+   * @param {string} tokenHash - Hash del token
+   * @returns {Promise<Object|null>} - Token consumido o null si no existe, expiró o ya se usó
+   */
+  async consumeToken(type, tokenHash) {
+    const table = tableFor(type);
+
+    try {
+      const result = await db.query(
+        `UPDATE ${table}
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING id, user_id, email, expires_at;`,
+        [tokenHash]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al consumir token de ${type}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina los tokens expirados o usados
+   * @returns {Promise<number>} - Número de tokens eliminados
+   */
+  async deleteExpired() {
+    try {
+      let total = 0;
+
+      for (const table of Object.values(TABLES)) {
+        const result = await db.query(
+          `DELETE FROM ${table} WHERE expires_at < NOW() OR used_at < NOW() - INTERVAL '7 days'`
+        );
+        total += result.rowCount;
+      }
+
+      logger.info(`Limpieza de tokens de cuenta completada: ${total} tokens eliminados`);
+      return total;
+    } catch (error) {
+      logger.error('Error al eliminar tokens de cuenta expirados:', error);
+      return 0;
+    }
+  }
+};
+
+module.exports = AccountTokenModel;
@@ -0,0 +1,67 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para el estado forzado (activado/desactivado) de los proveedores de IA
+const AIProviderOverrideModel = {
+  /**
+   * Obtiene todos los estados forzados
+   * @returns {Promise<Array>} - Lista de { provider, mode, reason, updated_by, updated_at }
+   */
+  async getAll() {
+    try {
+      const result = await db.query(
+        'SELECT provider, mode, reason, updated_by, updated_at FROM ai_provider_overrides ORDER BY provider'
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al obtener el estado forzado de los proveedores de IA:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fuerza el estado de un proveedor
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} mode - enabled o disabled
+   * @param {string} reason - Motivo (opcional)
+   * @param {string} userId - ID del administrador
+   * @returns {Promise<Object>} - Estado guardado
+   */
+  async upsert(provider, mode, reason = null, userId = null) {
+    try {
+      const queryText = `
+        INSERT INTO ai_provider_overrides (provider, mode, reason, updated_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (provider) DO UPDATE SET
+          mode = EXCLUDED.mode,
+          reason = EXCLUDED.reason,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING provider, mode, reason, updated_by, updated_at;
+      `;
+
+      const result = await db.query(queryText, [provider, mode, reason ? reason.substring(0, 255) : null, userId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al forzar el estado del proveedor de IA ${provider}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina el estado forzado de un proveedor (vuelve al modo automático)
+   * @param {string} provider - Nombre del proveedor
+   * @returns {Promise<boolean>} - true si existía
+   */
+  async remove(provider) {
+    try {
+      const result = await db.query('DELETE FROM ai_provider_overrides WHERE provider = $1', [provider]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al quitar el estado forzado del proveedor de IA ${provider}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = AIProviderOverrideModel;
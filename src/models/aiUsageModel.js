@@ -0,0 +1,217 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Inicio del día, la semana (lunes) y el mes actuales en la zona horaria indicada
+const PERIOD_BOUNDS = `
+  SELECT
+    date_trunc('day', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS day_start,
+    date_trunc('week', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS week_start,
+    date_trunc('month', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS month_start
+`;
+
+/**
+ * Convierte una fila de totales a números
+ * @param {Object} row - Fila con calls, failures, tokens_in, tokens_out, cost
+ * @returns {Object} - Totales numéricos
+ */
+function toTotals(row) {
+  return {
+    calls: parseInt(row.calls) || 0,
+    failures: parseInt(row.failures) || 0,
+    tokensIn: parseInt(row.tokens_in) || 0,
+    tokensOut: parseInt(row.tokens_out) || 0,
+    cost: parseFloat(row.cost) || 0,
+    avgLatencyMs: row.avg_latency_ms !== undefined ? Math.round(parseFloat(row.avg_latency_ms) || 0) : undefined
+  };
+}
+
+/**
+ * Condición de rango de fechas ($1 a $2 incluidos, en la zona horaria $3) y usuario opcional ($4)
+ * @param {string} alias - Prefijo de las columnas (por ejemplo 'a.')
+ * @returns {string} - Condición SQL
+ */
+function rangeCondition(alias) {
+  return `${alias}created_at >= ($1::DATE)::TIMESTAMP AT TIME ZONE $3
+    AND ${alias}created_at < ($2::DATE + 1)::TIMESTAMP AT TIME ZONE $3
+    AND ($4::UUID IS NULL OR ${alias}user_id = $4::UUID)`;
+}
+
+// Columnas agregadas comunes a las consultas del informe
+const TOTALS_COLUMNS = `
+  COUNT(*) AS calls,
+  COUNT(*) FILTER (WHERE NOT success) AS failures,
+  COALESCE(SUM(tokens_in), 0) AS tokens_in,
+  COALESCE(SUM(tokens_out), 0) AS tokens_out,
+  COALESCE(SUM(estimated_cost), 0) AS cost,
+  COALESCE(AVG(latency_ms), 0) AS avg_latency_ms
+`;
+
+// Modelo para el registro de consumo de los proveedores de IA
+const AIUsageModel = {
+  /**
+   * Registra una llamada a un proveedor de IA
+   * @param {Object} entry - Datos de la llamada
+   * @returns {Promise<Object>} - Registro guardado
+   */
+  async recordUsage({
+    userId = null,
+    provider,
+    model = null,
+    purpose = 'query',
+    tokensIn = 0,
+    tokensOut = 0,
+    tokensEstimated = false,
+    estimatedCost = 0,
+    latencyMs = 0,
+    streamed = false,
+    success = true,
+    errorMessage = null
+  }) {
+    try {
+      const queryText = `
+        INSERT INTO ai_usage
+          (user_id, provider, model, purpose, tokens_in, tokens_out, tokens_estimated,
+           estimated_cost, latency_ms, streamed, success, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id, created_at;
+      `;
+
+      const result = await db.query(queryText, [
+        userId,
+        provider,
+        model,
+        purpose,
+        tokensIn,
+        tokensOut,
+        tokensEstimated,
+        estimatedCost,
+        latencyMs,
+        streamed,
+        success,
+        errorMessage ? errorMessage.substring(0, 255) : null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al registrar consumo de IA (${provider}):`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene las consultas correctas y el coste del día, la semana y el mes en curso
+   * @param {string} userId - ID del usuario (null para el consumo global)
+   * @param {string} timezone - Zona horaria de los periodos
+   * @returns {Promise<Object>} - { daily, weekly, monthly } con { queries, cost, since }
+   */
+  async getPeriodTotals(userId, timezone) {
+    try {
+      const queryText = `
+        WITH bounds AS (${PERIOD_BOUNDS})
+        SELECT
+          b.day_start, b.week_start, b.month_start,
+          COUNT(u.id) FILTER (WHERE u.success AND u.created_at >= b.day_start) AS daily_queries,
+          COALESCE(SUM(u.estimated_cost) FILTER (WHERE u.created_at >= b.day_start), 0) AS daily_cost,
+          COUNT(u.id) FILTER (WHERE u.success AND u.created_at >= b.week_start) AS weekly_queries,
+          COALESCE(SUM(u.estimated_cost) FILTER (WHERE u.created_at >= b.week_start), 0) AS weekly_cost,
+          COUNT(u.id) FILTER (WHERE u.success AND u.created_at >= b.month_start) AS monthly_queries,
+          COALESCE(SUM(u.estimated_cost) FILTER (WHERE u.created_at >= b.month_start), 0) AS monthly_cost
+        FROM bounds b
+        LEFT JOIN ai_usage u
+          ON u.created_at >= LEAST(b.week_start, b.month_start)
+          AND ($2::UUID IS NULL OR u.user_id = $2::UUID)
+        GROUP BY b.day_start, b.week_start, b.month_start;
+      `;
+
+      const result = await db.query(queryText, [timezone, userId || null]);
+      const row = result.rows[0];
+
+      return {
+        daily: { queries: parseInt(row.daily_queries) || 0, cost: parseFloat(row.daily_cost) || 0, since: row.day_start },
+        weekly: { queries: parseInt(row.weekly_queries) || 0, cost: parseFloat(row.weekly_cost) || 0, since: row.week_start },
+        monthly: { queries: parseInt(row.monthly_queries) || 0, cost: parseFloat(row.monthly_cost) || 0, since: row.month_start }
+      };
+    } catch (error) {
+      logger.error(`Error al obtener consumo de IA por periodo (usuario: ${userId || 'global'}):`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene el informe de consumo de un rango de fechas
+   * @param {Object} filters - Filtros del informe
+   * @param {string} filters.from - Fecha inicial AAAA-MM-DD (incluida)
+   * @param {string} filters.to - Fecha final AAAA-MM-DD (incluida)
+   * @param {string} filters.userId - Limitar a un usuario (opcional)
+   * @param {string} filters.timezone - Zona horaria de las fechas
+   * @param {number} filters.topUsers - Número de usuarios con más consumo a incluir
+   * @returns {Promise<Object>} - { totals, byProvider, byPurpose, byDay, topUsers }
+   */
+  async getReport({ from, to, userId = null, timezone, topUsers = 10 }) {
+    try {
+      const range = rangeCondition('');
+      const params = [from, to, timezone, userId || null];
+
+      const totalsResult = await db.query(
+        `SELECT ${TOTALS_COLUMNS} FROM ai_usage WHERE ${range};`,
+        params
+      );
+
+      const providerResult = await db.query(
+        `SELECT provider, model, ${TOTALS_COLUMNS}
+         FROM ai_usage
+         WHERE ${range}
+         GROUP BY provider, model
+         ORDER BY cost DESC, calls DESC;`,
+        params
+      );
+
+      const purposeResult = await db.query(
+        `SELECT purpose, ${TOTALS_COLUMNS}
+         FROM ai_usage
+         WHERE ${range}
+         GROUP BY purpose
+         ORDER BY purpose;`,
+        params
+      );
+
+      const dayResult = await db.query(
+        `SELECT to_char(created_at AT TIME ZONE $3, 'YYYY-MM-DD') AS day, ${TOTALS_COLUMNS}
+         FROM ai_usage
+         WHERE ${range}
+         GROUP BY day
+         ORDER BY day;`,
+        params
+      );
+
+      const usersResult = await db.query(
+        `SELECT a.user_id, u.username,
+           COUNT(*) AS calls,
+           COUNT(*) FILTER (WHERE NOT a.success) AS failures,
+           COALESCE(SUM(a.tokens_in), 0) AS tokens_in,
+           COALESCE(SUM(a.tokens_out), 0) AS tokens_out,
+           COALESCE(SUM(a.estimated_cost), 0) AS cost
+         FROM ai_usage a
+         JOIN users u ON u.id = a.user_id
+         WHERE ${rangeCondition('a.')}
+         GROUP BY a.user_id, u.username
+         ORDER BY cost DESC, calls DESC
+         LIMIT $5;`,
+        [...params, topUsers]
+      );
+
+      return {
+        totals: toTotals(totalsResult.rows[0]),
+        byProvider: providerResult.rows.map(row => ({ provider: row.provider, model: row.model, ...toTotals(row) })),
+        byPurpose: purposeResult.rows.map(row => ({ purpose: row.purpose, ...toTotals(row) })),
+        byDay: dayResult.rows.map(row => ({ day: row.day, ...toTotals(row) })),
+        topUsers: usersResult.rows.map(row => ({ userId: row.user_id, username: row.username, ...toTotals(row) }))
+      };
+    } catch (error) {
+      logger.error('Error al obtener el informe de consumo de IA:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = AIUsageModel;
@@ -79,22 +79,10 @@ const ConversationModel = {
         RETURNING *;
       `;
       
+      // La confianza del conocimiento asociado la actualiza KnowledgeModel.updateConfidence,
+      // que además registra la versión en el historial
       const result = await db.query(queryText, [id, feedback]);
       
-      // Si hay un knowledge_id asociado, actualizamos también su confianza
-      if (result.rows[0] && result.rows[0].knowledge_id) {
-        await db.query(`
-          UPDATE knowledge_base
-          SET confidence = 
-            CASE
-              WHEN $2 > 0 THEN LEAST(confidence + 0.05, 1.0)
-              WHEN $2 < 0 THEN GREATEST(confidence - 0.1, 0.1)
-              ELSE confidence
-            END
-          WHERE id = $1;
-        `, [result.rows[0].knowledge_id, feedback]);
-      }
-      
       return result.rows[0];
     } catch (error) {
       logger.error(`Error al actualizar feedback para conversación ${id}:`, error);
@@ -0,0 +1,132 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para las sesiones de conversación (estado de diálogo en el servidor)
+const ConversationSessionModel = {
+  /**
+   * Crea una nueva sesión de conversación
+   * @param {string} userId - ID del usuario (opcional, null para anónimos)
+   * @returns {Promise<Object>} - Sesión creada
+   */
+  async createSession(userId = null) {
+    try {
+      const queryText = `
+        INSERT INTO conversation_sessions (user_id)
+        VALUES ($1)
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [userId]);
+
+      logger.info(`Nueva sesión de conversación ${result.rows[0].id} para usuario ${userId || 'anónimo'}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error al crear sesión de conversación:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene una sesión activa por su ID
+   * @param {string} id - ID de la sesión
+   * @param {number} ttlMinutes - Minutos de inactividad tras los que la sesión expira
+   * @returns {Promise<Object|null>} - Sesión encontrada o null si no existe o expiró
+   */
+  async getActiveSession(id, ttlMinutes = 30) {
+    try {
+      const queryText = `
+        SELECT * FROM conversation_sessions
+        WHERE id = $1
+        AND last_activity_at > NOW() - ($2 || ' minutes')::INTERVAL;
+      `;
+
+      const result = await db.query(queryText, [id, String(ttlMinutes)]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al obtener sesión de conversación ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Actualiza el estado de diálogo de una sesión
+   * @param {string} id - ID de la sesión
+   * @param {Object} state - Nuevo estado
+   * @param {Object|null} state.pendingAction - Confirmación pendiente (o null para limpiarla)
+   * @param {string|null} state.lastKnowledgeId - Último conocimiento utilizado
+   * @param {Array} state.recentTurns - Últimos turnos de la conversación
+   * @returns {Promise<Object>} - Sesión actualizada
+   */
+  async updateSessionState(id, { pendingAction = null, lastKnowledgeId = null, recentTurns = [] }) {
+    try {
+      const queryText = `
+        UPDATE conversation_sessions
+        SET
+          pending_action = $2,
+          last_knowledge_id = COALESCE($3, last_knowledge_id),
+          recent_turns = $4,
+          last_activity_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [
+        id,
+        pendingAction ? JSON.stringify(pendingAction) : null,
+        lastKnowledgeId,
+        JSON.stringify(recentTurns)
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al actualizar sesión de conversación ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina una sesión de conversación
+   * @param {string} id - ID de la sesión
+   * @param {string} userId - ID del usuario (para verificar permisos)
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async deleteSession(id, userId = null) {
+    try {
+      const queryText = `
+        DELETE FROM conversation_sessions
+        WHERE id = $1 AND user_id IS NOT DISTINCT FROM $2
+        RETURNING id;
+      `;
+
+      const result = await db.query(queryText, [id, userId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar sesión de conversación ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina las sesiones inactivas
+   * @param {number} ttlMinutes - Minutos de inactividad tras los que la sesión expira
+   * @returns {Promise<number>} - Número de sesiones eliminadas
+   */
+  async deleteExpiredSessions(ttlMinutes = 30) {
+    try {
+      const queryText = `
+        DELETE FROM conversation_sessions
+        WHERE last_activity_at < NOW() - ($1 || ' minutes')::INTERVAL
+        RETURNING id;
+      `;
+
+      const result = await db.query(queryText, [String(ttlMinutes)]);
+      logger.info(`Limpieza de sesiones completada: ${result.rowCount} sesiones expiradas eliminadas`);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error al eliminar sesiones expiradas:', error);
+      return 0;
+    }
+  }
+};
+
+module.exports = ConversationSessionModel;
@@ -0,0 +1,96 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para la tabla local de tipos de cambio
+const CurrencyRateModel = {
+  /**
+   * Obtiene todos los tipos de cambio
+   * @returns {Promise<Array>} - Lista de tipos de cambio
+   */
+  async getAllRates() {
+    try {
+      const queryText = `
+        SELECT code, name, rate_to_usd, rate_date, updated_by, updated_at
+        FROM currency_rates
+        ORDER BY code ASC;
+      `;
+
+      const result = await db.query(queryText);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al obtener tipos de cambio:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene los tipos de cambio de varias monedas
+   * @param {Array<string>} codes - Códigos ISO 4217 (USD, GTQ...)
+   * @returns {Promise<Array>} - Tipos de cambio encontrados
+   */
+  async getRatesByCodes(codes) {
+    try {
+      const queryText = `
+        SELECT code, name, rate_to_usd, rate_date
+        FROM currency_rates
+        WHERE code = ANY($1);
+      `;
+
+      const result = await db.query(queryText, [codes]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al obtener tipos de cambio por código:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Crea o actualiza el tipo de cambio de una moneda
+   * @param {string} code - Código ISO 4217
+   * @param {Object} data - Datos del tipo de cambio
+   * @param {string} data.name - Nombre de la moneda
+   * @param {number} data.rate - Unidades de la moneda por 1 USD
+   * @param {string} data.rateDate - Fecha del tipo de cambio (YYYY-MM-DD)
+   * @param {string} userId - ID del administrador que actualiza
+   * @returns {Promise<Object>} - Tipo de cambio guardado
+   */
+  async upsertRate(code, { name, rate, rateDate }, userId = null) {
+    try {
+      const queryText = `
+        INSERT INTO currency_rates (code, name, rate_to_usd, rate_date, updated_by)
+        VALUES ($1, COALESCE($2, $1), $3, COALESCE($4::DATE, CURRENT_DATE), $5)
+        ON CONFLICT (code) DO UPDATE SET
+          name = COALESCE($2, currency_rates.name),
+          rate_to_usd = EXCLUDED.rate_to_usd,
+          rate_date = EXCLUDED.rate_date,
+          updated_by = EXCLUDED.updated_by
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [code, name || null, rate, rateDate || null, userId]);
+
+      logger.info(`Tipo de cambio actualizado: ${code} = ${rate} por USD`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al guardar tipo de cambio ${code}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina el tipo de cambio de una moneda
+   * @param {string} code - Código ISO 4217
+   * @returns {Promise<boolean>} - true si se eliminó
+   */
+  async deleteRate(code) {
+    try {
+      const result = await db.query('DELETE FROM currency_rates WHERE code = $1 RETURNING code;', [code]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar tipo de cambio ${code}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = CurrencyRateModel;
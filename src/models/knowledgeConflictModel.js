@@ -0,0 +1,130 @@
+const db = require('../config/database');
+const KnowledgeModel = require('./knowledgeModel');
+const { logger } = require('../config');
+
+// Modelo para los conflictos entre la respuesta guardada de un conocimiento y otra enseñada por un usuario
+const KnowledgeConflictModel = {
+  /**
+   * Registra un conflicto (o suma un reporte si la misma respuesta ya está pendiente)
+   * @param {Object} conflict - { knowledgeId, query, existingResponse, proposedResponse, proposedBy, answerSimilarity }
+   * @returns {Promise<Object>} - Conflicto registrado
+   */
+  async create({ knowledgeId, query, existingResponse, proposedResponse, proposedBy = null, answerSimilarity = null }) {
+    try {
+      const queryText = `
+        INSERT INTO knowledge_conflicts (
+          knowledge_id, query, existing_response, proposed_response, proposed_by, answer_similarity
+        )
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (knowledge_id, proposed_response) WHERE status = 'pending'
+        DO UPDATE SET times_reported = knowledge_conflicts.times_reported + 1
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [
+        knowledgeId,
+        query,
+        existingResponse,
+        proposedResponse,
+        proposedBy,
+        answerSimilarity
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al registrar conflicto para el conocimiento ${knowledgeId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lista conflictos con la respuesta actual del conocimiento
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} - Conflictos, los más antiguos primero
+   */
+  async list({ status = 'pending', limit = 20, offset = 0 } = {}) {
+    try {
+      const queryText = `
+        SELECT c.*, k.response AS current_response, k.user_id AS knowledge_user_id, u.username AS proposed_by_username
+        FROM knowledge_conflicts c
+        JOIN knowledge_base k ON k.id = c.knowledge_id
+        LEFT JOIN users u ON u.id = c.proposed_by
+        WHERE c.status = $1
+        ORDER BY c.created_at ASC
+        LIMIT $2 OFFSET $3;
+      `;
+
+      const result = await db.query(queryText, [status, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al listar conflictos de conocimiento:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene un conflicto por su ID
+   * @param {string} id - ID del conflicto
+   * @returns {Promise<Object|null>} - Conflicto o null si no existe
+   */
+  async getById(id) {
+    try {
+      const result = await db.query('SELECT * FROM knowledge_conflicts WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al obtener el conflicto ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Marca un conflicto pendiente como resuelto
+   * Al reemplazar, la respuesta propuesta se guarda en el conocimiento en la misma transacción.
+   * @param {string} id - ID del conflicto
+   * @param {string} status - kept (se conserva la respuesta) o replaced (se usa la propuesta)
+   * @param {string} userId - ID del moderador
+   * @returns {Promise<Object|null>} - Conflicto resuelto o null si no estaba pendiente
+   */
+  async resolve(id, status, userId = null) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const queryText = `
+        UPDATE knowledge_conflicts
+        SET status = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *;
+      `;
+
+      const result = await client.query(queryText, [id, status, userId]);
+      const resolved = result.rows[0];
+
+      if (!resolved) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (status === 'replaced') {
+        await KnowledgeModel.updateKnowledge(resolved.knowledge_id, {
+          response: resolved.proposed_response,
+          source: 'moderation'
+        }, {
+          reason: 'Conflicto resuelto con la respuesta propuesta',
+          userId
+        }, client);
+      }
+
+      await client.query('COMMIT');
+      return resolved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error al resolver el conflicto ${id}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = KnowledgeConflictModel;
@@ -1,10 +1,71 @@
 const db = require('../config/database');
-const { logger } = require('../config');
+const { logger, config } = require('../config');
 const { v4: uuidv4 } = require('uuid');
+const EmbeddingService = require('../services/embeddingService');
+
+/**
+ * Quita el embedding de una fila (no se expone fuera del modelo)
+ * @param {Object} row - Fila de knowledge_base
+ * @returns {Object} - Fila sin embedding
+ */
+function withoutEmbedding(row) {
+  if (!row) {
+    return row;
+  }
+
+  const { embedding, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Registra un cambio de respuesta o de confianza en el historial (knowledge_updates)
+ * Se llama dentro de la transacción que actualiza el conocimiento, que ya ha
+ * incrementado su versión.
+ * @param {Object} client - Cliente de la transacción
+ * @param {Object} previous - Fila antes del cambio
+ * @param {Object} updated - Fila después del cambio
+ * @param {Object} change - { reason, userId, source } (source por defecto: la del conocimiento)
+ * @returns {Promise<void>}
+ */
+async function recordUpdate(client, previous, updated, { reason = 'Actualización', userId = null, source = null } = {}) {
+  await client.query(
+    `INSERT INTO knowledge_updates (
+       knowledge_id, version, previous_response, new_response,
+       previous_confidence, new_confidence, update_reason, source, updated_by
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      updated.id,
+      updated.version,
+      previous.response,
+      updated.response,
+      previous.confidence,
+      updated.confidence,
+      reason.substring(0, 100),
+      (source || updated.source || 'user').substring(0, 50),
+      userId
+    ]
+  );
+}
+
+/**
+ * Condición SQL de las entradas que puede usar un usuario: las suyas (aunque no
+ * estén aprobadas), las públicas y las del sistema ya aprobadas
+ * @param {string} userParam - Parámetro con el ID del usuario (por ejemplo "$3")
+ * @returns {string} - Condición sobre el alias k de knowledge_base
+ */
+function visibleTo(userParam) {
+  return `(k.user_id = ${userParam} OR k.is_public = true OR (k.user_id IS NULL AND k.moderation_status = 'approved'))`;
+}
 
 const KnowledgeModel = {
   /**
    * Busca respuestas basadas en una consulta (versión mejorada)
+   * Combina la similitud de trigramas con la similitud coseno de los embeddings:
+   * `similarity` es la puntuación combinada; `text_similarity` y
+   * `semantic_similarity` (coseno calibrado a 0-1) son las de cada método.
+   * La semántica nunca hace candidata a una entrada por sí sola: solo sube la
+   * puntuación de las que ya superan minTextSimilarity por texto.
    * @param {string} query - Consulta del usuario
    * @param {number} confidence - Umbral de confianza (0-1)
    * @param {string} userId - ID de usuario (opcional)
@@ -15,60 +76,120 @@ const KnowledgeModel = {
       // Normalizamos la consulta (minúsculas, sin puntuación excesiva)
       const normalizedQuery = query.toLowerCase().trim();
       
-      // Versión mejorada con múltiples estrategias de búsqueda
+      // Embedding de la consulta (null si la búsqueda semántica no está disponible)
+      const queryEmbedding = await EmbeddingService.embed(normalizedQuery);
+      const semanticSearch = config.semanticSearch;
+      const [unrelatedCosine, sameMeaningCosine] = EmbeddingService.getCosineRange();
+      
+      // Versión mejorada con múltiples estrategias de búsqueda.
+      // Cada conocimiento se compara por su pregunta principal y por sus alias,
+      // y se queda con la forma que mejor coincide (matched_query).
       const queryText = `
-        WITH ranked_results AS (
-          SELECT 
-            k.*,
-            SIMILARITY(k.query, $1) as similarity,
+        WITH forms AS (
+          SELECT k.id AS knowledge_id, k.query AS form
+          FROM knowledge_base k
+          WHERE ${visibleTo('$3')}
+          UNION ALL
+          SELECT a.knowledge_id, a.query AS form
+          FROM knowledge_aliases a
+          JOIN knowledge_base k ON k.id = a.knowledge_id
+          WHERE ${visibleTo('$3')}
+        ),
+        best_forms AS (
+          SELECT DISTINCT ON (f.knowledge_id)
+            f.knowledge_id,
+            f.form AS matched_query,
+            SIMILARITY(f.form, $1) as text_similarity,
             -- Añadir ranking adicional para coincidencias parciales
             CASE 
-              WHEN LOWER(k.query) = LOWER($1) THEN 5         -- Coincidencia exacta (ignorando mayúsculas/minúsculas)
-              WHEN k.query ILIKE $1 THEN 4                   -- Coincidencia exacta (ignorando mayúsculas/minúsculas y acentos)
-              WHEN k.query ILIKE $1 || '%' THEN 3            -- Empieza con
-              WHEN k.query ILIKE '%' || $1 THEN 3            -- Termina con
-              WHEN k.query ILIKE '%' || $1 || '%' THEN 2     -- Contiene
+              WHEN LOWER(f.form) = LOWER($1) THEN 5         -- Coincidencia exacta (ignorando mayúsculas/minúsculas)
+              WHEN f.form ILIKE $1 THEN 4                   -- Coincidencia exacta (ignorando mayúsculas/minúsculas y acentos)
+              WHEN f.form ILIKE $1 || '%' THEN 3            -- Empieza con
+              WHEN f.form ILIKE '%' || $1 THEN 3            -- Termina con
+              WHEN f.form ILIKE '%' || $1 || '%' THEN 2     -- Contiene
               ELSE 0
             END as match_type,
             -- Añadir puntuación para coincidencia de palabras clave
             (
               SELECT COUNT(*) 
               FROM unnest(string_to_array($1, ' ')) as word 
-              WHERE LENGTH(word) > 2 AND k.query ILIKE '%' || word || '%'
+              WHERE LENGTH(word) > 2 AND f.form ILIKE '%' || word || '%'
             ) as keyword_matches
+          FROM forms f
+          ORDER BY f.knowledge_id, match_type DESC, text_similarity DESC
+        ),
+        scored AS (
+          SELECT 
+            k.*,
+            b.matched_query,
+            b.text_similarity,
+            b.match_type,
+            b.keyword_matches,
+            -- Similitud semántica (solo entre embeddings del mismo modelo), calibrada a 0-1
+            CASE
+              WHEN $4::REAL[] IS NOT NULL AND k.embedding_model = $5
+                THEN LEAST(1, GREATEST(0,
+                  (knowledge_vector_similarity(k.embedding, $4::REAL[]) - $8::FLOAT) / ($9::FLOAT - $8::FLOAT)
+                ))
+              ELSE 0
+            END as semantic_similarity
           FROM 
             knowledge_base k
+          JOIN best_forms b ON b.knowledge_id = k.id
+        ),
+        ranked_results AS (
+          SELECT
+            s.*,
+            -- Puntuación combinada: el significado puede subir la similitud textual, nunca bajarla,
+            -- y solo si las preguntas ya se parecen por texto
+            CASE
+              WHEN s.text_similarity >= $7::FLOAT
+                THEN GREATEST(s.text_similarity, $6::FLOAT * s.semantic_similarity + (1 - $6::FLOAT) * s.text_similarity)
+              ELSE s.text_similarity
+            END as similarity
+          FROM scored s
           WHERE 
-            (SIMILARITY(k.query, $1) > $2 OR 
-             k.query ILIKE '%' || $1 || '%' OR
-             $1 ILIKE '%' || k.query || '%' OR
+            (s.text_similarity > $2 OR 
+             s.matched_query ILIKE '%' || $1 || '%' OR
+             $1 ILIKE '%' || s.matched_query || '%' OR
              EXISTS (
                SELECT 1 
                FROM unnest(string_to_array($1, ' ')) as word 
-               WHERE LENGTH(word) > 3 AND k.query ILIKE '%' || word || '%'
+               WHERE LENGTH(word) > 3 AND s.matched_query ILIKE '%' || word || '%'
              ))
-            AND (k.user_id = $3 OR k.user_id IS NULL OR k.is_public = true)
         )
         SELECT * FROM ranked_results
         ORDER BY 
           match_type DESC,        -- Priorizar tipo de coincidencia
-          similarity DESC,        -- Luego por similitud textual
+          similarity DESC,        -- Luego por similitud (textual y semántica)
           keyword_matches DESC,   -- Luego por coincidencias de palabras clave
           confidence DESC,        -- Luego por confianza
           times_used DESC         -- Finalmente por uso
         LIMIT 10;
       `;
       
-      const result = await db.query(queryText, [normalizedQuery, confidence, userId]);
+      const result = await db.query(queryText, [
+        normalizedQuery,
+        confidence,
+        userId,
+        queryEmbedding ? queryEmbedding.vector : null,
+        queryEmbedding ? queryEmbedding.model : null,
+        semanticSearch.semanticWeight,
+        semanticSearch.minTextSimilarity,
+        unrelatedCosine,
+        sameMeaningCosine
+      ]);
       
       // Aplicar filtrado de resultados más inteligente
-      const filteredResults = result.rows.filter(row => {
+      const filteredResults = result.rows.map(withoutEmbedding).filter(row => {
         // Verificar si hay coincidencia exacta de palabras clave
+        // Se compara con la forma de la pregunta que coincidió (principal o alias)
+        const matchedQuery = (row.matched_query || row.query).toLowerCase();
         const queryWords = normalizedQuery.split(/\s+/);
-        const rowQueryWords = row.query.toLowerCase().split(/\s+/);
+        const rowQueryWords = matchedQuery.split(/\s+/);
         
         // Verificar coincidencia exacta (ignorando mayúsculas/minúsculas)
-        if (row.query.toLowerCase() === normalizedQuery) {
+        if (matchedQuery === normalizedQuery) {
           return true;
         }
         
@@ -103,7 +224,7 @@ const KnowledgeModel = {
         await this.incrementUsageCount(filteredResults[0].id);
         
         // Loguear para depuración
-        logger.info(`Encontrada coincidencia en BD: "${filteredResults[0].query}" (similitud: ${filteredResults[0].similarity.toFixed(2)})`);
+        logger.info(`Encontrada coincidencia en BD: "${filteredResults[0].matched_query}" (similitud: ${filteredResults[0].similarity.toFixed(2)}, textual: ${filteredResults[0].text_similarity.toFixed(2)}, semántica: ${filteredResults[0].semantic_similarity.toFixed(2)})`);
       }
       
       return filteredResults;
@@ -119,9 +240,9 @@ const KnowledgeModel = {
           FROM 
             knowledge_base k
           WHERE 
-            k.query ILIKE '%' || $1 || '%' OR
-            $1 ILIKE '%' || k.query || '%'
-            AND (k.user_id = $2 OR k.user_id IS NULL OR k.is_public = true)
+            (k.query ILIKE '%' || $1 || '%' OR
+             $1 ILIKE '%' || k.query || '%')
+            AND ${visibleTo('$2')}
           ORDER BY 
             confidence DESC,
             times_used DESC
@@ -129,7 +250,7 @@ const KnowledgeModel = {
         `;
         
         const backupResult = await db.query(simpleQueryText, [query.toLowerCase().trim(), userId]);
-        return backupResult.rows;
+        return backupResult.rows.map(withoutEmbedding);
       } catch (backupError) {
         logger.error('Error en consulta de respaldo:', backupError);
         return [];
@@ -139,8 +260,11 @@ const KnowledgeModel = {
   
   /**
    * Añade nuevo conocimiento a la base de datos
+   * Si la pregunta ya existe y la entrada es del mismo dueño y aún no está aprobada, se
+   * actualiza; si es de otro o ya está aprobada no se toca y se devuelve con isDuplicate
+   * para que el llamador decida (confirmarla o registrar un conflicto).
    * @param {Object} knowledge - Objeto con la información del conocimiento
-   * @returns {Promise<Object>} - Conocimiento añadido
+   * @returns {Promise<Object>} - Conocimiento añadido, actualizado o existente (isDuplicate)
    */
   async addKnowledge({ 
     query, 
@@ -157,43 +281,55 @@ const KnowledgeModel = {
       // Normalizamos la consulta
       const normalizedQuery = query.toLowerCase().trim();
       
-      // Verificamos si ya existe una entrada similar
+      // Verificamos si ya existe una entrada similar (por su pregunta o por uno de sus alias);
+      // además de las visibles, las del mismo dueño aunque estén pendientes
       const existingEntryQuery = `
-        SELECT * FROM knowledge_base 
-        WHERE SIMILARITY(query, $1) > 0.8
-        AND (user_id = $2 OR user_id IS NULL OR is_public = true)
+        SELECT *
+        FROM (
+          SELECT
+            k.*,
+            GREATEST(
+              SIMILARITY(k.query, $1),
+              COALESCE((
+                SELECT MAX(SIMILARITY(a.query, $1))
+                FROM knowledge_aliases a
+                WHERE a.knowledge_id = k.id
+              ), 0)
+            ) AS similarity
+          FROM knowledge_base k
+          WHERE ${visibleTo('$2')} OR k.user_id IS NOT DISTINCT FROM $2
+        ) candidates
+        WHERE similarity > 0.8
+        ORDER BY similarity DESC
         LIMIT 1;
       `;
       
       const existingEntry = await db.query(existingEntryQuery, [normalizedQuery, userId]);
+      const existing = existingEntry.rows[0];
       
-      // Si ya existe, actualizamos en lugar de insertar
-      if (existingEntry.rows.length > 0) {
-        const updateQuery = `
-          UPDATE knowledge_base 
-          SET 
-            response = $1, 
-            context = $2,
-            confidence = $3,
-            is_ai_generated = $4,
-            ai_provider = $5,
-            last_verified_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = $6
-          RETURNING *;
-        `;
+      // Si ya existe, actualizamos en lugar de insertar (solo lo propio y aún no aprobado)
+      if (existing) {
+        const isOwn = (existing.user_id || null) === (userId || null);
+        const isApproved = existing.moderation_status === 'approved' || existing.is_verified;
         
-        const result = await db.query(updateQuery, [
-          response, 
+        if (!isOwn || isApproved) {
+          logger.info(`La pregunta "${normalizedQuery}" ya existe en el conocimiento ${existing.id}: no se sobrescribe`);
+          return { ...withoutEmbedding(existing), isDuplicate: true };
+        }
+        
+        const updated = await this.updateKnowledge(existing.id, {
+          response,
           context,
-          Math.max(confidence, existingEntry.rows[0].confidence),
-          isAIGenerated,
-          aiProvider,
-          existingEntry.rows[0].id
-        ]);
+          confidence: Math.max(confidence, existing.confidence),
+          is_ai_generated: isAIGenerated,
+          ai_provider: aiProvider
+        }, {
+          reason: 'Nueva respuesta para una pregunta existente',
+          userId
+        });
         
         logger.info(`Conocimiento actualizado: "${normalizedQuery}"`);
-        return result.rows[0];
+        return updated;
       }
       
       // Si no existe, insertamos nuevo conocimiento
@@ -229,7 +365,8 @@ const KnowledgeModel = {
       ]);
       
       logger.info(`Nuevo conocimiento añadido: "${normalizedQuery}"`);
-      return result.rows[0];
+      await this.indexEmbedding(result.rows[0]);
+      return withoutEmbedding(result.rows[0]);
     } catch (error) {
       logger.error('Error al añadir conocimiento:', error);
       throw error;
@@ -267,7 +404,7 @@ const KnowledgeModel = {
       const query = 'SELECT * FROM knowledge_base WHERE id = $1';
       const result = await db.query(query, [id]);
       
-      return result.rows[0] || null;
+      return withoutEmbedding(result.rows[0]) || null;
     } catch (error) {
       logger.error(`Error al obtener conocimiento por ID ${id}:`, error);
       throw error;
@@ -307,39 +444,74 @@ const KnowledgeModel = {
    * Actualiza la confianza de un conocimiento basado en feedback
    * @param {string} id - ID del conocimiento
    * @param {number} feedback - Valor de feedback (-1, 0, 1)
+   * @param {string} userId - ID del usuario que valoró la respuesta (para el historial)
    * @returns {Promise<Object>} - Conocimiento actualizado
    */
-  async updateConfidence(id, feedback) {
+  async updateConfidence(id, feedback, userId = null) {
+    const client = await db.getClient();
+    
     try {
+      await client.query('BEGIN');
+      
+      const current = await client.query(
+        'SELECT * FROM knowledge_base WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      const previous = current.rows[0];
+      
+      if (!previous) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+      
       // Ajustamos la confianza basada en el feedback
       // Feedback positivo aumenta, negativo disminuye
-      const query = `
-        UPDATE knowledge_base
-        SET confidence = 
-          CASE
-            WHEN $2 > 0 THEN LEAST(confidence + 0.05, 1.0)
-            WHEN $2 < 0 THEN GREATEST(confidence - 0.1, 0.1)
-            ELSE confidence
-          END
-        WHERE id = $1
-        RETURNING *;
-      `;
+      let confidence = previous.confidence;
+      if (feedback > 0) {
+        confidence = Math.min(previous.confidence + 0.05, 1.0);
+      } else if (feedback < 0) {
+        confidence = Math.max(previous.confidence - 0.1, 0.1);
+      }
       
-      const result = await db.query(query, [id, feedback]);
-      return result.rows[0];
+      let updated = previous;
+      
+      if (confidence !== previous.confidence) {
+        const result = await client.query(
+          'UPDATE knowledge_base SET confidence = $2, version = version + 1 WHERE id = $1 RETURNING *;',
+          [id, confidence]
+        );
+        updated = result.rows[0];
+        
+        await recordUpdate(client, previous, updated, {
+          reason: feedback > 0 ? 'Valoración positiva' : 'Valoración negativa',
+          userId
+        });
+      }
+      
+      await client.query('COMMIT');
+      return withoutEmbedding(updated);
     } catch (error) {
+      await client.query('ROLLBACK');
       logger.error(`Error al actualizar confianza para conocimiento ${id}:`, error);
       throw error;
+    } finally {
+      client.release();
     }
   },
 
   /**
    * Actualiza un conocimiento existente
+   * Si cambia la respuesta o la confianza, se incrementa la versión y el cambio
+   * queda en el historial con su motivo y autor.
    * @param {string} id - ID del conocimiento
    * @param {Object} updates - Campos a actualizar
+   * @param {Object} change - { reason, userId, source } para el historial
+   * @param {Object} transaction - Cliente de una transacción abierta por el llamador (opcional)
    * @returns {Promise<Object>} - Conocimiento actualizado
    */
-  async updateKnowledge(id, { response, context, source, confidence, is_ai_generated, ai_provider, updated_at }) {
+  async updateKnowledge(id, { response, context, source, confidence, is_ai_generated, ai_provider, updated_at }, change = {}, transaction = null) {
+    const client = transaction || await db.getClient();
+    
     try {
       let updateFields = [];
       let queryParams = [];
@@ -394,6 +566,28 @@ const KnowledgeModel = {
         return this.getById(id);
       }
       
+      if (!transaction) {
+        await client.query('BEGIN');
+      }
+      
+      const current = await client.query('SELECT * FROM knowledge_base WHERE id = $1 FOR UPDATE', [id]);
+      const previous = current.rows[0];
+      
+      if (!previous) {
+        if (!transaction) {
+          await client.query('ROLLBACK');
+        }
+        return undefined;
+      }
+      
+      // Nueva versión solo si cambia el contenido que se guarda en el historial
+      const isNewVersion = (response && response !== previous.response) ||
+        (confidence !== undefined && Number(confidence) !== previous.confidence);
+      
+      if (isNewVersion) {
+        updateFields.push('version = version + 1');
+      }
+      
       // Añadir ID al final de los parámetros
       queryParams.push(id);
       
@@ -404,13 +598,295 @@ const KnowledgeModel = {
         RETURNING *;
       `;
       
-      const result = await db.query(query, queryParams);
-      logger.info(`Conocimiento ${id} actualizado`);
-      return result.rows[0];
+      const result = await client.query(query, queryParams);
+      const updated = result.rows[0];
+      
+      if (isNewVersion) {
+        await recordUpdate(client, previous, updated, change);
+      }
+      
+      if (transaction) {
+        // Dentro de la transacción del llamador la fila sigue bloqueada: la reindexación
+        // queda para reindexEmbeddings
+        return withoutEmbedding(updated);
+      }
+      
+      await client.query('COMMIT');
+      logger.info(`Conocimiento ${id} actualizado${isNewVersion ? ` (versión ${updated.version})` : ''}`);
+      
+      // Reindexar si la entrada aún no tiene embedding del modelo actual
+      // (la respuesta no forma parte del texto indexado)
+      if (updated && updated.embedding_model !== EmbeddingService.getModelId()) {
+        await this.indexEmbedding(updated);
+      }
+      
+      return withoutEmbedding(updated);
     } catch (error) {
+      if (!transaction) {
+        await client.query('ROLLBACK');
+      }
       logger.error(`Error al actualizar conocimiento ${id}:`, error);
       throw error;
+    } finally {
+      if (!transaction) {
+        client.release();
+      }
+    }
+  },
+
+  /**
+   * Obtiene el historial de cambios de un conocimiento
+   * @param {string} knowledgeId - ID del conocimiento
+   * @returns {Promise<Array>} - Cambios, del más reciente al más antiguo
+   */
+  async getHistory(knowledgeId) {
+    try {
+      const queryText = `
+        SELECT
+          h.id, h.version, h.previous_response, h.new_response,
+          h.previous_confidence, h.new_confidence, h.update_reason, h.source,
+          h.updated_by, u.username AS updated_by_username, h.created_at
+        FROM knowledge_updates h
+        LEFT JOIN users u ON u.id = h.updated_by
+        WHERE h.knowledge_id = $1
+        ORDER BY h.version DESC;
+      `;
+      
+      const result = await db.query(queryText, [knowledgeId]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener el historial del conocimiento ${knowledgeId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lista las entradas de la cola de moderación
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} - Entradas (las más antiguas primero) con su autor y sus conflictos pendientes
+   */
+  async getModerationQueue({ status = 'pending', limit = 20, offset = 0 } = {}) {
+    try {
+      const queryText = `
+        SELECT
+          k.id, k.query, k.response, k.source, k.confidence, k.times_used,
+          k.is_ai_generated, k.ai_provider, k.is_public, k.is_verified, k.user_id,
+          u.username,
+          k.moderation_status, k.moderation_notes, k.moderated_by, k.moderated_at,
+          k.created_at, k.updated_at,
+          (
+            SELECT COUNT(*)::int FROM knowledge_conflicts c
+            WHERE c.knowledge_id = k.id AND c.status = 'pending'
+          ) AS pending_conflicts
+        FROM knowledge_base k
+        LEFT JOIN users u ON u.id = k.user_id
+        WHERE k.moderation_status = $1
+        ORDER BY k.created_at ASC
+        LIMIT $2 OFFSET $3;
+      `;
+      
+      const result = await db.query(queryText, [status, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al obtener la cola de moderación:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cambia el estado de moderación de un conocimiento
+   * Aprobar lo publica y lo marca como verificado; rechazarlo lo deja privado
+   * (solo lo sigue viendo su autor, si tiene). Si se indica una respuesta corregida,
+   * el cambio y la decisión se guardan en la misma transacción.
+   * @param {string} id - ID del conocimiento
+   * @param {Object} decision - { status: approved|rejected, notes, userId, response, reason }
+   * @returns {Promise<Object|null>} - Conocimiento actualizado o null si no existe
+   */
+  async setModerationStatus(id, { status, notes = null, userId = null, response = null, reason = null }) {
+    const client = await db.getClient();
+    
+    try {
+      await client.query('BEGIN');
+      
+      if (response) {
+        await this.updateKnowledge(id, { response, source: 'moderation' }, { reason, userId }, client);
+      }
+      
+      const approved = status === 'approved';
+      const queryText = `
+        UPDATE knowledge_base
+        SET
+          moderation_status = $2,
+          moderation_notes = $3,
+          moderated_by = $4,
+          moderated_at = CURRENT_TIMESTAMP,
+          is_public = $5,
+          is_verified = $5,
+          last_verified_at = CASE WHEN $5 THEN CURRENT_TIMESTAMP ELSE last_verified_at END
+        WHERE id = $1
+        RETURNING *;
+      `;
+      
+      const result = await client.query(queryText, [id, status, notes, userId, approved]);
+      await client.query('COMMIT');
+      
+      return withoutEmbedding(result.rows[0]) || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error al moderar el conocimiento ${id}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Añade una forma alternativa de la pregunta a un conocimiento
+   * @param {string} knowledgeId - ID del conocimiento
+   * @param {string} query - Pregunta alternativa
+   * @param {Object} options - { userId, source }
+   * @returns {Promise<Object|null>} - Alias creado o null si ya existía (o es la pregunta principal)
+   */
+  async addAlias(knowledgeId, query, { userId = null, source = 'user' } = {}) {
+    try {
+      const normalizedQuery = query.toLowerCase().trim();
+      
+      const insertQuery = `
+        INSERT INTO knowledge_aliases (knowledge_id, query, source, created_by)
+        SELECT k.id, $2, $3, $4
+        FROM knowledge_base k
+        WHERE k.id = $1 AND k.query <> $2
+        ON CONFLICT (knowledge_id, query) DO NOTHING
+        RETURNING *;
+      `;
+      
+      const result = await db.query(insertQuery, [knowledgeId, normalizedQuery, source, userId]);
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      logger.info(`Alias añadido al conocimiento ${knowledgeId}: "${normalizedQuery}"`);
+      
+      // El alias también forma parte del texto indexado
+      const knowledge = await db.query('SELECT id, query, response FROM knowledge_base WHERE id = $1', [knowledgeId]);
+      if (knowledge.rows[0]) {
+        await this.indexEmbedding(knowledge.rows[0]);
+      }
+      
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al añadir alias al conocimiento ${knowledgeId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene las formas alternativas de la pregunta de un conocimiento
+   * @param {string} knowledgeId - ID del conocimiento
+   * @returns {Promise<Array>} - Alias, del más antiguo al más reciente
+   */
+  async getAliases(knowledgeId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM knowledge_aliases WHERE knowledge_id = $1 ORDER BY created_at',
+        [knowledgeId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener los alias del conocimiento ${knowledgeId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Calcula y guarda el embedding de un conocimiento (pregunta y alias)
+   * Un fallo no impide guardar el conocimiento: queda pendiente de indexar.
+   * @param {Object} knowledge - Conocimiento ({ id, query, response })
+   * @returns {Promise<boolean>} - true si se indexó
+   */
+  async indexEmbedding(knowledge) {
+    try {
+      if (!EmbeddingService.isEnabled()) {
+        return false;
+      }
+      
+      const aliases = await db.query(
+        'SELECT query FROM knowledge_aliases WHERE knowledge_id = $1 ORDER BY created_at',
+        [knowledge.id]
+      );
+      
+      const embedding = await EmbeddingService.embed(
+        EmbeddingService.buildDocument(knowledge.query, aliases.rows.map(row => row.query))
+      );
+      
+      if (!embedding) {
+        return false;
+      }
+      
+      await db.query(
+        `UPDATE knowledge_base
+         SET embedding = $1, embedding_model = $2, embedded_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [embedding.vector, embedding.model, knowledge.id]
+      );
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error al indexar el embedding del conocimiento ${knowledge.id}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Indexa los conocimientos sin embedding o con el de otro modelo
+   * Se detiene cuando no quedan pendientes o un lote entero falla (proveedor caído).
+   * @param {number} batchSize - Conocimientos por lote
+   * @returns {Promise<number>} - Conocimientos indexados
+   */
+  async reindexEmbeddings(batchSize = config.semanticSearch.reindexBatchSize) {
+    const model = EmbeddingService.getModelId();
+    
+    if (!model) {
+      return 0;
+    }
+    
+    let indexed = 0;
+    
+    try {
+      let pending;
+      let batchIndexed;
+      
+      do {
+        const result = await db.query(
+          `SELECT id, query, response
+           FROM knowledge_base
+           WHERE embedding IS NULL OR embedding_model IS DISTINCT FROM $1
+           ORDER BY times_used DESC
+           LIMIT $2`,
+          [model, batchSize]
+        );
+        
+        pending = result.rows.length;
+        batchIndexed = 0;
+        
+        for (const row of result.rows) {
+          if (await this.indexEmbedding(row)) {
+            batchIndexed++;
+          }
+        }
+        
+        indexed += batchIndexed;
+      } while (pending === batchSize && batchIndexed > 0);
+      
+      if (indexed > 0) {
+        logger.info(`Embeddings de la base de conocimientos indexados: ${indexed} (modelo ${model})`);
+      }
+    } catch (error) {
+      logger.error('Error al reindexar los embeddings de la base de conocimientos:', error);
     }
+    
+    return indexed;
   },
 
   /**
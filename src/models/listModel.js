@@ -0,0 +1,301 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para las listas personales (compras, tareas...) y sus elementos
+// Todas las consultas filtran por el usuario dueño de la lista.
+const ListModel = {
+  /**
+   * Obtiene las listas de un usuario con el número de elementos pendientes
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} - Listas del usuario
+   */
+  async getUserLists(userId) {
+    try {
+      const queryText = `
+        SELECT l.*,
+          COUNT(i.id)::INTEGER AS item_count,
+          COUNT(i.id) FILTER (WHERE NOT i.is_checked)::INTEGER AS pending_count
+        FROM user_lists l
+        LEFT JOIN user_list_items i ON i.list_id = l.id
+        WHERE l.user_id = $1
+        GROUP BY l.id
+        ORDER BY l.name ASC;
+      `;
+
+      const result = await db.query(queryText, [userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener listas del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene una lista por ID
+   * @param {string} id - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<Object|null>} - Lista o null
+   */
+  async getListById(id, userId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM user_lists WHERE id = $1 AND user_id = $2;',
+        [id, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al obtener lista ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene una lista por nombre (sin distinguir mayúsculas)
+   * @param {string} userId - ID del usuario
+   * @param {string} name - Nombre de la lista
+   * @returns {Promise<Object|null>} - Lista o null
+   */
+  async getListByName(userId, name) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM user_lists WHERE user_id = $1 AND LOWER(name) = LOWER($2);',
+        [userId, name]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al obtener lista "${name}":`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Crea una lista
+   * @param {string} userId - ID del usuario
+   * @param {string} name - Nombre de la lista
+   * @returns {Promise<Object|null>} - Lista creada o null si ya existe una con ese nombre
+   */
+  async createList(userId, name) {
+    try {
+      const queryText = `
+        INSERT INTO user_lists (user_id, name)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id, (LOWER(name))) DO NOTHING
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [userId, name]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al crear lista "${name}":`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene una lista por nombre o la crea si no existe
+   * @param {string} userId - ID del usuario
+   * @param {string} name - Nombre de la lista
+   * @returns {Promise<Object>} - Lista
+   */
+  async getOrCreateList(userId, name) {
+    try {
+      const queryText = `
+        INSERT INTO user_lists (user_id, name)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id, (LOWER(name))) DO UPDATE SET name = user_lists.name
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [userId, name]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al obtener o crear lista "${name}":`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina una lista y sus elementos
+   * @param {string} id - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<boolean>} - true si se eliminó
+   */
+  async deleteList(id, userId) {
+    try {
+      const result = await db.query(
+        'DELETE FROM user_lists WHERE id = $1 AND user_id = $2 RETURNING id;',
+        [id, userId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar lista ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene los elementos de una lista
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<Array>} - Elementos, los pendientes primero
+   */
+  async getItems(listId, userId) {
+    try {
+      const queryText = `
+        SELECT i.* FROM user_list_items i
+        JOIN user_lists l ON l.id = i.list_id
+        WHERE i.list_id = $1 AND l.user_id = $2
+        ORDER BY i.is_checked ASC, i.created_at ASC;
+      `;
+
+      const result = await db.query(queryText, [listId, userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener elementos de la lista ${listId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Añade elementos a una lista, omitiendo los que ya están pendientes en ella
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {Array<string>} contents - Elementos a añadir
+   * @returns {Promise<Array>} - Elementos añadidos
+   */
+  async addItems(listId, userId, contents) {
+    try {
+      const queryText = `
+        INSERT INTO user_list_items (list_id, content)
+        SELECT l.id, item.content
+        FROM user_lists l
+        CROSS JOIN (SELECT DISTINCT ON (LOWER(c)) c AS content FROM UNNEST($3::TEXT[]) AS c) item
+        WHERE l.id = $1 AND l.user_id = $2
+        AND NOT EXISTS (
+          SELECT 1 FROM user_list_items existing
+          WHERE existing.list_id = l.id
+          AND NOT existing.is_checked
+          AND LOWER(existing.content) = LOWER(item.content)
+        )
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [listId, userId, contents]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al añadir elementos a la lista ${listId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Actualiza un elemento de una lista
+   * @param {string} itemId - ID del elemento
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {Object} changes - { content, isChecked }
+   * @returns {Promise<Object|null>} - Elemento actualizado o null si no existe
+   */
+  async updateItem(itemId, listId, userId, { content, isChecked }) {
+    try {
+      const queryText = `
+        UPDATE user_list_items i
+        SET
+          content = COALESCE($4, i.content),
+          is_checked = COALESCE($5, i.is_checked)
+        FROM user_lists l
+        WHERE i.id = $1 AND i.list_id = $2 AND l.id = i.list_id AND l.user_id = $3
+        RETURNING i.*;
+      `;
+
+      const result = await db.query(queryText, [
+        itemId,
+        listId,
+        userId,
+        content || null,
+        typeof isChecked === 'boolean' ? isChecked : null
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al actualizar elemento ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina un elemento de una lista
+   * @param {string} itemId - ID del elemento
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<boolean>} - true si se eliminó
+   */
+  async removeItem(itemId, listId, userId) {
+    try {
+      const queryText = `
+        DELETE FROM user_list_items i
+        USING user_lists l
+        WHERE i.id = $1 AND i.list_id = $2 AND l.id = i.list_id AND l.user_id = $3
+        RETURNING i.id;
+      `;
+
+      const result = await db.query(queryText, [itemId, listId, userId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar elemento ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina elementos de una lista por su texto (sin distinguir mayúsculas)
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {Array<string>} contents - Textos de los elementos
+   * @returns {Promise<Array<string>>} - Textos de los elementos eliminados
+   */
+  async removeItemsByContent(listId, userId, contents) {
+    try {
+      const queryText = `
+        DELETE FROM user_list_items i
+        USING user_lists l
+        WHERE i.list_id = $1 AND l.id = i.list_id AND l.user_id = $2
+        AND LOWER(i.content) = ANY (SELECT LOWER(c) FROM UNNEST($3::TEXT[]) AS c)
+        RETURNING i.content;
+      `;
+
+      const result = await db.query(queryText, [listId, userId, contents]);
+      return result.rows.map(row => row.content);
+    } catch (error) {
+      logger.error(`Error al eliminar elementos de la lista ${listId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Vacía una lista
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {boolean} checkedOnly - true para eliminar solo los elementos marcados
+   * @returns {Promise<number>} - Número de elementos eliminados
+   */
+  async clearList(listId, userId, checkedOnly = false) {
+    try {
+      const queryText = `
+        DELETE FROM user_list_items i
+        USING user_lists l
+        WHERE i.list_id = $1 AND l.id = i.list_id AND l.user_id = $2
+        AND ($3::BOOLEAN = FALSE OR i.is_checked)
+        RETURNING i.id;
+      `;
+
+      const result = await db.query(queryText, [listId, userId, checkedOnly]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error al vaciar la lista ${listId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = ListModel;
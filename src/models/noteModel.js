@@ -0,0 +1,95 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para las notas personales de los usuarios
+// Todas las consultas filtran por user_id: una nota solo es visible para su dueño.
+const NoteModel = {
+  /**
+   * Crea una nota
+   * @param {string} userId - ID del usuario
+   * @param {string} content - Contenido de la nota
+   * @returns {Promise<Object>} - Nota creada
+   */
+  async createNote(userId, content) {
+    try {
+      const result = await db.query(
+        'INSERT INTO user_notes (user_id, content) VALUES ($1, $2) RETURNING *;',
+        [userId, content]
+      );
+
+      logger.info(`Nota ${result.rows[0].id} creada para usuario ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error al crear nota:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene las notas de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} filters - Filtros opcionales
+   * @param {string} filters.search - Texto a buscar en el contenido
+   * @param {number} filters.limit - Límite de resultados
+   * @param {number} filters.offset - Offset para paginación
+   * @returns {Promise<Array>} - Lista de notas, las más recientes primero
+   */
+  async getUserNotes(userId, { search = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const queryText = `
+        SELECT * FROM user_notes
+        WHERE user_id = $1
+        AND ($2::TEXT IS NULL OR content ILIKE '%' || $2 || '%' OR similarity(content, $2) > 0.2)
+        ORDER BY created_at DESC
+        LIMIT $3 OFFSET $4;
+      `;
+
+      const result = await db.query(queryText, [userId, search, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener notas del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Actualiza el contenido de una nota
+   * @param {string} id - ID de la nota
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {string} content - Nuevo contenido
+   * @returns {Promise<Object|null>} - Nota actualizada o null si no existe
+   */
+  async updateNote(id, userId, content) {
+    try {
+      const result = await db.query(
+        'UPDATE user_notes SET content = $3 WHERE id = $1 AND user_id = $2 RETURNING *;',
+        [id, userId, content]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al actualizar nota ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina una nota
+   * @param {string} id - ID de la nota
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<boolean>} - true si se eliminó
+   */
+  async deleteNote(id, userId) {
+    try {
+      const result = await db.query(
+        'DELETE FROM user_notes WHERE id = $1 AND user_id = $2 RETURNING id;',
+        [id, userId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar nota ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = NoteModel;
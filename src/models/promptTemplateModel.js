@@ -0,0 +1,146 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+const TEMPLATE_COLUMNS = 'id, category, version, system_prompt, user_prompt, is_active, notes, created_by, created_at, activated_at';
+
+// Modelo para las plantillas de prompts versionadas de la IA
+const PromptTemplateModel = {
+  /**
+   * Obtiene la versión activa de cada categoría
+   * @returns {Promise<Array>} - Plantillas activas
+   */
+  async getActive() {
+    try {
+      const result = await db.query(
+        `SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE is_active ORDER BY category`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al obtener las plantillas de prompts activas:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene todas las versiones de una categoría, de la más reciente a la más antigua
+   * @param {string} category - Categoría de la plantilla
+   * @returns {Promise<Array>} - Versiones con el nombre de quien las creó
+   */
+  async getHistory(category) {
+    try {
+      const result = await db.query(
+        `SELECT p.id, p.category, p.version, p.system_prompt, p.user_prompt, p.is_active, p.notes,
+           p.created_by, u.username AS created_by_username, p.created_at, p.activated_at
+         FROM prompt_templates p
+         LEFT JOIN users u ON u.id = p.created_by
+         WHERE p.category = $1
+         ORDER BY p.version DESC`,
+        [category]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener el historial de la plantilla de prompts ${category}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Crea una versión nueva de una categoría y la deja activa
+   * @param {string} category - Categoría de la plantilla
+   * @param {Object} template - { systemPrompt, userPrompt, notes, userId }
+   * @returns {Promise<Object>} - Versión creada
+   */
+  async createVersion(category, { systemPrompt = null, userPrompt = null, notes = null, userId = null }) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serializar las ediciones de una misma categoría para no repetir número de versión
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_templates:${category}`]);
+
+      const versionResult = await client.query(
+        'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM prompt_templates WHERE category = $1',
+        [category]
+      );
+
+      await client.query(
+        'UPDATE prompt_templates SET is_active = false WHERE category = $1 AND is_active',
+        [category]
+      );
+
+      const result = await client.query(
+        `INSERT INTO prompt_templates
+           (category, version, system_prompt, user_prompt, is_active, notes, created_by, activated_at)
+         VALUES ($1, $2, $3, $4, true, $5, $6, CURRENT_TIMESTAMP)
+         RETURNING ${TEMPLATE_COLUMNS};`,
+        [
+          category,
+          versionResult.rows[0].version,
+          systemPrompt,
+          userPrompt,
+          notes ? notes.substring(0, 255) : null,
+          userId
+        ]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error al crear una versión de la plantilla de prompts ${category}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Activa una versión existente de una categoría (restaurar una versión anterior)
+   * @param {string} category - Categoría de la plantilla
+   * @param {number} version - Versión a activar
+   * @returns {Promise<Object|null>} - Versión activada o null si no existe
+   */
+  async activateVersion(category, version) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_templates:${category}`]);
+
+      const existing = await client.query(
+        'SELECT id FROM prompt_templates WHERE category = $1 AND version = $2',
+        [category, version]
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(
+        'UPDATE prompt_templates SET is_active = false WHERE category = $1 AND is_active',
+        [category]
+      );
+
+      const result = await client.query(
+        `UPDATE prompt_templates
+         SET is_active = true, activated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${TEMPLATE_COLUMNS};`,
+        [existing.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error al activar la versión ${version} de la plantilla de prompts ${category}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = PromptTemplateModel;
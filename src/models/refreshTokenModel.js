@@ -0,0 +1,217 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para los refresh tokens (solo se almacena su hash)
+const RefreshTokenModel = {
+  /**
+   * Guarda un refresh token
+   * @param {Object} token - Datos del token
+   * @param {Object} client - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<Object>} - Token guardado
+   */
+  async createToken({ userId, tokenHash, familyId, accessJti, accessExpiresAt, expiresAt, userAgent = null, ipAddress = null }, client = db) {
+    try {
+      const queryText = `
+        INSERT INTO refresh_tokens
+          (user_id, token_hash, family_id, access_jti, access_expires_at, expires_at, user_agent, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, user_id, family_id, access_jti, expires_at, created_at;
+      `;
+
+      const result = await client.query(queryText, [
+        userId,
+        tokenHash,
+        familyId,
+        accessJti,
+        accessExpiresAt,
+        expiresAt,
+        userAgent ? userAgent.substring(0, 255) : null,
+        ipAddress
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error al guardar refresh token del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rota un refresh token: revoca el presentado y guarda su reemplazo en una transacción
+   * @param {string} tokenHash - Hash del token presentado
+   * @param {Function} buildReplacement - Recibe el token actual y devuelve los datos del nuevo
+   * @returns {Promise<Object>} - { status: 'rotated'|'not_found'|'reused'|'expired', current, replacement }
+   */
+  async rotateToken(tokenHash, buildReplacement) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Bloquear la fila para que dos renovaciones simultáneas no roten el mismo token
+      const currentResult = await client.query(
+        'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+        [tokenHash]
+      );
+      const current = currentResult.rows[0];
+
+      if (!current) {
+        await client.query('ROLLBACK');
+        return { status: 'not_found' };
+      }
+
+      if (current.revoked_at) {
+        await client.query('ROLLBACK');
+        return { status: 'reused', current };
+      }
+
+      if (new Date(current.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return { status: 'expired', current };
+      }
+
+      const replacement = await this.createToken(await buildReplacement(current), client);
+
+      await client.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = $1
+         WHERE id = $2`,
+        [replacement.id, current.id]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'rotated', current, replacement };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error al rotar refresh token:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Revoca todos los tokens de una familia (sesión de un dispositivo)
+   * @param {string} familyId - ID de la familia
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<Array>} - Tokens revocados (con el jti de su token de acceso)
+   */
+  async revokeFamily(familyId, reason) {
+    try {
+      const queryText = `
+        UPDATE refresh_tokens
+        SET revoked_at = COALESCE(revoked_at, NOW()),
+            revoked_reason = COALESCE(revoked_reason, $2)
+        WHERE family_id = $1
+        RETURNING id, user_id, access_jti, access_expires_at;
+      `;
+
+      const result = await db.query(queryText, [familyId, reason]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al revocar la familia de tokens ${familyId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoca la sesión a la que pertenece un token de acceso
+   * @param {string} userId - ID del usuario
+   * @param {string} accessJti - jti del token de acceso
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<Array>} - Tokens revocados
+   */
+  async revokeByAccessJti(userId, accessJti, reason) {
+    try {
+      const familyResult = await db.query(
+        'SELECT family_id FROM refresh_tokens WHERE user_id = $1 AND access_jti = $2',
+        [userId, accessJti]
+      );
+
+      if (familyResult.rows.length === 0) {
+        return [];
+      }
+
+      return await this.revokeFamily(familyResult.rows[0].family_id, reason);
+    } catch (error) {
+      logger.error(`Error al revocar la sesión del token ${accessJti}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoca la sesión de un refresh token del usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} tokenHash - Hash del refresh token
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<Array>} - Tokens revocados
+   */
+  async revokeByHash(userId, tokenHash, reason) {
+    try {
+      const familyResult = await db.query(
+        'SELECT family_id FROM refresh_tokens WHERE user_id = $1 AND token_hash = $2',
+        [userId, tokenHash]
+      );
+
+      if (familyResult.rows.length === 0) {
+        return [];
+      }
+
+      return await this.revokeFamily(familyResult.rows[0].family_id, reason);
+    } catch (error) {
+      logger.error(`Error al revocar refresh token del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoca todas las sesiones activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<Object>} - { sessions: sesiones cerradas, tokens: tokens cuyo acceso sigue vigente }
+   */
+  async revokeAllForUser(userId, reason) {
+    try {
+      const revokeResult = await db.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId, reason]
+      );
+
+      // También los tokens de acceso de renovaciones anteriores que aún no expiran
+      const tokensResult = await db.query(
+        `SELECT id, user_id, access_jti, access_expires_at
+         FROM refresh_tokens
+         WHERE user_id = $1 AND access_expires_at > NOW()`,
+        [userId]
+      );
+
+      logger.info(`${revokeResult.rowCount} sesiones revocadas para usuario ${userId} (${reason})`);
+      return {
+        sessions: revokeResult.rowCount,
+        tokens: tokensResult.rows
+      };
+    } catch (error) {
+      logger.error(`Error al revocar las sesiones del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina los refresh tokens expirados
+   * @returns {Promise<number>} - Número de tokens eliminados
+   */
+  async deleteExpired() {
+    try {
+      const result = await db.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+      logger.info(`Limpieza de refresh tokens completada: ${result.rowCount} tokens expirados eliminados`);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error al eliminar refresh tokens expirados:', error);
+      return 0;
+    }
+  }
+};
+
+module.exports = RefreshTokenModel;
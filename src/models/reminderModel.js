@@ -0,0 +1,158 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para los recordatorios y temporizadores de los usuarios
+const ReminderModel = {
+  /**
+   * Crea un recordatorio
+   * @param {Object} reminder - Datos del recordatorio
+   * @returns {Promise<Object>} - Recordatorio creado
+   */
+  async createReminder({ userId, message, remindAt, timezone, isTimer = false }) {
+    try {
+      const queryText = `
+        INSERT INTO reminders (user_id, message, remind_at, timezone, is_timer)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [userId, message, remindAt, timezone, isTimer]);
+
+      logger.info(`Recordatorio ${result.rows[0].id} creado para usuario ${userId} (${remindAt.toISOString ? remindAt.toISOString() : remindAt})`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error al crear recordatorio:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene los recordatorios de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} filters - Filtros opcionales
+   * @param {string} filters.status - Estado (pending, delivered, cancelled)
+   * @param {number} filters.limit - Límite de resultados
+   * @param {number} filters.offset - Offset para paginación
+   * @returns {Promise<Array>} - Lista de recordatorios
+   */
+  async getUserReminders(userId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const queryText = `
+        SELECT * FROM reminders
+        WHERE user_id = $1
+        AND ($2::VARCHAR IS NULL OR status = $2)
+        ORDER BY remind_at ASC
+        LIMIT $3 OFFSET $4;
+      `;
+
+      const result = await db.query(queryText, [userId, status, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error al obtener recordatorios del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene un recordatorio del usuario
+   * @param {string} id - ID del recordatorio
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<Object|null>} - Recordatorio o null
+   */
+  async getById(id, userId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM reminders WHERE id = $1 AND user_id = $2;',
+        [id, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al obtener recordatorio ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Actualiza un recordatorio del usuario
+   * @param {string} id - ID del recordatorio
+   * @param {string} userId - ID del usuario (dueño)
+   * @param {Object} changes - Campos a actualizar
+   * @returns {Promise<Object|null>} - Recordatorio actualizado o null si no existe
+   * Reprogramar un recordatorio lo vuelve a dejar pendiente.
+   */
+  async updateReminder(id, userId, { message, remindAt, timezone, status }) {
+    try {
+      const queryText = `
+        UPDATE reminders
+        SET
+          message = COALESCE($3, message),
+          remind_at = COALESCE($4, remind_at),
+          timezone = COALESCE($5, timezone),
+          status = COALESCE($6, CASE WHEN $4::TIMESTAMPTZ IS NOT NULL THEN 'pending' ELSE status END),
+          delivered_at = CASE WHEN $4::TIMESTAMPTZ IS NOT NULL THEN NULL ELSE delivered_at END
+        WHERE id = $1 AND user_id = $2
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [
+        id,
+        userId,
+        message || null,
+        remindAt || null,
+        timezone || null,
+        status || null
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al actualizar recordatorio ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina un recordatorio del usuario
+   * @param {string} id - ID del recordatorio
+   * @param {string} userId - ID del usuario (dueño)
+   * @returns {Promise<boolean>} - true si se eliminó
+   */
+  async deleteReminder(id, userId) {
+    try {
+      const result = await db.query(
+        'DELETE FROM reminders WHERE id = $1 AND user_id = $2 RETURNING id;',
+        [id, userId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error al eliminar recordatorio ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene los recordatorios vencidos y los marca como entregados
+   * Cada recordatorio se entrega una sola vez aunque el cliente consulte varias veces.
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} - Recordatorios vencidos
+   */
+  async takeDueReminders(userId) {
+    try {
+      const queryText = `
+        UPDATE reminders
+        SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1
+        AND status = 'pending'
+        AND remind_at <= CURRENT_TIMESTAMP
+        RETURNING *;
+      `;
+
+      const result = await db.query(queryText, [userId]);
+      return result.rows.sort((a, b) => new Date(a.remind_at) - new Date(b.remind_at));
+    } catch (error) {
+      logger.error(`Error al obtener recordatorios vencidos del usuario ${userId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = ReminderModel;
@@ -0,0 +1,75 @@
+const db = require('../config/database');
+const { logger } = require('../config');
+
+// Modelo para la lista de tokens de acceso revocados (por jti)
+const RevokedTokenModel = {
+  /**
+   * Añade tokens de acceso a la lista de revocados
+   * Los tokens ya expirados se omiten porque jwt.verify los rechaza igualmente.
+   * @param {Array<Object>} tokens - [{ jti, userId, expiresAt }]
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} - Número de tokens añadidos
+   */
+  async revokeTokens(tokens, reason) {
+    const active = tokens.filter(token => token.jti && new Date(token.expiresAt) > new Date());
+
+    if (active.length === 0) {
+      return 0;
+    }
+
+    try {
+      const values = [];
+      const params = [];
+
+      active.forEach((token, index) => {
+        const base = index * 4;
+        values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`);
+        params.push(token.jti, token.userId, token.expiresAt, reason);
+      });
+
+      const queryText = `
+        INSERT INTO revoked_tokens (jti, user_id, expires_at, reason)
+        VALUES ${values.join(', ')}
+        ON CONFLICT (jti) DO NOTHING;
+      `;
+
+      const result = await db.query(queryText, params);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error al revocar tokens de acceso:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Indica si un token de acceso fue revocado
+   * @param {string} jti - ID del token
+   * @returns {Promise<boolean>} - true si está revocado
+   */
+  async isRevoked(jti) {
+    try {
+      const result = await db.query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [jti]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error al consultar la revocación del token ${jti}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina las entradas de tokens que ya expiraron
+   * @returns {Promise<number>} - Número de entradas eliminadas
+   */
+  async deleteExpired() {
+    try {
+      const result = await db.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+      logger.info(`Limpieza de tokens revocados completada: ${result.rowCount} entradas eliminadas`);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error al eliminar tokens revocados expirados:', error);
+      return 0;
+    }
+  }
+};
+
+module.exports = RevokedTokenModel;
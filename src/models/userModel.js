@@ -1,5 +1,5 @@
 const db = require('../config/database');
-const { logger } = require('../config');
+const { logger, config } = require('../config');
 const bcrypt = require('bcrypt');
 
 // Modelo para gestión de usuarios
@@ -24,7 +24,7 @@ const UserModel = {
       const userQuery = `
         INSERT INTO users (username, email, password_hash)
         VALUES ($1, $2, $3)
-        RETURNING id, username, email, is_active, created_at;
+        RETURNING id, username, email, role, is_active, email_verified, created_at;
       `;
       
       const userResult = await client.query(userQuery, [
@@ -66,7 +66,7 @@ const UserModel = {
   async getUserById(id) {
     try {
       const query = `
-        SELECT id, username, email, is_active, created_at, updated_at
+        SELECT id, username, email, role, is_active, email_verified, email_verified_at, created_at, updated_at
         FROM users
         WHERE id = $1;
       `;
@@ -87,7 +87,7 @@ const UserModel = {
   async getUserByIdentifier(identifier) {
     try {
       const query = `
-        SELECT id, username, email, password_hash, is_active, created_at, updated_at
+        SELECT id, username, email, password_hash, role, is_active, email_verified, failed_login_count, locked_until, created_at, updated_at
         FROM users
         WHERE username = $1 OR email = $1;
       `;
@@ -151,7 +151,7 @@ const UserModel = {
         UPDATE users
         SET ${updateFields.join(', ')}
         WHERE id = $${paramCounter}
-        RETURNING id, username, email, is_active, created_at, updated_at;
+        RETURNING id, username, email, role, is_active, created_at, updated_at;
       `;
       
       const result = await db.query(query, queryParams);
@@ -163,13 +163,273 @@ const UserModel = {
     }
   },
   
+  /**
+   * Marca como verificado el email de un usuario
+   * Solo se aplica si el email no cambió desde que se envió el enlace.
+   * @param {string} id - ID del usuario
+   * @param {string} email - Email al que se envió el enlace
+   * @returns {Promise<Object|null>} - Usuario actualizado o null si el email ya no coincide
+   */
+  async markEmailVerified(id, email) {
+    try {
+      const query = `
+        UPDATE users
+        SET email_verified = true, email_verified_at = NOW()
+        WHERE id = $1 AND email = $2
+        RETURNING id, username, email, role, is_active, email_verified, email_verified_at;
+      `;
+      
+      const result = await db.query(query, [id, email.toLowerCase()]);
+      
+      if (result.rows.length > 0) {
+        logger.info(`Email verificado para usuario ${id}`);
+      }
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al verificar el email del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Registra un inicio de sesión fallido y bloquea la cuenta al llegar al máximo
+   * @param {string} id - ID del usuario
+   * @param {number} maxAttempts - Intentos fallidos seguidos permitidos
+   * @param {number} lockMinutes - Duración del bloqueo
+   * @returns {Promise<Object>} - { failed_login_count, locked_until }
+   */
+  async registerFailedLogin(id, maxAttempts, lockMinutes) {
+    try {
+      // Al bloquear, el contador vuelve a cero para el siguiente periodo
+      const query = `
+        UPDATE users
+        SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+            locked_until = CASE WHEN failed_login_count + 1 >= $2
+                                THEN NOW() + ($3 || ' minutes')::INTERVAL
+                                ELSE locked_until END
+        WHERE id = $1
+        RETURNING failed_login_count, locked_until;
+      `;
+      
+      const result = await db.query(query, [id, maxAttempts, String(lockMinutes)]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al registrar inicio de sesión fallido del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Reinicia los intentos fallidos y el bloqueo de la cuenta
+   * @param {string} id - ID del usuario
+   * @returns {Promise<void>}
+   */
+  async resetFailedLogins(id) {
+    try {
+      await db.query(
+        `UPDATE users SET failed_login_count = 0, locked_until = NULL
+         WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+        [id]
+      );
+    } catch (error) {
+      logger.error(`Error al reiniciar los intentos fallidos del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Comprueba la contraseña actual de un usuario
+   * @param {string} id - ID del usuario
+   * @param {string} password - Contraseña a comprobar
+   * @returns {Promise<boolean>} - true si es correcta
+   */
+  async verifyPassword(id, password) {
+    try {
+      const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [id]);
+      
+      if (result.rows.length === 0) {
+        return false;
+      }
+      
+      return await bcrypt.compare(password, result.rows[0].password_hash);
+    } catch (error) {
+      logger.error(`Error al comprobar la contraseña del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cambia el email de un usuario y lo marca como no verificado
+   * @param {string} id - ID del usuario
+   * @param {string} email - Email nuevo
+   * @returns {Promise<Object|null>} - Usuario actualizado o null si no existe
+   */
+  async updateEmail(id, email) {
+    try {
+      const query = `
+        UPDATE users
+        SET email = $1, email_verified = false, email_verified_at = NULL
+        WHERE id = $2
+        RETURNING id, username, email, role, is_active, email_verified, created_at, updated_at;
+      `;
+      
+      const result = await db.query(query, [email.toLowerCase(), id]);
+      
+      if (result.rows.length > 0) {
+        logger.info(`Email del usuario ${id} actualizado (pendiente de verificación)`);
+      }
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al cambiar el email del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Elimina la cuenta de un usuario y sus datos personales
+   * El historial se elimina o se anonimiza; los conocimientos privados se eliminan
+   * (con user_id nulo pasarían a ser visibles para todos) y los públicos se
+   * conservan sin autor.
+   * @param {string} id - ID del usuario
+   * @param {Object} options - { anonymizeHistory }
+   * @returns {Promise<Object|null>} - Resumen de lo eliminado o null si el usuario no existe
+   */
+  async deleteAccount(id, { anonymizeHistory = false } = {}) {
+    const client = await db.getClient();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [id]);
+      
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      
+      const historyResult = anonymizeHistory
+        ? await client.query('UPDATE conversation_history SET user_id = NULL WHERE user_id = $1', [id])
+        : await client.query('DELETE FROM conversation_history WHERE user_id = $1', [id]);
+      
+      const privateKnowledge = await client.query(
+        'DELETE FROM knowledge_base WHERE user_id = $1 AND is_public = false',
+        [id]
+      );
+      const publicKnowledge = await client.query(
+        'UPDATE knowledge_base SET user_id = NULL WHERE user_id = $1',
+        [id]
+      );
+      
+      // Estas tablas se borran en cascada; se eliminan aquí para poder informar cuántos había
+      const notes = await client.query('DELETE FROM user_notes WHERE user_id = $1', [id]);
+      const lists = await client.query('DELETE FROM user_lists WHERE user_id = $1', [id]);
+      const reminders = await client.query('DELETE FROM reminders WHERE user_id = $1', [id]);
+      const sessions = await client.query('DELETE FROM conversation_sessions WHERE user_id = $1', [id]);
+      
+      await client.query('DELETE FROM users WHERE id = $1', [id]);
+      await client.query('COMMIT');
+      
+      const summary = {
+        conversationHistory: {
+          [anonymizeHistory ? 'anonymized' : 'deleted']: historyResult.rowCount
+        },
+        privateKnowledgeDeleted: privateKnowledge.rowCount,
+        publicKnowledgeAnonymized: publicKnowledge.rowCount,
+        notesDeleted: notes.rowCount,
+        listsDeleted: lists.rowCount,
+        remindersDeleted: reminders.rowCount,
+        conversationSessionsDeleted: sessions.rowCount
+      };
+      
+      logger.info(`Cuenta ${id} eliminada`, summary);
+      return summary;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error al eliminar la cuenta ${id}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+  
+  /**
+   * Lista los usuarios (para administración)
+   * @param {Object} options - { role, limit, offset }
+   * @returns {Promise<Array>} - Usuarios sin datos sensibles
+   */
+  async listUsers({ role = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const query = `
+        SELECT id, username, email, role, is_active, created_at, updated_at
+        FROM users
+        WHERE ($1::varchar IS NULL OR role = $1)
+        ORDER BY created_at ASC
+        LIMIT $2 OFFSET $3;
+      `;
+      
+      const result = await db.query(query, [role, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error al listar usuarios:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cambia el rol de un usuario
+   * @param {string} id - ID del usuario
+   * @param {string} role - Nuevo rol
+   * @returns {Promise<Object|null>} - Usuario actualizado o null si no existe
+   */
+  async updateRole(id, role) {
+    try {
+      const query = `
+        UPDATE users
+        SET role = $1
+        WHERE id = $2
+        RETURNING id, username, email, role, is_active, created_at, updated_at;
+      `;
+      
+      const result = await db.query(query, [role, id]);
+      
+      if (result.rows.length > 0) {
+        logger.info(`Rol del usuario ${id} cambiado a ${role}`);
+      }
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error al cambiar el rol del usuario ${id}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cuenta los usuarios activos con un rol
+   * @param {string} role - Rol
+   * @returns {Promise<number>} - Número de usuarios
+   */
+  async countActiveByRole(role) {
+    try {
+      const result = await db.query(
+        'SELECT COUNT(*) AS total FROM users WHERE role = $1 AND is_active = true',
+        [role]
+      );
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error(`Error al contar usuarios con rol ${role}:`, error);
+      throw error;
+    }
+  },
+  
   /**
    * Actualiza las preferencias de un usuario
    * @param {string} userId - ID del usuario
    * @param {Object} preferences - Preferencias a actualizar
    * @returns {Promise<Object>} - Preferencias actualizadas
    */
-  async updatePreferences(userId, { voice_type, voice_speed, wake_word, theme }) {
+  async updatePreferences(userId, { voice_type, voice_speed, wake_word, theme, timezone, language }) {
     try {
       let updateFields = [];
       let queryParams = [];
@@ -200,6 +460,18 @@ const UserModel = {
         paramCounter++;
       }
       
+      if (timezone) {
+        updateFields.push(`timezone = $${paramCounter}`);
+        queryParams.push(timezone);
+        paramCounter++;
+      }
+      
+      if (language) {
+        updateFields.push(`language = $${paramCounter}`);
+        queryParams.push(language);
+        paramCounter++;
+      }
+      
       // Si no hay campos para actualizar, retornar preferencias actuales
       if (updateFields.length === 0) {
         const currentPrefs = await db.query(
@@ -224,8 +496,8 @@ const UserModel = {
       if (result.rows.length === 0) {
         // Si no existe registro de preferencias, crear uno nuevo
         const insertQuery = `
-          INSERT INTO user_preferences (user_id, voice_type, voice_speed, wake_word, theme)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO user_preferences (user_id, voice_type, voice_speed, wake_word, theme, timezone, language)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
           RETURNING *;
         `;
         
@@ -233,7 +505,9 @@ const UserModel = {
           voice_type: voice_type || 'standard',
           voice_speed: voice_speed || 1.0,
           wake_word: wake_word || 'asistente',
-          theme: theme || 'light'
+          theme: theme || 'light',
+          timezone: timezone || config.assistant.defaultTimezone,
+          language: language || config.assistant.defaultLanguage
         };
         
         const insertResult = await db.query(insertQuery, [
@@ -241,7 +515,9 @@ const UserModel = {
           defaultPrefs.voice_type,
           defaultPrefs.voice_speed,
           defaultPrefs.wake_word,
-          defaultPrefs.theme
+          defaultPrefs.theme,
+          defaultPrefs.timezone,
+          defaultPrefs.language
         ]);
         
         return insertResult.rows[0];
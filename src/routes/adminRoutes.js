@@ -2,35 +2,209 @@ const express = require('express');
 const router = express.Router();
 const AdminController = require('../controllers/adminController');
 const { authenticateJWT } = require('../utils/authMiddleware');
-const isAdmin = require('../utils/adminMiddleware');
+const { requirePermission } = require('../utils/permissionMiddleware');
 
 /**
  * @route POST /api/admin/update-knowledge
  * @desc Inicia una actualización manual de la base de conocimientos (con límite)
- * @access Private (solo admin)
+ * @access Private (permiso knowledge:update)
  * @param {number} limit - Número máximo de elementos a actualizar (opcional, por defecto 1)
  */
-router.post('/update-knowledge', authenticateJWT, isAdmin, AdminController.updateKnowledge);
+router.post('/update-knowledge', authenticateJWT, requirePermission('knowledge:update'), AdminController.updateKnowledge);
 
 /**
  * @route POST /api/admin/update-knowledge/:knowledgeId
  * @desc Actualiza un conocimiento específico por ID
- * @access Private (solo admin)
+ * @access Private (permiso knowledge:update)
  */
-router.post('/update-knowledge/:knowledgeId', authenticateJWT, isAdmin, AdminController.updateSingleKnowledge);
+router.post('/update-knowledge/:knowledgeId', authenticateJWT, requirePermission('knowledge:update'), AdminController.updateSingleKnowledge);
 
 /**
  * @route GET /api/admin/knowledge
  * @desc Lista todos los conocimientos con paginación
- * @access Private (solo admin)
+ * @access Private (permiso knowledge:read_all)
  */
-router.get('/knowledge', authenticateJWT, isAdmin, AdminController.listKnowledge);
+router.get('/knowledge', authenticateJWT, requirePermission('knowledge:read_all'), AdminController.listKnowledge);
+
+/**
+ * @route GET /api/admin/knowledge/conflicts
+ * @desc Lista los conflictos entre respuestas enseñadas por los usuarios
+ * @access Private (permiso knowledge:moderate)
+ * @param {string} query.status - pending (por defecto), kept o replaced
+ * @param {number} query.page - Página (desde 0)
+ * @param {number} query.limit - Conflictos por página (por defecto 20)
+ */
+router.get('/knowledge/conflicts', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.listKnowledgeConflicts);
+
+/**
+ * @route POST /api/admin/knowledge/conflicts/:conflictId/resolve
+ * @desc Resuelve un conflicto conservando la respuesta guardada o reemplazándola por la propuesta
+ * @access Private (permiso knowledge:moderate)
+ * @param {string} body.resolution - keep o replace
+ */
+router.post('/knowledge/conflicts/:conflictId/resolve', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.resolveKnowledgeConflict);
+
+/**
+ * @route GET /api/admin/knowledge/moderation
+ * @desc Cola de moderación de conocimientos enseñados por usuarios o generados por IA
+ * @access Private (permiso knowledge:moderate)
+ * @param {string} query.status - pending (por defecto), approved o rejected
+ * @param {number} query.page - Página (desde 0)
+ * @param {number} query.limit - Entradas por página (por defecto 20)
+ */
+router.get('/knowledge/moderation', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.listModerationQueue);
+
+/**
+ * @route POST /api/admin/knowledge/:knowledgeId/approve
+ * @desc Aprueba un conocimiento (pasa a ser público y verificado), opcionalmente corrigiendo su respuesta
+ * @access Private (permiso knowledge:moderate)
+ * @param {string} body.response - Respuesta corregida (opcional)
+ * @param {string} body.notes - Notas del moderador (opcional)
+ */
+router.post('/knowledge/:knowledgeId/approve', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.approveKnowledge);
+
+/**
+ * @route POST /api/admin/knowledge/:knowledgeId/reject
+ * @desc Rechaza un conocimiento (no se publica; solo lo sigue viendo su autor)
+ * @access Private (permiso knowledge:moderate)
+ * @param {string} body.notes - Notas del moderador (opcional)
+ */
+router.post('/knowledge/:knowledgeId/reject', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.rejectKnowledge);
+
+/**
+ * @route GET /api/admin/knowledge/:knowledgeId/history
+ * @desc Historial de versiones de un conocimiento (respuesta, confianza, motivo y autor de cada cambio)
+ * @access Private (permiso knowledge:moderate)
+ */
+router.get('/knowledge/:knowledgeId/history', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.getKnowledgeHistory);
+
+/**
+ * @route GET /api/admin/knowledge/:knowledgeId/diff
+ * @desc Compara dos versiones de un conocimiento
+ * @access Private (permiso knowledge:moderate)
+ * @param {number} query.from - Versión de origen
+ * @param {number} query.to - Versión de destino (opcional, por defecto la actual)
+ */
+router.get('/knowledge/:knowledgeId/diff', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.diffKnowledgeVersions);
+
+/**
+ * @route POST /api/admin/knowledge/:knowledgeId/rollback
+ * @desc Restaura una versión anterior de un conocimiento (crea una versión nueva con su contenido)
+ * @access Private (permiso knowledge:moderate)
+ * @param {number} body.version - Versión a restaurar
+ */
+router.post('/knowledge/:knowledgeId/rollback', authenticateJWT, requirePermission('knowledge:moderate'), AdminController.rollbackKnowledge);
 
 /**
  * @route POST /api/admin/clear-knowledge
  * @desc Limpia la base de conocimientos (para pruebas)
- * @access Private (solo admin)
+ * @access Private (permiso knowledge:clear)
+ */
+router.post('/clear-knowledge', authenticateJWT, requirePermission('knowledge:clear'), AdminController.clearKnowledgeBase);
+
+/**
+ * @route GET /api/admin/currency-rates
+ * @desc Lista los tipos de cambio usados en las conversiones de moneda
+ * @access Private (permiso currency:manage)
+ */
+router.get('/currency-rates', authenticateJWT, requirePermission('currency:manage'), AdminController.listCurrencyRates);
+
+/**
+ * @route PUT /api/admin/currency-rates/:code
+ * @desc Crea o actualiza el tipo de cambio de una moneda
+ * @access Private (permiso currency:manage)
+ * @param {number} body.rate - Unidades de la moneda por 1 USD
+ * @param {string} body.name - Nombre de la moneda (opcional)
+ * @param {string} body.rateDate - Fecha del tipo de cambio AAAA-MM-DD (opcional, por defecto hoy)
+ */
+router.put('/currency-rates/:code', authenticateJWT, requirePermission('currency:manage'), AdminController.updateCurrencyRate);
+
+/**
+ * @route DELETE /api/admin/currency-rates/:code
+ * @desc Elimina el tipo de cambio de una moneda
+ * @access Private (permiso currency:manage)
+ */
+router.delete('/currency-rates/:code', authenticateJWT, requirePermission('currency:manage'), AdminController.deleteCurrencyRate);
+
+/**
+ * @route GET /api/admin/users
+ * @desc Lista los usuarios con su rol
+ * @access Private (permiso users:manage)
+ * @param {string} query.role - Filtrar por rol (opcional)
+ */
+router.get('/users', authenticateJWT, requirePermission('users:manage'), AdminController.listUsers);
+
+/**
+ * @route PUT /api/admin/users/:userId/role
+ * @desc Cambia el rol de un usuario (se aplica cuando el usuario renueva su token)
+ * @access Private (permiso users:manage)
+ * @param {string} body.role - Nuevo rol: user, moderator o admin
+ */
+router.put('/users/:userId/role', authenticateJWT, requirePermission('users:manage'), AdminController.updateUserRole);
+
+/**
+ * @route POST /api/admin/users/:userId/sign-out
+ * @desc Cierra la sesión de un usuario en todos sus dispositivos (revoca sus tokens)
+ * @access Private (permiso users:manage)
+ */
+router.post('/users/:userId/sign-out', authenticateJWT, requirePermission('users:manage'), AdminController.signOutUser);
+
+/**
+ * @route GET /api/admin/ai/usage
+ * @desc Informe de consumo de IA (llamadas, tokens, coste y latencia) y estado de los presupuestos
+ * @access Private (permiso ai:manage)
+ * @param {string} query.from - Fecha inicial AAAA-MM-DD (opcional, por defecto el inicio del mes)
+ * @param {string} query.to - Fecha final AAAA-MM-DD (opcional, por defecto hoy)
+ * @param {string} query.userId - Limitar el informe a un usuario (opcional)
+ */
+router.get('/ai/usage', authenticateJWT, requirePermission('ai:manage'), AdminController.getAIUsage);
+
+/**
+ * @route GET /api/admin/ai/providers
+ * @desc Estado de los proveedores de IA: cortacircuitos, tasa de error y latencia recientes
+ * @access Private (permiso ai:manage)
+ */
+router.get('/ai/providers', authenticateJWT, requirePermission('ai:manage'), AdminController.listAIProviders);
+
+/**
+ * @route PUT /api/admin/ai/providers/:provider
+ * @desc Fuerza la activación o desactivación de un proveedor de IA
+ * @access Private (permiso ai:manage)
+ * @param {string} body.mode - enabled (se usa siempre), disabled (no se usa) o auto (decide el cortacircuitos)
+ * @param {string} body.reason - Motivo (opcional)
+ */
+router.put('/ai/providers/:provider', authenticateJWT, requirePermission('ai:manage'), AdminController.updateAIProvider);
+
+/**
+ * @route GET /api/admin/ai/prompt-templates
+ * @desc Versión activa de la plantilla de prompts de cada categoría
+ * @access Private (permiso ai:manage)
+ */
+router.get('/ai/prompt-templates', authenticateJWT, requirePermission('ai:manage'), AdminController.listPromptTemplates);
+
+/**
+ * @route GET /api/admin/ai/prompt-templates/:category
+ * @desc Historial de versiones de una plantilla de prompts
+ * @access Private (permiso ai:manage)
+ */
+router.get('/ai/prompt-templates/:category', authenticateJWT, requirePermission('ai:manage'), AdminController.getPromptTemplateHistory);
+
+/**
+ * @route PUT /api/admin/ai/prompt-templates/:category
+ * @desc Guarda una versión nueva de una plantilla de prompts y la activa
+ * @access Private (permiso ai:manage)
+ * @param {string} body.systemPrompt - Prompt de sistema (variables: {{assistantName}}, {{creator}}, {{language}}); si se omite se conserva el actual
+ * @param {string} body.userPrompt - Mensaje del usuario; debe incluir {{query}}; si se omite se conserva el actual
+ * @param {string} body.notes - Descripción del cambio (opcional)
+ */
+router.put('/ai/prompt-templates/:category', authenticateJWT, requirePermission('ai:manage'), AdminController.updatePromptTemplate);
+
+/**
+ * @route POST /api/admin/ai/prompt-templates/:category/rollback
+ * @desc Vuelve a activar una versión anterior de una plantilla de prompts
+ * @access Private (permiso ai:manage)
+ * @param {number} body.version - Versión a activar
  */
-router.post('/clear-knowledge', authenticateJWT, isAdmin, AdminController.clearKnowledgeBase);
+router.post('/ai/prompt-templates/:category/rollback', authenticateJWT, requirePermission('ai:manage'), AdminController.rollbackPromptTemplate);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const AssistantController = require('../controllers/assistantController');
+const ReminderController = require('../controllers/reminderController');
+const NotesController = require('../controllers/notesController');
 const { authenticateJWT, optionalAuthJWT } = require('../utils/authMiddleware');
+const { rateLimit } = require('../utils/rateLimitMiddleware');
 
 /**
  * @route POST /api/assistant/query
  * @desc Procesa una consulta del usuario
  * @access Public/Private (con autenticación opcional)
- * @param {Object} body.options - Opciones adicionales para confirmaciones
+ * @param {string} body.sessionId - ID de la sesión de conversación (opcional, se devuelve en cada respuesta)
+ * @param {Object} body.options - Opciones adicionales para confirmaciones (debug: true devuelve los candidatos de intención; timezone: zona horaria IANA para usuarios anónimos)
  */
-router.post('/query', optionalAuthJWT, AssistantController.processQuery);
+router.post('/query', optionalAuthJWT, rateLimit('query'), AssistantController.processQuery);
+
+/**
+ * @route POST /api/assistant/query/stream
+ * @desc Procesa una consulta y transmite el progreso como Server-Sent Events
+ * (intent, status, token, reset, final, error; "reset" descarta los tokens recibidos)
+ * @access Public/Private (con autenticación opcional)
+ * @param {string} body.query - Consulta del usuario
+ * @param {string} body.sessionId - ID de la sesión de conversación (opcional)
+ * @param {Object} body.options - Las mismas opciones que /query
+ */
+router.post('/query/stream', optionalAuthJWT, rateLimit('query'), AssistantController.processQueryStream);
+
+/**
+ * @route DELETE /api/assistant/session/:sessionId
+ * @desc Termina una sesión de conversación y descarta su estado
+ * @access Public/Private (con autenticación opcional)
+ */
+router.delete('/session/:sessionId', optionalAuthJWT, AssistantController.endSession);
 
 /**
  * @route POST /api/assistant/feedback
@@ -27,9 +49,136 @@ router.get('/history', authenticateJWT, AssistantController.getHistory);
 
 /**
  * @route DELETE /api/assistant/knowledge/:knowledgeId
- * @desc Elimina un conocimiento específico
+ * @desc Elimina un conocimiento específico (propio, o de cualquier usuario con knowledge:delete_any)
  * @access Private
  */
 router.delete('/knowledge/:knowledgeId', authenticateJWT, AssistantController.deleteKnowledge);
 
+/**
+ * @route GET /api/assistant/reminders
+ * @desc Lista los recordatorios del usuario
+ * @access Private
+ * @param {string} query.status - Filtrar por estado: pending, delivered o cancelled (opcional)
+ */
+router.get('/reminders', authenticateJWT, ReminderController.list);
+
+/**
+ * @route POST /api/assistant/reminders
+ * @desc Crea un recordatorio
+ * @access Private
+ * @param {string} body.message - Texto del recordatorio
+ * @param {string} body.remindAt - Fecha ISO 8601 (o bien body.when: "mañana a las 8")
+ * @param {string} body.timezone - Zona horaria IANA (opcional, por defecto la del usuario)
+ */
+router.post('/reminders', authenticateJWT, ReminderController.create);
+
+/**
+ * @route GET /api/assistant/reminders/due
+ * @desc Devuelve los recordatorios vencidos para anunciarlos y los marca como entregados
+ * @access Private
+ */
+router.get('/reminders/due', authenticateJWT, ReminderController.getDue);
+
+/**
+ * @route PUT /api/assistant/reminders/:id
+ * @desc Actualiza, reprograma o cancela un recordatorio
+ * @access Private
+ */
+router.put('/reminders/:id', authenticateJWT, ReminderController.update);
+
+/**
+ * @route DELETE /api/assistant/reminders/:id
+ * @desc Elimina un recordatorio
+ * @access Private
+ */
+router.delete('/reminders/:id', authenticateJWT, ReminderController.remove);
+
+/**
+ * @route GET /api/assistant/notes
+ * @desc Lista las notas del usuario
+ * @access Private
+ * @param {string} query.search - Texto a buscar en las notas (opcional)
+ */
+router.get('/notes', authenticateJWT, NotesController.listNotes);
+
+/**
+ * @route POST /api/assistant/notes
+ * @desc Guarda una nota
+ * @access Private
+ * @param {string} body.content - Contenido de la nota
+ */
+router.post('/notes', authenticateJWT, NotesController.createNote);
+
+/**
+ * @route PUT /api/assistant/notes/:id
+ * @desc Actualiza una nota
+ * @access Private
+ */
+router.put('/notes/:id', authenticateJWT, NotesController.updateNote);
+
+/**
+ * @route DELETE /api/assistant/notes/:id
+ * @desc Elimina una nota
+ * @access Private
+ */
+router.delete('/notes/:id', authenticateJWT, NotesController.deleteNote);
+
+/**
+ * @route GET /api/assistant/lists
+ * @desc Lista las listas del usuario con el número de elementos
+ * @access Private
+ */
+router.get('/lists', authenticateJWT, NotesController.listLists);
+
+/**
+ * @route POST /api/assistant/lists
+ * @desc Crea una lista
+ * @access Private
+ * @param {string} body.name - Nombre de la lista
+ */
+router.post('/lists', authenticateJWT, NotesController.createList);
+
+/**
+ * @route GET /api/assistant/lists/:id
+ * @desc Obtiene una lista con sus elementos
+ * @access Private
+ */
+router.get('/lists/:id', authenticateJWT, NotesController.getList);
+
+/**
+ * @route DELETE /api/assistant/lists/:id
+ * @desc Elimina una lista y sus elementos
+ * @access Private
+ */
+router.delete('/lists/:id', authenticateJWT, NotesController.deleteList);
+
+/**
+ * @route POST /api/assistant/lists/:id/items
+ * @desc Añade elementos a una lista
+ * @access Private
+ * @param {string} body.content - Elemento a añadir (o body.items: arreglo de elementos)
+ */
+router.post('/lists/:id/items', authenticateJWT, NotesController.addItems);
+
+/**
+ * @route DELETE /api/assistant/lists/:id/items
+ * @desc Vacía una lista (?checked=true elimina solo los elementos marcados)
+ * @access Private
+ */
+router.delete('/lists/:id/items', authenticateJWT, NotesController.clearItems);
+
+/**
+ * @route PUT /api/assistant/lists/:id/items/:itemId
+ * @desc Actualiza un elemento o lo marca como hecho (body.isChecked)
+ * @access Private
+ */
+router.put('/lists/:id/items/:itemId', authenticateJWT, NotesController.updateItem);
+
+/**
+ * @route DELETE /api/assistant/lists/:id/items/:itemId
+ * @desc Elimina un elemento de una lista
+ * @access Private
+ */
+router.delete('/lists/:id/items/:itemId', authenticateJWT, NotesController.removeItem);
+
 module.exports = router;
\ No newline at end of file
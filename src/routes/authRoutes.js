@@ -2,20 +2,71 @@ const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/authController');
 const { authenticateJWT } = require('../utils/authMiddleware');
+const { rateLimit } = require('../utils/rateLimitMiddleware');
 
 /**
  * @route POST /api/auth/login
  * @desc Inicia sesión para un usuario
  * @access Public
  */
-router.post('/login', AuthController.login);
+router.post('/login', rateLimit('login'), AuthController.login);
 
 /**
  * @route POST /api/auth/register
  * @desc Registra un nuevo usuario
  * @access Public
  */
-router.post('/register', AuthController.register);
+router.post('/register', rateLimit('register'), AuthController.register);
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Renueva el token de acceso (con el rol y los permisos actuales) y rota el refresh token
+ * @access Public (requiere refresh token)
+ * @param {string} body.refreshToken - Refresh token vigente
+ */
+router.post('/refresh', rateLimit('accountToken'), AuthController.refreshToken);
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Cierra la sesión actual y revoca su token de acceso
+ * @access Private
+ * @param {string} body.refreshToken - Refresh token de la sesión (opcional)
+ * @param {boolean} body.allDevices - Cerrar la sesión en todos los dispositivos (opcional)
+ */
+router.post('/logout', authenticateJWT, AuthController.logout);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Envía por correo un enlace para restablecer la contraseña
+ * @access Public
+ * @param {string} body.email - Email de la cuenta
+ */
+router.post('/forgot-password', rateLimit('accountEmail'), AuthController.forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Restablece la contraseña con el token del enlace y cierra todas las sesiones
+ * @access Public (requiere token)
+ * @param {string} body.token - Token recibido por correo
+ * @param {string} body.password - Contraseña nueva
+ */
+router.post('/reset-password', rateLimit('accountToken'), AuthController.resetPassword);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verifica el email con el token del enlace (también acepta GET ?token=)
+ * @access Public (requiere token)
+ * @param {string} body.token - Token recibido por correo
+ */
+router.post('/verify-email', rateLimit('accountToken'), AuthController.verifyEmail);
+router.get('/verify-email', rateLimit('accountToken'), AuthController.verifyEmail);
+
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @desc Vuelve a enviar el enlace de verificación
+ * @access Private
+ */
+router.post('/verify-email/resend', authenticateJWT, rateLimit('accountEmail'), AuthController.resendVerification);
 
 /**
  * @route GET /api/auth/profile
@@ -28,7 +79,36 @@ router.get('/profile', authenticateJWT, AuthController.getProfile);
  * @route PUT /api/auth/preferences
  * @desc Actualiza las preferencias del usuario
  * @access Private
+ * @param {string} body.timezone - Zona horaria IANA (opcional, ej. America/Guatemala)
+ * @param {string} body.language - Idioma de las respuestas de la IA (opcional: es, en, pt, fr, it, de)
  */
 router.put('/preferences', authenticateJWT, AuthController.updatePreferences);
 
+/**
+ * @route PUT /api/auth/password
+ * @desc Cambia la contraseña (cierra las demás sesiones y devuelve tokens nuevos)
+ * @access Private
+ * @param {string} body.currentPassword - Contraseña actual
+ * @param {string} body.newPassword - Contraseña nueva (mínimo 6 caracteres)
+ */
+router.put('/password', authenticateJWT, rateLimit('login'), AuthController.changePassword);
+
+/**
+ * @route PUT /api/auth/email
+ * @desc Cambia el email; el nuevo queda pendiente de verificación
+ * @access Private
+ * @param {string} body.email - Email nuevo
+ * @param {string} body.password - Contraseña actual
+ */
+router.put('/email', authenticateJWT, rateLimit('login'), AuthController.changeEmail);
+
+/**
+ * @route DELETE /api/auth/account
+ * @desc Elimina la cuenta y los datos personales, e informa de lo eliminado
+ * @access Private
+ * @param {string} body.password - Contraseña actual
+ * @param {boolean} body.anonymizeHistory - Conservar el historial sin vincularlo a la cuenta (opcional)
+ */
+router.delete('/account', authenticateJWT, rateLimit('login'), AuthController.deleteAccount);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const UserModel = require('../models/userModel');
+const AccountTokenModel = require('../models/accountTokenModel');
+const AuthService = require('./authService');
+const MailService = require('./mailService');
+const { logger, config } = require('../config');
+
+/**
+ * Servicio de gestión de la cuenta: verificación de email, recuperación y cambio
+ * de contraseña, cambio de email y eliminación de la cuenta.
+ * Los tokens son de un solo uso, se envían por correo y solo se guarda su hash.
+ */
+const AccountService = {
+  /**
+   * Envía el enlace de verificación al email actual del usuario
+   * @param {Object} user - Usuario ({ id, username, email })
+   * @returns {Promise<boolean>} - true si se envió
+   */
+  async sendVerificationEmail(user) {
+    try {
+      const token = this.generateToken();
+
+      await AccountTokenModel.createToken('verification', {
+        userId: user.id,
+        tokenHash: AuthService.hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + config.account.verificationTokenHours * 60 * 60 * 1000)
+      });
+
+      await MailService.send({
+        to: user.email,
+        subject: 'Verifica tu correo electrónico',
+        text: [
+          `Hola, ${user.username}:`,
+          '',
+          'Para confirmar tu correo electrónico en el Asistente de Voz abre este enlace:',
+          '',
+          this.buildLink('/verify-email', token),
+          '',
+          `El enlace es válido durante ${config.account.verificationTokenHours} horas.`,
+          'Si no creaste una cuenta, puedes ignorar este mensaje.'
+        ].join('\n')
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Error al enviar la verificación de email al usuario ${user.id}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Verifica el email con el token recibido por correo
+   * @param {string} token - Token del enlace
+   * @returns {Promise<Object>} - Resultado de la verificación
+   */
+  async verifyEmail(token) {
+    try {
+      const consumed = await AccountTokenModel.consumeToken('verification', AuthService.hashToken(token));
+
+      if (!consumed) {
+        return {
+          success: false,
+          message: 'El enlace de verificación no es válido o ha expirado'
+        };
+      }
+
+      const user = await UserModel.markEmailVerified(consumed.user_id, consumed.email);
+
+      if (!user) {
+        return {
+          success: false,
+          message: 'El enlace corresponde a un email que ya no está asociado a la cuenta'
+        };
+      }
+
+      return {
+        success: true,
+        user
+      };
+    } catch (error) {
+      logger.error('Error al verificar email:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Inicia la recuperación de contraseña
+   * No revela si el email existe: la respuesta al cliente es siempre la misma.
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    try {
+      const user = await UserModel.getUserByIdentifier(email);
+
+      if (!user || !user.is_active || user.email !== email.toLowerCase()) {
+        logger.info('Recuperación de contraseña solicitada para un email sin cuenta activa');
+        return;
+      }
+
+      const token = this.generateToken();
+
+      await AccountTokenModel.createToken('password_reset', {
+        userId: user.id,
+        tokenHash: AuthService.hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + config.account.resetTokenMinutes * 60 * 1000)
+      });
+
+      await MailService.send({
+        to: user.email,
+        subject: 'Restablece tu contraseña',
+        text: [
+          `Hola, ${user.username}:`,
+          '',
+          'Recibimos una solicitud para restablecer la contraseña de tu cuenta del Asistente de Voz.',
+          'Para elegir una contraseña nueva abre este enlace:',
+          '',
+          this.buildLink('/reset-password', token),
+          '',
+          `El enlace es válido durante ${config.account.resetTokenMinutes} minutos y solo puede usarse una vez.`,
+          'Si no lo solicitaste, ignora este mensaje: tu contraseña no cambiará.'
+        ].join('\n')
+      });
+    } catch (error) {
+      logger.error('Error al solicitar recuperación de contraseña:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cambia la contraseña con el token recibido por correo
+   * Cierra además todas las sesiones abiertas del usuario.
+   * @param {string} token - Token del enlace
+   * @param {string} password - Contraseña nueva
+   * @returns {Promise<Object>} - Resultado del cambio
+   */
+  async resetPassword(token, password) {
+    try {
+      const consumed = await AccountTokenModel.consumeToken('password_reset', AuthService.hashToken(token));
+
+      if (!consumed) {
+        return {
+          success: false,
+          message: 'El enlace para restablecer la contraseña no es válido o ha expirado'
+        };
+      }
+
+      const user = await UserModel.getUserById(consumed.user_id);
+
+      if (!user || !user.is_active || user.email !== consumed.email) {
+        return {
+          success: false,
+          message: 'El enlace para restablecer la contraseña no es válido o ha expirado'
+        };
+      }
+
+      await UserModel.updateUser(user.id, { password });
+      await UserModel.resetFailedLogins(user.id);
+
+      // Quien tenía la contraseña anterior no debe conservar sus sesiones
+      const sessions = await AuthService.revokeAllSessions(user.id, 'signed_out_all');
+      logger.info(`Contraseña restablecida para usuario ${user.id} (${sessions} sesiones cerradas)`);
+
+      return {
+        success: true,
+        userId: user.id
+      };
+    } catch (error) {
+      logger.error('Error al restablecer contraseña:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cambia la contraseña comprobando la actual
+   * Se cierran todas las sesiones y se abre una nueva para el dispositivo actual.
+   * @param {string} userId - ID del usuario
+   * @param {string} currentPassword - Contraseña actual
+   * @param {string} newPassword - Contraseña nueva
+   * @param {Object} context - Datos del cliente { userAgent, ipAddress }
+   * @returns {Promise<Object>} - Resultado con la sesión nueva
+   */
+  async changePassword(userId, currentPassword, newPassword, context = {}) {
+    try {
+      if (!await UserModel.verifyPassword(userId, currentPassword)) {
+        return {
+          success: false,
+          reason: 'invalid_password',
+          message: 'La contraseña actual no es correcta'
+        };
+      }
+
+      const user = await UserModel.updateUser(userId, { password: newPassword });
+      const sessions = await AuthService.revokeAllSessions(userId, 'signed_out_all');
+      const session = await AuthService.createSession(user, context);
+
+      logger.info(`Contraseña cambiada para usuario ${userId} (${sessions} sesiones cerradas)`);
+      return {
+        success: true,
+        ...session
+      };
+    } catch (error) {
+      logger.error(`Error al cambiar la contraseña del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cambia el email comprobando la contraseña
+   * El email nuevo queda sin verificar y se le envía el enlace de verificación;
+   * al anterior se le avisa del cambio.
+   * @param {string} userId - ID del usuario
+   * @param {string} password - Contraseña actual
+   * @param {string} newEmail - Email nuevo
+   * @returns {Promise<Object>} - Resultado del cambio
+   */
+  async changeEmail(userId, password, newEmail) {
+    try {
+      const email = newEmail.trim().toLowerCase();
+
+      if (!await UserModel.verifyPassword(userId, password)) {
+        return {
+          success: false,
+          reason: 'invalid_password',
+          message: 'La contraseña no es correcta'
+        };
+      }
+
+      const current = await UserModel.getUserById(userId);
+
+      if (current.email === email) {
+        return {
+          success: false,
+          reason: 'same_email',
+          message: 'El email nuevo es igual al actual'
+        };
+      }
+
+      const existing = await UserModel.getUserByIdentifier(email);
+
+      if (existing) {
+        return {
+          success: false,
+          reason: 'email_in_use',
+          message: 'El email ya está en uso'
+        };
+      }
+
+      const user = await UserModel.updateEmail(userId, email);
+      const verificationSent = await this.sendVerificationEmail(user);
+
+      try {
+        await MailService.send({
+          to: current.email,
+          subject: 'Tu correo electrónico cambió',
+          text: [
+            `Hola, ${current.username}:`,
+            '',
+            `El correo electrónico de tu cuenta del Asistente de Voz se cambió a ${user.email}.`,
+            'Si no fuiste tú, restablece tu contraseña y contacta con el administrador.'
+          ].join('\n')
+        });
+      } catch (mailError) {
+        logger.warn(`No se pudo avisar del cambio de email a la dirección anterior del usuario ${userId}`);
+      }
+
+      return {
+        success: true,
+        user,
+        verificationSent
+      };
+    } catch (error) {
+      logger.error(`Error al cambiar el email del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina la cuenta comprobando la contraseña
+   * @param {string} userId - ID del usuario
+   * @param {string} password - Contraseña actual
+   * @param {Object} options - { anonymizeHistory }
+   * @returns {Promise<Object>} - Resultado con el resumen de lo eliminado
+   */
+  async deleteAccount(userId, password, { anonymizeHistory = false } = {}) {
+    try {
+      if (!await UserModel.verifyPassword(userId, password)) {
+        return {
+          success: false,
+          reason: 'invalid_password',
+          message: 'La contraseña no es correcta'
+        };
+      }
+
+      const user = await UserModel.getUserById(userId);
+
+      // No dejar el sistema sin administradores activos
+      if (user && user.role === 'admin' && await UserModel.countActiveByRole('admin') <= 1) {
+        return {
+          success: false,
+          reason: 'last_admin',
+          message: 'No se puede eliminar la cuenta del último administrador activo'
+        };
+      }
+
+      // Revocar los tokens de acceso vigentes antes de que desaparezcan sus sesiones
+      await AuthService.revokeAllSessions(userId, 'signed_out_all');
+
+      const removed = await UserModel.deleteAccount(userId, { anonymizeHistory });
+
+      if (!removed) {
+        return {
+          success: false,
+          reason: 'not_found',
+          message: 'Usuario no encontrado'
+        };
+      }
+
+      return {
+        success: true,
+        removed
+      };
+    } catch (error) {
+      logger.error(`Error al eliminar la cuenta del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Genera un token aleatorio para los enlaces enviados por correo
+   * @returns {string} - Token
+   */
+  generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  },
+
+  /**
+   * Construye el enlace de la aplicación cliente que recibe el token
+   * @param {string} route - Ruta de la aplicación
+   * @param {string} token - Token
+   * @returns {string} - Enlace completo
+   */
+  buildLink(route, token) {
+    return `${config.mail.appUrl.replace(/\/+$/, '')}${route}?token=${encodeURIComponent(token)}`;
+  }
+};
+
+module.exports = AccountService;
@@ -0,0 +1,359 @@
+const AIProviderOverrideModel = require('../models/aiProviderOverrideModel');
+const { logger, config } = require('../config');
+
+/**
+ * Salud de los proveedores de IA: cortacircuitos, tasa de error y latencia
+ * sobre las llamadas recientes de cada proveedor.
+ * - closed: el proveedor se usa con normalidad
+ * - open: el proveedor se omite hasta retryAt
+ * - half_open: se deja pasar una sola consulta de prueba; si responde se cierra,
+ *   si falla se vuelve a abrir durante más tiempo
+ * Un administrador puede forzar un proveedor como activado (se usa siempre) o
+ * desactivado (no se usa nunca); el estado forzado se guarda en la base de datos.
+ */
+const AIProviderHealthService = {
+  // Estado del cortacircuitos de cada proveedor (por proceso)
+  health: new Map(),
+
+  // Estado forzado por un administrador: { proveedor: { mode, reason, updatedBy, updatedAt } }
+  overrides: {},
+
+  /**
+   * Configuración del cortacircuitos
+   * @returns {Object} - config.ai.circuitBreaker
+   */
+  getSettings() {
+    return config.ai.circuitBreaker || { enabled: false };
+  },
+
+  /**
+   * Obtiene (o crea) el estado de un proveedor
+   * @param {string} provider - Nombre del proveedor
+   * @returns {Object} - Estado del cortacircuitos
+   */
+  getHealth(provider) {
+    if (!this.health.has(provider)) {
+      this.health.set(provider, {
+        state: 'closed',
+        calls: [],
+        consecutiveFailures: 0,
+        openCount: 0,
+        openedAt: null,
+        retryAt: null,
+        trialStartedAt: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      });
+    }
+
+    return this.health.get(provider);
+  },
+
+  /**
+   * Indica si se puede consultar a un proveedor ahora
+   * Al vencer el tiempo de apertura, el circuito pasa a semiabierto y deja pasar
+   * una consulta de prueba.
+   * @param {string} provider - Nombre del proveedor
+   * @returns {boolean} - true si se puede consultar
+   */
+  canRequest(provider) {
+    const override = this.overrides[provider];
+
+    if (override) {
+      return override.mode === 'enabled';
+    }
+
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return true;
+    }
+
+    const health = this.getHealth(provider);
+    const now = Date.now();
+
+    if (health.state === 'closed') {
+      return true;
+    }
+
+    if (health.state === 'open') {
+      if (now < health.retryAt) {
+        return false;
+      }
+
+      health.state = 'half_open';
+      health.trialStartedAt = now;
+      logger.info(`Circuito del proveedor de IA ${provider} semiabierto: se probará con una consulta`);
+      return true;
+    }
+
+    // Semiabierto: una sola consulta de prueba a la vez (una prueba sin resultado caduca)
+    if (health.trialStartedAt && now - health.trialStartedAt < settings.openSeconds * 1000) {
+      return false;
+    }
+
+    health.trialStartedAt = now;
+    return true;
+  },
+
+  /**
+   * Registra una llamada correcta
+   * @param {string} provider - Nombre del proveedor
+   * @param {number} latencyMs - Duración de la llamada
+   */
+  recordSuccess(provider, latencyMs) {
+    const health = this.getHealth(provider);
+
+    if (health.state !== 'closed') {
+      logger.info(`Circuito del proveedor de IA ${provider} cerrado: el proveedor se recuperó`);
+      // Los fallos anteriores a la recuperación no deben volver a abrir el circuito
+      health.calls = [];
+    }
+
+    this.addCall(health, true, latencyMs);
+    health.state = 'closed';
+    health.consecutiveFailures = 0;
+    health.openCount = 0;
+    health.openedAt = null;
+    health.retryAt = null;
+    health.trialStartedAt = null;
+    health.lastSuccessAt = new Date();
+  },
+
+  /**
+   * Registra una llamada fallida y abre el circuito si corresponde
+   * @param {string} provider - Nombre del proveedor
+   * @param {number} latencyMs - Duración de la llamada
+   * @param {Error|string} error - Error de la llamada
+   */
+  recordFailure(provider, latencyMs, error) {
+    const settings = this.getSettings();
+    const health = this.getHealth(provider);
+
+    this.addCall(health, false, latencyMs);
+    health.consecutiveFailures++;
+    health.lastError = error && error.message ? error.message : String(error || 'Error desconocido');
+    health.lastFailureAt = new Date();
+
+    if (!settings.enabled) {
+      return;
+    }
+
+    if (health.state === 'half_open') {
+      this.open(provider, health, 'falló la consulta de prueba');
+      return;
+    }
+
+    if (health.state !== 'closed') {
+      return;
+    }
+
+    const stats = this.getStats(health);
+
+    if (health.consecutiveFailures >= settings.failureThreshold) {
+      this.open(provider, health, `${health.consecutiveFailures} fallos seguidos`);
+    } else if (stats.calls >= settings.minCalls && stats.errorRate >= settings.errorRateThreshold) {
+      this.open(provider, health, `tasa de error del ${Math.round(stats.errorRate * 100)}%`);
+    }
+  },
+
+  /**
+   * Abre el circuito de un proveedor
+   * Cada apertura seguida duplica el tiempo de espera, hasta maxOpenSeconds.
+   * @param {string} provider - Nombre del proveedor
+   * @param {Object} health - Estado del proveedor
+   * @param {string} reason - Motivo (para el log)
+   */
+  open(provider, health, reason) {
+    const settings = this.getSettings();
+    const openMs = Math.min(settings.openSeconds * 1000 * Math.pow(2, health.openCount), settings.maxOpenSeconds * 1000);
+
+    health.openCount++;
+    health.state = 'open';
+    health.openedAt = new Date();
+    health.retryAt = Date.now() + openMs;
+    health.trialStartedAt = null;
+
+    logger.warn(`Circuito del proveedor de IA ${provider} abierto durante ${Math.round(openMs / 1000)} s (${reason})`);
+  },
+
+  /**
+   * Añade una llamada a la ventana del proveedor
+   * @param {Object} health - Estado del proveedor
+   * @param {boolean} success - Si la llamada fue correcta
+   * @param {number} latencyMs - Duración de la llamada
+   */
+  addCall(health, success, latencyMs) {
+    health.calls.push({ at: Date.now(), success, latencyMs: latencyMs || 0 });
+    this.pruneCalls(health);
+  },
+
+  /**
+   * Descarta las llamadas que quedan fuera de la ventana
+   * @param {Object} health - Estado del proveedor
+   */
+  pruneCalls(health) {
+    const settings = this.getSettings();
+    const since = Date.now() - (settings.windowSeconds || 300) * 1000;
+
+    health.calls = health.calls.filter(call => call.at >= since).slice(-(settings.windowSize || 20));
+  },
+
+  /**
+   * Calcula las estadísticas de la ventana de un proveedor
+   * @param {Object} health - Estado del proveedor
+   * @returns {Object} - { calls, failures, errorRate, avgLatencyMs, p95LatencyMs }
+   */
+  getStats(health) {
+    this.pruneCalls(health);
+
+    const calls = health.calls.length;
+    const failures = health.calls.filter(call => !call.success).length;
+    const latencies = health.calls.map(call => call.latencyMs).sort((a, b) => a - b);
+
+    return {
+      calls,
+      failures,
+      errorRate: calls ? Number((failures / calls).toFixed(2)) : 0,
+      avgLatencyMs: calls ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / calls) : 0,
+      p95LatencyMs: calls ? latencies[Math.min(calls - 1, Math.ceil(calls * 0.95) - 1)] : 0
+    };
+  },
+
+  /**
+   * Ordena los proveedores según su salud, manteniendo el orden configurado
+   * entre los que están igual: primero los sanos (y los que toca probar tras
+   * abrirse su circuito), después los lentos y por último los que tienen el
+   * circuito abierto. Los desactivados por un administrador se excluyen.
+   * @param {Array<string>} providers - Proveedores en el orden configurado
+   * @returns {Array<string>} - Proveedores ordenados
+   */
+  orderProviders(providers) {
+    return providers
+      .map((provider, index) => ({ provider, index, rank: this.rank(provider) }))
+      .filter(item => item.rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(item => item.provider);
+  },
+
+  /**
+   * Prioridad de un proveedor (menor es mejor; null si está desactivado)
+   * @param {string} provider - Nombre del proveedor
+   * @returns {number|null} - Prioridad
+   */
+  rank(provider) {
+    const override = this.overrides[provider];
+
+    if (override) {
+      return override.mode === 'enabled' ? 0 : null;
+    }
+
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return 0;
+    }
+
+    const health = this.getHealth(provider);
+    const now = Date.now();
+
+    // Con el circuito abierto va al final; cuando toca probarlo recupera su puesto
+    // para que la consulta de prueba llegue aunque haya otros proveedores sanos
+    if (health.state === 'open') {
+      return now < health.retryAt ? 2 : 0;
+    }
+
+    if (health.state === 'half_open') {
+      return health.trialStartedAt && now - health.trialStartedAt < settings.openSeconds * 1000 ? 2 : 0;
+    }
+
+    const stats = this.getStats(health);
+    return settings.slowLatencyMs && stats.calls >= settings.minCalls && stats.avgLatencyMs > settings.slowLatencyMs ? 1 : 0;
+  },
+
+  /**
+   * Estado público de un proveedor
+   * @param {string} provider - Nombre del proveedor
+   * @returns {Object} - Estado, estadísticas y estado forzado
+   */
+  getStatus(provider) {
+    const health = this.getHealth(provider);
+    const override = this.overrides[provider] || null;
+    const stats = this.getStats(health);
+
+    let status = health.state;
+    if (override) {
+      status = override.mode === 'enabled' ? 'forced_enabled' : 'forced_disabled';
+    } else if (health.state === 'closed' && this.rank(provider) === 1) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      circuit: health.state,
+      override,
+      ...stats,
+      consecutiveFailures: health.consecutiveFailures,
+      openedAt: health.openedAt,
+      retryAt: health.retryAt ? new Date(health.retryAt) : null,
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt,
+      lastSuccessAt: health.lastSuccessAt
+    };
+  },
+
+  /**
+   * Carga los estados forzados guardados
+   * @returns {Promise<void>}
+   */
+  async loadOverrides() {
+    try {
+      const rows = await AIProviderOverrideModel.getAll();
+
+      this.overrides = {};
+      rows.forEach(row => {
+        this.overrides[row.provider] = {
+          mode: row.mode,
+          reason: row.reason,
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at
+        };
+      });
+
+      logger.info(`Estado forzado de proveedores de IA cargado: ${rows.length} proveedores`);
+    } catch (error) {
+      logger.error('Error al cargar el estado forzado de los proveedores de IA:', error);
+    }
+  },
+
+  /**
+   * Fuerza el estado de un proveedor o lo devuelve al modo automático
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} mode - enabled, disabled o auto
+   * @param {Object} options - { reason, userId }
+   * @returns {Promise<Object>} - Estado del proveedor
+   */
+  async setOverride(provider, mode, { reason = null, userId = null } = {}) {
+    try {
+      if (mode === 'auto') {
+        await AIProviderOverrideModel.remove(provider);
+        delete this.overrides[provider];
+      } else {
+        const saved = await AIProviderOverrideModel.upsert(provider, mode, reason, userId);
+        this.overrides[provider] = {
+          mode: saved.mode,
+          reason: saved.reason,
+          updatedBy: saved.updated_by,
+          updatedAt: saved.updated_at
+        };
+      }
+
+      logger.info(`Proveedor de IA ${provider} en modo ${mode}${userId ? ` (usuario ${userId})` : ''}`);
+      return this.getStatus(provider);
+    } catch (error) {
+      logger.error(`Error al cambiar el modo del proveedor de IA ${provider}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = AIProviderHealthService;
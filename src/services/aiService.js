@@ -1,6 +1,10 @@
 const axios = require('axios');
 const { logger, config } = require('../config');
 const CacheService = require('./cacheService');
+const AIUsageModel = require('../models/aiUsageModel');
+const DateTimeService = require('./dateTimeService');
+const AIProviderHealthService = require('./aiProviderHealthService');
+const PromptTemplateService = require('./promptTemplateService');
 
 /**
  * Servicio para integración con APIs de IA
@@ -8,13 +12,69 @@ const CacheService = require('./cacheService');
 const AIService = {
   // Contador para distribución de carga entre modelos
   requestCounter: 0,
+
+  /**
+   * Proveedores de IA. Cada adaptador implementa:
+   * - query(query, { useFallback, onToken, systemPrompt, signal }): respuesta (con `usage` si llamó al proveedor) o null
+   *   (signal es un AbortSignal que cancela la petición en curso)
+   * - isAvailable(useFallback): si tiene lo necesario (API key, URL) para ser consultado
+   * - getModel(): modelo que usa
+   * - streaming: si transmite la respuesta fragmento a fragmento
+   * Se añaden otros con registerProvider.
+   */
+  providers: {
+    openai: {
+      query: (query, { useFallback, onToken, systemPrompt, signal }) => AIService.queryOpenAI(query, useFallback, onToken, systemPrompt, signal),
+      isAvailable: useFallback => Boolean(useFallback ? config.ai.fallbackApiKey : config.ai.apiKey),
+      getModel: () => config.ai.model,
+      streaming: true
+    },
+    anthropic: {
+      query: (query, { useFallback, onToken, systemPrompt, signal }) => AIService.queryAnthropic(query, useFallback, onToken, systemPrompt, signal),
+      isAvailable: useFallback => Boolean(useFallback ? config.ai.fallbackApiKey : config.ai.apiKey),
+      getModel: () => config.ai.model,
+      streaming: true
+    },
+    huggingface: {
+      query: (query, { useFallback, signal }) => AIService.queryHuggingFace(query, useFallback, signal),
+      isAvailable: useFallback => Boolean(useFallback ? config.ai.fallbackApiKey : config.ai.apiKey),
+      getModel: () => config.ai.model,
+      streaming: false
+    },
+    // Modelo alojado localmente: no necesita API key
+    local: {
+      query: (query, { onToken, systemPrompt, signal }) => AIService.queryLocal(query, onToken, systemPrompt, signal),
+      isAvailable: () => Boolean(config.ai.local && config.ai.local.url),
+      getModel: () => config.ai.local.model,
+      streaming: true
+    }
+  },
+
+  /**
+   * Registra un proveedor de IA
+   * @param {string} name - Nombre del proveedor (valor de AI_PROVIDER)
+   * @param {Object} adapter - Adaptador con query, isAvailable y getModel
+   */
+  registerProvider(name, adapter) {
+    if (!adapter || typeof adapter.query !== 'function' ||
+        typeof adapter.isAvailable !== 'function' || typeof adapter.getModel !== 'function') {
+      throw new Error(`El proveedor de IA ${name} debe tener los métodos query, isAvailable y getModel`);
+    }
+    this.providers[name] = adapter;
+  },
   
   /**
    * Obtiene respuesta de IA para consultas factuales
    * @param {string} query - Consulta del usuario
+   * @param {Object} options - Opciones adicionales
+   * @param {Function} options.onToken - Recibe cada fragmento de texto (ya saneado) a medida que la IA lo genera
+   * @param {Function} options.onReset - Se llama si hay que descartar lo transmitido porque falló el proveedor
+   * @param {AbortSignal} options.signal - Cancela la consulta en curso y los reintentos (opcional)
+   * @param {string} options.userId - Usuario al que se imputa el consumo (opcional)
+   * @param {string} options.purpose - Motivo de la consulta: query o knowledge_update
    * @returns {Promise<Object|null>} - Respuesta de la IA o null
    */
-  async getAIResponse(query) {
+  async getAIResponse(query, options = {}) {
     try {
       logger.info(`Procesando consulta de IA para: "${query}"`);
 
@@ -77,27 +137,31 @@ const AIService = {
         };
       }
 
-      // 2. Verificar si está configurada la API key principal
-      if (!config.ai || !config.ai.apiKey) {
+      // 2. Gestión de cuota y límites de uso (callProvider lo vuelve a comprobar antes de cada llamada)
+      if (!await this.checkQuotaAndLimits(options.userId)) {
+        logger.warn('Presupuesto de IA agotado, no se consultará a la IA');
+        return null;
+      }
+
+      // 3. Verificar si está configurada la API key principal (el modelo local no la necesita)
+      if (!config.ai || !this.isProviderAvailable(config.ai.provider)) {
         logger.warn('API key de IA principal no configurada');
-        return this.tryFallbackProviders(query);
+        return this.tryFallbackProviders(query, options);
       }
 
-      // 3. Verificar si el proveedor está configurado
+      // 4. Verificar si el proveedor está configurado
       if (!config.ai.provider) {
         logger.warn('Proveedor de IA no configurado');
-        return this.tryFallbackProviders(query);
+        return this.tryFallbackProviders(query, options);
       }
 
-      // 4. Optimizar el prompt basado en el tipo de consulta
-      const optimizedQuery = this.optimizePrompt(query);
-      logger.info(`Consulta optimizada: "${optimizedQuery}"`);
-
-      // 5. Gestión de cuota y límites de uso
-      if (!this.checkQuotaAndLimits()) {
-        logger.warn('Límite de cuota alcanzado, usando proveedor alternativo');
-        return this.tryFallbackProviders(query);
-      }
+      // 5. Construir los prompts con la plantilla de la categoría de la consulta
+      const prompt = await PromptTemplateService.render(query, {
+        userId: options.userId,
+        isCreatorQuery: this.isCreatorQuery(query)
+      });
+      const optimizedQuery = prompt.user;
+      logger.info(`Consulta optimizada (plantilla ${prompt.category}): "${optimizedQuery}"`);
 
       // 6. Obtener respuesta del proveedor seleccionado
       let response = null;
@@ -105,32 +169,21 @@ const AIService = {
       const maxAttempts = 2;
       const providers = this.getProvidersSequence();
 
-      // Intentar con diferentes proveedores si hay errores
-      while (attemptCount < maxAttempts && response === null) {
+      // Intentar con diferentes proveedores si hay errores (salvo que se haya cancelado la consulta)
+      while (attemptCount < maxAttempts && response === null && providers.length > 0 && !this.isCancelled(options)) {
         const providerIndex = attemptCount % providers.length;
         const currentProvider = providers[providerIndex];
 
         try {
           logger.info(`Intentando con proveedor: ${currentProvider}, intento #${attemptCount + 1}`);
           
-          switch(currentProvider) {
-            case 'openai':
-              response = await this.queryOpenAI(optimizedQuery);
-              break;
-            case 'anthropic':
-              response = await this.queryAnthropic(optimizedQuery);
-              break;
-            case 'huggingface':
-              response = await this.queryHuggingFace(optimizedQuery);
-              break;
-            default:
-              logger.warn(`Proveedor de IA desconocido: ${currentProvider}`);
-              break;
-          }
+          response = await this.callProviderStreaming(currentProvider, optimizedQuery, { ...options, systemPrompt: prompt.system });
         } catch (providerError) {
           logger.error(`Error en proveedor de IA (${currentProvider}):`, providerError);
-          attemptCount++;
         }
+
+        // Cada intento cuenta (y queda registrado), también si el proveedor no devolvió nada
+        attemptCount++;
       }
 
       // 7. Procesar respuesta antes de devolverla
@@ -169,7 +222,11 @@ const AIService = {
       }
 
       // 8. Si todos los intentos fallan, intentar con los proveedores alternativos
-      return await this.tryFallbackProviders(query);
+      if (this.isCancelled(options)) {
+        logger.info(`Consulta de IA cancelada: "${query}"`);
+        return null;
+      }
+      return await this.tryFallbackProviders(query, options);
     } catch (error) {
       logger.error('Error al obtener respuesta de IA:', error);
       return null;
@@ -179,9 +236,10 @@ const AIService = {
   /**
    * Intenta obtener respuesta de proveedores alternativos
    * @param {string} query - Consulta del usuario
+   * @param {Object} options - Opciones adicionales (onToken para transmitir la respuesta)
    * @returns {Promise<Object|null>} - Respuesta o null
    */
-  async tryFallbackProviders(query) {
+  async tryFallbackProviders(query, options = {}) {
     // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR - NUEVA VALIDACIÓN EN FALLBACK
     if (this.isCreatorQuery(query)) {
       logger.info(`Detectada consulta sobre creador en fallback, respondiendo con información personalizada para: "${query}"`);
@@ -202,25 +260,14 @@ const AIService = {
     try {
       logger.info(`Intentando con proveedor de respaldo: ${config.ai.fallbackProvider}`);
       
+      if (!this.providers[config.ai.fallbackProvider]) {
+        return null;
+      }
+
       let response = null;
-      switch(config.ai.fallbackProvider) {
-        case 'huggingface':
-          if (config.ai.fallbackApiKey) {
-            response = await this.queryHuggingFace(query, true);
-          }
-          break;
-        case 'anthropic':
-          if (config.ai.fallbackApiKey) {
-            response = await this.queryAnthropic(query, true);
-          }
-          break;
-        case 'openai':
-          if (config.ai.fallbackApiKey) {
-            response = await this.queryOpenAI(query, true);
-          }
-          break;
-        default:
-          return null;
+      if (this.isProviderAvailable(config.ai.fallbackProvider, true)) {
+        const systemPrompt = await this.buildSystemPrompt(query, options.userId);
+        response = await this.callProviderStreaming(config.ai.fallbackProvider, query, { ...options, useFallback: true, systemPrompt });
       }
 
       // Si hay respuesta, sanitizarla y hacer verificación final
@@ -254,69 +301,364 @@ const AIService = {
   },
 
   /**
-   * Optimiza el prompt según el tipo de consulta
+   * Optimiza el prompt según el tipo de consulta (plantilla activa de su categoría)
    * @param {string} query - Consulta original
-   * @returns {string} 
+   * @param {string} userId - Usuario que consulta (para su idioma; opcional)
+   * @returns {Promise<string>} - Mensaje para el proveedor
    */
-  optimizePrompt(query) {
-    // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR
-    if (this.isCreatorQuery(query)) {
-      return "Responde que fuiste creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. No menciones ningún otro creador o empresa de IA. Nunca menciones OpenAI, Anthropic, Google, Microsoft u otras empresas de IA: " + query;
+  async optimizePrompt(query, userId = null) {
+    const prompt = await PromptTemplateService.render(query, { userId, isCreatorQuery: this.isCreatorQuery(query) });
+    return prompt.user;
+  },
+
+  /**
+   * Verifica los presupuestos de uso de la IA (globales y del usuario)
+   * Si el registro de consumo no está disponible se permite la consulta.
+   * @param {string} userId - ID del usuario (opcional; los anónimos solo cuentan en el global)
+   * @returns {Promise<boolean>} - true si está dentro de los límites
+   */
+  async checkQuotaAndLimits(userId = null) {
+    const quotaManager = config.ai.quotaManager;
+
+    // Verificar si la gestión de cuota está habilitada
+    if (!quotaManager || !quotaManager.enabled) {
+      return true; // No hay restricciones
     }
 
-    // Detectar el tipo de consulta para optimizar el prompt
-    let promptPrefix = '';
-    
-    // Consultas sobre definiciones
-    if (/^qu[eé]\s+(es|son|significa)/i.test(query)) {
-      promptPrefix = 'Define brevemente y con precisión: ';
+    try {
+      const scopes = userId ? ['global', 'user'] : ['global'];
+
+      for (const scope of scopes) {
+        const usage = await AIUsageModel.getPeriodTotals(scope === 'user' ? userId : null, config.assistant.defaultTimezone);
+        const exceeded = this.findExceededBudget(quotaManager.budgets[scope], usage);
+
+        if (exceeded) {
+          logger.warn(`Presupuesto ${exceeded.period} de IA agotado (${scope === 'user' ? `usuario ${userId}` : 'global'}): ${exceeded.metric} ${exceeded.used} de ${exceeded.limit}`);
+          return false;
+        }
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al verificar la cuota de IA:', error);
+      return true;
+    }
+  },
+
+  /**
+   * Busca el primer presupuesto agotado
+   * @param {Object} budgets - Presupuestos por periodo { daily, weekly, monthly }
+   * @param {Object} usage - Consumo por periodo (AIUsageModel.getPeriodTotals)
+   * @returns {Object|null} - { period, metric, used, limit } o null si ninguno está agotado
+   */
+  findExceededBudget(budgets = {}, usage) {
+    for (const period of ['daily', 'weekly', 'monthly']) {
+      const budget = budgets[period];
+      if (!budget || !usage[period]) continue;
+
+      if (budget.maxQueries !== null && budget.maxQueries !== undefined && usage[period].queries >= budget.maxQueries) {
+        return { period, metric: 'queries', used: usage[period].queries, limit: budget.maxQueries };
+      }
+
+      if (budget.maxCost !== null && budget.maxCost !== undefined && usage[period].cost >= budget.maxCost) {
+        return { period, metric: 'cost', used: usage[period].cost, limit: budget.maxCost };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Consulta a un proveedor transmitiendo la respuesta saneada
+   * Los fragmentos se envían por frases completas, pasados por sanitizeResponse. Si el
+   * proveedor falla a mitad de la respuesta se llama a onReset para que el cliente
+   * descarte lo recibido antes de que otro proveedor empiece a transmitir.
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} query - Consulta (ya optimizada)
+   * @param {Object} options - Opciones de callProvider más onReset
+   * @returns {Promise<Object|null>} - Respuesta del proveedor o null
+   */
+  async callProviderStreaming(provider, query, options = {}) {
+    const { onReset = null, ...providerOptions } = options;
+
+    if (!options.onToken) {
+      return this.callProvider(provider, query, providerOptions);
+    }
+
+    let buffer = '';
+    let started = false;
+    let sent = false;
+
+    const release = (text) => {
+      let chunk = this.sanitizeResponse(text);
+      if (!started) {
+        chunk = this.cleanLeadIn(chunk);
+        started = Boolean(chunk);
+      }
+      if (chunk) {
+        sent = true;
+        options.onToken(chunk);
+      }
+    };
+
+    const discard = () => {
+      buffer = '';
+      if (sent && onReset) {
+        logger.info(`Se descarta la respuesta parcial de ${provider}`);
+        onReset();
+      }
+    };
+
+    const onToken = (token) => {
+      buffer += token;
+      const boundary = Math.max(buffer.lastIndexOf('. '), buffer.lastIndexOf('? '), buffer.lastIndexOf('! '), buffer.lastIndexOf('\n'));
+      if (boundary >= 0) {
+        release(buffer.slice(0, boundary + 1));
+        buffer = buffer.slice(boundary + 1);
+      }
+    };
+
+    try {
+      const response = await this.callProvider(provider, query, { ...providerOptions, onToken });
+
+      if (response && response.answer) {
+        if (buffer) release(buffer);
+      } else {
+        discard();
+      }
+
+      return response;
+    } catch (error) {
+      discard();
+      throw error;
+    }
+  },
+
+  /**
+   * Consulta a un proveedor, actualiza su cortacircuitos y registra el consumo en ai_usage
+   * Si el presupuesto de IA está agotado no se llama al proveedor.
+   * @param {string} provider - Nombre del proveedor (openai, anthropic, huggingface, local...)
+   * @param {string} query - Consulta (ya optimizada)
+   * @param {Object} options - { useFallback, onToken, userId, purpose, systemPrompt, signal }
+   * @returns {Promise<Object|null>} - Respuesta del proveedor o null
+   */
+  async callProvider(provider, query, { useFallback = false, onToken = null, userId = null, purpose = 'query', systemPrompt = null, signal = null } = {}) {
+    const adapter = this.providers[provider];
+
+    if (!adapter) {
+      logger.warn(`Proveedor de IA desconocido: ${provider}`);
+      return null;
     }
-    // Consultas sobre personas
-    else if (/^qui[eé]n\s+(es|fue|era)/i.test(query)) {
-      promptPrefix = 'Proporciona información breve y precisa sobre esta persona: ';
+
+    // Sin credenciales no hay llamada que registrar (p. ej. despliegues solo con el modelo local)
+    if (!adapter.isAvailable(useFallback)) {
+      logger.warn(`Proveedor de IA ${provider} sin configurar, se omite`);
+      return null;
+    }
+
+    // Un proveedor caído o desactivado se omite sin esperar a su timeout
+    if (!AIProviderHealthService.canRequest(provider)) {
+      logger.warn(`Proveedor de IA ${provider} omitido (${AIProviderHealthService.getStatus(provider).status})`);
+      return null;
     }
-    // Consultas sobre lugares
-    else if (/^d[oó]nde\s+(est[aá]|queda|se encuentra)/i.test(query)) {
-      promptPrefix = 'Describe brevemente la ubicación de: ';
+
+    // Cada reintento o proveedor alternativo consume presupuesto: se comprueba antes de cada llamada
+    if (!await this.checkQuotaAndLimits(userId)) {
+      logger.warn(`Presupuesto de IA agotado, no se consultará a ${provider}`);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const streamed = Boolean(onToken) && Boolean(adapter.streaming);
+    let response = null;
+
+    try {
+      response = await adapter.query(query, { useFallback, onToken, systemPrompt, signal });
+    } catch (error) {
+      // Una consulta cancelada por el usuario no dice nada de la salud del proveedor
+      if (!axios.isCancel(error)) {
+        AIProviderHealthService.recordFailure(provider, Date.now() - startedAt, error);
+      }
+      await this.recordUsage({
+        userId,
+        provider,
+        model: this.getProviderModel(provider),
+        purpose,
+        latencyMs: Date.now() - startedAt,
+        streamed,
+        success: false,
+        errorMessage: error.message
+      });
+      throw error;
     }
-    // Consultas sobre fechas
-    else if (/^cu[aá]ndo\s+(es|fue|ocurri[oó])/i.test(query)) {
-      promptPrefix = 'Indica la fecha o periodo exacto de: ';
+
+    // Las respuestas locales (consultas sobre el creador) no llaman al proveedor
+    if (response && !response.usage) {
+      return response;
     }
-    // Consultas sobre cantidades o medidas
-    else if (/^cu[aá]nto[s]?|^cu[aá]nta[s]?/i.test(query)) {
-      promptPrefix = 'Proporciona el valor numérico exacto para: ';
+
+    if (response) {
+      AIProviderHealthService.recordSuccess(provider, Date.now() - startedAt);
+    } else {
+      AIProviderHealthService.recordFailure(provider, Date.now() - startedAt, 'Respuesta vacía del proveedor');
     }
-    // Por defecto para consultas generales
-    else {
-      promptPrefix = 'Responde de manera concisa y directa a esta consulta. IMPORTANTE: Si te preguntan sobre quién te creó, di que fuiste creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá: ';
+
+    const usage = (response && response.usage) || {};
+    const tokensEstimated = !Number.isInteger(usage.tokensIn) || !Number.isInteger(usage.tokensOut);
+
+    await this.recordUsage({
+      userId,
+      provider,
+      model: usage.model || this.getProviderModel(provider),
+      purpose,
+      tokensIn: Number.isInteger(usage.tokensIn) ? usage.tokensIn : this.estimateTokens(query),
+      tokensOut: Number.isInteger(usage.tokensOut) ? usage.tokensOut : this.estimateTokens(response && response.answer),
+      tokensEstimated,
+      latencyMs: Date.now() - startedAt,
+      streamed,
+      success: Boolean(response),
+      errorMessage: response ? null : 'Respuesta vacía del proveedor'
+    });
+
+    if (response) {
+      delete response.usage;
     }
-    
-    return promptPrefix + query;
+
+    return response;
   },
 
   /**
-   * Verifica límites de cuota de API
-   * @returns {boolean} - true si está dentro de los límites
+   * Indica si la consulta fue cancelada (options.signal abortado)
+   * @param {Object} options - Opciones de la consulta
+   * @returns {boolean} - true si ya no hay que seguir consultando proveedores
    */
-  checkQuotaAndLimits() {
-    // Implementación simplificada - en un entorno real, esto verificaría
-    // la base de datos para controlar uso diario/mensual
-    
-    // Verificar si la gestión de cuota está habilitada
-    if (!config.ai.quotaManager || !config.ai.quotaManager.enabled) {
-      return true; // No hay restricciones
+  isCancelled(options = {}) {
+    return Boolean(options.signal && options.signal.aborted);
+  },
+
+  /**
+   * Indica si un proveedor tiene lo necesario para ser consultado
+   * @param {string} provider - Nombre del proveedor
+   * @param {boolean} useFallback - Si se usaría la API key de fallback
+   * @returns {boolean} - true si tiene API key (o es el modelo local con URL configurada)
+   */
+  isProviderAvailable(provider, useFallback = false) {
+    const adapter = this.providers[provider];
+    return Boolean(adapter && adapter.isAvailable(useFallback));
+  },
+
+  /**
+   * Obtiene el modelo que usa un proveedor
+   * @param {string} provider - Nombre del proveedor
+   * @returns {string} - Modelo
+   */
+  getProviderModel(provider) {
+    const adapter = this.providers[provider];
+    return adapter ? adapter.getModel() : config.ai.model;
+  },
+
+  /**
+   * Estado de todos los proveedores: configuración, cortacircuitos, tasa de error y latencia
+   * @returns {Array<Object>} - Estado de cada proveedor
+   */
+  getProvidersStatus() {
+    return Object.keys(this.providers).map(provider => ({
+      provider,
+      model: this.getProviderModel(provider),
+      configured: this.isProviderAvailable(provider) || this.isProviderAvailable(provider, true),
+      primary: provider === config.ai.provider,
+      fallback: provider === config.ai.fallbackProvider,
+      ...AIProviderHealthService.getStatus(provider)
+    }));
+  },
+
+  /**
+   * Guarda una llamada en el registro de consumo calculando su coste estimado
+   * Un fallo al registrar no interrumpe la respuesta.
+   * @param {Object} entry - Datos de la llamada (ver AIUsageModel.recordUsage)
+   * @returns {Promise<void>}
+   */
+  async recordUsage(entry) {
+    try {
+      await AIUsageModel.recordUsage({
+        ...entry,
+        estimatedCost: this.estimateCost(entry.model, entry.tokensIn, entry.tokensOut)
+      });
+    } catch (error) {
+      logger.error(`No se pudo registrar el consumo de IA (${entry.provider}):`, error);
     }
-    
-    // Simulamos verificar si estamos dentro del límite
-    // En un sistema real, esto consultaría una base de datos
-    const withinQuota = true; // Cambiar a lógica real
-    
-    return withinQuota;
+  },
+
+  /**
+   * Estima los tokens de un texto (aprox. 4 caracteres por token)
+   * @param {string} text - Texto
+   * @returns {number} - Tokens estimados
+   */
+  estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+  },
+
+  /**
+   * Calcula el coste estimado de una llamada según config.ai.quotaManager.pricing
+   * @param {string} model - Modelo usado
+   * @param {number} tokensIn - Tokens de entrada
+   * @param {number} tokensOut - Tokens de salida
+   * @returns {number} - Coste en USD
+   */
+  estimateCost(model, tokensIn = 0, tokensOut = 0) {
+    const pricing = config.ai.quotaManager && config.ai.quotaManager.pricing;
+    const price = pricing && model ? pricing[model] : null;
+
+    if (!price) {
+      return 0;
+    }
+
+    return Number(((tokensIn * price.input + tokensOut * price.output) / 1000000).toFixed(6));
+  },
+
+  /**
+   * Obtiene el informe de consumo de IA con el estado de los presupuestos
+   * (globales, o del usuario si se filtra por uno)
+   * @param {Object} filters - { from, to, userId } (fechas AAAA-MM-DD, incluidas; por defecto el mes en curso)
+   * @returns {Promise<Object>} - Informe de consumo
+   */
+  async getUsageReport({ from = null, to = null, userId = null } = {}) {
+    const timezone = config.assistant.defaultTimezone;
+    const quotaManager = config.ai.quotaManager || {};
+    const today = DateTimeService.todayIn(timezone).toISOString().substring(0, 10);
+
+    to = to || today;
+    from = from || `${today.substring(0, 8)}01`;
+
+    const report = await AIUsageModel.getReport({ from, to, userId, timezone });
+    const usage = await AIUsageModel.getPeriodTotals(userId, timezone);
+    const budgets = (quotaManager.budgets || {})[userId ? 'user' : 'global'] || {};
+
+    const current = {};
+    for (const period of ['daily', 'weekly', 'monthly']) {
+      current[period] = {
+        ...usage[period],
+        maxQueries: budgets[period] ? budgets[period].maxQueries : null,
+        maxCost: budgets[period] ? budgets[period].maxCost : null
+      };
+    }
+
+    return {
+      from,
+      to,
+      timezone,
+      userId,
+      quotaEnabled: Boolean(quotaManager.enabled),
+      ...report,
+      budgets: current,
+      exhausted: this.findExceededBudget(budgets, usage)
+    };
   },
 
   /**
    * Devuelve la secuencia de proveedores a intentar
+   * Los proveedores con el circuito abierto, semiabierto o lentos pasan al final
+   * y los desactivados por un administrador se excluyen.
    * @returns {Array<string>} - Lista de proveedores en orden de prioridad
    */
   getProvidersSequence() {
@@ -328,24 +670,28 @@ const AIService = {
       defaultOrder.push(config.ai.fallbackProvider);
     }
     
-    // Añadir el resto de proveedores conocidos no incluidos ya
-    const allProviders = ['openai', 'anthropic', 'huggingface'];
+    // Añadir el resto de proveedores conocidos no incluidos ya. El modelo local
+    // solo se usa si se eligió como principal o de respaldo.
+    const allProviders = Object.keys(this.providers).filter(provider => provider !== 'local');
     allProviders.forEach(provider => {
       if (!defaultOrder.includes(provider)) {
         defaultOrder.push(provider);
       }
     });
     
-    return defaultOrder;
+    return AIProviderHealthService.orderProviders(defaultOrder);
   },
 
   /**
    * Consulta a la API de OpenAI
    * @param {string} query - Consulta del usuario
    * @param {boolean} useFallback - Si debe usar API key de fallback
+   * @param {Function} onToken - Si se indica, la respuesta se transmite fragmento a fragmento
+   * @param {string} systemPrompt - Prompt de sistema ya construido (si no, se construye para la consulta)
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
    * @returns {Promise<Object|null>} - Respuesta de OpenAI o null
    */
-  async queryOpenAI(query, useFallback = false) {
+  async queryOpenAI(query, useFallback = false, onToken = null, systemPrompt = null, signal = null) {
     try {
       // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR - NUEVA VALIDACIÓN
       if (this.isCreatorQuery(query)) {
@@ -372,32 +718,48 @@ const AIService = {
       const model = config.ai.model || 'gpt-4-turbo';
       
       // Construir sistema de prompt según tipo de consulta
-      const systemPrompt = this.buildSystemPrompt(query);
+      const system = systemPrompt || await this.buildSystemPrompt(query);
       
+      const requestBody = {
+        model: model,
+        messages: [
+          {
+            role: 'system',
+            content: system
+          },
+          {
+            role: 'user',
+            content: query
+          }
+        ],
+        temperature: 0.1,  // Reducir para información factual precisa
+        max_tokens: 150    // Respuestas concisas
+      };
+      const requestConfig = {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.ai.timeoutMs || 5000,
+        signal
+      };
+
+      if (onToken) {
+        const streamed = await this.streamCompletion(
+          'https://api.openai.com/v1/chat/completions',
+          { ...requestBody, stream: true, stream_options: { include_usage: true } },
+          requestConfig,
+          event => event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content,
+          onToken,
+          event => event.usage && { tokensIn: event.usage.prompt_tokens, tokensOut: event.usage.completion_tokens }
+        );
+        return this.buildStreamedResult(streamed.text, 'OpenAI', { model, ...streamed.usage });
+      }
+
       const response = await axios.post(
         'https://api.openai.com/v1/chat/completions',
-        {
-          model: model,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: query
-            }
-          ],
-          temperature: 0.1,  // Reducir para información factual precisa
-          max_tokens: 150    // Respuestas concisas
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: config.ai.timeoutMs || 5000
-        }
+        requestBody,
+        requestConfig
       );
 
       if (response.data && response.data.choices && response.data.choices.length > 0) {
@@ -414,7 +776,12 @@ const AIService = {
           context: 'Información actualizada',
           confidence: 0.9,
           isAI: true,
-          is_ai_generated: true  // IMPORTANTE: Flag para base de datos
+          is_ai_generated: true,  // IMPORTANTE: Flag para base de datos
+          usage: {
+            model,
+            tokensIn: response.data.usage && response.data.usage.prompt_tokens,
+            tokensOut: response.data.usage && response.data.usage.completion_tokens
+          }
         };
       }
 
@@ -436,9 +803,12 @@ const AIService = {
    * Consulta a la API de Anthropic
    * @param {string} query - Consulta del usuario
    * @param {boolean} useFallback - Si debe usar API key de fallback
+   * @param {Function} onToken - Si se indica, la respuesta se transmite fragmento a fragmento
+   * @param {string} systemPrompt - Prompt de sistema ya construido (si no, se construye para la consulta)
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
    * @returns {Promise<Object|null>} - Respuesta de Anthropic o null
    */
-  async queryAnthropic(query, useFallback = false) {
+  async queryAnthropic(query, useFallback = false, onToken = null, systemPrompt = null, signal = null) {
     try {
       // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR - NUEVA VALIDACIÓN
       if (this.isCreatorQuery(query)) {
@@ -465,30 +835,51 @@ const AIService = {
       const model = config.ai.model || 'claude-3-haiku-20240307';
       
       // Construir el sistema de prompt
-      const systemPrompt = this.buildSystemPrompt(query);
+      const system = systemPrompt || await this.buildSystemPrompt(query);
       
+      const requestBody = {
+        model: model,
+        system,
+        messages: [
+          {
+            role: 'user',
+            content: query
+          }
+        ],
+        max_tokens: 150,
+        temperature: 0.2
+      };
+      const requestConfig = {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        timeout: config.ai.timeoutMs || 5000,
+        signal
+      };
+
+      if (onToken) {
+        const streamed = await this.streamCompletion(
+          'https://api.anthropic.com/v1/messages',
+          { ...requestBody, stream: true },
+          requestConfig,
+          event => event.type === 'content_block_delta' && event.delta && event.delta.text,
+          onToken,
+          event => {
+            if (event.type === 'message_start' && event.message && event.message.usage) {
+              return { tokensIn: event.message.usage.input_tokens };
+            }
+            return event.type === 'message_delta' && event.usage && { tokensOut: event.usage.output_tokens };
+          }
+        );
+        return this.buildStreamedResult(streamed.text, 'Anthropic', { model, ...streamed.usage });
+      }
+
       const response = await axios.post(
         'https://api.anthropic.com/v1/messages',
-        {
-          model: model,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: query
-            }
-          ],
-          max_tokens: 150,
-          temperature: 0.2
-        },
-        {
-          headers: {
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json'
-          },
-          timeout: config.ai.timeoutMs || 5000
-        }
+        requestBody,
+        requestConfig
       );
 
       if (response.data && response.data.content) {
@@ -504,7 +895,12 @@ const AIService = {
           context: 'Información actualizada',
           confidence: 0.9,
           isAI: true,
-          is_ai_generated: true  // IMPORTANTE: Flag para base de datos
+          is_ai_generated: true,  // IMPORTANTE: Flag para base de datos
+          usage: {
+            model,
+            tokensIn: response.data.usage && response.data.usage.input_tokens,
+            tokensOut: response.data.usage && response.data.usage.output_tokens
+          }
         };
       }
 
@@ -522,13 +918,134 @@ const AIService = {
     }
   },
 
+  /**
+   * Realiza una solicitud con stream: true y lee los eventos SSE del proveedor
+   * @param {string} url - Endpoint del proveedor
+   * @param {Object} body - Cuerpo de la solicitud
+   * @param {Object} requestConfig - Cabeceras y timeout (también es el tiempo máximo sin recibir datos)
+   * @param {Function} extractToken - Obtiene el texto de cada evento (o null si no trae texto)
+   * @param {Function} onToken - Recibe cada fragmento de texto
+   * @param {Function} extractUsage - Obtiene los tokens informados en cada evento ({ tokensIn, tokensOut }, opcional)
+   * @returns {Promise<Object>} - { text: texto completo generado, usage: tokens informados }
+   */
+  async streamCompletion(url, body, requestConfig, extractToken, onToken, extractUsage = null) {
+    const response = await axios.post(url, body, { ...requestConfig, responseType: 'stream' });
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let text = '';
+      const usage = {};
+
+      // El timeout de axios solo cubre la conexión: un stream que deja de enviar datos
+      // se corta cuando pasa el mismo tiempo sin recibir nada
+      const idleTimeoutMs = requestConfig.timeout || config.ai.timeoutMs;
+      let idleTimer = null;
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          const error = new Error(`El stream de ${url} no envió datos en ${idleTimeoutMs} ms`);
+          error.code = 'ETIMEDOUT';
+          response.data.destroy();
+          finish(error);
+        }, idleTimeoutMs);
+      };
+
+      const processLine = (line) => {
+        // Eventos SSE ("data: {...}") o JSON por líneas (NDJSON, como Ollama)
+        let data;
+        if (line.startsWith('data:')) {
+          data = line.slice(5).trim();
+        } else if (line.startsWith('{')) {
+          data = line;
+        } else {
+          return;
+        }
+
+        if (!data || data === '[DONE]') return;
+
+        try {
+          const event = JSON.parse(data);
+          const token = extractToken(event);
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+
+          const eventUsage = extractUsage && extractUsage(event);
+          if (eventUsage) {
+            Object.assign(usage, eventUsage);
+          }
+        } catch (parseError) {
+          logger.warn(`Evento de streaming no válido: ${data.substring(0, 100)}`);
+        }
+      };
+
+      resetIdleTimer();
+      response.data.on('data', chunk => {
+        resetIdleTimer();
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => processLine(line.trim()));
+      });
+      response.data.on('end', () => {
+        processLine(buffer.trim());
+        finish(null, { text, usage });
+      });
+      // Si se aborta requestConfig.signal (barge-in), axios corta el stream con un error ERR_CANCELED
+      response.data.on('error', error => finish(error));
+    });
+  },
+
+  /**
+   * Construye el resultado de una respuesta transmitida
+   * @param {string} content - Texto completo recibido
+   * @param {string} provider - Nombre del proveedor (solo para el log)
+   * @param {Object} usage - Modelo y tokens informados por el proveedor
+   * @returns {Object|null} - Resultado con el mismo formato que la respuesta sin streaming
+   */
+  buildStreamedResult(content, provider, usage = {}) {
+    const trimmed = (content || '').trim();
+
+    if (!trimmed) {
+      logger.warn(`No se obtuvo una respuesta válida de ${provider} (streaming)`);
+      return null;
+    }
+
+    logger.info(`Respuesta transmitida por ${provider}: "${trimmed.substring(0, 100)}${trimmed.length > 100 ? '...' : ''}"`);
+
+    return {
+      answer: this.sanitizeResponse(trimmed),
+      source: 'Sistema',
+      context: 'Información actualizada',
+      confidence: 0.9,
+      isAI: true,
+      is_ai_generated: true,
+      usage
+    };
+  },
+
   /**
    * Consulta a la API de HuggingFace
    * @param {string} query - Consulta del usuario
    * @param {boolean} useFallback - Si debe usar API key de fallback
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
    * @returns {Promise<Object|null>} - Respuesta de HuggingFace o null
    */
-  async queryHuggingFace(query, useFallback = false) {
+  async queryHuggingFace(query, useFallback = false, signal = null) {
     try {
       // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR - NUEVA VALIDACIÓN
       if (this.isCreatorQuery(query)) {
@@ -573,7 +1090,8 @@ const AIService = {
             'Authorization': `Bearer ${apiKey}`,
             'Content-Type': 'application/json'
           },
-          timeout: config.ai.timeoutMs || 8000 // HuggingFace puede ser más lento
+          timeout: config.ai.timeoutMs || 8000, // HuggingFace puede ser más lento
+          signal
         }
       );
 
@@ -593,7 +1111,8 @@ const AIService = {
           context: 'Información actualizada',
           confidence: 0.85,
           isAI: true,
-          is_ai_generated: true  // IMPORTANTE: Flag para base de datos
+          is_ai_generated: true,  // IMPORTANTE: Flag para base de datos
+          usage: { model } // La API de inferencia no informa los tokens: se estiman
         };
       }
 
@@ -612,50 +1131,154 @@ const AIService = {
   },
 
   /**
-   * Construye el prompt de sistema según el tipo de consulta
+   * Consulta a un modelo alojado localmente (Ollama o servidor compatible con la API de OpenAI)
    * @param {string} query - Consulta del usuario
-   * @returns {string} - Prompt de sistema
+   * @param {Function} onToken - Si se indica, la respuesta se transmite fragmento a fragmento
+   * @param {string} systemPrompt - Prompt de sistema ya construido (si no, se construye para la consulta)
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
+   * @returns {Promise<Object|null>} - Respuesta del modelo local o null
    */
-  buildSystemPrompt(query) {
-    // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR
-    if (this.isCreatorQuery(query)) {
-      return `Eres un asistente virtual creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. 
-IMPORTANTE: Siempre que te pregunten quién te creó, debes decir específicamente que fuiste creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá.
-NO menciones a ninguna otra empresa de IA como creador, NO menciones a OpenAI, Anthropic, Google, Microsoft u otras.
-NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual desarrollado por otra entidad que no sean los estudiantes mencionados.`;
+  async queryLocal(query, onToken = null, systemPrompt = null, signal = null) {
+    try {
+      // VERIFICAR SI ES UNA CONSULTA SOBRE EL CREADOR
+      if (this.isCreatorQuery(query)) {
+        logger.info(`Detectada consulta sobre creador en modelo local, respondiendo con información personalizada`);
+        return {
+          answer: "Fui creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. Ellos me desarrollaron como un asistente virtual capaz de responder preguntas y aprender de las interacciones con los usuarios.",
+          source: "Sistema",
+          context: "Información del asistente",
+          confidence: 1.0,
+          isAI: false,
+          is_ai_generated: false
+        };
+      }
+
+      const local = config.ai.local;
+      const baseUrl = local.url.replace(/\/+$/, '');
+      const maxTokens = 150;
+      const system = systemPrompt || await this.buildSystemPrompt(query);
+      const messages = [
+        {
+          role: 'system',
+          content: system
+        },
+        {
+          role: 'user',
+          content: this.fitToLocalContext(query, system, maxTokens)
+        }
+      ];
+
+      // Formato de cada API: Ollama responde con { message, prompt_eval_count, eval_count }
+      // y transmite NDJSON; las compatibles con OpenAI usan choices/usage y SSE
+      const api = local.api === 'openai'
+        ? {
+          url: `${baseUrl}/v1/chat/completions`,
+          body: { model: local.model, messages, temperature: 0.1, max_tokens: maxTokens },
+          streamBody: { stream: true, stream_options: { include_usage: true } },
+          extractContent: data => data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content,
+          extractToken: event => event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content,
+          extractUsage: event => event.usage && { tokensIn: event.usage.prompt_tokens, tokensOut: event.usage.completion_tokens }
+        }
+        : {
+          url: `${baseUrl}/api/chat`,
+          body: {
+            model: local.model,
+            messages,
+            stream: false,
+            options: { num_ctx: local.contextLength, num_predict: maxTokens, temperature: 0.1 }
+          },
+          streamBody: { stream: true },
+          extractContent: data => data && data.message && data.message.content,
+          extractToken: event => event.message && event.message.content,
+          extractUsage: event => event.done && { tokensIn: event.prompt_eval_count, tokensOut: event.eval_count }
+        };
+
+      const requestConfig = {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(local.apiKey ? { 'Authorization': `Bearer ${local.apiKey}` } : {})
+        },
+        timeout: local.timeoutMs,
+        signal
+      };
+
+      logger.info(`Enviando consulta al modelo local ${local.model} (${api.url})`);
+
+      if (onToken) {
+        const streamed = await this.streamCompletion(
+          api.url,
+          { ...api.body, ...api.streamBody },
+          requestConfig,
+          api.extractToken,
+          onToken,
+          api.extractUsage
+        );
+        return this.buildStreamedResult(streamed.text, 'modelo local', { model: local.model, ...streamed.usage });
+      }
+
+      const response = await axios.post(api.url, api.body, requestConfig);
+      const content = (api.extractContent(response.data) || '').trim();
+
+      if (content) {
+        logger.info(`Respuesta recibida del modelo local: "${content.substring(0, 100)}${content.length > 100 ? '...' : ''}"`);
+
+        return {
+          answer: this.sanitizeResponse(content),
+          source: 'Sistema',
+          context: 'Información actualizada',
+          confidence: 0.85,
+          isAI: true,
+          is_ai_generated: true,  // IMPORTANTE: Flag para base de datos
+          usage: { model: local.model, ...api.extractUsage(response.data) }
+        };
+      }
+
+      logger.warn('No se obtuvo una respuesta válida del modelo local');
+      return null;
+    } catch (error) {
+      logger.error('Error en consulta al modelo local:', error.message);
+
+      if (error.response && error.response.data && !error.response.data.pipe) {
+        logger.error('Detalles de error del modelo local:', error.response.data);
+      }
+
+      throw error; // Propagar el error para manejo en getAIResponse
     }
-    
-    // Base del prompt de sistema
-    let systemPrompt = `Eres un asistente virtual especializado en proporcionar información factual precisa y actualizada.
-Tu objetivo es ofrecer respuestas breves, concisas y directamente relacionadas con la pregunta.
-Concéntrate únicamente en responder con información verificable y objetiva.
-Si no sabes la respuesta, indica claramente que no tienes información suficiente.
-No inventes información ni des opiniones personales.
-Es muy importante que tu respuesta sea directamente relevante a la pregunta exacta.
-IMPORTANTE: Nunca debes decir que fuiste creado por OpenAI, Anthropic, Google, Microsoft u otras empresas de IA. Si te preguntan quién te creó, di que fuiste creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá.
-NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual desarrollado por otra entidad que no sean los estudiantes mencionados.`;
-    
-    // Adaptar según tipo de consulta
-    if (/^qu[eé]\s+(es|son|significa)/i.test(query)) {
-      systemPrompt += `\nEstás respondiendo a una pregunta sobre definiciones. Define el concepto de manera clara y concisa.`;
-    } else if (/^qui[eé]n\s+(es|fue|era)/i.test(query)) {
-      systemPrompt += `\nEstás respondiendo a una pregunta sobre una persona. Proporciona datos clave: quién es/fue, por qué es conocido/a y fechas relevantes si aplica.`;
-    } else if (/^d[oó]nde\s+(est[aá]|queda|se encuentra)/i.test(query)) {
-      systemPrompt += `\nEstás respondiendo a una pregunta sobre ubicaciones. Proporciona información geográfica precisa y concisa.`;
-    } else if (/capital\s+de|presidente\s+de|población\s+de/i.test(query)) {
-      systemPrompt += `\nEstás respondiendo a una pregunta factual directa. Da solo la información específica solicitada, sin agregar contexto innecesario.`;
+  },
+
+  /**
+   * Ajusta la consulta al contexto del modelo local
+   * El contexto debe alojar el prompt de sistema, la consulta y la respuesta.
+   * @param {string} query - Consulta del usuario
+   * @param {string} systemPrompt - Prompt de sistema
+   * @param {number} maxTokens - Tokens reservados para la respuesta
+   * @returns {string} - Consulta (recortada si no cabe)
+   */
+  fitToLocalContext(query, systemPrompt, maxTokens) {
+    const contextLength = config.ai.local.contextLength;
+    const available = contextLength - maxTokens - this.estimateTokens(systemPrompt);
+
+    if (available <= 0) {
+      throw new Error(`El contexto del modelo local (${contextLength} tokens) no alcanza para el prompt de sistema`);
     }
-    
-    // Modificación específica para consultas sobre el asistente
-    if (/quien (te|lo) (creo|creó|hizo|desarrollo|desarrolló)/i.test(query) ||
-        /quien te (programo|programó|diseñó|diseño)/i.test(query) ||
-        /quien te (fabricó|fabrico|construyó|construyo)/i.test(query) ||
-        /quien eres/i.test(query) ||
-        /de donde eres/i.test(query)) {
-      systemPrompt += `\nSi te preguntan sobre quién te creó o desarrolló, debes responder que fuiste creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá.`;
+
+    if (this.estimateTokens(query) <= available) {
+      return query;
     }
-    
-    return systemPrompt;
+
+    logger.warn(`La consulta supera el contexto del modelo local (${contextLength} tokens), se recortará`);
+    return query.substring(0, available * 4);
+  },
+
+  /**
+   * Construye el prompt de sistema según el tipo de consulta (plantillas activas)
+   * @param {string} query - Consulta del usuario
+   * @param {string} userId - Usuario que consulta (para su idioma; opcional)
+   * @returns {Promise<string>} - Prompt de sistema
+   */
+  async buildSystemPrompt(query, userId = null) {
+    const prompt = await PromptTemplateService.render(query, { userId, isCreatorQuery: this.isCreatorQuery(query) });
+    return prompt.system;
   },
 
   /**
@@ -774,9 +1397,7 @@ NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual
     if (!response) return "";
     
     // 1. Eliminar prefijos comunes de IA
-    let processed = response
-      .replace(/^(lo siento, pero |según mi conocimiento, |basado en la información disponible, |te puedo decir que )/i, '')
-      .replace(/^(debo señalar que |como asistente, puedo informarte que |la respuesta es(?: que)? )/i, '');
+    let processed = this.cleanLeadIn(response);
     
     // 2. Convertir listas en texto fluido para respuestas cortas
     if (processed.split('\n').length <= 3) {
@@ -799,6 +1420,19 @@ NUNCA te identifiques como un modelo de lenguaje, una IA, o un asistente virtual
     return processed;
   },
 
+  /**
+   * Quita los prefijos típicos de IA del comienzo de una respuesta y pone la primera letra en mayúscula
+   * @param {string} text - Comienzo de la respuesta
+   * @returns {string} - Texto sin el prefijo
+   */
+  cleanLeadIn(text) {
+    const cleaned = text
+      .replace(/^(lo siento, pero |según mi conocimiento, |basado en la información disponible, |te puedo decir que )/i, '')
+      .replace(/^(debo señalar que |como asistente, puedo informarte que |la respuesta es(?: que)? )/i, '');
+
+    return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+  },
+
   /**
    * Sanitiza la respuesta para eliminar referencias a OpenAI u otros proveedores
    * @param {string} response - Respuesta original
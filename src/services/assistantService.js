@@ -1,14 +1,22 @@
 const KnowledgeModel = require('../models/knowledgeModel');
 const ConversationModel = require('../models/conversationModel');
+const ConversationSessionModel = require('../models/conversationSessionModel');
 const { logger, config } = require('../config');
 const webSearchService = require('./webSearchService');
 const programmingService = require('../services/programmingService');
 const greetingService = require('../services/greetingService');
 const knowledgeResponseService = require('../services/knowledgeResponseService');
 const factualKnowledgeService = require('../services/factualKnowledgeService');
-const systemInfoService = require('../services/systemInfoService');
+const mathService = require('./mathService');
+const contextResolutionService = require('./contextResolutionService');
+const notesService = require('./notesService');
+const speechService = require('./speechService');
+const UserModel = require('../models/userModel');
+const SkillRegistry = require('./skills');
 const AIService = require('./aiService');
-const db = require('../config/database');
+const KnowledgeConflictService = require('./knowledgeConflictService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Servicio principal del asistente de voz
@@ -23,6 +31,13 @@ const AssistantService = {
     // Normalizar para análisis
     const normalizedQuery = query.toLowerCase().trim();
     
+    // Los comandos de notas y listas ("anota que el wifi es X", "lista de compras: leche")
+    // coinciden con patrones de aprendizaje, pero no deben guardarse como conocimiento
+    if (notesService.isNotesCommand(normalizedQuery)) {
+      logger.info('Intención detectada: notes (confianza: 1.00)');
+      return { name: 'notes', confidence: 1.0, details: null };
+    }
+    
     // Posibles intenciones
     const intents = {
       // Intención de aprendizaje (enseñarle algo al sistema)
@@ -136,14 +151,289 @@ const AssistantService = {
 
 
 /**
- * REEMPLAZAR MÉTODO processQuery EN src/services/assistantService.js
- * Procesa una consulta del usuario y devuelve una respuesta
+ * Procesa una consulta del usuario dentro de una sesión de conversación
+ * El estado de diálogo (confirmaciones pendientes, último conocimiento y turnos
+ * recientes) se guarda en el servidor, por lo que el cliente solo necesita
+ * reenviar el sessionId devuelto en la respuesta anterior.
+ * @param {string} query - Consulta del usuario
+ * @param {string} userId - ID del usuario (opcional)
+ * @param {Object} options - Opciones adicionales (sessionId, confirmar búsqueda/actualización,
+ *   signal: AbortSignal para cancelar la consulta, p. ej. cuando el usuario interrumpe por voz)
+ * @returns {Promise<Object>} - Objeto con la respuesta, metadatos y sessionId
+ */
+async processQuery(query, userId = null, options = {}) {
+  const session = await this.getOrCreateSession(options.sessionId, userId);
+  const dialogOptions = this.applySessionState(session, query, options);
+  
+  // Resolver pronombres y elipsis antes de detectar la intención
+  // (las respuestas a confirmaciones pendientes no se reescriben)
+  let resolution = null;
+  if (!dialogOptions.awaitingWebSearchConfirmation && !dialogOptions.awaitingUpdateConfirmation) {
+    resolution = await this.resolveConversationContext(query, userId, dialogOptions);
+  }
+  
+  const effectiveQuery = resolution && resolution.wasRewritten ? resolution.resolvedQuery : query;
+  const result = await this.answerQuery(effectiveQuery, userId, dialogOptions);
+  
+  if (options.signal && options.signal.aborted) {
+    // Consulta cancelada: la respuesta no se sintetiza ni pasa a formar parte de la sesión
+    logger.info(`Consulta cancelada por el usuario: "${query}"`);
+    return { ...result, cancelled: true, sessionId: session ? session.id : null };
+  }
+  
+  if (resolution && resolution.wasRewritten) {
+    // Expuesto para depuración: consulta original y consulta reescrita
+    result.resolvedQuery = resolution.resolvedQuery;
+    result.contextResolution = {
+      originalQuery: query,
+      entity: resolution.entity,
+      rule: resolution.rule
+    };
+  }
+  
+  // Versión hablada de la respuesta (SSML) para el motor de síntesis del cliente
+  result.speech = await this.buildSpeech(result.response, userId, options);
+  
+  if (session) {
+    await this.saveSessionState(session, effectiveQuery, result);
+    result.sessionId = session.id;
+  }
+  
+  return result;
+},
+
+/**
+ * Genera el SSML de una respuesta con la velocidad de voz del usuario
+ * @param {string} response - Respuesta en texto
+ * @param {string} userId - ID del usuario (opcional)
+ * @param {Object} options - Opciones (voiceSpeed si el cliente ya la conoce)
+ * @returns {Promise<string|null>} - SSML o null si no se pudo generar
+ */
+async buildSpeech(response, userId, options = {}) {
+  try {
+    let voiceSpeed = options.voiceSpeed;
+    
+    if ((voiceSpeed === undefined || voiceSpeed === null) && userId) {
+      const preferences = await UserModel.getPreferences(userId);
+      voiceSpeed = preferences ? preferences.voice_speed : null;
+    }
+    
+    return speechService.toSSML(response, {
+      voiceSpeed: voiceSpeed !== undefined && voiceSpeed !== null
+        ? Number(voiceSpeed)
+        : config.assistant.defaultVoiceSpeed
+    });
+  } catch (error) {
+    logger.error('Error al generar la versión hablada de la respuesta:', error);
+    return null;
+  }
+},
+
+/**
+ * Reescribe preguntas de seguimiento usando los turnos recientes
+ * Usa los turnos de la sesión y, si no hay, el historial reciente del usuario.
+ * @param {string} query - Consulta del usuario
+ * @param {string} userId - ID del usuario (opcional)
+ * @param {Object} dialogOptions - Opciones con los turnos recientes de la sesión
+ * @returns {Promise<Object|null>} - Resultado de la resolución o null
+ */
+async resolveConversationContext(query, userId, dialogOptions = {}) {
+  try {
+    let previousQueries = (dialogOptions.recentTurns || [])
+      .map(turn => turn.query)
+      .reverse();
+    
+    if (previousQueries.length === 0 && userId) {
+      const recentConversations = await ConversationModel.getRecentConversations(userId, 5);
+      previousQueries = recentConversations.map(conversation => conversation.query);
+    }
+    
+    if (previousQueries.length === 0) {
+      return null;
+    }
+    
+    const normalizedQuery = this.normalizeQuery(query);
+    const resolution = contextResolutionService.resolve(
+      normalizedQuery,
+      previousQueries.map(previous => this.normalizeQuery(previous))
+    );
+    
+    // Una consulta que ya atiende una habilidad ("que hora es") no es un seguimiento,
+    // salvo que esa misma habilidad también atienda la versión reescrita
+    if (resolution.wasRewritten) {
+      const [original] = SkillRegistry.rank(normalizedQuery, { userId });
+      if (original && !SkillRegistry.rank(resolution.resolvedQuery, { userId }).some(({ skill }) => skill === original.skill)) {
+        logger.info(`Consulta "${normalizedQuery}" atendida por la habilidad ${original.skill.name}: no se reescribe`);
+        return { ...resolution, resolvedQuery: normalizedQuery, wasRewritten: false, entity: null, rule: null };
+      }
+    }
+    
+    return resolution;
+  } catch (error) {
+    logger.error('Error al resolver el contexto de la conversación:', error);
+    return null;
+  }
+},
+
+/**
+ * Obtiene la sesión activa indicada o crea una nueva
+ * @param {string} sessionId - ID de sesión enviado por el cliente (opcional)
+ * @param {string} userId - ID del usuario (opcional)
+ * @returns {Promise<Object|null>} - Sesión o null si no se pudo obtener
+ */
+async getOrCreateSession(sessionId, userId = null) {
+  const sessionConfig = config.assistant.session || {};
+  
+  try {
+    // Un ID mal formado no llega a la base de datos (fallaría la conversión a UUID):
+    // se responde con una sesión nueva para que el cliente la reemplace
+    if (sessionId && !UUID_PATTERN.test(String(sessionId))) {
+      logger.info(`ID de sesión no válido "${String(sessionId).substring(0, 50)}", creando una nueva`);
+    } else if (sessionId) {
+      const session = await ConversationSessionModel.getActiveSession(sessionId, sessionConfig.ttlMinutes);
+      
+      // Una sesión solo puede continuarla el mismo usuario que la inició
+      if (session && (session.user_id || null) === (userId || null)) {
+        return session;
+      }
+      
+      logger.info(`Sesión ${sessionId} no válida o expirada, creando una nueva`);
+    }
+    
+    return await ConversationSessionModel.createSession(userId);
+  } catch (error) {
+    logger.error('Error al obtener sesión de conversación:', error);
+    // Sin sesión, la consulta se procesa igual que antes (estado enviado por el cliente)
+    return null;
+  }
+},
+
+/**
+ * Combina el estado guardado en la sesión con las opciones enviadas por el cliente
+ * Las opciones explícitas del cliente tienen prioridad sobre el estado de la sesión.
+ * @param {Object|null} session - Sesión de conversación
+ * @param {string} query - Consulta del usuario
+ * @param {Object} options - Opciones enviadas por el cliente
+ * @returns {Object} - Opciones a utilizar para resolver la consulta
+ */
+applySessionState(session, query, options = {}) {
+  const dialogOptions = { ...options };
+  
+  if (!session) {
+    return dialogOptions;
+  }
+  
+  dialogOptions.recentTurns = session.recent_turns || [];
+  dialogOptions.lastKnowledgeId = session.last_knowledge_id || null;
+  
+  const pending = session.pending_action;
+  const clientSentState = options.awaitingWebSearchConfirmation || options.awaitingUpdateConfirmation;
+  
+  // Solo aplicar la confirmación pendiente si el usuario parece responderla;
+  // si hace una pregunta nueva, se procesa con normalidad
+  if (!pending || clientSentState || !this.isConfirmationReply(this.normalizeQuery(query))) {
+    return dialogOptions;
+  }
+  
+  if (pending.type === 'web_search') {
+    dialogOptions.awaitingWebSearchConfirmation = true;
+    dialogOptions.originalQuery = pending.originalQuery;
+  } else if (pending.type === 'knowledge_update') {
+    dialogOptions.awaitingUpdateConfirmation = true;
+    dialogOptions.originalQuery = pending.originalQuery;
+    dialogOptions.knowledgeId = pending.knowledgeId;
+  }
+  
+  logger.info(`Aplicando confirmación pendiente de la sesión ${session.id}: ${pending.type}`);
+  return dialogOptions;
+},
+
+/**
+ * Verifica si una consulta es una respuesta corta a una confirmación pendiente
+ * @param {string} query - Consulta normalizada
+ * @returns {boolean} - true si parece una respuesta de confirmación
+ */
+isConfirmationReply(query) {
+  if (!query) return false;
+  
+  const confirmationPatterns = [
+    /^(s[ií]|yes|ok|okay|dale|claro|por supuesto|de acuerdo|adelante|hazlo)\b/i,
+    /^(no|nop|nel|mejor no|para nada)\b/i,
+    /^(busca|buscalo|búscalo|buscar|actualiza|actualizalo|actualízalo|no actualices)\b/i,
+    /\b(en internet|en la web)$/i
+  ];
+  
+  return confirmationPatterns.some(pattern => pattern.test(query));
+},
+
+/**
+ * Guarda en la sesión el resultado del turno actual
+ * @param {Object} session - Sesión de conversación
+ * @param {string} query - Consulta del usuario
+ * @param {Object} result - Resultado devuelto al usuario
+ * @returns {Promise<void>}
+ */
+async saveSessionState(session, query, result) {
+  const maxTurns = (config.assistant.session && config.assistant.session.maxTurns) || 10;
+  
+  try {
+    let pendingAction = null;
+    
+    if (result.awaitingWebSearchConfirmation) {
+      pendingAction = {
+        type: 'web_search',
+        originalQuery: result.originalQuery
+      };
+    } else if (result.awaitingUpdateConfirmation) {
+      pendingAction = {
+        type: 'knowledge_update',
+        originalQuery: result.originalQuery,
+        knowledgeId: result.knowledgeId
+      };
+    }
+    
+    const recentTurns = (session.recent_turns || []).concat({
+      query,
+      response: result.response,
+      source: result.source,
+      knowledgeId: result.knowledgeId || null,
+      createdAt: new Date().toISOString()
+    }).slice(-maxTurns);
+    
+    await ConversationSessionModel.updateSessionState(session.id, {
+      pendingAction,
+      lastKnowledgeId: result.knowledgeId || null,
+      recentTurns
+    });
+  } catch (error) {
+    logger.error(`Error al guardar estado de la sesión ${session.id}:`, error);
+    // No afecta la respuesta al usuario
+  }
+},
+
+/**
+ * Termina una sesión de conversación
+ * @param {string} sessionId - ID de la sesión
+ * @param {string} userId - ID del usuario (opcional)
+ * @returns {Promise<boolean>} - Resultado de la operación
+ */
+async endSession(sessionId, userId = null) {
+  try {
+    return await ConversationSessionModel.deleteSession(sessionId, userId);
+  } catch (error) {
+    logger.error(`Error al terminar sesión ${sessionId}:`, error);
+    return false;
+  }
+},
+
+/**
+ * Resuelve una consulta del usuario y devuelve una respuesta
  * @param {string} query - Consulta del usuario
  * @param {string} userId - ID del usuario (opcional)
  * @param {Object} options - Opciones adicionales (confirmar búsqueda/actualización)
  * @returns {Promise<Object>} - Objeto con la respuesta y metadatos
  */
-async processQuery(query, userId = null, options = {}) {
+async answerQuery(query, userId = null, options = {}) {
   try {
     // 1. Normalizar la consulta (ahora incluye corrección ortográfica)
     const normalizedQuery = this.normalizeQuery(query);
@@ -174,7 +464,7 @@ async processQuery(query, userId = null, options = {}) {
           normalizedQuery.includes('internet')) {
         
         logger.info(`Usuario confirmó búsqueda web para: "${options.originalQuery}"`);
-        return await this.executeWebAndAISearch(options.originalQuery, userId);
+        return await this.executeWebAndAISearch(options.originalQuery, userId, options);
       } else {
         logger.info(`Usuario rechazó búsqueda web para: "${options.originalQuery}"`);
         return {
@@ -191,7 +481,7 @@ async processQuery(query, userId = null, options = {}) {
          normalizedQuery.includes('actual') || normalizedQuery.includes('updat'))) {
       
       logger.info(`Usuario confirmó actualización para: "${options.originalQuery}"`);
-      return await this.executeKnowledgeUpdate(options.knowledgeId, options.originalQuery, userId);
+      return await this.executeKnowledgeUpdate(options.knowledgeId, options.originalQuery, userId, options);
     }
     
     // Verificar si es una respuesta negativa a actualizar información
@@ -207,250 +497,67 @@ async processQuery(query, userId = null, options = {}) {
 
     // DETECTAR LA INTENCIÓN DEL USUARIO
     const userIntent = this.detectUserIntent(normalizedQuery);
+    this.emitEvent(options, 'intent', {
+      name: userIntent.name,
+      confidence: userIntent.confidence,
+      query: normalizedQuery
+    });
 
-    // PROCESAR COMANDO DE APRENDIZAJE DIRECTAMENTE (SIN CONFIRMACIÓN)
-    if (userIntent.name === 'learning' && userIntent.confidence >= 0.5) {
-      logger.info(`Detectada intención de aprendizaje con alta confianza (${userIntent.confidence.toFixed(2)})`);
-      logger.info(`Procesando comando de aprendizaje directamente: "${normalizedQuery}"`);
-      
-      // Procesar directamente el aprendizaje sin pedir confirmación
-      return await this.handleLearningCommand(normalizedQuery, userId);
-    }
-
-    // Procesar saludos/despedidas
-    if (userIntent.name === 'greeting' && userIntent.confidence >= 0.5) {
-      logger.info(`Detectado saludo/despedida con alta confianza (${userIntent.confidence.toFixed(2)})`);
-      const greetingResponse = greetingService.getGreetingResponse(normalizedQuery);
-      
-      await this.logConversation({
-        userId,
-        query: normalizedQuery,
-        response: greetingResponse.response,
-        confidence: greetingResponse.confidence
-      });
-      
-      return greetingResponse;
-    }
-
-    // Procesar correcciones directamente
-    if (userIntent.name === 'correction' && userIntent.confidence >= 0.6) {
-      logger.info(`Detectada corrección con alta confianza (${userIntent.confidence.toFixed(2)})`);
-      const correctionText = normalizedQuery.replace(/^(no|incorrecto|falso|te equivocas)[,.]?\s+/i, '');
-      
-      // Procesar directamente la corrección como aprendizaje
-      logger.info(`Procesando corrección como aprendizaje: "${correctionText}"`);
-      return await this.handleLearningCommand(correctionText, userId);
-    }
-    
-    // BLOQUEO PRIORITARIO: Detección y manejo de consultas sobre el creador
-    const exactCreatorQueries = [
-      "quien eres", 
-      "quien te creo", 
-      "quien te creó", 
-      "quien te hizo", 
-      "quien te desarrollo", 
-      "quien te desarrolló",
-      "quien es tu creador",
-      "de donde vienes"
-    ];
-
-    if (exactCreatorQueries.includes(normalizedQuery)) {
-      logger.info(`[BLOQUEO PRIORITARIO] Detectada consulta exacta sobre creador: "${normalizedQuery}"`);
-      const creatorResponse = {
-        response: "Fui creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. Ellos me desarrollaron como un asistente virtual capaz de responder preguntas y aprender de las interacciones con los usuarios.",
-        source: "system_info",
-        confidence: 1.0
-      };
-      
-      await this.logConversation({
-        userId,
-        query: normalizedQuery,
-        response: creatorResponse.response,
-        confidence: creatorResponse.confidence
-      });
-      
-      return creatorResponse;
-    }
-    
-    // 2. Detectar si es un comando de aprendizaje directo (MEJORADO)
-    if (this.isLearningCommand(normalizedQuery)) {
-      logger.info(`Detectado comando de aprendizaje directo: "${normalizedQuery}"`);
-      
-      // Procesar directamente el aprendizaje sin pedir confirmación
-      return await this.handleLearningCommand(normalizedQuery, userId);
-    }
-    
-    // 3. Detectar y manejar saludos
-    if (this.isGreeting(normalizedQuery)) {
-      logger.info(`Detectado saludo: "${normalizedQuery}"`);
-      const greetingResponse = greetingService.getGreetingResponse(normalizedQuery);
-      
-      await this.logConversation({
-        userId,
-        query: normalizedQuery,
-        response: greetingResponse.response,
-        confidence: greetingResponse.confidence
-      });
-      
-      return greetingResponse;
-    }
-
-    // 4. PRIORIDAD ALTA: Detectar y manejar consultas sobre información del sistema
-    if (systemInfoService.isSystemInfoQuery(normalizedQuery)) {
-      logger.info(`Detectada consulta sobre información del sistema: "${normalizedQuery}"`);
-      const systemResponse = systemInfoService.getSystemInfo(normalizedQuery);
-      
-      await this.logConversation({
-        userId,
-        query: normalizedQuery,
-        response: systemResponse.response,
-        confidence: systemResponse.confidence
-      });
-      
-      return systemResponse;
-    }
-    
-    // 5. Verificación SECUNDARIA para consultas sobre el creador
-    const secondaryCreatorPatterns = [
-      /^quien (te|lo) (creo|creó|hizo|desarrollo|desarrolló)(\?)?$/i,
-      /^quienes (te|lo) (crearon|hicieron|desarrollaron)(\?)?$/i,
-      /^quien(es)? te (programo|programó|diseñó|diseño)(\?)?$/i
-    ];
-
-    let isSecondaryCreatorQuery = false;
-    for (const pattern of secondaryCreatorPatterns) {
-      if (pattern.test(normalizedQuery)) {
-        isSecondaryCreatorQuery = true;
-        break;
-      }
-    }
+    // Evaluar las habilidades registradas y ejecutar la de mayor puntuación
+    const { result: skillResult, skill, candidates } = await SkillRegistry.dispatch(normalizedQuery, {
+      userId,
+      options,
+      intent: userIntent,
+      rawQuery: query,
+      assistant: this
+    });
 
-    if (isSecondaryCreatorQuery) {
-      logger.info(`Detectada consulta secundaria sobre creador: "${normalizedQuery}"`);
-      const systemResponse = {
-        response: "Fui creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. Estoy aquí para responder tus preguntas y aprender de nuestras interacciones.",
-        source: "system_info",
-        confidence: 1.0
-      };
-      
-      await this.logConversation({
-        userId,
-        query: normalizedQuery,
-        response: systemResponse.response,
-        confidence: systemResponse.confidence
-      });
-      
-      return systemResponse;
-    }
-    
-    // 6. Detectar y manejar cálculos matemáticos
-    if (this.isCalculationQuery(normalizedQuery)) {
-      logger.info(`Detectada consulta matemática: "${normalizedQuery}"`);
-      const calculationResult = this.handleCalculationQuery(normalizedQuery);
-      if (calculationResult) {
+    if (skillResult) {
+      if (!skill.logsOwnConversation) {
         await this.logConversation({
           userId,
           query: normalizedQuery,
-          response: calculationResult.response,
-          confidence: calculationResult.confidence
+          response: skillResult.response,
+          knowledgeId: skillResult.knowledgeId || null,
+          confidence: skillResult.confidence
         });
-        
-        return calculationResult;
-      }
-    }
-    
-    // 7. Detectar y manejar consultas de programación
-    if (this.isProgrammingQuery(normalizedQuery)) {
-      logger.info(`Detectada consulta de programación: "${normalizedQuery}"`);
-      try {
-        const codeResult = await programmingService.searchCode(normalizedQuery);
-        if (codeResult && codeResult.answer) {
-          await this.logConversation({
-            userId,
-            query: normalizedQuery,
-            response: codeResult.answer,
-            confidence: 0.9
-          });
-          
-          return {
-            response: codeResult.answer,
-            source: codeResult.source,
-            confidence: 0.9,
-            context: codeResult.context,
-            url: codeResult.url
-          };
-        }
-      } catch (codeError) {
-        logger.error('Error al buscar código de programación:', codeError);
-      }
-      
-      try {
-        const specificAlgorithm = programmingService.getSpecificAlgorithm(normalizedQuery);
-        if (specificAlgorithm && specificAlgorithm.answer) {
-          await this.logConversation({
-            userId,
-            query: normalizedQuery,
-            response: specificAlgorithm.answer,
-            confidence: 0.8
-          });
-          
-          return {
-            response: specificAlgorithm.answer,
-            source: specificAlgorithm.source,
-            confidence: 0.8,
-            context: specificAlgorithm.context
-          };
-        }
-        
-        const basicAlgorithm = programmingService.getBasicAlgorithm(normalizedQuery);
-        if (basicAlgorithm && basicAlgorithm.answer) {
-          await this.logConversation({
-            userId,
-            query: normalizedQuery,
-            response: basicAlgorithm.answer,
-            confidence: 0.8
-          });
-          
-          return {
-            response: basicAlgorithm.answer,
-            source: basicAlgorithm.source,
-            confidence: 0.8,
-            context: basicAlgorithm.context
-          };
-        }
-      } catch (algorithmError) {
-        logger.error('Error al generar algoritmo básico:', algorithmError);
-      }
-    }
-    
-    // 8. Detectar y manejar consultas factuales directas
-    if (this.isDirectFactualQuery(normalizedQuery)) {
-      logger.info(`Detectada consulta factual directa: "${normalizedQuery}"`);
-      const factualResponse = factualKnowledgeService.getDirectFactualResponse(normalizedQuery);
-      if (factualResponse) {
-        logger.info(`Respondiendo con información factual: "${factualResponse.response}"`);
-        
-        await this.logConversation({
-          userId,
-          query: normalizedQuery,
-          response: factualResponse.response,
-          confidence: factualResponse.confidence
-        });
-        
-        return factualResponse;
-      } else {
-        logger.info('No se encontró información factual directa, continuando con otros métodos');
       }
+
+      return this.attachSkillInfo(skillResult, skill.name, candidates, options);
     }
+
+    // Ninguna habilidad respondió: consultar la base de conocimientos
+    this.emitEvent(options, 'status', { stage: 'knowledge_base', message: 'Buscando…' });
+    const knowledgeResult = await this.answerFromKnowledgeBase(normalizedQuery, userId);
+    return this.attachSkillInfo(knowledgeResult, 'knowledge_base', candidates, options);
     
-    // 9. Determinar si es una pregunta factual o candidata para IA
+  } catch (error) {
+    logger.error('Error al procesar consulta:', error);
+    return {
+      response: "Lo siento, ocurrió un error al procesar tu consulta. Por favor, intenta de nuevo.",
+      source: "error",
+      confidence: 0
+    };
+  }
+},
+
+/**
+ * Busca la respuesta en la base de conocimientos y, si no la encuentra,
+ * ofrece buscar en internet o aprender la respuesta
+ * @param {string} normalizedQuery - Consulta normalizada
+ * @param {string} userId - ID del usuario (opcional)
+ * @returns {Promise<Object>} - Objeto con la respuesta y metadatos
+ */
+async answerFromKnowledgeBase(normalizedQuery, userId = null) {
+  try {
+    // Determinar si es una pregunta factual o candidata para IA
     const isFactual = knowledgeResponseService.isFactualQuestion(normalizedQuery);
     const isAICandidate = AIService.isAIQuery(normalizedQuery);
 
     logger.info(`Análisis de consulta: isFactual=${isFactual}, isAICandidate=${isAICandidate}`);
     logger.info(`Estado de IA: enabled=${config.ai && config.ai.enabled}, priority=${config.ai ? config.ai.priority : 'no configurado'}`);
 
-    // 10. PRIMERA BÚSQUEDA: Base de conocimientos
+    // PRIMERA BÚSQUEDA: Base de conocimientos
     logger.info(`PASO 1: Buscando respuesta en base de conocimientos para: "${normalizedQuery}"`);
 
     let knowledgeResults = [];
@@ -557,14 +664,71 @@ Opciones:
     };
     
   } catch (error) {
-    logger.error('Error al procesar consulta:', error);
+    logger.error('Error al consultar la base de conocimientos:', error);
     return {
       response: "Lo siento, ocurrió un error al procesar tu consulta. Por favor, intenta de nuevo.",
       source: "error",
       confidence: 0
     };
   }
-}, 
+},
+
+/**
+ * Añade a la respuesta la habilidad que la generó y los candidatos evaluados
+ * @param {Object} result - Respuesta generada
+ * @param {string} skillName - Nombre de la habilidad que respondió
+ * @param {Array<Object>} candidates - Candidatos ordenados por puntuación
+ * @param {Object} options - Opciones de la consulta (debug)
+ * @returns {Object} - Respuesta con la información de la habilidad
+ */
+attachSkillInfo(result, skillName, candidates, options = {}) {
+  if (!result) return result;
+
+  // Copiar para no modificar respuestas predefinidas compartidas
+  const enriched = { ...result, skill: skillName };
+  if (options.debug) {
+    enriched.intentCandidates = candidates;
+  }
+
+  return enriched;
+},
+
+/**
+ * Notifica un evento de progreso al cliente (solo en consultas por streaming)
+ * @param {Object} options - Opciones de la consulta
+ * @param {string} type - Tipo de evento (intent, status, token, reset)
+ * @param {Object} data - Datos del evento
+ */
+emitEvent(options, type, data) {
+  if (!options || typeof options.onEvent !== 'function') return;
+
+  try {
+    options.onEvent(type, data);
+  } catch (error) {
+    logger.warn(`Error al emitir evento ${type}:`, error);
+  }
+},
+
+/**
+ * Opciones para AIService: imputa el consumo al usuario y transmite los
+ * fragmentos como eventos "token" (y "reset" si hay que descartarlos al cambiar de proveedor)
+ * @param {Object} options - Opciones de la consulta
+ * @param {string} userId - ID del usuario (opcional)
+ * @returns {Object} - Opciones para getAIResponse
+ */
+buildAIOptions(options, userId = null) {
+  const aiOptions = { userId, purpose: 'query', signal: (options && options.signal) || null };
+
+  if (!options || typeof options.onEvent !== 'function') {
+    return aiOptions;
+  }
+
+  return {
+    ...aiOptions,
+    onToken: text => this.emitEvent(options, 'token', { text }),
+    onReset: () => this.emitEvent(options, 'reset', { reason: 'provider_retry' })
+  };
+},
 // TAMBIÉN AGREGAR ESTE MÉTODO a AssistantService para evitar más errores
 
 /**
@@ -706,14 +870,16 @@ isQuestion(query) {
    * Ejecuta una búsqueda web y de IA para actualizar el conocimiento
    * @param {string} query - Consulta original
    * @param {string} userId - ID del usuario
+   * @param {Object} options - Opciones de la consulta (onEvent para streaming)
    * @returns {Promise<Object>} - Respuesta con información actualizada
    */
-  async executeWebAndAISearch(query, userId) {
+  async executeWebAndAISearch(query, userId, options = {}) {
     try {
       logger.info(`Ejecutando búsqueda web y de IA para: "${query}"`);
       
       // 1. Intentar búsqueda en la web
       let webResult = null;
+      this.emitEvent(options, 'status', { stage: 'web_search', message: 'Buscando en internet…' });
       try {
         webResult = await webSearchService.search(query);
       } catch (webError) {
@@ -724,7 +890,8 @@ isQuestion(query) {
       let aiResult = null;
       try {
         if (config.ai && config.ai.enabled) {
-          aiResult = await AIService.getAIResponse(query);
+          this.emitEvent(options, 'status', { stage: 'ai', message: 'Consultando…' });
+          aiResult = await AIService.getAIResponse(query, this.buildAIOptions(options, userId));
         }
       } catch (aiError) {
         logger.error('Error en consulta a IA:', aiError);
@@ -752,47 +919,50 @@ isQuestion(query) {
         };
       }
       
+      // Si el usuario canceló la consulta mientras se buscaba, no se aprende nada de ella
+      if (AIService.isCancelled(options)) {
+        return {
+          response: '',
+          source: 'system',
+          confidence: 0,
+          cancelled: true
+        };
+      }
+      
       // 4. Guardar el conocimiento en la base de datos
       const answer = finalResult.answer;
       const source = finalResult.source || 'búsqueda externa';
       
       let knowledgeId = null;
       try {
-        // Verificar primero si ya existe una entrada similar
-        const existingEntries = await KnowledgeModel.findAnswers(
-          query,
-          0.75,
-          userId
-        );
+        // Guardar como conocimiento del sistema, sin publicar hasta que lo apruebe un moderador;
+        // addKnowledge solo actualiza una entrada del sistema aún no aprobada con la misma pregunta
+        const knowledge = await KnowledgeModel.addKnowledge({
+          query: query,
+          response: answer,
+          source: source,
+          context: finalResult.context || null,
+          confidence: 0.85,
+          userId: null,
+          isPublic: false,
+          isAIGenerated: finalResult === aiResult
+        });
+        
+        knowledgeId = knowledge.id;
         
-        if (existingEntries.length > 0 && existingEntries[0].similarity > 0.8) {
-          // Actualizar conocimiento existente
-          await KnowledgeModel.updateKnowledge(existingEntries[0].id, {
-            response: answer,
-            source: source,
-            context: finalResult.context || null,
-            confidence: 0.85,
-            is_ai_generated: !!aiResult,
-            updated_at: new Date()
-          });
+        if (knowledge.isDuplicate) {
+          // La pregunta ya tiene una respuesta de un usuario o aprobada: si la nueva la contradice,
+          // queda como conflicto pendiente y se conserva la guardada
+          const evaluation = KnowledgeConflictService.evaluate(knowledge, answer);
           
-          knowledgeId = existingEntries[0].id;
-          logger.info(`Conocimiento existente actualizado: ID ${knowledgeId}`);
+          if (evaluation.action !== 'agree') {
+            await KnowledgeConflictService.flagConflict(knowledge, query, answer, {
+              userId,
+              answerSimilarity: evaluation.answerSimilarity
+            });
+          }
         } else {
-          // Crear nuevo conocimiento
-          const newKnowledge = await KnowledgeModel.addKnowledge({
-            query: query,
-            response: answer,
-            source: source,
-            context: finalResult.context || null,
-            confidence: 0.85,
-            userId: null, // Público
-            isPublic: true,
-            is_ai_generated: !!aiResult
-          });
-          
-          knowledgeId = newKnowledge.id;
-          logger.info(`Nuevo conocimiento guardado en BD: ID ${knowledgeId}`);
+          logger.info(`Conocimiento guardado en BD pendiente de moderación: ID ${knowledgeId}`);
         }
       } catch (dbError) {
         logger.error('Error al guardar conocimiento en BD:', dbError);
@@ -829,9 +999,10 @@ isQuestion(query) {
    * @param {string} knowledgeId - ID del conocimiento a actualizar
    * @param {string} query - Consulta original
    * @param {string} userId - ID del usuario
+   * @param {Object} options - Opciones de la consulta (onEvent para streaming)
    * @returns {Promise<Object>} - Respuesta con información actualizada
    */
-  async executeKnowledgeUpdate(knowledgeId, query, userId) {
+  async executeKnowledgeUpdate(knowledgeId, query, userId, options = {}) {
     try {
       logger.info(`Ejecutando actualización de conocimiento ID ${knowledgeId} para: "${query}"`);
       
@@ -851,7 +1022,8 @@ isQuestion(query) {
       // Intentar primero con IA por ser generalmente más completa
       if (config.ai && config.ai.enabled) {
         try {
-          const aiResult = await AIService.getAIResponse(query);
+          this.emitEvent(options, 'status', { stage: 'ai', message: 'Buscando información actualizada…' });
+          const aiResult = await AIService.getAIResponse(query, this.buildAIOptions(options, userId));
           if (aiResult && aiResult.answer) {
             updatedInfo = {
               answer: aiResult.answer,
@@ -867,6 +1039,7 @@ isQuestion(query) {
       // Si falla la IA, intentar con búsqueda web
       if (!updatedInfo) {
         try {
+          this.emitEvent(options, 'status', { stage: 'web_search', message: 'Buscando en internet…' });
           const webResult = await webSearchService.search(query);
           if (webResult && webResult.answer) {
             updatedInfo = {
@@ -897,26 +1070,12 @@ isQuestion(query) {
           confidence: Math.max(existingKnowledge.confidence, 0.85),
           is_ai_generated: updatedInfo.isAI,
           updated_at: new Date()
+        }, {
+          reason: 'Actualización solicitada por usuario',
+          userId
         });
         
         logger.info(`Conocimiento ID ${knowledgeId} actualizado correctamente`);
-        
-        // 4. Registrar actualización en historial si existe tabla para ello
-        try {
-          await db.query(
-            `INSERT INTO knowledge_updates (knowledge_id, previous_response, new_response, update_reason, source)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [
-              knowledgeId,
-              existingKnowledge.response,
-              updatedInfo.answer,
-              'Actualización solicitada por usuario',
-              updatedInfo.source
-            ]
-          );
-        } catch (historyError) {
-          logger.warn('No se pudo registrar historial de actualización:', historyError);
-        }
       } catch (updateError) {
         logger.error(`Error al actualizar conocimiento en BD:`, updateError);
         return {
@@ -1046,6 +1205,12 @@ isLearningCommand(query) {
     return false;
   }
   
+  // Las notas y listas personales tienen su propio manejador
+  if (notesService.isNotesCommand(lowerQuery)) {
+    logger.info(`❌ Consulta "${lowerQuery}" es un comando de notas o listas, no de aprendizaje`);
+    return false;
+  }
+  
   // TERCERO: Patrones súper específicos de aprendizaje (ALTA PRIORIDAD)
   const explicitLearningPatterns = [
     // Comandos explícitos de aprendizaje
@@ -1072,8 +1237,8 @@ isLearningCommand(query) {
     /^error[,.]?\s*(.+) es (.+)$/i,
     /^falso[,.]?\s*(.+) es (.+)$/i,
     
-    // Comandos con "recuerda", "anota", etc.
-    /^(recuerda|anota|guarda|apunta)[:]?\s*(.+) es (.+)$/i,
+    // Comandos con "recuerda" o "guarda" ("anota" y "apunta" crean notas personales)
+    /^(recuerda|guarda)[:]?\s*(.+) es (.+)$/i,
     
     // Información personal muy específica
     /^mi (.+) es (.+)$/i,
@@ -1576,9 +1741,7 @@ extractAnswerFromStatement(statement) {
    * @returns {boolean} - true si es consulta matemática
    */
   isCalculationQuery(query) {
-    // Detectar si la consulta contiene operadores matemáticos y números
-    const mathPattern = /(\d+\s*[\+\-\*\/]\s*\d+)|(\bcuanto\s+(es|son|vale|valen)\s+.*?\d+\s*[\+\-\*\/]\s*\d+)/i;
-    return mathPattern.test(query);
+    return mathService.isMathQuery(query);
   },
 
   /**
@@ -1588,31 +1751,18 @@ extractAnswerFromStatement(statement) {
    */
   handleCalculationQuery(query) {
     try {
-      // Extraer la expresión matemática
-      let mathExpression = query.replace(/[^\d\+\-\*\/\(\)\.\s]/g, '').trim();
-      
-      // Si no hay expresión clara, intentar extraer números y operadores
-      if (!mathExpression) {
-        const matches = query.match(/\d+\s*[\+\-\*\/]\s*\d+/g);
-        if (matches && matches.length > 0) {
-          mathExpression = matches[0].trim();
-        }
-      }
-      
-      if (mathExpression) {
-        // Evaluar la expresión matemática (con precaución)
-        // Nota: eval es peligroso para entrada del usuario, pero aquí ya filtramos caracteres
-        const result = eval(mathExpression);
-        
-        // Crear respuesta
-        const response = `El resultado de ${mathExpression} es ${result}.`;
-        return {
-          response,
-          source: "system",
-          confidence: 1.0,
-          isCalculated: true
-        };
+      const calculation = mathService.solve(query);
+      if (!calculation) {
+        return null;
       }
+
+      // Los errores (división entre cero, raíz de negativos...) se devuelven como respuesta amigable
+      return {
+        response: calculation.response,
+        source: "system",
+        confidence: 1.0,
+        isCalculated: !calculation.error
+      };
     } catch (error) {
       logger.error('Error al procesar cálculo matemático:', error);
     }
@@ -1735,25 +1885,31 @@ async handleLearningCommand(query, userId) {
     let knowledgeId;
     let confirmationResponse;
     let isUpdate = false;
+    let conflictId = null;
     
-    if (existingEntries.length > 0 && existingEntries[0].similarity > 0.8) {
-      // ACTUALIZAR conocimiento existente
-      logger.info(`🔄 ACTUALIZANDO conocimiento existente ID: ${existingEntries[0].id}`);
+    // Pregunta casi igual a una existente (la más parecida): se compara la respuesta en lugar de crear otra entrada
+    const duplicateEntry = existingEntries
+      .filter(entry => entry.similarity > config.learning.duplicateSimilarity)
+      .reduce((best, entry) => (!best || entry.similarity > best.similarity ? entry : best), null);
+    let outcome = duplicateEntry ? await this.applyLearningEvaluation(duplicateEntry, question, answer, userId) : null;
+    
+    // Otra forma de una pregunta que ya tiene esta misma respuesta: se añade como alias
+    const sameAnswerEntry = outcome ? null : this.findEntryWithSameAnswer(existingEntries, answer, userId);
+    
+    if (outcome) {
+      ({ knowledgeId, confirmationResponse, isUpdate, conflictId } = outcome);
+    } else if (sameAnswerEntry) {
+      // AÑADIR ALIAS al conocimiento que ya tiene la respuesta
+      logger.info(`🔗 AÑADIENDO alias "${question}" al conocimiento ID: ${sameAnswerEntry.id}`);
       
-      await KnowledgeModel.updateKnowledge(existingEntries[0].id, {
-        response: answer,
-        confidence: Math.max(existingEntries[0].confidence, 0.95),
-        source: 'user_explicit',
-        updated_at: new Date()
-      });
+      await KnowledgeModel.addAlias(sameAnswerEntry.id, question, { userId, source: 'user' });
       
-      knowledgeId = existingEntries[0].id;
+      knowledgeId = sameAnswerEntry.id;
       isUpdate = true;
       
-      // Mensaje más amigable para actualizaciones
-      confirmationResponse = `✅ ¡Perfecto! He actualizado mi conocimiento. Ahora sé que ${this.formatLearningConfirmation(question, answer)}.`;
+      confirmationResponse = `✅ ¡Entendido! Ya sabía que ${this.formatLearningConfirmation(sameAnswerEntry.query, answer)}. Ahora también lo reconoceré cuando me preguntes "${question}".`;
       
-      logger.info(`✅ Conocimiento actualizado: "${question}" → "${answer}"`);
+      logger.info(`✅ Alias añadido: "${question}" → "${sameAnswerEntry.query}"`);
     } else {
       // CREAR nuevo conocimiento
       logger.info(`🆕 CREANDO nuevo conocimiento`);
@@ -1765,16 +1921,24 @@ async handleLearningCommand(query, userId) {
         source: 'user',
         confidence: 0.95,
         userId,
-        isPublic: userId ? false : true
+        isPublic: false // Se publica cuando un moderador lo aprueba
       });
       
-      knowledgeId = newKnowledge.id;
-      isUpdate = false;
-      
-      // Mensaje más amigable para nuevos aprendizajes
-      confirmationResponse = `✅ ¡Aprendido! Ahora sé que ${this.formatLearningConfirmation(question, answer)}.`;
-      
-      logger.info(`✅ Nuevo conocimiento creado ID ${knowledgeId}: "${question}" → "${answer}"`);
+      if (newKnowledge.isDuplicate) {
+        // La búsqueda no la detectó pero la pregunta ya existe: se trata como duplicado
+        outcome = await this.applyLearningEvaluation(newKnowledge, question, answer, userId);
+        ({ knowledgeId, confirmationResponse, isUpdate, conflictId } = outcome);
+      } else {
+        knowledgeId = newKnowledge.id;
+        isUpdate = false;
+        
+        // Mensaje más amigable para nuevos aprendizajes
+        confirmationResponse = userId
+          ? `✅ ¡Aprendido! Ahora sé que ${this.formatLearningConfirmation(question, answer)}. Lo compartiré con los demás cuando un moderador lo revise.`
+          : `✅ ¡Gracias! He registrado que ${this.formatLearningConfirmation(question, answer)}. Lo usaré cuando un moderador lo revise.`;
+        
+        logger.info(`✅ Nuevo conocimiento creado ID ${knowledgeId}: "${question}" → "${answer}"`);
+      }
     }
     
     // PASO 6: Registrar en el historial
@@ -1795,6 +1959,7 @@ async handleLearningCommand(query, userId) {
       confidence: 1.0,
       knowledgeId,
       isUpdate,
+      conflictId,
       originalQuery: query,
       correctedQuery: correctedQuery !== query ? correctedQuery : null
     };
@@ -1852,6 +2017,103 @@ formatLearningConfirmation(question, answer) {
   }
 },
 
+  /**
+   * Aplica lo que corresponde cuando la pregunta enseñada ya existe en otro conocimiento:
+   * confirmarlo, registrar un conflicto o, si es una corrección de su autor, actualizarlo
+   * @param {Object} entry - Conocimiento existente
+   * @param {string} question - Pregunta normalizada
+   * @param {string} answer - Respuesta enseñada
+   * @param {string} userId - ID del usuario que enseña (null si es anónimo)
+   * @returns {Promise<Object>} - { knowledgeId, confirmationResponse, isUpdate, conflictId }
+   */
+  async applyLearningEvaluation(entry, question, answer, userId) {
+    const evaluation = KnowledgeConflictService.evaluate(entry, answer, userId);
+    
+    if (evaluation.action === 'agree') {
+      // CONFIRMAR conocimiento existente (misma respuesta)
+      logger.info(`🤝 CONFIRMANDO conocimiento existente ID: ${entry.id} (similitud de respuestas: ${evaluation.answerSimilarity.toFixed(2)})`);
+      
+      await KnowledgeConflictService.reinforce(entry, userId);
+      if ((entry.matched_query || entry.query) !== question) {
+        await KnowledgeModel.addAlias(entry.id, question, { userId, source: 'user' });
+      }
+      
+      logger.info(`✅ Conocimiento confirmado: "${entry.query}" → "${entry.response}"`);
+      return {
+        knowledgeId: entry.id,
+        isUpdate: true,
+        conflictId: null,
+        confirmationResponse: `✅ ¡Gracias! Ya sabía que ${this.formatLearningConfirmation(entry.query, entry.response)}; ahora tengo más confianza en esa respuesta.`
+      };
+    }
+    
+    if (evaluation.action === 'conflict') {
+      // CONFLICTO: la respuesta guardada es distinta y no es del mismo usuario
+      logger.info(`⚠️ CONFLICTO con conocimiento existente ID: ${entry.id}: "${entry.response}" ≠ "${answer}"`);
+      
+      const conflict = await KnowledgeConflictService.flagConflict(entry, question, answer, {
+        userId,
+        answerSimilarity: evaluation.answerSimilarity
+      });
+      
+      logger.info(`⚠️ Conflicto registrado ID ${conflict.id}: "${question}" → "${answer}"`);
+      return {
+        knowledgeId: entry.id,
+        isUpdate: false,
+        conflictId: conflict.id,
+        confirmationResponse: `⚠️ Ya tengo otra respuesta para esa pregunta: "${entry.response}". He registrado la tuya ("${answer}") para que un moderador revise cuál es la correcta.`
+      };
+    }
+    
+    // ACTUALIZAR conocimiento existente (corrección de su propio autor)
+    logger.info(`🔄 ACTUALIZANDO conocimiento existente ID: ${entry.id}`);
+    
+    await KnowledgeModel.updateKnowledge(entry.id, {
+      response: answer,
+      confidence: Math.max(entry.confidence, 0.95),
+      source: 'user_explicit',
+      updated_at: new Date()
+    }, {
+      reason: 'Corrección del autor',
+      userId
+    });
+    
+    logger.info(`✅ Conocimiento actualizado: "${question}" → "${answer}"`);
+    return {
+      knowledgeId: entry.id,
+      isUpdate: true,
+      conflictId: null,
+      confirmationResponse: `✅ ¡Perfecto! He actualizado mi conocimiento. Ahora sé que ${this.formatLearningConfirmation(question, answer)}.`
+    };
+  },
+
+  /**
+   * Busca entre los conocimientos relacionados con una pregunta uno que ya tenga la misma respuesta
+   * Solo se consideran los del mismo dueño (el alias hereda la visibilidad del conocimiento).
+   * Una respuesta corta ("azul") puede contestar preguntas distintas, así que en ese
+   * caso se exige además que las preguntas se parezcan.
+   * @param {Array} entries - Resultados de KnowledgeModel.findAnswers
+   * @param {string} answer - Respuesta enseñada
+   * @param {string} userId - ID del usuario que enseña (null si es anónimo)
+   * @returns {Object|null} - Conocimiento con la misma respuesta o null
+   */
+  findEntryWithSameAnswer(entries, answer, userId) {
+    const normalize = text => KnowledgeConflictService.normalizeAnswer(text);
+    
+    const normalizedAnswer = normalize(answer);
+    if (!normalizedAnswer) {
+      return null;
+    }
+    
+    const isShortAnswer = normalizedAnswer.split(' ').length < 3;
+    
+    return entries.find(entry =>
+      (entry.user_id || null) === (userId || null) &&
+      normalize(entry.response) === normalizedAnswer &&
+      (!isShortAnswer || entry.similarity >= 0.5)
+    ) || null;
+  },
+
   /**
    * Corrige problemas de codificación en el texto
    * @param {string} text - Texto a corregir
@@ -1926,7 +2188,8 @@ formatLearningConfirmation(question, answer) {
         try {
           await KnowledgeModel.updateConfidence(
             updatedConversation.knowledge_id,
-            feedback
+            feedback,
+            updatedConversation.user_id
           );
         } catch (error) {
           logger.error(`Error al actualizar confianza para conocimiento ${updatedConversation.knowledge_id}:`, error);
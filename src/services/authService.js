@@ -1,122 +1,412 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const UserModel = require('../models/userModel');
+const RefreshTokenModel = require('../models/refreshTokenModel');
+const RevokedTokenModel = require('../models/revokedTokenModel');
+const PermissionService = require('./permissionService');
 const { logger, config } = require('../config');
 
 /**
  * Servicio para gestión de autenticación
+ * Cada sesión se compone de un token de acceso JWT de vida corta (con jti) y un
+ * refresh token opaco que se rota en cada renovación.
  */
 const AuthService = {
   /**
    * Autentica a un usuario y genera un token JWT
    * @param {string} username - Nombre de usuario o email
    * @param {string} password - Contraseña
+   * @param {Object} context - Datos del cliente { userAgent, ipAddress }
    * @returns {Promise<Object>} - Información de la sesión con token
    */
-  async login(username, password) {
+  async login(username, password, context = {}) {
     try {
+      // Rechazar de entrada las cuentas bloqueadas por intentos fallidos
+      const account = await UserModel.getUserByIdentifier(username);
+
+      if (account && this.isLocked(account)) {
+        return this.lockedResult(account.locked_until);
+      }
+
       // Verificar credenciales
       const user = await UserModel.verifyCredentials(username, password);
-      
+
       if (!user) {
+        if (account && account.is_active) {
+          const { maxFailedAttempts, lockMinutes } = config.account.lockout;
+          const failure = await UserModel.registerFailedLogin(account.id, maxFailedAttempts, lockMinutes);
+
+          if (failure && this.isLocked(failure)) {
+            logger.warn(`Cuenta ${account.id} bloqueada ${lockMinutes} minutos por ${maxFailedAttempts} inicios de sesión fallidos`);
+            return this.lockedResult(failure.locked_until);
+          }
+        }
+
         return {
           success: false,
           message: 'Credenciales inválidas'
         };
       }
-      
-      // Generar token JWT
-      const token = this.generateToken(user);
-      
+
+      if (user.failed_login_count > 0 || user.locked_until) {
+        await UserModel.resetFailedLogins(user.id);
+      }
+
+      if (config.account.requireEmailVerification && !user.email_verified) {
+        return {
+          success: false,
+          reason: 'email_not_verified',
+          message: 'Debes verificar tu correo electrónico antes de iniciar sesión'
+        };
+      }
+
+      // Generar token JWT y refresh token
+      const session = await this.createSession(user, context);
+
       // Obtener preferencias del usuario
       const preferences = await UserModel.getPreferences(user.id);
-      
+
       return {
         success: true,
         user: {
           id: user.id,
           username: user.username,
           email: user.email,
+          emailVerified: user.email_verified,
+          role: user.role,
+          permissions: PermissionService.getRolePermissions(user.role),
           preferences
         },
-        token
+        ...session
       };
     } catch (error) {
       logger.error('Error en autenticación:', error);
       throw error;
     }
   },
-  
+
+  /**
+   * Indica si una cuenta está bloqueada por intentos fallidos
+   * @param {Object} account - Usuario (con locked_until)
+   * @returns {boolean} - true si el bloqueo sigue vigente
+   */
+  isLocked(account) {
+    return Boolean(account.locked_until) && new Date(account.locked_until) > new Date();
+  },
+
+  /**
+   * Resultado de un inicio de sesión sobre una cuenta bloqueada
+   * @param {Date|string} lockedUntil - Fin del bloqueo
+   * @returns {Object} - Resultado con los segundos que faltan
+   */
+  lockedResult(lockedUntil) {
+    const retryAfter = Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1);
+
+    return {
+      success: false,
+      reason: 'locked',
+      retryAfter,
+      message: `Cuenta bloqueada temporalmente por demasiados intentos fallidos. Inténtalo de nuevo en ${Math.ceil(retryAfter / 60)} minutos`
+    };
+  },
+
   /**
    * Registra un nuevo usuario
    * @param {Object} userData - Datos del usuario a registrar
+   * @param {Object} context - Datos del cliente { userAgent, ipAddress }
    * @returns {Promise<Object>} - Resultado del registro
    */
-  async register({ username, email, password }) {
+  async register({ username, email, password }, context = {}) {
     try {
       // Verificar si el usuario o email ya existen
-      const existingUser = await UserModel.getUserByIdentifier(username) || 
+      const existingUser = await UserModel.getUserByIdentifier(username) ||
                            await UserModel.getUserByIdentifier(email);
-      
+
       if (existingUser) {
         return {
           success: false,
           message: 'El nombre de usuario o email ya están en uso'
         };
       }
-      
+
       // Crear el nuevo usuario
       const newUser = await UserModel.createUser({
         username,
         email,
         password
       });
-      
-      // Generar token JWT
-      const token = this.generateToken(newUser);
-      
+
+      // Generar token JWT y refresh token (si hay que verificar el email, la
+      // sesión se abre al iniciar sesión después de verificarlo)
+      const session = config.account.requireEmailVerification
+        ? {}
+        : await this.createSession(newUser, context);
+
       // Obtener preferencias (recién creadas)
       const preferences = await UserModel.getPreferences(newUser.id);
-      
+
       return {
         success: true,
         user: {
           id: newUser.id,
           username: newUser.username,
           email: newUser.email,
+          emailVerified: newUser.email_verified,
+          role: newUser.role,
+          permissions: PermissionService.getRolePermissions(newUser.role),
           preferences
         },
-        token
+        ...session
       };
     } catch (error) {
       logger.error('Error en registro de usuario:', error);
       throw error;
     }
   },
-  
+
+  /**
+   * Abre una sesión nueva: token de acceso y refresh token de una familia nueva
+   * @param {Object} user - Datos del usuario
+   * @param {Object} context - Datos del cliente { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresAt, refreshExpiresAt }
+   */
+  async createSession(user, context = {}) {
+    try {
+      const jti = crypto.randomUUID();
+      const token = this.generateToken(user, jti);
+      const refreshToken = this.generateRefreshToken();
+      const expiresAt = this.getTokenExpiration(token);
+      const refreshExpiresAt = this.getRefreshExpiration();
+
+      await RefreshTokenModel.createToken({
+        userId: user.id,
+        tokenHash: this.hashToken(refreshToken),
+        familyId: crypto.randomUUID(),
+        accessJti: jti,
+        accessExpiresAt: expiresAt,
+        expiresAt: refreshExpiresAt,
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress
+      });
+
+      return { token, refreshToken, expiresAt, refreshExpiresAt };
+    } catch (error) {
+      logger.error(`Error al crear la sesión del usuario ${user.id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Renueva la sesión con un refresh token (rotación)
+   * El token presentado queda revocado y se emite otro de la misma familia. Si
+   * se presenta un token ya rotado se asume que fue robado y se revoca la familia
+   * completa, incluidos los tokens de acceso que sigan vigentes.
+   * El token de acceso nuevo lleva el rol y los permisos actuales del usuario.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} context - Datos del cliente { userAgent, ipAddress }
+   * @returns {Promise<Object>} - Resultado con los tokens nuevos
+   */
+  async refreshSession(refreshToken, context = {}) {
+    try {
+      let user = null;
+      let token = null;
+      const newRefreshToken = this.generateRefreshToken();
+
+      const rotation = await RefreshTokenModel.rotateToken(this.hashToken(refreshToken), async (current) => {
+        user = await UserModel.getUserById(current.user_id);
+
+        if (!user || !user.is_active) {
+          throw Object.assign(new Error('Usuario inactivo'), { code: 'USER_INACTIVE' });
+        }
+
+        const jti = crypto.randomUUID();
+        token = this.generateToken(user, jti);
+
+        return {
+          userId: user.id,
+          tokenHash: this.hashToken(newRefreshToken),
+          familyId: current.family_id,
+          accessJti: jti,
+          accessExpiresAt: this.getTokenExpiration(token),
+          expiresAt: this.getRefreshExpiration(),
+          userAgent: context.userAgent,
+          ipAddress: context.ipAddress
+        };
+      }).catch(error => {
+        if (error.code === 'USER_INACTIVE') {
+          return { status: 'user_inactive' };
+        }
+        throw error;
+      });
+
+      if (rotation.status === 'reused') {
+        logger.warn(`Reutilización de refresh token detectada (usuario: ${rotation.current.user_id}, familia: ${rotation.current.family_id})`);
+        await this.revokeTokens(await RefreshTokenModel.revokeFamily(rotation.current.family_id, 'reuse_detected'), 'reuse_detected');
+      }
+
+      if (rotation.status !== 'rotated') {
+        return {
+          success: false,
+          reason: rotation.status,
+          message: rotation.status === 'user_inactive'
+            ? 'El usuario no existe o está desactivado'
+            : 'Refresh token inválido o expirado'
+        };
+      }
+
+      return {
+        success: true,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          permissions: PermissionService.getRolePermissions(user.role)
+        },
+        token,
+        refreshToken: newRefreshToken,
+        expiresAt: this.getTokenExpiration(token),
+        refreshExpiresAt: rotation.replacement.expires_at
+      };
+    } catch (error) {
+      logger.error('Error al renovar la sesión:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cierra la sesión del token de acceso actual (o todas las del usuario)
+   * @param {Object} tokenPayload - Payload del token de acceso (req.user)
+   * @param {Object} options - { refreshToken, allDevices }
+   * @returns {Promise<void>}
+   */
+  async logout(tokenPayload, { refreshToken = null, allDevices = false } = {}) {
+    try {
+      if (allDevices) {
+        await this.revokeAllSessions(tokenPayload.id, 'logout');
+        return;
+      }
+
+      let revoked = [];
+
+      if (tokenPayload.jti) {
+        revoked = await RefreshTokenModel.revokeByAccessJti(tokenPayload.id, tokenPayload.jti, 'logout');
+      }
+
+      // El cliente puede enviar el refresh token si el de acceso no pertenece a su sesión
+      if (refreshToken) {
+        revoked = revoked.concat(await RefreshTokenModel.revokeByHash(tokenPayload.id, this.hashToken(refreshToken), 'logout'));
+      }
+
+      // El token de acceso actual se revoca aunque no pertenezca a ninguna sesión guardada
+      if (tokenPayload.jti && tokenPayload.exp) {
+        revoked.push({
+          user_id: tokenPayload.id,
+          access_jti: tokenPayload.jti,
+          access_expires_at: new Date(tokenPayload.exp * 1000)
+        });
+      }
+
+      await this.revokeTokens(revoked, 'logout');
+      logger.info(`Sesión cerrada para usuario ${tokenPayload.id}`);
+    } catch (error) {
+      logger.error('Error al cerrar sesión:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cierra todas las sesiones de un usuario (todos sus dispositivos)
+   * @param {string} userId - ID del usuario
+   * @param {string} reason - Motivo ('logout' o 'signed_out_all')
+   * @returns {Promise<number>} - Número de sesiones cerradas
+   */
+  async revokeAllSessions(userId, reason = 'signed_out_all') {
+    try {
+      const { sessions, tokens } = await RefreshTokenModel.revokeAllForUser(userId, reason);
+      await this.revokeTokens(tokens, reason);
+      return sessions;
+    } catch (error) {
+      logger.error(`Error al cerrar las sesiones del usuario ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Añade a la lista de revocados los tokens de acceso de las sesiones revocadas
+   * @param {Array<Object>} sessions - Filas de refresh_tokens revocadas
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} - Número de tokens añadidos
+   */
+  async revokeTokens(sessions, reason) {
+    return RevokedTokenModel.revokeTokens(sessions.map(session => ({
+      jti: session.access_jti,
+      userId: session.user_id,
+      expiresAt: session.access_expires_at
+    })), reason);
+  },
+
   /**
    * Genera un token JWT para un usuario
    * @param {Object} user - Datos del usuario
+   * @param {string} jti - ID del token (opcional, por defecto uno nuevo)
    * @returns {string} - Token JWT generado
    */
-  generateToken(user) {
+  generateToken(user, jti = crypto.randomUUID()) {
     try {
       const payload = {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role || config.rbac.defaultRole,
+        permissions: PermissionService.getRolePermissions(user.role)
       };
-      
+
       return jwt.sign(
         payload,
         config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
+        { expiresIn: config.jwt.expiresIn, jwtid: jti }
       );
     } catch (error) {
       logger.error('Error al generar token JWT:', error);
       throw error;
     }
   },
-  
+
+  /**
+   * Genera un refresh token opaco
+   * @returns {string} - Refresh token
+   */
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  },
+
+  /**
+   * Calcula el hash con el que se guarda un refresh token
+   * @param {string} token - Refresh token
+   * @returns {string} - Hash SHA-256 en hexadecimal
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  },
+
+  /**
+   * Fecha de expiración de un token JWT
+   * @param {string} token - Token JWT
+   * @returns {Date} - Fecha de expiración
+   */
+  getTokenExpiration(token) {
+    return new Date(jwt.decode(token).exp * 1000);
+  },
+
+  /**
+   * Fecha de expiración de un refresh token emitido ahora
+   * @returns {Date} - Fecha de expiración
+   */
+  getRefreshExpiration() {
+    return new Date(Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000);
+  },
+
   /**
    * Verifica y decodifica un token JWT
    * @param {string} token - Token JWT a verificar
@@ -130,7 +420,33 @@ const AuthService = {
       logger.warn('Token JWT inválido:', error.message);
       return null;
     }
+  },
+
+  /**
+   * Verifica un token JWT y comprueba que no esté revocado
+   * Los tokens sin jti no se pueden revocar, por lo que no se aceptan.
+   * @param {string} token - Token JWT a verificar
+   * @returns {Promise<Object|null>} - Payload decodificado o null si es inválido o fue revocado
+   */
+  async authenticateToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (!decoded) {
+      return null;
+    }
+
+    if (!decoded.jti) {
+      logger.warn(`Token sin jti presentado (usuario: ${decoded.id})`);
+      return null;
+    }
+
+    if (await RevokedTokenModel.isRevoked(decoded.jti)) {
+      logger.warn(`Token revocado presentado (usuario: ${decoded.id}, jti: ${decoded.jti})`);
+      return null;
+    }
+
+    return decoded;
   }
 };
 
-module.exports = AuthService;
\ No newline at end of file
+module.exports = AuthService;
@@ -0,0 +1,253 @@
+const { logger } = require('../config');
+
+/**
+ * Servicio para resolver pronombres y elipsis usando los turnos anteriores
+ * Convierte preguntas de seguimiento como "¿y cuántos habitantes tiene?" en
+ * consultas completas ("cuantos habitantes tiene francia") antes de detectar
+ * la intención del usuario.
+ */
+const ContextResolutionService = {
+  // Palabras interrogativas (ya normalizadas, sin acentos)
+  interrogatives: ['que', 'quien', 'quienes', 'cual', 'cuales', 'como', 'donde', 'cuando', 'cuanto', 'cuanta', 'cuantos', 'cuantas', 'por que', 'para que'],
+
+  // Verbos que suelen cerrar una pregunta elíptica ("¿y cuántos habitantes tiene?")
+  trailingVerbs: ['tiene', 'tienen', 'mide', 'miden', 'pesa', 'pesan', 'es', 'son', 'fue', 'fueron', 'era', 'hay', 'vive', 'vivio', 'nacio', 'murio', 'queda', 'esta', 'estan', 'cuesta', 'gana', 'habla', 'hablan', 'significa'],
+
+  // Verbos que solo tienen sentido con una persona como sujeto ("¿cuándo nació?")
+  personVerbs: ['vive', 'vivio', 'nacio', 'murio'],
+
+  /**
+   * Intenta reescribir una consulta de seguimiento usando el contexto previo
+   * @param {string} query - Consulta normalizada
+   * @param {Array<string>} previousQueries - Consultas anteriores normalizadas (la más reciente primero)
+   * @returns {Object} - { resolvedQuery, wasRewritten, entity, rule }
+   */
+  resolve(query, previousQueries = []) {
+    const unchanged = { resolvedQuery: query, wasRewritten: false, entity: null, rule: null };
+
+    if (!query || !this.isFollowUp(query)) {
+      return unchanged;
+    }
+
+    // Buscar el turno más reciente del que se pueda extraer un tema
+    let context = null;
+    for (const previous of previousQueries) {
+      context = this.extractContext(previous);
+      if (context) break;
+    }
+
+    if (!context) {
+      logger.info(`Consulta de seguimiento sin contexto previo utilizable: "${query}"`);
+      return unchanged;
+    }
+
+    const rules = [
+      { name: 'possessive', apply: (q, c) => this.resolvePossessive(q, c) },
+      { name: 'entity_substitution', apply: (q, c) => this.resolveEntitySubstitution(q, c) },
+      { name: 'personal_pronoun', apply: (q, c) => this.resolvePersonalPronoun(q, c) },
+      { name: 'trailing_verb', apply: (q, c) => this.resolveTrailingVerb(q, c) }
+    ];
+
+    for (const rule of rules) {
+      // Una regla devuelve la consulta reescrita o { resolvedQuery, entity } si cambia de entidad
+      const result = rule.apply(query, context);
+      const rewritten = result && typeof result === 'object' ? result.resolvedQuery : result;
+      if (rewritten && rewritten !== query) {
+        logger.info(`Contexto resuelto (${rule.name}): "${query}" → "${rewritten}"`);
+        return {
+          resolvedQuery: rewritten,
+          wasRewritten: true,
+          entity: result.entity || context.entity,
+          rule: rule.name
+        };
+      }
+    }
+
+    return unchanged;
+  },
+
+  /**
+   * Verifica si una consulta parece depender de la conversación anterior
+   * @param {string} query - Consulta normalizada
+   * @returns {boolean} - true si es una pregunta de seguimiento
+   */
+  isFollowUp(query) {
+    if (/^y\s+/.test(query)) {
+      return true;
+    }
+
+    const startsWithInterrogative = this.interrogatives.some(word => query.startsWith(word + ' '));
+    if (!startsWithInterrogative || query.split(' ').length > 8) {
+      return false;
+    }
+
+    // Pronombres o posesivos dentro de una pregunta corta
+    const hasReference = /\b(su|sus|el|ella|ellos|ellas|eso|esa|ese)\b/.test(query);
+
+    // Preguntas que terminan en verbo sin sujeto ("cuantos habitantes tiene")
+    const endsWithVerb = this.trailingVerbs.includes(query.split(' ').pop());
+
+    return hasReference || endsWithVerb;
+  },
+
+  /**
+   * Extrae el tema y la entidad principal de una consulta anterior
+   * @param {string} query - Consulta anterior normalizada
+   * @returns {Object|null} - { topic, entity, template, isPerson } o null
+   */
+  extractContext(query) {
+    if (!query) return null;
+
+    const match = query.match(/^(?:que|quien|quienes|cual|cuales|donde|cuando|como|cuanto|cuantos|cuanta|cuantas)\s+(?:[a-z]+\s+){0,2}?(?:es|son|fue|fueron|era|esta|estan|queda|se encuentra|significa|nacio|murio|vive|mide|pesa|tiene|tienen)\s+(.+)$/);
+    if (!match) return null;
+
+    const topic = match[1].trim();
+    // "quien fue albert einstein": el tema es una persona (antecedente de "el"/"ella")
+    const isPerson = /^quien(?:es)?\s/.test(query);
+
+    // "la capital de francia" → entidad "francia"; "albert einstein" → entidad completa
+    const ofMatch = topic.match(/^(?:(?:el|la|los|las)\s+)?(.+?)\s+(?:de|del)\s+(?:(?:el|la|los|las)\s+)?(.+)$/);
+    if (ofMatch) {
+      return {
+        topic,
+        attribute: ofMatch[1].trim(),
+        entity: ofMatch[2].trim(),
+        template: query,
+        isPerson
+      };
+    }
+
+    return {
+      topic,
+      attribute: null,
+      entity: topic.replace(/^(?:el|la|los|las|un|una)\s+/, ''),
+      template: query,
+      isPerson
+    };
+  },
+
+  /**
+   * "¿y su capital?" → "cual es la capital de francia"
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto extraído del turno anterior
+   * @returns {string|null} - Consulta reescrita o null
+   */
+  resolvePossessive(query, context) {
+    const match = query.match(/\b(su|sus)\s+([a-z0-9ñ]+)(?:\s+([a-z0-9ñ]+))?/);
+    if (!match) return null;
+
+    const plural = match[1] === 'sus';
+    // Incluir un adjetivo ("sus idiomas oficiales") pero no un verbo o preposición
+    const adjective = match[3] && !this.trailingVerbs.includes(match[3]) && !/^(de|del|en|a|y|o)$/.test(match[3])
+      ? match[3]
+      : null;
+    const noun = adjective ? `${match[2]} ${adjective}` : match[2];
+    const replaced = adjective ? match[0] : `${match[1]} ${match[2]}`;
+    const article = this.guessArticle(noun, plural);
+
+    let rewritten = query.replace(replaced, `${article} ${noun} de ${context.entity}`);
+    rewritten = this.stripLeadingConjunction(rewritten);
+
+    // "y su capital" no tiene verbo: convertirlo en pregunta completa
+    if (!this.interrogatives.some(word => rewritten.startsWith(word + ' '))) {
+      rewritten = `${plural ? 'cuales son' : 'cual es'} ${rewritten}`;
+    }
+
+    return rewritten;
+  },
+
+  /**
+   * "¿y de alemania?" → "cual es la capital de alemania"
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto extraído del turno anterior
+   * @returns {Object|null} - { resolvedQuery, entity } con la nueva entidad, o null
+   */
+  resolveEntitySubstitution(query, context) {
+    if (!context.attribute) return null;
+
+    const match = query.match(/^y\s+(?:de|del|en|para)\s+(.+)$/) ||
+      (query.split(' ').length <= 3 ? query.match(/^y\s+(.+)$/) : null);
+    if (!match) return null;
+
+    const newEntity = match[1].trim();
+    const firstWord = newEntity.split(' ')[0];
+    const lastWord = newEntity.split(' ').pop();
+
+    // "y su capital", "y cuantos habitantes tiene" y "y tu" no son sustituciones de entidad
+    if (this.interrogatives.includes(firstWord) ||
+        /^(su|sus|tu|tus|yo|usted|el|ella|eso|esa|ese)$/.test(firstWord) ||
+        this.trailingVerbs.includes(lastWord)) {
+      return null;
+    }
+
+    const index = context.template.lastIndexOf(context.entity);
+    if (index === -1) return null;
+
+    return {
+      resolvedQuery: context.template.slice(0, index) + newEntity + context.template.slice(index + context.entity.length),
+      entity: newEntity
+    };
+  },
+
+  /**
+   * "¿cuándo nació él?" → "cuando nacio albert einstein"
+   * Los pronombres personales solo se resuelven si el turno anterior hablaba de una
+   * persona ("quien..."); los demostrativos ("eso", "esa") se refieren al tema.
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto extraído del turno anterior
+   * @returns {string|null} - Consulta reescrita o null
+   */
+  resolvePersonalPronoun(query, context) {
+    const match = query.match(/\b(el|ella|ellos|ellas|eso|esa|ese)\s*$/);
+    if (!match) return null;
+
+    const isPersonal = /^(el|ella|ellos|ellas)$/.test(match[1]);
+    if (isPersonal && !context.isPerson) return null;
+
+    const target = isPersonal || context.attribute ? context.topic : context.entity;
+    return this.stripLeadingConjunction(query.replace(/\b(el|ella|ellos|ellas|eso|esa|ese)\s*$/, target));
+  },
+
+  /**
+   * "¿y cuántos habitantes tiene?" → "cuantos habitantes tiene francia"
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto extraído del turno anterior
+   * @returns {string|null} - Consulta reescrita o null
+   */
+  resolveTrailingVerb(query, context) {
+    const lastWord = query.split(' ').pop();
+    if (!this.trailingVerbs.includes(lastWord)) return null;
+    if (this.personVerbs.includes(lastWord) && !context.isPerson) return null;
+
+    return `${this.stripLeadingConjunction(query)} ${context.entity}`;
+  },
+
+  /**
+   * Elimina la conjunción inicial de una pregunta de seguimiento
+   * @param {string} query - Consulta
+   * @returns {string} - Consulta sin "y" inicial
+   */
+  stripLeadingConjunction(query) {
+    return query.replace(/^y\s+/, '').trim();
+  },
+
+  /**
+   * Estima el artículo adecuado para un sustantivo en español
+   * @param {string} noun - Sustantivo
+   * @param {boolean} plural - Si el sustantivo va en plural
+   * @returns {string} - Artículo estimado
+   */
+  guessArticle(noun, plural = false) {
+    const head = noun.split(' ')[0];
+    const feminineWords = ['capital', 'capitales', 'ley', 'leyes', 'flor', 'flores', 'piel', 'sal', 'fe'];
+    const feminine = feminineWords.includes(head) ||
+      (/(a|as|ion|iones|dad|dades|tud|tudes|ez|ie|ies)$/.test(head) && !/(ma|mas)$/.test(head));
+
+    if (plural) {
+      return feminine ? 'las' : 'los';
+    }
+    return feminine ? 'la' : 'el';
+  }
+};
+
+module.exports = ContextResolutionService;
@@ -0,0 +1,382 @@
+const CurrencyRateModel = require('../models/currencyRateModel');
+const mathService = require('./mathService');
+const { logger } = require('../config');
+
+/**
+ * Servicio de conversión de unidades y monedas
+ * Las unidades se convierten con factores fijos respecto a una unidad base por
+ * categoría; las monedas usan la tabla local currency_rates (tasas por 1 USD).
+ */
+const ConversionService = {
+  // Moneda de referencia de la tabla currency_rates
+  baseCurrency: 'USD',
+
+  // Unidades por categoría: factor respecto a la unidad base de la categoría
+  units: [
+    // Longitud (base: metro)
+    { key: 'mm', category: 'length', factor: 0.001, singular: 'milímetro', plural: 'milímetros', aliases: ['mm', 'milimetro', 'milimetros'] },
+    { key: 'cm', category: 'length', factor: 0.01, singular: 'centímetro', plural: 'centímetros', aliases: ['cm', 'centimetro', 'centimetros'] },
+    { key: 'm', category: 'length', factor: 1, singular: 'metro', plural: 'metros', aliases: ['m', 'metro', 'metros'] },
+    { key: 'km', category: 'length', factor: 1000, singular: 'kilómetro', plural: 'kilómetros', aliases: ['km', 'kms', 'kilometro', 'kilometros'] },
+    { key: 'in', category: 'length', factor: 0.0254, singular: 'pulgada', plural: 'pulgadas', aliases: ['pulgada', 'pulgadas', 'in'] },
+    { key: 'ft', category: 'length', factor: 0.3048, singular: 'pie', plural: 'pies', aliases: ['pie', 'pies', 'ft'] },
+    { key: 'yd', category: 'length', factor: 0.9144, singular: 'yarda', plural: 'yardas', aliases: ['yarda', 'yardas', 'yd'] },
+    { key: 'mi', category: 'length', factor: 1609.344, singular: 'milla', plural: 'millas', aliases: ['milla', 'millas', 'mi'] },
+
+    // Masa (base: kilogramo)
+    { key: 'mg', category: 'mass', factor: 0.000001, singular: 'miligramo', plural: 'miligramos', aliases: ['mg', 'miligramo', 'miligramos'] },
+    { key: 'g', category: 'mass', factor: 0.001, singular: 'gramo', plural: 'gramos', aliases: ['g', 'gr', 'gramo', 'gramos'] },
+    { key: 'kg', category: 'mass', factor: 1, singular: 'kilogramo', plural: 'kilogramos', aliases: ['kg', 'kilo', 'kilos', 'kilogramo', 'kilogramos'] },
+    { key: 't', category: 'mass', factor: 1000, singular: 'tonelada', plural: 'toneladas', aliases: ['tonelada', 'toneladas'] },
+    { key: 'oz', category: 'mass', factor: 0.028349523125, singular: 'onza', plural: 'onzas', aliases: ['oz', 'onza', 'onzas'] },
+    { key: 'lb', category: 'mass', factor: 0.45359237, singular: 'libra', plural: 'libras', aliases: ['lb', 'lbs', 'libra', 'libras'] },
+    { key: 'qq', category: 'mass', factor: 45.359237, singular: 'quintal', plural: 'quintales', aliases: ['qq', 'quintal', 'quintales'] },
+
+    // Volumen (base: litro)
+    { key: 'ml', category: 'volume', factor: 0.001, singular: 'mililitro', plural: 'mililitros', aliases: ['ml', 'mililitro', 'mililitros'] },
+    { key: 'l', category: 'volume', factor: 1, singular: 'litro', plural: 'litros', aliases: ['l', 'lt', 'litro', 'litros'] },
+    { key: 'm3', category: 'volume', factor: 1000, singular: 'metro cúbico', plural: 'metros cúbicos', aliases: ['m3', 'metro cubico', 'metros cubicos'] },
+    { key: 'floz', category: 'volume', factor: 0.0295735295625, singular: 'onza líquida', plural: 'onzas líquidas', aliases: ['onza liquida', 'onzas liquidas', 'fl oz'] },
+    { key: 'cup', category: 'volume', factor: 0.2365882365, singular: 'taza', plural: 'tazas', aliases: ['taza', 'tazas'] },
+    { key: 'gal', category: 'volume', factor: 3.785411784, singular: 'galón', plural: 'galones', aliases: ['gal', 'galon', 'galones'] },
+
+    // Temperatura (base: grado Celsius, conversión no lineal)
+    { key: 'c', category: 'temperature', singular: 'grado Celsius', plural: 'grados Celsius', aliases: ['c', '°c', 'celsius', 'grado celsius', 'grados celsius', 'centigrado', 'centigrados', 'grado centigrado', 'grados centigrados'],
+      toBase: v => v, fromBase: v => v },
+    { key: 'f', category: 'temperature', singular: 'grado Fahrenheit', plural: 'grados Fahrenheit', aliases: ['f', '°f', 'fahrenheit', 'grado fahrenheit', 'grados fahrenheit'],
+      toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 },
+    { key: 'k', category: 'temperature', singular: 'kelvin', plural: 'kelvin', aliases: ['k', 'kelvin', 'kelvins', 'grado kelvin', 'grados kelvin'],
+      toBase: v => v - 273.15, fromBase: v => v + 273.15 },
+
+    // Velocidad (base: metro por segundo)
+    { key: 'm/s', category: 'speed', factor: 1, singular: 'metro por segundo', plural: 'metros por segundo', aliases: ['m/s', 'metro por segundo', 'metros por segundo'] },
+    { key: 'km/h', category: 'speed', factor: 1000 / 3600, singular: 'kilómetro por hora', plural: 'kilómetros por hora', aliases: ['km/h', 'kmh', 'kph', 'kilometro por hora', 'kilometros por hora'] },
+    { key: 'mph', category: 'speed', factor: 1609.344 / 3600, singular: 'milla por hora', plural: 'millas por hora', aliases: ['mph', 'milla por hora', 'millas por hora'] },
+    { key: 'kn', category: 'speed', factor: 1852 / 3600, singular: 'nudo', plural: 'nudos', aliases: ['nudo', 'nudos'] },
+
+    // Almacenamiento de datos (base: byte, prefijos binarios)
+    { key: 'bit', category: 'data', factor: 1 / 8, singular: 'bit', plural: 'bits', aliases: ['bit', 'bits'] },
+    { key: 'B', category: 'data', factor: 1, singular: 'byte', plural: 'bytes', aliases: ['byte', 'bytes'] },
+    { key: 'KB', category: 'data', factor: 1024, singular: 'kilobyte', plural: 'kilobytes', aliases: ['kb', 'kilobyte', 'kilobytes'] },
+    { key: 'MB', category: 'data', factor: 1024 ** 2, singular: 'megabyte', plural: 'megabytes', aliases: ['mb', 'mega', 'megas', 'megabyte', 'megabytes'] },
+    { key: 'GB', category: 'data', factor: 1024 ** 3, singular: 'gigabyte', plural: 'gigabytes', aliases: ['gb', 'giga', 'gigas', 'gigabyte', 'gigabytes'] },
+    { key: 'TB', category: 'data', factor: 1024 ** 4, singular: 'terabyte', plural: 'terabytes', aliases: ['tb', 'tera', 'teras', 'terabyte', 'terabytes'] },
+
+    // Tiempo (base: segundo)
+    { key: 'ms', category: 'time', factor: 0.001, singular: 'milisegundo', plural: 'milisegundos', aliases: ['ms', 'milisegundo', 'milisegundos'] },
+    { key: 's', category: 'time', factor: 1, singular: 'segundo', plural: 'segundos', aliases: ['s', 'seg', 'segundo', 'segundos'] },
+    { key: 'min', category: 'time', factor: 60, singular: 'minuto', plural: 'minutos', aliases: ['min', 'minuto', 'minutos'] },
+    { key: 'h', category: 'time', factor: 3600, singular: 'hora', plural: 'horas', aliases: ['h', 'hr', 'hora', 'horas'] },
+    { key: 'd', category: 'time', factor: 86400, singular: 'día', plural: 'días', aliases: ['dia', 'dias'] },
+    { key: 'wk', category: 'time', factor: 604800, singular: 'semana', plural: 'semanas', aliases: ['semana', 'semanas'] },
+    { key: 'mo', category: 'time', factor: 2629746, singular: 'mes', plural: 'meses', aliases: ['mes', 'meses'] },
+    { key: 'yr', category: 'time', factor: 31556952, singular: 'año', plural: 'años', aliases: ['ano', 'anos', 'año', 'años'] }
+  ],
+
+  // Nombres de monedas reconocidos en español (las tasas viven en la base de datos)
+  currencies: {
+    USD: { singular: 'dólar estadounidense', plural: 'dólares estadounidenses', aliases: ['dolar', 'dolares', 'dolar estadounidense', 'dolares estadounidenses', 'dolar americano', 'dolares americanos', 'usd'] },
+    GTQ: { singular: 'quetzal', plural: 'quetzales', aliases: ['quetzal', 'quetzales', 'gtq'] },
+    MXN: { singular: 'peso mexicano', plural: 'pesos mexicanos', aliases: ['peso mexicano', 'pesos mexicanos', 'mxn'] },
+    EUR: { singular: 'euro', plural: 'euros', aliases: ['euro', 'euros', 'eur'] },
+    GBP: { singular: 'libra esterlina', plural: 'libras esterlinas', aliases: ['libra esterlina', 'libras esterlinas', 'gbp'] },
+    JPY: { singular: 'yen', plural: 'yenes', aliases: ['yen', 'yenes', 'jpy'] },
+    HNL: { singular: 'lempira', plural: 'lempiras', aliases: ['lempira', 'lempiras', 'hnl'] },
+    CRC: { singular: 'colón costarricense', plural: 'colones costarricenses', aliases: ['colon', 'colones', 'colon costarricense', 'colones costarricenses', 'crc'] },
+    CAD: { singular: 'dólar canadiense', plural: 'dólares canadienses', aliases: ['dolar canadiense', 'dolares canadienses', 'cad'] }
+  },
+
+  // Nombres de las categorías para los mensajes
+  categoryNames: {
+    length: 'longitud',
+    mass: 'masa',
+    volume: 'volumen',
+    temperature: 'temperatura',
+    speed: 'velocidad',
+    data: 'almacenamiento',
+    time: 'tiempo'
+  },
+
+  // Índice alias → unidad o moneda (se construye al primer uso)
+  aliasIndex: null,
+
+  /**
+   * Interpreta una consulta de conversión
+   * "cuantos kilometros son 10 millas", "convierte 100 dolares a quetzales"
+   * @param {string} query - Consulta del usuario
+   * @returns {Object|null} - { value, from, to, type: 'unit'|'currency' } o null
+   */
+  parseConversion(query) {
+    if (!query || typeof query !== 'string') {
+      return null;
+    }
+
+    const text = mathService.replaceNumberWords(
+      query
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[¿?¡!.]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    )
+      .replace(/(\d),(\d)/g, '$1.$2')
+      .replace(/\bmenos\s+(?=\d)/g, '-');
+
+    const number = '(-?\\d+(?:\\.\\d+)?)';
+    const unit = '([a-z°/0-9 ]+?)';
+
+    // Destino primero: "cuantos kilometros son 10 millas", "a cuantos grados fahrenheit equivalen 30 grados celsius"
+    const targetFirst = new RegExp(
+      `^(?:a\\s+)?cuant[oa]s?\\s+${unit}\\s+(?:son|hay\\s+en|equivalen\\s+a|equivale\\s+a|equivalen|equivale|tiene|tienen|serian|seria|es|caben\\s+en)\\s+(?:${number}\\s*)?${unit}$`
+    );
+    // Origen primero: "convierte 100 dolares a quetzales", "10 millas en kilometros"
+    const sourceFirst = new RegExp(
+      `^(?:(?:convierte|convierteme|convertir|conviertes|pasa|pasame|pasar|transforma|transformar|cambia|cambiar|cuanto\\s+(?:es|son|serian|equivalen|equivale)|a\\s+cuanto\\s+(?:es|son|equivalen|equivale))\\s+)?(?:de\\s+)?${number}\\s*${unit}\\s+(?:a|en)\\s+${unit}$`
+    );
+
+    let value;
+    let fromText;
+    let toText;
+
+    let match = text.match(targetFirst);
+    if (match) {
+      toText = match[1];
+      value = match[2] !== undefined ? parseFloat(match[2]) : 1;
+      fromText = match[3];
+    } else {
+      match = text.match(sourceFirst);
+      if (!match) {
+        return null;
+      }
+      value = parseFloat(match[1]);
+      fromText = match[2];
+      toText = match[3];
+    }
+
+    let from = this.findUnit(fromText);
+    let to = this.findUnit(toText);
+
+    // Monedas agregadas por un administrador sin nombre conocido: aceptar el código ISO
+    // solo si el otro lado de la conversión es una moneda reconocida
+    if (!from && to && to.type === 'currency') {
+      from = this.findCurrencyCode(fromText);
+    } else if (!to && from && from.type === 'currency') {
+      to = this.findCurrencyCode(toText);
+    }
+
+    if (!from || !to || from.type !== to.type) {
+      return null;
+    }
+
+    if (from.type === 'unit' && from.unit.category !== to.unit.category) {
+      return null;
+    }
+
+    return { value, from, to, type: from.type };
+  },
+
+  /**
+   * Busca una unidad o moneda por su nombre en español
+   * @param {string} text - Nombre de la unidad ("millas", "grados celsius", "dolares")
+   * @returns {Object|null} - { type: 'unit', unit } o { type: 'currency', code }
+   */
+  findUnit(text) {
+    if (!this.aliasIndex) {
+      this.aliasIndex = {};
+      for (const unit of this.units) {
+        unit.aliases.forEach(alias => { this.aliasIndex[alias] = { type: 'unit', unit }; });
+      }
+      for (const [code, currency] of Object.entries(this.currencies)) {
+        currency.aliases.forEach(alias => { this.aliasIndex[alias] = { type: 'currency', code }; });
+      }
+    }
+
+    const cleaned = text
+      .trim()
+      .replace(/^(?:de|en|a)\s+/, '')
+      .replace(/^(?:un|una|uno|el|la|los|las)\s+/, '')
+      .trim();
+
+    return this.aliasIndex[cleaned] || null;
+  },
+
+  /**
+   * Interpreta un texto como código ISO 4217 ("ars", "cop")
+   * @param {string} text - Texto de la unidad
+   * @returns {Object|null} - { type: 'currency', code } o null
+   */
+  findCurrencyCode(text) {
+    const cleaned = text.trim();
+    return /^[a-z]{3}$/.test(cleaned) ? { type: 'currency', code: cleaned.toUpperCase() } : null;
+  },
+
+  /**
+   * Verifica si una consulta es una conversión de unidades o monedas
+   * @param {string} query - Consulta del usuario
+   * @returns {boolean} - true si es una conversión
+   */
+  isConversionQuery(query) {
+    return this.parseConversion(query) !== null;
+  },
+
+  /**
+   * Resuelve una consulta de conversión
+   * @param {string} query - Consulta del usuario
+   * @returns {Promise<Object|null>} - Respuesta o null si no es una conversión
+   */
+  async convertQuery(query) {
+    const conversion = this.parseConversion(query);
+    if (!conversion) {
+      return null;
+    }
+
+    if (conversion.type === 'currency') {
+      return this.convertCurrency(conversion.value, conversion.from.code, conversion.to.code);
+    }
+
+    return this.convertUnits(conversion.value, conversion.from.unit, conversion.to.unit);
+  },
+
+  /**
+   * Convierte entre unidades de la misma categoría
+   * @param {number} value - Cantidad
+   * @param {Object} from - Unidad de origen
+   * @param {Object} to - Unidad de destino
+   * @returns {Object} - Respuesta con el resultado
+   */
+  convertUnits(value, from, to) {
+    const base = from.toBase ? from.toBase(value) : value * from.factor;
+    const result = to.fromBase ? to.fromBase(base) : base / to.factor;
+
+    if (from.category === 'temperature' && base < -273.15) {
+      return {
+        response: 'Esa temperatura está por debajo del cero absoluto, así que no existe.',
+        source: 'conversion',
+        confidence: 1.0
+      };
+    }
+
+    const response = `${this.formatNumber(value)} ${this.unitName(from, value)} ${value === 1 ? 'es' : 'son'} ${this.formatNumber(result)} ${this.unitName(to, result)}.`;
+
+    logger.info(`Conversión de ${this.categoryNames[from.category]}: ${value} ${from.key} → ${result} ${to.key}`);
+
+    return {
+      response,
+      source: 'conversion',
+      confidence: 1.0,
+      context: `Conversión de ${this.categoryNames[from.category]}`,
+      result
+    };
+  },
+
+  /**
+   * Convierte entre monedas usando la tabla local de tipos de cambio
+   * @param {number} amount - Cantidad
+   * @param {string} fromCode - Moneda de origen (ISO 4217)
+   * @param {string} toCode - Moneda de destino (ISO 4217)
+   * @returns {Promise<Object>} - Respuesta con el resultado y la fecha del tipo de cambio
+   */
+  async convertCurrency(amount, fromCode, toCode) {
+    let rates;
+    try {
+      rates = await CurrencyRateModel.getRatesByCodes([fromCode, toCode]);
+    } catch (error) {
+      logger.error('Error al obtener tipos de cambio para la conversión:', error);
+      return {
+        response: 'No pude consultar los tipos de cambio en este momento. Intenta de nuevo más tarde.',
+        source: 'conversion',
+        confidence: 0.5
+      };
+    }
+
+    const fromRate = rates.find(rate => rate.code === fromCode);
+    const toRate = rates.find(rate => rate.code === toCode);
+
+    if (!fromRate || !toRate) {
+      const missing = !fromRate ? fromCode : toCode;
+      return {
+        response: `No tengo registrado el tipo de cambio de ${this.currencyName(missing, 2)}. Un administrador puede agregarlo.`,
+        source: 'conversion',
+        confidence: 0.8
+      };
+    }
+
+    const result = amount * (parseFloat(toRate.rate_to_usd) / parseFloat(fromRate.rate_to_usd));
+
+    // La fecha relevante es la del tipo de cambio más antiguo que no sea la moneda base
+    const dates = [fromRate, toRate]
+      .filter(rate => rate.code !== this.baseCurrency)
+      .map(rate => new Date(rate.rate_date));
+    const rateDate = dates.length > 0 ? new Date(Math.min(...dates)) : new Date(fromRate.rate_date);
+
+    const response = `${this.formatMoney(amount)} ${this.currencyName(fromCode, amount)} ${amount === 1 ? 'equivale' : 'equivalen'} a ${this.formatMoney(result)} ${this.currencyName(toCode, result)}, según el tipo de cambio del ${this.formatDate(rateDate)}.`;
+
+    logger.info(`Conversión de moneda: ${amount} ${fromCode} → ${result} ${toCode}`);
+
+    return {
+      response,
+      source: 'conversion',
+      confidence: 1.0,
+      context: `Tipo de cambio del ${this.formatDate(rateDate)}`,
+      result,
+      rateDate
+    };
+  },
+
+  /**
+   * Obtiene el nombre de una unidad en singular o plural
+   * @param {Object} unit - Unidad
+   * @param {number} value - Cantidad
+   * @returns {string} - Nombre de la unidad
+   */
+  unitName(unit, value) {
+    return value === 1 ? unit.singular : unit.plural;
+  },
+
+  /**
+   * Obtiene el nombre de una moneda en singular o plural
+   * @param {string} code - Código ISO 4217
+   * @param {number} value - Cantidad
+   * @returns {string} - Nombre de la moneda
+   */
+  currencyName(code, value) {
+    const currency = this.currencies[code];
+    if (!currency) return code;
+    return value === 1 ? currency.singular : currency.plural;
+  },
+
+  /**
+   * Formatea una cantidad con precisión razonable
+   * @param {number} value - Cantidad
+   * @returns {string} - Cantidad formateada
+   */
+  formatNumber(value) {
+    const options = Math.abs(value) >= 1 || value === 0
+      ? { maximumFractionDigits: 2 }
+      : { maximumSignificantDigits: 4 };
+    return value.toLocaleString('es-GT', options);
+  },
+
+  /**
+   * Formatea una cantidad de dinero con dos decimales
+   * @param {number} value - Cantidad
+   * @returns {string} - Cantidad formateada
+   */
+  formatMoney(value) {
+    return value.toLocaleString('es-GT', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  },
+
+  /**
+   * Formatea una fecha como dd/mm/aaaa
+   * @param {Date} date - Fecha
+   * @returns {string} - Fecha formateada
+   */
+  formatDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+  }
+};
+
+module.exports = ConversionService;
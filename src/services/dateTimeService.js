@@ -0,0 +1,522 @@
+const mathService = require('./mathService');
+const UserModel = require('../models/userModel');
+const { logger, config } = require('../config');
+
+/**
+ * Servicio de fecha, hora y calendario
+ * Responde la hora y fecha actuales en la zona horaria del usuario, el día de la
+ * semana de una fecha, los días que faltan para una fecha o festividad y la
+ * aritmética de fechas ("qué fecha será en 45 días").
+ */
+const DateTimeService = {
+  months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+
+  // Festividades con fecha fija (mes 1-12)
+  holidays: [
+    { names: ['navidad', 'nochebuena'], label: 'Navidad', month: 12, day: 25, aliasDays: { nochebuena: 24 } },
+    { names: ['ano nuevo', 'el ano nuevo'], label: 'Año Nuevo', month: 1, day: 1 },
+    { names: ['fin de ano'], label: 'fin de año', month: 12, day: 31 },
+    { names: ['dia de la independencia', 'la independencia', 'independencia', '15 de septiembre'], label: 'el Día de la Independencia', month: 9, day: 15 },
+    { names: ['dia de la madre', 'el dia de la madre'], label: 'el Día de la Madre', month: 5, day: 10 },
+    { names: ['san valentin', 'dia de san valentin', 'el dia de san valentin', 'dia del amor'], label: 'San Valentín', month: 2, day: 14 },
+    { names: ['halloween'], label: 'Halloween', month: 10, day: 31 },
+    { names: ['dia de todos los santos', 'todos los santos'], label: 'el Día de Todos los Santos', month: 11, day: 1 }
+  ],
+
+  // Unidades para la aritmética de fechas
+  periodUnits: {
+    dia: 1, dias: 1,
+    semana: 7, semanas: 7,
+    mes: 'month', meses: 'month',
+    ano: 'year', anos: 'year'
+  },
+
+  /**
+   * Interpreta una consulta temporal
+   * @param {string} query - Consulta del usuario
+   * @returns {Object|null} - { type, ... } o null si no es una consulta temporal
+   */
+  parseQuery(query) {
+    if (!query || typeof query !== 'string') {
+      return null;
+    }
+
+    const text = this.normalize(query);
+
+    // Hora actual
+    if (/^(?:(?:me\s+(?:dices|puedes\s+decir)|dime|sabes)\s+)?(?:que\s+hora\s+es|que\s+horas\s+son|la\s+hora|la\s+hora\s+actual|que\s+hora\s+tienes)(?:\s+ahora|\s+por\s+favor)?$/.test(text)) {
+      return { type: 'time' };
+    }
+
+    // Fecha actual
+    if (/^(?:(?:me\s+(?:dices|puedes\s+decir)|dime|sabes)\s+)?(?:que\s+(?:fecha|dia)\s+es\s+hoy|que\s+fecha\s+es|a\s+que\s+(?:fecha\s+)?estamos(?:\s+hoy)?|cual\s+es\s+la\s+fecha(?:\s+de\s+hoy)?|la\s+fecha(?:\s+de\s+hoy)?|que\s+dia\s+es)$/.test(text)) {
+      return { type: 'date' };
+    }
+
+    // Año o mes actual
+    const period = text.match(/^(?:en\s+que\s+(ano|mes)\s+estamos|que\s+(ano|mes)\s+es)$/);
+    if (period) {
+      return { type: (period[1] || period[2]) === 'ano' ? 'year' : 'month' };
+    }
+
+    // Mañana, pasado mañana, ayer, antier
+    const relativeDay = text.match(/^que\s+(?:fecha|dia)\s+(?:sera|es|fue|era)\s+(pasado\s+manana|manana|ayer|antier|anteayer)$/);
+    if (relativeDay) {
+      const offsets = { manana: 1, 'pasado manana': 2, ayer: -1, antier: -2, anteayer: -2 };
+      return { type: 'offset', days: offsets[relativeDay[1].replace(/\s+/g, ' ')], months: 0, label: relativeDay[1] };
+    }
+
+    // Aritmética de fechas: "que fecha sera en 45 dias", "que dia fue hace 2 semanas"
+    const offset = text.match(/^(?:que|cual)\s+(?:fecha|dia)\s+(?:sera|es|fue|era|seria|caera|cae)\s+(dentro\s+de|en|hace)\s+(\d+)\s+(dias?|semanas?|mes(?:es)?|anos?)$/) ||
+      text.match(/^(dentro\s+de|en|hace)\s+(\d+)\s+(dias?|semanas?|mes(?:es)?|anos?)\s+(?:que\s+(?:fecha|dia)\s+(?:sera|es|fue|era))$/);
+    if (offset) {
+      const amount = parseInt(offset[2]) * (offset[1] === 'hace' ? -1 : 1);
+      const unit = this.periodUnits[offset[3]];
+      return {
+        type: 'offset',
+        days: typeof unit === 'number' ? amount * unit : 0,
+        months: unit === 'month' ? amount : unit === 'year' ? amount * 12 : 0,
+        amount: Math.abs(amount),
+        unitText: offset[3],
+        past: amount < 0
+      };
+    }
+
+    // Días que faltan: "cuantos dias faltan para navidad", "cuanto falta para el 15 de septiembre"
+    const until = text.match(/^(?:cuantos\s+dias\s+faltan|cuanto\s+falta|cuantos\s+dias\s+quedan|cuanto\s+queda)\s+(?:para|hasta)\s+(.+)$/);
+    if (until) {
+      const target = this.parseTarget(until[1]);
+      return target ? { type: 'until', target } : null;
+    }
+
+    // Días transcurridos: "cuantos dias han pasado desde el 1 de enero"
+    const since = text.match(/^cuantos\s+dias\s+(?:han\s+pasado|pasaron|van)\s+desde\s+(.+)$/);
+    if (since) {
+      const target = this.parseTarget(since[1]);
+      return target ? { type: 'since', target } : null;
+    }
+
+    // Día de la semana: "que dia de la semana es el 25 de diciembre", "en que dia cae navidad"
+    const weekday = text.match(/^(?:que\s+dia(?:\s+de\s+la\s+semana)?\s+(?:es|fue|sera|era|cae|cayo|caera)|en\s+que\s+dia(?:\s+de\s+la\s+semana)?\s+(?:cae|cayo|caera|es|fue|sera))\s+(.+)$/);
+    if (weekday) {
+      const target = this.parseTarget(weekday[1]);
+      return target ? { type: 'weekday', target } : null;
+    }
+
+    return null;
+  },
+
+  /**
+   * Verifica si una consulta es temporal
+   * @param {string} query - Consulta del usuario
+   * @returns {boolean} - true si la consulta es de fecha u hora
+   */
+  isDateTimeQuery(query) {
+    return this.parseQuery(query) !== null;
+  },
+
+  /**
+   * Responde una consulta temporal
+   * @param {string} query - Consulta del usuario
+   * @param {string} timezone - Zona horaria IANA del usuario
+   * @returns {Object|null} - Respuesta o null si no es una consulta temporal
+   */
+  answer(query, timezone = null) {
+    const parsed = this.parseQuery(query);
+    if (!parsed) {
+      return null;
+    }
+
+    const zone = this.isValidTimezone(timezone) ? timezone : config.assistant.defaultTimezone;
+    const now = this.now();
+    const today = this.todayIn(zone, now);
+    let response;
+
+    switch (parsed.type) {
+      case 'time': {
+        const formatted = new Intl.DateTimeFormat('es-GT', {
+          timeZone: zone, hour: 'numeric', minute: '2-digit', hour12: true
+        }).format(now).replace(/\.$/, '');
+        response = `${formatted.startsWith('1:') ? 'Es la' : 'Son las'} ${formatted}.`;
+        break;
+      }
+      case 'date':
+        response = `Hoy es ${this.formatDate(today)}.`;
+        break;
+      case 'year':
+        response = `Estamos en ${today.getUTCFullYear()}.`;
+        break;
+      case 'month':
+        response = `Estamos en ${this.months[today.getUTCMonth()]} de ${today.getUTCFullYear()}.`;
+        break;
+      case 'offset': {
+        const target = this.addMonths(this.addDays(today, parsed.days), parsed.months);
+        if (parsed.label) {
+          const verb = parsed.days > 0 ? 'será' : 'fue';
+          response = `${this.capitalize(this.labelFor(parsed.label))} ${verb} ${this.formatDate(target)}.`;
+        } else {
+          const units = this.pluralizeUnit(parsed.unitText, parsed.amount);
+          response = parsed.past
+            ? `Hace ${parsed.amount} ${units} fue ${this.formatDate(target)}.`
+            : `Dentro de ${parsed.amount} ${units} será ${this.formatDate(target)}.`;
+        }
+        break;
+      }
+      case 'until': {
+        const target = this.resolveTarget(parsed.target, today, 'future');
+        const days = this.diffDays(today, target);
+        const label = parsed.target.label || `el ${this.formatDate(target, false)}`;
+        if (days === 0) {
+          response = `¡Es hoy! Hoy es ${label}.`;
+        } else if (days < 0) {
+          response = `${this.capitalize(label)} ya pasó: fue hace ${-days} ${-days === 1 ? 'día' : 'días'}.`;
+        } else {
+          response = `${days === 1 ? 'Falta 1 día' : `Faltan ${days} días`} para ${label} (${this.formatDate(target)}).`;
+        }
+        break;
+      }
+      case 'since': {
+        const target = this.resolveTarget(parsed.target, today, 'past');
+        const days = this.diffDays(target, today);
+        const label = parsed.target.label || `el ${this.formatDate(target, false)}`;
+        response = days < 0
+          ? `${this.capitalize(label)} todavía no llega: faltan ${-days} ${-days === 1 ? 'día' : 'días'}.`
+          : `${days === 1 ? 'Ha pasado 1 día' : `Han pasado ${days} días`} desde ${label}.`;
+        break;
+      }
+      case 'weekday': {
+        const target = this.resolveTarget(parsed.target, today, 'current');
+        const days = this.diffDays(today, target);
+        const verb = days === 0 ? 'es' : days > 0 ? 'cae' : 'fue';
+        const weekdayName = new Intl.DateTimeFormat('es-GT', { timeZone: 'UTC', weekday: 'long' }).format(target);
+        response = `${this.capitalize(parsed.target.label || `el ${this.formatDate(target, false)}`)} ${verb} ${weekdayName}.`;
+        break;
+      }
+      default:
+        return null;
+    }
+
+    logger.info(`Consulta temporal (${parsed.type}) respondida en zona horaria ${zone}`);
+
+    return {
+      response,
+      source: 'datetime',
+      confidence: 1.0,
+      context: `Zona horaria: ${zone}`
+    };
+  },
+
+  /**
+   * Interpreta una fecha o festividad escrita en español
+   * "navidad", "el 25 de diciembre", "el 1 de enero de 2027", "25/12/2026"
+   * @param {string} text - Texto normalizado
+   * @returns {Object|null} - { month, day, year, label } o null
+   */
+  parseTarget(text) {
+    const cleaned = text.replace(/^(?:el|la)\s+/, '').trim();
+
+    for (const holiday of this.holidays) {
+      const name = holiday.names.find(n => cleaned === n || cleaned === `el ${n}` || cleaned === `la ${n}`);
+      if (name) {
+        const day = holiday.aliasDays && holiday.aliasDays[name] ? holiday.aliasDays[name] : holiday.day;
+        return {
+          month: holiday.month,
+          day,
+          year: null,
+          label: name === 'nochebuena' ? 'Nochebuena' : holiday.label
+        };
+      }
+    }
+
+    const written = cleaned.match(/^(\d{1,2}|primero)\s+de\s+([a-z]+)(?:\s+(?:de|del)\s+(\d{4}))?$/);
+    if (written) {
+      const month = this.months.indexOf(written[2]) + 1;
+      const day = written[1] === 'primero' ? 1 : parseInt(written[1]);
+      const year = written[3] ? parseInt(written[3]) : null;
+      return this.isValidDate(year || 2000, month, day) ? { month, day, year, label: null } : null;
+    }
+
+    const numeric = cleaned.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?$/);
+    if (numeric) {
+      const day = parseInt(numeric[1]);
+      const month = parseInt(numeric[2]);
+      const year = numeric[3] ? parseInt(numeric[3]) : null;
+      return this.isValidDate(year || 2000, month, day) ? { month, day, year, label: null } : null;
+    }
+
+    return null;
+  },
+
+  /**
+   * Obtiene la fecha concreta de un objetivo sin año
+   * @param {Object} target - { month, day, year }
+   * @param {Date} today - Fecha actual (medianoche UTC)
+   * @param {string} direction - 'future' (próxima ocurrencia), 'past' (última) o 'current' (este año)
+   * @returns {Date} - Fecha (medianoche UTC)
+   */
+  resolveTarget(target, today, direction) {
+    if (target.year) {
+      return new Date(Date.UTC(target.year, target.month - 1, target.day));
+    }
+
+    const year = today.getUTCFullYear();
+    let date = new Date(Date.UTC(year, target.month - 1, target.day));
+
+    if (direction === 'future' && date < today) {
+      date = new Date(Date.UTC(year + 1, target.month - 1, target.day));
+    } else if (direction === 'past' && date > today) {
+      date = new Date(Date.UTC(year - 1, target.month - 1, target.day));
+    }
+
+    return date;
+  },
+
+  /**
+   * Momento actual (separado para poder sustituirlo en pruebas manuales)
+   * @returns {Date} - Fecha y hora actuales
+   */
+  now() {
+    return new Date();
+  },
+
+  /**
+   * Obtiene la fecha de hoy en una zona horaria como medianoche UTC
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} now - Momento actual
+   * @returns {Date} - Fecha de hoy
+   */
+  todayIn(timezone, now = this.now()) {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(now).split('-').map(Number);
+
+    return new Date(Date.UTC(year, month - 1, day));
+  },
+
+  /**
+   * Obtiene la zona horaria configurada por un usuario
+   * @param {string} userId - ID del usuario (opcional)
+   * @param {string} fallback - Zona horaria alternativa (p. ej. la enviada por el cliente)
+   * @returns {Promise<string>} - Zona horaria IANA válida
+   */
+  async getUserTimezone(userId, fallback = null) {
+    if (userId) {
+      try {
+        const preferences = await UserModel.getPreferences(userId);
+        if (preferences && this.isValidTimezone(preferences.timezone)) {
+          return preferences.timezone;
+        }
+      } catch (error) {
+        logger.warn(`No se pudo obtener la zona horaria del usuario ${userId}:`, error);
+      }
+    }
+
+    return this.isValidTimezone(fallback) ? fallback : config.assistant.defaultTimezone;
+  },
+
+  /**
+   * Descompone un instante en fecha y hora locales de una zona horaria
+   * @param {Date} date - Instante
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = domingo) }
+   */
+  getZonedParts(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      hour: parseInt(parts.hour) % 24,
+      minute: parseInt(parts.minute),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  },
+
+  /**
+   * Convierte una fecha y hora locales de una zona horaria en un instante
+   * @param {number} year - Año
+   * @param {number} month - Mes (1-12)
+   * @param {number} day - Día
+   * @param {number} hour - Hora (0-23)
+   * @param {number} minute - Minuto
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {Date} - Instante correspondiente
+   */
+  zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Desfase de la zona en ese momento (se recalcula una vez por los cambios de horario)
+    const offsetAt = (instant) => {
+      const p = this.getZonedParts(new Date(instant), timezone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000;
+    };
+
+    let instant = asUtc - offsetAt(asUtc);
+    instant = asUtc - offsetAt(instant);
+    return new Date(instant);
+  },
+
+  /**
+   * Formatea fecha y hora en español en una zona horaria
+   * @param {Date} date - Instante
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {string} - "martes, 20 de octubre de 2026 a las 8:00 a. m."
+   */
+  formatDateTime(date, timezone) {
+    const day = new Intl.DateTimeFormat('es-GT', {
+      timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+    }).format(date);
+
+    return `${day} ${this.formatTimeOfDay(date, timezone)}`;
+  },
+
+  /**
+   * Formatea la hora con el artículo correcto
+   * @param {Date} date - Instante
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {string} - "a las 8:00 a. m." o "a la 1:30 p. m."
+   */
+  formatTimeOfDay(date, timezone) {
+    const time = new Intl.DateTimeFormat('es-GT', {
+      timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true
+    }).format(date);
+
+    return `${time.startsWith('1:') ? 'a la' : 'a las'} ${time}`;
+  },
+
+  /**
+   * Verifica si una zona horaria IANA es válida
+   * @param {string} timezone - Zona horaria ("America/Guatemala")
+   * @returns {boolean} - true si es válida
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Verifica que una fecha exista en el calendario
+   * @param {number} year - Año
+   * @param {number} month - Mes (1-12)
+   * @param {number} day - Día
+   * @returns {boolean} - true si la fecha existe
+   */
+  isValidDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) return false;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  },
+
+  /**
+   * Suma días a una fecha
+   * @param {Date} date - Fecha (medianoche UTC)
+   * @param {number} days - Días a sumar (negativo para restar)
+   * @returns {Date} - Nueva fecha
+   */
+  addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+  },
+
+  /**
+   * Suma meses a una fecha ajustando al último día del mes si hace falta
+   * @param {Date} date - Fecha (medianoche UTC)
+   * @param {number} months - Meses a sumar (negativo para restar)
+   * @returns {Date} - Nueva fecha
+   */
+  addMonths(date, months) {
+    if (!months) return date;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+  },
+
+  /**
+   * Diferencia en días entre dos fechas
+   * @param {Date} from - Fecha inicial
+   * @param {Date} to - Fecha final
+   * @returns {number} - Días de from a to
+   */
+  diffDays(from, to) {
+    return Math.round((to.getTime() - from.getTime()) / 86400000);
+  },
+
+  /**
+   * Formatea una fecha en español
+   * @param {Date} date - Fecha (medianoche UTC)
+   * @param {boolean} withWeekday - Incluir el día de la semana
+   * @returns {string} - "viernes, 25 de diciembre de 2026"
+   */
+  formatDate(date, withWeekday = true) {
+    const options = { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' };
+    if (withWeekday) options.weekday = 'long';
+    return new Intl.DateTimeFormat('es-GT', options).format(date);
+  },
+
+  /**
+   * Texto legible para mañana, ayer, etc.
+   * @param {string} label - Etiqueta normalizada
+   * @returns {string} - Etiqueta con acentos
+   */
+  labelFor(label) {
+    const labels = { manana: 'mañana', 'pasado manana': 'pasado mañana', ayer: 'ayer', antier: 'antier', anteayer: 'anteayer' };
+    return labels[label.replace(/\s+/g, ' ')] || label;
+  },
+
+  /**
+   * Singular o plural de una unidad de tiempo
+   * @param {string} unitText - Unidad escrita por el usuario
+   * @param {number} amount - Cantidad
+   * @returns {string} - Unidad con acentos y número correcto
+   */
+  pluralizeUnit(unitText, amount) {
+    const names = {
+      dia: ['día', 'días'], semana: ['semana', 'semanas'], mes: ['mes', 'meses'], ano: ['año', 'años']
+    };
+    const key = unitText.replace(/es$|s$/, '');
+    const [singular, plural] = names[key] || [unitText, unitText];
+    return amount === 1 ? singular : plural;
+  },
+
+  /**
+   * Pone en mayúscula la primera letra
+   * @param {string} text - Texto
+   * @returns {string} - Texto capitalizado
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  /**
+   * Normaliza una consulta: minúsculas, sin acentos, números en cifras
+   * @param {string} query - Consulta del usuario
+   * @returns {string} - Consulta normalizada
+   */
+  normalize(query) {
+    return mathService.replaceNumberWords(
+      query
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[¿?¡!.,]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    );
+  }
+};
+
+module.exports = DateTimeService;
@@ -0,0 +1,232 @@
+const axios = require('axios');
+const { logger, config } = require('../config');
+
+// Palabras vacías que no aportan significado al embedding por hashing
+const STOPWORDS = new Set([
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'a', 'en', 'y', 'o', 'u',
+  'que', 'es', 'son', 'por', 'para', 'con', 'sin', 'se', 'su', 'sus', 'lo', 'le', 'les', 'me', 'mi',
+  'te', 'tu', 'como', 'mas', 'pero', 'sobre', 'este', 'esta', 'esto', 'ese', 'esa', 'eso', 'fue', 'era'
+]);
+
+// Contenido del documento indexado (ver buildDocument): preguntas y alias
+const DOCUMENT_FORMAT = 'preguntas';
+
+/**
+ * Hash FNV-1a de 32 bits (determinista entre ejecuciones y procesos)
+ * @param {string} text - Texto
+ * @param {number} seed - Semilla
+ * @returns {number} - Hash sin signo
+ */
+function fnv1a(text, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash;
+}
+
+/**
+ * Servicio de embeddings para la búsqueda semántica en la base de conocimientos
+ * Los vectores se devuelven normalizados (longitud 1), de modo que la similitud
+ * coseno entre dos de ellos es su producto escalar.
+ */
+const EmbeddingService = {
+  /**
+   * Proveedores de embeddings. Cada adaptador implementa:
+   * - embed(text): vector de números
+   * - getModel(): nombre del modelo (se guarda con cada embedding)
+   * - getCosineRange(): [coseno entre textos sin relación, coseno entre textos con el
+   *   mismo significado] del modelo (opcional, por defecto [0, 1])
+   * Se añaden otros con registerProvider.
+   */
+  providers: {
+    // Sin modelo: proyecta palabras y trigramas de caracteres en un vector fijo.
+    // Determinista y sin dependencias (desarrollo y pruebas); capta variaciones de
+    // una misma palabra, no sinónimos.
+    hashing: {
+      embed: async text => EmbeddingService.hashingEmbed(text, config.semanticSearch.hashing.dimensions),
+      getModel: () => `hashing-${config.semanticSearch.hashing.dimensions}`,
+      getCosineRange: () => config.semanticSearch.hashing.cosineRange
+    },
+    // Modelo de embeddings en CPU servido por Ollama o por un servidor compatible con OpenAI
+    local: {
+      embed: text => EmbeddingService.embedLocal(text),
+      getModel: () => config.semanticSearch.local.model,
+      getCosineRange: () => config.semanticSearch.local.cosineRange
+    }
+  },
+
+  /**
+   * Registra un proveedor de embeddings
+   * @param {string} name - Nombre del proveedor (valor de EMBEDDING_PROVIDER)
+   * @param {Object} adapter - Adaptador con embed y getModel
+   */
+  registerProvider(name, adapter) {
+    if (!adapter || typeof adapter.embed !== 'function' || typeof adapter.getModel !== 'function') {
+      throw new Error(`Adaptador de embeddings no válido: ${name}`);
+    }
+    this.providers[name] = adapter;
+  },
+
+  /**
+   * Indica si la búsqueda semántica está activa
+   * @returns {boolean} - true si está habilitada y el proveedor existe
+   */
+  isEnabled() {
+    const settings = config.semanticSearch;
+    return Boolean(settings && settings.enabled && this.providers[settings.provider]);
+  },
+
+  /**
+   * Identificador del modelo actual (proveedor, modelo y contenido indexado)
+   * Solo se comparan embeddings generados con el mismo identificador; al cambiar
+   * DOCUMENT_FORMAT las entradas se vuelven a indexar.
+   * @returns {string|null} - Identificador o null si la búsqueda semántica no está activa
+   */
+  getModelId() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const provider = config.semanticSearch.provider;
+    return `${provider}/${this.providers[provider].getModel()}/${DOCUMENT_FORMAT}`;
+  },
+
+  /**
+   * Rango de similitud coseno del modelo actual, para calibrarla a la escala 0-1
+   * @returns {Array<number>} - [sin relación, mismo significado]
+   */
+  getCosineRange() {
+    const adapter = this.providers[config.semanticSearch.provider];
+    const range = adapter && typeof adapter.getCosineRange === 'function' ? adapter.getCosineRange() : null;
+
+    return Array.isArray(range) && range.length === 2 && range[1] > range[0] ? range : [0, 1];
+  },
+
+  /**
+   * Calcula el embedding de un texto
+   * Si el proveedor falla devuelve null y la búsqueda sigue solo con trigramas.
+   * @param {string} text - Texto
+   * @returns {Promise<Object|null>} - { vector, model } o null
+   */
+  async embed(text) {
+    if (!this.isEnabled() || !text || !text.trim()) {
+      return null;
+    }
+
+    const provider = config.semanticSearch.provider;
+
+    try {
+      const vector = this.normalize(await this.providers[provider].embed(text));
+
+      if (!vector) {
+        logger.warn(`El proveedor de embeddings ${provider} devolvió un vector vacío`);
+        return null;
+      }
+
+      return {
+        vector,
+        model: this.getModelId()
+      };
+    } catch (error) {
+      logger.error(`Error al calcular el embedding con ${provider}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Texto que se indexa de una entrada de conocimiento
+   * Solo las formas de la pregunta: con la respuesta, preguntas sobre otra entidad
+   * se parecerían por las palabras que comparten las respuestas.
+   * @param {string} query - Pregunta
+   * @param {Array<string>} aliases - Otras formas de la pregunta
+   * @returns {string} - Texto a indexar
+   */
+  buildDocument(query, aliases = []) {
+    return [query, ...aliases].filter(Boolean).join('\n');
+  },
+
+  /**
+   * Normaliza un vector a longitud 1
+   * @param {Array<number>} vector - Vector
+   * @returns {Array<number>|null} - Vector normalizado o null si está vacío o es nulo
+   */
+  normalize(vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      return null;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (!norm || !Number.isFinite(norm)) {
+      return null;
+    }
+
+    return vector.map(value => value / norm);
+  },
+
+  /**
+   * Embedding por hashing de palabras y trigramas de caracteres
+   * @param {string} text - Texto
+   * @param {number} dimensions - Dimensiones del vector
+   * @returns {Array<number>} - Vector (sin normalizar)
+   */
+  hashingEmbed(text, dimensions = 256) {
+    const vector = new Array(dimensions).fill(0);
+    const words = text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      // El signo sale de otro hash para que las colisiones tiendan a anularse
+      const sign = fnv1a(feature, 0x9747b28c) & 1 ? 1 : -1;
+      vector[hash % dimensions] += sign * weight;
+    };
+
+    words.forEach(word => {
+      add(`w:${word}`, 1);
+
+      // Trigramas de la palabra: "escribio" y "escribir" comparten la mayoría
+      const padded = `#${word}#`;
+      for (let i = 0; i <= padded.length - 3; i++) {
+        add(`t:${padded.substring(i, i + 3)}`, 0.3);
+      }
+    });
+
+    return vector;
+  },
+
+  /**
+   * Embedding con el modelo local (Ollama /api/embed o /v1/embeddings compatible con OpenAI)
+   * @param {string} text - Texto
+   * @returns {Promise<Array<number>>} - Vector
+   */
+  async embedLocal(text) {
+    const local = config.ai.local;
+    const settings = config.semanticSearch.local;
+    const baseUrl = local.url.replace(/\/+$/, '');
+    const requestConfig = {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(local.apiKey ? { 'Authorization': `Bearer ${local.apiKey}` } : {})
+      },
+      timeout: settings.timeoutMs
+    };
+
+    if (local.api === 'openai') {
+      const response = await axios.post(`${baseUrl}/v1/embeddings`, { model: settings.model, input: text }, requestConfig);
+      return response.data && response.data.data && response.data.data[0] && response.data.data[0].embedding;
+    }
+
+    const response = await axios.post(`${baseUrl}/api/embed`, { model: settings.model, input: text }, requestConfig);
+    return response.data && response.data.embeddings && response.data.embeddings[0];
+  }
+};
+
+module.exports = EmbeddingService;
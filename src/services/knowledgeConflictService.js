@@ -0,0 +1,235 @@
+const KnowledgeModel = require('../models/knowledgeModel');
+const KnowledgeConflictModel = require('../models/knowledgeConflictModel');
+const { logger, config } = require('../config');
+
+// Palabras que no cambian el sentido de una respuesta corta
+const STOPWORDS = new Set(['el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'al', 'a', 'en', 'y', 'es', 'son', 'fue']);
+
+// Palabras que invierten el sentido de una respuesta ("París" frente a "no es París")
+const NEGATIONS = new Set(['no', 'ni', 'nunca', 'jamas', 'tampoco', 'nadie', 'nada', 'ningun', 'ninguno', 'ninguna', 'sin']);
+
+// Cifras y fechas escritas con palabras; cualquier diferencia en ellas es una contradicción
+const NUMBER_WORDS = new Set([
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'once', 'doce', 'trece', 'catorce', 'quince', 'veinte', 'treinta', 'cuarenta', 'cincuenta',
+  'sesenta', 'setenta', 'ochenta', 'noventa', 'cien', 'ciento', 'mil', 'millon', 'millones',
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre',
+  'octubre', 'noviembre', 'diciembre', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes',
+  'sabado', 'domingo'
+]);
+
+// Resoluciones de un conflicto: conservar la respuesta guardada o reemplazarla por la propuesta
+const RESOLUTIONS = {
+  keep: 'kept',
+  replace: 'replaced'
+};
+
+/**
+ * Servicio de duplicados y conflictos en el aprendizaje de conocimientos
+ * Decide qué hacer cuando se enseña una respuesta para una pregunta que ya existe:
+ * reforzarla si coincide o registrar un conflicto para moderación si la contradice.
+ */
+const KnowledgeConflictService = {
+  RESOLUTIONS,
+
+  /**
+   * Normaliza una respuesta para compararla (minúsculas, sin acentos ni puntuación)
+   * @param {string} text - Respuesta
+   * @returns {string} - Respuesta normalizada
+   */
+  normalizeAnswer(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/(\d)[.,](?=\d{3}\b)/g, '$1')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Palabras de una respuesta que forman parte de un nombre propio (empiezan en mayúscula)
+   * @param {string} text - Respuesta original
+   * @returns {Set<string>} - Palabras normalizadas
+   */
+  nameParts(text) {
+    const parts = (text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    return new Set(
+      parts
+        .filter(part => /^\p{Lu}/u.test(part))
+        .map(part => this.normalizeAnswer(part))
+    );
+  },
+
+  /**
+   * Similitud entre dos respuestas (0-1)
+   * Si difieren en cifras, fechas o negaciones se consideran contradictorias (0).
+   * Una respuesta contenida en la otra solo se considera la misma cuando la pregunta es
+   * por una persona y la corta es el apellido de la larga ("Cervantes" y "Miguel de
+   * Cervantes"); "Guatemala" y "Antigua Guatemala" pueden ser cosas distintas y quedan
+   * por debajo del acuerdo. En el resto se usa el coeficiente de Dice de sus palabras.
+   * @param {string} first - Primera respuesta
+   * @param {string} second - Segunda respuesta
+   * @param {Object} options - { personName: la pregunta es por una persona }
+   * @returns {number} - Similitud
+   */
+  compareAnswers(first, second, { personName = false } = {}) {
+    const a = this.normalizeAnswer(first);
+    const b = this.normalizeAnswer(second);
+
+    if (!a || !b) {
+      return 0;
+    }
+    if (a === b) {
+      return 1;
+    }
+
+    const wordList = text => text.split(' ').filter(word => !STOPWORDS.has(word));
+    const words = text => new Set(wordList(text));
+    const wordsA = words(a);
+    const wordsB = words(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    const critical = set => [...set].filter(word => /\d/.test(word) || NUMBER_WORDS.has(word) || NEGATIONS.has(word)).sort().join(' ');
+    if (critical(wordsA) !== critical(wordsB)) {
+      return 0;
+    }
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+
+    if (shared === Math.min(wordsA.size, wordsB.size)) {
+      // Solo cambian las palabras vacías ("la ciudad de Guatemala" y "Ciudad de Guatemala")
+      if (wordsA.size === wordsB.size) {
+        return 0.9;
+      }
+
+      const [longer, longerText, shorter] = wordsA.size > wordsB.size ? [a, first, b] : [b, second, a];
+      const longerWords = wordList(longer);
+      const shorterWords = wordList(shorter);
+      const names = this.nameParts(longerText);
+      const isSurname = longerWords.slice(-shorterWords.length).join(' ') === shorterWords.join(' ') &&
+        longerWords.every(word => names.has(word));
+
+      return personName && isSurname ? 0.9 : 0.5;
+    }
+
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  },
+
+  /**
+   * Decide qué hacer con una respuesta enseñada para un conocimiento que ya existe
+   * - agree: la respuesta coincide con la guardada
+   * - correction: es una corrección del propio autor de un conocimiento aún no publicado
+   * - conflict: contradice la respuesta guardada
+   * @param {Object} entry - Conocimiento existente
+   * @param {string} answer - Respuesta enseñada
+   * @param {string} userId - ID del usuario que enseña (null si es anónimo)
+   * @returns {Object} - { action, answerSimilarity }
+   */
+  evaluate(entry, answer, userId = null) {
+    const personName = /^quien(?:es)?\s/.test(this.normalizeAnswer(entry.query));
+    const answerSimilarity = this.compareAnswers(entry.response, answer, { personName });
+
+    if (answerSimilarity >= config.learning.agreementSimilarity) {
+      return { action: 'agree', answerSimilarity };
+    }
+
+    // Una vez publicado, cambiarlo también requiere moderación
+    if (userId && entry.user_id === userId && !entry.is_public) {
+      return { action: 'correction', answerSimilarity };
+    }
+
+    return { action: 'conflict', answerSimilarity };
+  },
+
+  /**
+   * Refuerza un conocimiento cuya respuesta ha confirmado otro usuario
+   * @param {Object} entry - Conocimiento existente
+   * @param {string} userId - ID del usuario que la confirmó
+   * @returns {Promise<Object>} - Conocimiento actualizado
+   */
+  async reinforce(entry, userId = null) {
+    const confidence = Math.min(1, (Number(entry.confidence) || 0) + config.learning.confidenceBoost);
+
+    logger.info(`Respuesta confirmada para el conocimiento ${entry.id}: confianza ${entry.confidence} → ${confidence}`);
+    return KnowledgeModel.updateKnowledge(entry.id, { confidence }, {
+      reason: 'Respuesta confirmada por un usuario',
+      userId
+    });
+  },
+
+  /**
+   * Registra un conflicto entre la respuesta guardada y la enseñada
+   * @param {Object} entry - Conocimiento existente
+   * @param {string} question - Pregunta tal como se enseñó
+   * @param {string} answer - Respuesta enseñada
+   * @param {Object} options - { userId, answerSimilarity }
+   * @returns {Promise<Object>} - Conflicto registrado
+   */
+  async flagConflict(entry, question, answer, { userId = null, answerSimilarity = null } = {}) {
+    const conflict = await KnowledgeConflictModel.create({
+      knowledgeId: entry.id,
+      query: question,
+      existingResponse: entry.response,
+      proposedResponse: answer,
+      proposedBy: userId,
+      answerSimilarity
+    });
+
+    logger.warn(`Conflicto ${conflict.id} en el conocimiento ${entry.id}: "${entry.response}" ≠ "${answer}" (reportado ${conflict.times_reported} veces)`);
+    return conflict;
+  },
+
+  /**
+   * Lista conflictos por estado
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} - Conflictos
+   */
+  async list(filters) {
+    return KnowledgeConflictModel.list(filters);
+  },
+
+  /**
+   * Resuelve un conflicto pendiente
+   * @param {string} conflictId - ID del conflicto
+   * @param {string} resolution - keep o replace
+   * @param {string} userId - ID del moderador
+   * @returns {Promise<Object>} - Resultado con el conflicto resuelto o el motivo del rechazo
+   */
+  async resolve(conflictId, resolution, userId = null) {
+    try {
+      const conflict = await KnowledgeConflictModel.getById(conflictId);
+
+      if (!conflict) {
+        return {
+          success: false,
+          notFound: true,
+          message: 'Conflicto no encontrado'
+        };
+      }
+
+      const resolved = await KnowledgeConflictModel.resolve(conflictId, RESOLUTIONS[resolution], userId);
+
+      if (!resolved) {
+        return {
+          success: false,
+          message: `El conflicto ya fue resuelto (${conflict.status})`
+        };
+      }
+
+      logger.info(`Conflicto ${conflictId} resuelto (${resolved.status}) por ${userId || 'sistema'}`);
+      return {
+        success: true,
+        conflict: resolved
+      };
+    } catch (error) {
+      logger.error(`Error al resolver el conflicto ${conflictId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = KnowledgeConflictService;
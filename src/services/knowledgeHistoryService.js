@@ -0,0 +1,228 @@
+const KnowledgeModel = require('../models/knowledgeModel');
+const { logger } = require('../config');
+
+/**
+ * Servicio de historial de versiones de la base de conocimientos
+ * Cada cambio registrado en knowledge_updates crea una versión (la 1 es el contenido
+ * original). Permite consultar las versiones, compararlas y restaurar una anterior;
+ * restaurar no borra el historial, crea una versión nueva con el contenido antiguo.
+ */
+const KnowledgeHistoryService = {
+  /**
+   * Reconstruye las versiones de un conocimiento a partir de su historial
+   * @param {Object} knowledge - Conocimiento actual
+   * @param {Array} changes - Cambios registrados (cualquier orden)
+   * @returns {Array} - Versiones { version, response, confidence, reason, updatedBy, username, createdAt }, de la más antigua a la más reciente
+   */
+  buildVersions(knowledge, changes) {
+    if (changes.length === 0) {
+      return [{
+        version: knowledge.version || 1,
+        response: knowledge.response,
+        confidence: knowledge.confidence,
+        reason: null,
+        updatedBy: knowledge.user_id,
+        username: null,
+        createdAt: knowledge.created_at
+      }];
+    }
+
+    const ordered = [...changes].sort((a, b) => a.version - b.version);
+    const first = ordered[0];
+
+    return [
+      {
+        version: first.version - 1,
+        response: first.previous_response,
+        confidence: first.previous_confidence,
+        reason: null,
+        updatedBy: knowledge.user_id,
+        username: null,
+        createdAt: knowledge.created_at
+      },
+      ...ordered.map(change => ({
+        version: change.version,
+        response: change.new_response,
+        confidence: change.new_confidence,
+        reason: change.update_reason,
+        updatedBy: change.updated_by,
+        username: change.updated_by_username,
+        createdAt: change.created_at
+      }))
+    ];
+  },
+
+  /**
+   * Obtiene un conocimiento con todas sus versiones
+   * @param {string} knowledgeId - ID del conocimiento
+   * @returns {Promise<Object|null>} - { knowledge, versions } o null si no existe
+   */
+  async getHistory(knowledgeId) {
+    const knowledge = await KnowledgeModel.getById(knowledgeId);
+
+    if (!knowledge) {
+      return null;
+    }
+
+    const changes = await KnowledgeModel.getHistory(knowledgeId);
+
+    return {
+      knowledge,
+      versions: this.buildVersions(knowledge, changes).reverse()
+    };
+  },
+
+  /**
+   * Compara dos versiones de un conocimiento
+   * @param {string} knowledgeId - ID del conocimiento
+   * @param {number} from - Versión de origen
+   * @param {number} to - Versión de destino
+   * @returns {Promise<Object>} - Resultado con la comparación o el motivo del rechazo
+   */
+  async diff(knowledgeId, from, to) {
+    const history = await this.getHistory(knowledgeId);
+
+    if (!history) {
+      return {
+        success: false,
+        notFound: true,
+        message: 'Conocimiento no encontrado'
+      };
+    }
+
+    const fromVersion = history.versions.find(version => version.version === from);
+    const toVersion = history.versions.find(version => version.version === to);
+
+    if (!fromVersion || !toVersion) {
+      return {
+        success: false,
+        notFound: true,
+        message: `Versión no encontrada. Versiones disponibles: ${history.versions.map(version => version.version).reverse().join(', ')}`
+      };
+    }
+
+    return {
+      success: true,
+      diff: {
+        from: fromVersion,
+        to: toVersion,
+        confidenceChange: fromVersion.confidence !== null && toVersion.confidence !== null
+          ? Math.round((toVersion.confidence - fromVersion.confidence) * 1000) / 1000
+          : null,
+        changes: this.diffWords(fromVersion.response, toVersion.response)
+      }
+    };
+  },
+
+  /**
+   * Restaura una versión anterior de un conocimiento
+   * @param {string} knowledgeId - ID del conocimiento
+   * @param {number} version - Versión a restaurar
+   * @param {string} userId - ID del administrador
+   * @returns {Promise<Object>} - Resultado con el conocimiento restaurado o el motivo del rechazo
+   */
+  async rollback(knowledgeId, version, userId = null) {
+    try {
+      const history = await this.getHistory(knowledgeId);
+
+      if (!history) {
+        return {
+          success: false,
+          notFound: true,
+          message: 'Conocimiento no encontrado'
+        };
+      }
+
+      const target = history.versions.find(entry => entry.version === version);
+
+      if (!target) {
+        return {
+          success: false,
+          notFound: true,
+          message: `El conocimiento no tiene una versión ${version}`
+        };
+      }
+
+      const current = history.knowledge;
+      if (target.response === current.response && (target.confidence === null || target.confidence === current.confidence)) {
+        return {
+          success: false,
+          message: `La versión ${version} tiene el mismo contenido que la actual`
+        };
+      }
+
+      const restored = await KnowledgeModel.updateKnowledge(knowledgeId, {
+        response: target.response,
+        // Los cambios anteriores al historial completo no guardaban la confianza
+        confidence: target.confidence !== null ? target.confidence : undefined
+      }, {
+        reason: `Restaurada la versión ${version}`,
+        userId
+      });
+
+      logger.info(`Conocimiento ${knowledgeId} restaurado a la versión ${version} por ${userId || 'sistema'}`);
+      return {
+        success: true,
+        knowledge: restored
+      };
+    } catch (error) {
+      logger.error(`Error al restaurar la versión ${version} del conocimiento ${knowledgeId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Diferencias palabra a palabra entre dos textos (subsecuencia común más larga)
+   * @param {string} before - Texto anterior
+   * @param {string} after - Texto nuevo
+   * @returns {Array} - Fragmentos { type: equal|removed|added, text }
+   */
+  diffWords(before, after) {
+    const a = (before || '').split(/\s+/).filter(Boolean);
+    const b = (after || '').split(/\s+/).filter(Boolean);
+
+    // lengths[i][j]: longitud de la subsecuencia común de a[i..] y b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, word) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += ` ${word}`;
+      } else {
+        parts.push({ type, text: word });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('equal', a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) {
+      push('removed', a[i++]);
+    }
+    while (j < b.length) {
+      push('added', b[j++]);
+    }
+
+    return parts;
+  }
+};
+
+module.exports = KnowledgeHistoryService;
@@ -0,0 +1,101 @@
+const KnowledgeModel = require('../models/knowledgeModel');
+const { logger } = require('../config');
+
+// Estados de moderación de un conocimiento
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Servicio de moderación de la base de conocimientos
+ * Las respuestas enseñadas por usuarios y las generadas por IA o búsqueda externa
+ * quedan pendientes hasta que un moderador las aprueba (opcionalmente corrigiéndolas)
+ * o las rechaza.
+ */
+const KnowledgeModerationService = {
+  STATUSES,
+
+  /**
+   * Lista la cola de moderación
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} - Entradas
+   */
+  async listQueue(filters) {
+    return KnowledgeModel.getModerationQueue(filters);
+  },
+
+  /**
+   * Aprueba un conocimiento, corrigiendo antes su respuesta si se indica
+   * @param {string} id - ID del conocimiento
+   * @param {Object} options - { response, notes, userId }
+   * @returns {Promise<Object>} - Resultado con el conocimiento aprobado o el motivo del rechazo
+   */
+  async approve(id, { response, notes = null, userId = null } = {}) {
+    try {
+      if (response !== undefined && (typeof response !== 'string' || !response.trim())) {
+        return {
+          success: false,
+          message: 'La respuesta debe ser un texto no vacío'
+        };
+      }
+
+      const knowledge = await KnowledgeModel.getById(id);
+
+      if (!knowledge) {
+        return {
+          success: false,
+          notFound: true,
+          message: 'Conocimiento no encontrado'
+        };
+      }
+
+      const edited = response !== undefined && response.trim() !== knowledge.response;
+
+      const approved = await KnowledgeModel.setModerationStatus(id, {
+        status: 'approved',
+        notes,
+        userId,
+        response: edited ? response.trim() : null,
+        reason: 'Corregida en moderación'
+      });
+
+      logger.info(`Conocimiento ${id} aprobado${edited ? ' con cambios' : ''} por ${userId || 'sistema'}`);
+      return {
+        success: true,
+        knowledge: approved
+      };
+    } catch (error) {
+      logger.error(`Error al aprobar el conocimiento ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rechaza un conocimiento
+   * @param {string} id - ID del conocimiento
+   * @param {Object} options - { notes, userId }
+   * @returns {Promise<Object>} - Resultado con el conocimiento rechazado o el motivo del rechazo
+   */
+  async reject(id, { notes = null, userId = null } = {}) {
+    try {
+      const rejected = await KnowledgeModel.setModerationStatus(id, { status: 'rejected', notes, userId });
+
+      if (!rejected) {
+        return {
+          success: false,
+          notFound: true,
+          message: 'Conocimiento no encontrado'
+        };
+      }
+
+      logger.info(`Conocimiento ${id} rechazado por ${userId || 'sistema'}`);
+      return {
+        success: true,
+        knowledge: rejected
+      };
+    } catch (error) {
+      logger.error(`Error al rechazar el conocimiento ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = KnowledgeModerationService;
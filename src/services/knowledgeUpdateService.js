@@ -117,14 +117,15 @@ const KnowledgeUpdateService = {
   /**
    * Verifica y actualiza un conocimiento específico
    * @param {Object} knowledge - Conocimiento a verificar
+   * @param {string} userId - ID del administrador que la solicitó (opcional, para el historial)
    * @returns {Promise<boolean>} - true si se actualizó
    */
-  async verifyAndUpdateKnowledge(knowledge) {
+  async verifyAndUpdateKnowledge(knowledge, userId = null) {
     try {
       logger.info(`Verificando conocimiento: "${knowledge.query}"`);
       
       // Obtener respuesta actualizada de la IA
-      const aiResult = await AIService.getAIResponse(knowledge.query);
+      const aiResult = await AIService.getAIResponse(knowledge.query, { purpose: 'knowledge_update' });
       
       if (!aiResult || !aiResult.answer) {
         logger.warn(`No se pudo obtener respuesta actualizada para: "${knowledge.query}"`);
@@ -157,35 +158,16 @@ const KnowledgeUpdateService = {
       // Si hay una diferencia significativa, registrar la actualización
       logger.info(`Actualizando conocimiento: "${knowledge.query}"`);
       
-      // Registrar historial de cambios
-      await db.query(
-        `INSERT INTO knowledge_updates
-         (knowledge_id, previous_response, new_response, update_reason, source)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [
-          knowledge.id,
-          currentResponse,
-          newResponse,
-          'Actualización automática',
-          aiResult.source || 'IA'
-        ]
-      );
-      
-      // Actualizar el conocimiento
-      await db.query(
-        `UPDATE knowledge_base 
-         SET response = $1, 
-             updated_at = CURRENT_TIMESTAMP, 
-             last_verified_at = CURRENT_TIMESTAMP,
-             is_ai_generated = TRUE,
-             ai_provider = $2
-         WHERE id = $3`,
-        [
-          newResponse,
-          aiResult.source || 'IA',
-          knowledge.id
-        ]
-      );
+      // Actualizar el conocimiento (también reindexa su embedding y registra el cambio en el historial)
+      await KnowledgeModel.updateKnowledge(knowledge.id, {
+        response: newResponse,
+        is_ai_generated: true,
+        ai_provider: aiResult.source || 'IA'
+      }, {
+        reason: userId ? 'Actualización manual con IA' : 'Actualización automática',
+        userId,
+        source: aiResult.source || 'IA'
+      });
       
       logger.info(`Conocimiento "${knowledge.query}" actualizado correctamente`);
       return true;
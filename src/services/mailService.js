@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger, config } = require('../config');
+
+/**
+ * Servicio de envío de correo
+ * El envío se delega en un transporte con la forma { async send(message) },
+ * elegido con config.mail.transport. Se incluyen dos:
+ * - outbox: escribe cada mensaje como archivo .eml en config.mail.outboxDir
+ *   (por defecto; permite probar los flujos sin servidor de correo)
+ * - log: solo registra el mensaje en el log
+ * Un transporte real (SMTP, API de un proveedor) se añade con registerTransport.
+ */
+const MailService = {
+  transports: {
+    outbox: {
+      /**
+       * Escribe el mensaje en la carpeta de salida
+       * @param {Object} message - Mensaje completo
+       * @returns {Promise<Object>} - { id, path }
+       */
+      async send(message) {
+        const outboxDir = config.mail.outboxDir;
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.id}.eml`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, MailService.formatMessage(message), 'utf8');
+
+        return { id: message.id, path: filePath };
+      }
+    },
+
+    log: {
+      /**
+       * Registra el mensaje en el log
+       * @param {Object} message - Mensaje completo
+       * @returns {Promise<Object>} - { id }
+       */
+      async send(message) {
+        logger.info(`Correo para ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: message.id };
+      }
+    }
+  },
+
+  /**
+   * Registra un transporte de correo
+   * @param {string} name - Nombre del transporte (valor de MAIL_TRANSPORT)
+   * @param {Object} transport - Objeto con un método async send(message)
+   */
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`El transporte de correo ${name} debe tener un método send`);
+    }
+    this.transports[name] = transport;
+  },
+
+  /**
+   * Obtiene el transporte configurado
+   * @returns {Object} - Transporte
+   */
+  getTransport() {
+    const transport = this.transports[config.mail.transport];
+
+    if (!transport) {
+      logger.warn(`Transporte de correo desconocido "${config.mail.transport}", se usará outbox`);
+      return this.transports.outbox;
+    }
+
+    return transport;
+  },
+
+  /**
+   * Envía un correo
+   * @param {Object} mail - { to, subject, text }
+   * @returns {Promise<Object>} - Resultado del transporte
+   */
+  async send({ to, subject, text }) {
+    const message = {
+      id: crypto.randomUUID(),
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      date: new Date()
+    };
+
+    try {
+      const result = await this.getTransport().send(message);
+      logger.info(`Correo "${subject}" enviado a ${to} (${config.mail.transport})`);
+      return result;
+    } catch (error) {
+      logger.error(`Error al enviar correo a ${to}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Da formato RFC 822 a un mensaje de texto plano
+   * @param {Object} message - Mensaje completo
+   * @returns {string} - Mensaje con cabeceras
+   */
+  formatMessage(message) {
+    // El asunto puede llevar tildes: se codifica como encoded-word (RFC 2047)
+    const subject = `=?UTF-8?B?${Buffer.from(message.subject, 'utf8').toString('base64')}?=`;
+
+    return [
+      `Message-ID: <${message.id}@asistente-voz>`,
+      `Date: ${message.date.toUTCString()}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${subject}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      message.text
+    ].join('\r\n');
+  }
+};
+
+module.exports = MailService;
@@ -0,0 +1,606 @@
+const { logger } = require('../config');
+
+/**
+ * Servicio de cálculo matemático seguro
+ * Convierte expresiones escritas o habladas en español ("cinco más tres por dos",
+ * "raíz cuadrada de 81", "15% de 200") en tokens, las analiza con un parser
+ * descendente recursivo y evalúa el árbol resultante. No utiliza eval.
+ */
+const MathService = {
+  // Mensajes amigables para los errores de cálculo
+  errorMessages: {
+    DIVISION_BY_ZERO: 'No se puede dividir entre cero. ¿Quieres intentarlo con otro divisor?',
+    DOMAIN: 'Esa operación no tiene un resultado en los números reales.',
+    OVERFLOW: 'El resultado es demasiado grande para calcularlo.',
+    SYNTAX: 'No pude interpretar la expresión matemática. ¿Puedes decirla de otra forma?'
+  },
+
+  // Constantes reconocidas
+  constants: {
+    pi: Math.PI,
+    e: Math.E
+  },
+
+  // Funciones reconocidas (las trigonométricas reciben radianes; ver evaluate para los grados)
+  functions: {
+    sqrt: { display: '√', apply: x => Math.sqrt(x), domain: x => x >= 0 },
+    cbrt: { display: '∛', apply: x => Math.cbrt(x) },
+    sin: { display: 'sen', angle: true, apply: x => Math.sin(x) },
+    cos: { display: 'cos', angle: true, apply: x => Math.cos(x) },
+    tan: {
+      display: 'tan',
+      angle: true,
+      apply: x => Math.tan(x),
+      domain: x => Math.abs(Math.cos(x)) > 1e-12
+    },
+    log: { display: 'log', apply: x => Math.log10(x), domain: x => x > 0 },
+    ln: { display: 'ln', apply: x => Math.log(x), domain: x => x > 0 },
+    abs: { display: 'abs', apply: x => Math.abs(x) }
+  },
+
+  // Números en palabras (ya normalizados, sin acentos)
+  numberWords: {
+    cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6,
+    siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13,
+    catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18,
+    diecinueve: 19, veinte: 20, veintiun: 21, veintiuno: 21, veintidos: 22,
+    veintitres: 23, veinticuatro: 24, veinticinco: 25, veintiseis: 26,
+    veintisiete: 27, veintiocho: 28, veintinueve: 29, treinta: 30, cuarenta: 40,
+    cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+    cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300,
+    trescientas: 300, cuatrocientos: 400, cuatrocientas: 400, quinientos: 500,
+    quinientas: 500, seiscientos: 600, seiscientas: 600, setecientos: 700,
+    setecientas: 700, ochocientos: 800, ochocientas: 800, novecientos: 900,
+    novecientas: 900
+  },
+
+  // Frases con las que suele empezar una pregunta de cálculo
+  leadInPattern: /^(?:(?:dime|me dices|me puedes decir|puedes decirme)\s+)?(?:cuanto\s+(?:es|son|da|dan|vale|valen)|que\s+es|cual\s+es(?:\s+el\s+resultado\s+de)?|el\s+resultado\s+de|calcula(?:me)?|resuelve(?:me)?|opera|evalua)\s+/,
+
+  // Frases habladas que se reemplazan por símbolos (el orden importa)
+  spokenReplacements: [
+    [/\babre\s+parentesis\b/g, ' ( '],
+    [/\bcierra\s+parentesis\b/g, ' ) '],
+    [/\bmultiplicado\s+por\b/g, ' * '],
+    [/\bdividido\s+(?:por|entre)\b/g, ' / '],
+    [/\b(?:elevado\s+)?al\s+cuadrado\b/g, ' ^ 2 '],
+    [/\b(?:elevado\s+)?al\s+cubo\b/g, ' ^ 3 '],
+    [/\belevado\s+(?:a\s+la|al|a)\b/g, ' ^ '],
+    [/\braiz\s+cuadrada(?:\s+de)?\b/g, ' sqrt '],
+    [/\braiz\s+cubica(?:\s+de)?\b/g, ' cbrt '],
+    [/\braiz(?:\s+de)?\b/g, ' sqrt '],
+    [/\b(?:seno|sen)(?:\s+de)?\b/g, ' sin '],
+    [/\bcoseno(?:\s+de)?\b/g, ' cos '],
+    [/\btangente(?:\s+de)?\b/g, ' tan '],
+    [/\blogaritmo\s+natural(?:\s+de)?\b/g, ' ln '],
+    [/\blogaritmo(?:\s+de)?\b/g, ' log '],
+    [/\bvalor\s+absoluto(?:\s+de)?\b/g, ' abs '],
+    [/\bfactorial\s+de\s+(\d+(?:\.\d+)?)/g, ' $1 ! '],
+    [/\bnumero\s+pi\b/g, ' pi '],
+    [/\bnumero\s+e\b/g, ' e '],
+    [/\bgrados?\b/g, ' '],
+    [/\bmas\b/g, ' + '],
+    [/\bmenos\b/g, ' - '],
+    [/\b(?:por|veces)\b/g, ' * '],
+    [/\bentre\b/g, ' / '],
+    [/(\d)\s*x\s*(?=\d)/g, '$1 * '],
+    [/%\s*de\b/g, '% * ']
+  ],
+
+  /**
+   * Resuelve una consulta matemática
+   * @param {string} query - Consulta del usuario (escrita o hablada)
+   * @returns {Object|null} - { expression, result, formatted, response } o
+   *   { error, response } si la operación no es válida; null si no es un cálculo
+   */
+  solve(query) {
+    const ast = this.parseQuery(query);
+    if (!ast) {
+      return null;
+    }
+
+    const expression = this.stringify(ast);
+
+    try {
+      const result = this.evaluate(ast);
+      const formatted = this.formatNumber(result);
+
+      return {
+        expression,
+        result,
+        formatted,
+        response: `El resultado de ${expression} es ${formatted}.`
+      };
+    } catch (error) {
+      if (!error.code) {
+        logger.error('Error al evaluar expresión matemática:', error);
+      }
+
+      const code = error.code || 'SYNTAX';
+      logger.info(`Cálculo no válido (${code}): "${expression}"`);
+      return {
+        expression,
+        error: code,
+        response: this.errorMessages[code]
+      };
+    }
+  },
+
+  /**
+   * Verifica si una consulta es una operación matemática
+   * @param {string} query - Consulta del usuario
+   * @returns {boolean} - true si la consulta puede calcularse
+   */
+  isMathQuery(query) {
+    return this.parseQuery(query) !== null;
+  },
+
+  /**
+   * Convierte una consulta en un árbol de expresión
+   * @param {string} query - Consulta del usuario
+   * @returns {Object|null} - Árbol de la expresión o null si no es un cálculo
+   */
+  parseQuery(query) {
+    if (!query || typeof query !== 'string') {
+      return null;
+    }
+
+    const expression = this.toSymbolic(query);
+    if (!expression) {
+      return null;
+    }
+
+    try {
+      const ast = this.parse(this.tokenize(expression));
+
+      // Exigir al menos una operación: "7", "pi" o "(7)" solos no son cálculos
+      let root = ast;
+      while (root.type === 'group') {
+        root = root.operand;
+      }
+      if (root.type === 'number' || root.type === 'constant') {
+        return null;
+      }
+
+      return ast;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Traduce una consulta en español a una expresión simbólica
+   * @param {string} query - Consulta del usuario
+   * @returns {string} - Expresión simbólica ("5 + 3 * 2")
+   */
+  toSymbolic(query) {
+    let text = query
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[¿?=]+\s*$/g, '')
+      .replace(/[¿¡]/g, '')
+      .trim();
+
+    text = text.replace(this.leadInPattern, '').replace(/^(?:el|la|los|las)\s+/, '');
+
+    // Símbolos alternativos
+    text = text
+      .replace(/[×·]/g, ' * ')
+      .replace(/÷/g, ' / ')
+      .replace(/\*\*/g, ' ^ ')
+      .replace(/√/g, ' sqrt ')
+      .replace(/π/g, ' pi ');
+
+    // "por ciento" antes de convertir los números ("ciento" también es un número)
+    text = text.replace(/\bpor\s+ciento\b/g, ' % ');
+
+    // Separadores de miles ("1,000,000", "1.500"): una coma o un punto seguidos de
+    // exactamente tres cifras; después, decimales: "3,5", "3 punto 5", "3 coma 5"
+    text = this.replaceNumberWords(text)
+      .replace(/(?<![\d.,])[1-9]\d{0,2}(?:([.,])\d{3})(?:\1\d{3})*(?![\d])/g, match => match.replace(/[.,]/g, ''))
+      .replace(/(\d),(\d)/g, '$1.$2')
+      .replace(/(\d+)\s+(?:punto|coma)\s+(\d+)/g, '$1.$2');
+
+    for (const [pattern, replacement] of this.spokenReplacements) {
+      text = text.replace(pattern, replacement);
+    }
+
+    return text.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Reemplaza los números escritos en palabras por cifras
+   * ("treinta y cinco" → "35", "mil doscientos" → "1200")
+   * @param {string} text - Texto normalizado
+   * @returns {string} - Texto con los números en cifras
+   */
+  replaceNumberWords(text) {
+    const words = text.split(/\s+/);
+    const output = [];
+    let i = 0;
+
+    while (i < words.length) {
+      if (!this.isNumberWord(words[i])) {
+        output.push(words[i]);
+        i++;
+        continue;
+      }
+
+      let total = 0;
+      let current = 0;
+      let lastValue = null;
+
+      while (i < words.length) {
+        const word = words[i];
+
+        if (word === 'y' && lastValue !== null && lastValue >= 30 && lastValue < 100 &&
+            i + 1 < words.length && this.numberWords[words[i + 1]] !== undefined &&
+            this.numberWords[words[i + 1]] < 10) {
+          i++;
+          continue;
+        }
+
+        if (word === 'mil') {
+          total += (current || 1) * 1000;
+          current = 0;
+        } else if (word === 'millon' || word === 'millones') {
+          total += (current || 1) * 1000000;
+          current = 0;
+        } else if (this.numberWords[word] !== undefined) {
+          current += this.numberWords[word];
+        } else {
+          break;
+        }
+
+        lastValue = this.numberWords[word] !== undefined ? this.numberWords[word] : null;
+        i++;
+      }
+
+      output.push(String(total + current));
+    }
+
+    return output.join(' ');
+  },
+
+  /**
+   * Verifica si una palabra forma parte de un número escrito
+   * @param {string} word - Palabra normalizada
+   * @returns {boolean} - true si es una palabra numérica
+   */
+  isNumberWord(word) {
+    return this.numberWords[word] !== undefined || word === 'mil' || word === 'millon' || word === 'millones';
+  },
+
+  /**
+   * Divide una expresión simbólica en tokens
+   * @param {string} expression - Expresión simbólica
+   * @returns {Array<Object>} - Tokens { type, value }
+   */
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:((?:\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?)|([a-z]+)|([-+*/^%!()]))/y;
+    let position = 0;
+
+    while (position < expression.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(expression);
+
+      if (!match) {
+        if (/^\s*$/.test(expression.slice(position))) break;
+        throw this.createError('SYNTAX', `Carácter inesperado en la posición ${position}`);
+      }
+
+      if (match[1] !== undefined) {
+        // "1.2.3" no es un número: no se lee como 1.2 × 0.3
+        if (/^[\d.]/.test(expression.slice(pattern.lastIndex))) {
+          throw this.createError('SYNTAX', `Número mal escrito en la posición ${position}`);
+        }
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        if (this.constants[match[2]] === undefined && !this.functions[match[2]]) {
+          throw this.createError('SYNTAX', `Identificador desconocido: ${match[2]}`);
+        }
+        tokens.push({ type: 'identifier', value: match[2] });
+      } else if ('()'.includes(match[3])) {
+        tokens.push({ type: 'paren', value: match[3] });
+      } else {
+        tokens.push({ type: 'operator', value: match[3] });
+      }
+
+      position = pattern.lastIndex;
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Analiza los tokens y construye el árbol de la expresión
+   * Precedencia: + - < * / (y multiplicación implícita) < signo < ^ < % !
+   * @param {Array<Object>} tokens - Tokens de la expresión
+   * @returns {Object} - Nodo raíz del árbol
+   */
+  parse(tokens) {
+    const self = this;
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    // La multiplicación implícita nunca une dos cifras seguidas ("2 3" no es 6)
+    const startsOperand = () => {
+      const token = peek();
+      return token && (token.type === 'identifier' ||
+        (token.type === 'paren' && token.value === '('));
+    };
+
+    function parseExpression() {
+      let node = parseTerm();
+      while (isOperator('+') || isOperator('-')) {
+        const op = tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseTerm() };
+      }
+      return node;
+    }
+
+    function parseTerm() {
+      let node = parseUnary();
+      while (isOperator('*') || isOperator('/') || startsOperand()) {
+        // "2 pi" o "2 (3 + 4)" se interpretan como multiplicación implícita
+        const op = startsOperand() ? '*' : tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseUnary() };
+      }
+      return node;
+    }
+
+    function parseUnary() {
+      if (isOperator('-') || isOperator('+')) {
+        const op = tokens[index++].value;
+        const operand = parseUnary();
+        return op === '-' ? { type: 'negate', operand } : operand;
+      }
+      return parsePower();
+    }
+
+    function parsePower() {
+      const base = parsePostfix();
+      if (isOperator('^')) {
+        index++;
+        // Asociativa por la derecha: 2 ^ 3 ^ 2 = 2 ^ 9
+        return { type: 'binary', op: '^', left: base, right: parseUnary() };
+      }
+      return base;
+    }
+
+    function parsePostfix() {
+      let node = parsePrimary();
+      while (isOperator('%') || isOperator('!')) {
+        const op = tokens[index++].value;
+        node = { type: op === '%' ? 'percent' : 'factorial', operand: node };
+      }
+      return node;
+    }
+
+    function parsePrimary() {
+      const token = tokens[index++];
+      if (!token) {
+        throw self.createError('SYNTAX', 'Expresión incompleta');
+      }
+
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'paren' && token.value === '(') {
+        const node = parseExpression();
+        const closing = tokens[index++];
+        if (!closing || closing.type !== 'paren' || closing.value !== ')') {
+          throw self.createError('SYNTAX', 'Falta cerrar un paréntesis');
+        }
+        return { type: 'group', operand: node };
+      }
+
+      if (token.type === 'identifier') {
+        if (self.functions[token.value]) {
+          // "sqrt 81" y "sqrt(81)" son equivalentes
+          return { type: 'function', name: token.value, argument: parseUnary() };
+        }
+        return { type: 'constant', name: token.value };
+      }
+
+      throw self.createError('SYNTAX', `Token inesperado: ${token.value}`);
+    }
+
+    const root = parseExpression();
+    if (index < tokens.length) {
+      throw this.createError('SYNTAX', `Token inesperado: ${tokens[index].value}`);
+    }
+
+    return root;
+  },
+
+  /**
+   * Evalúa un árbol de expresión
+   * @param {Object} node - Nodo del árbol
+   * @returns {number} - Resultado
+   */
+  evaluate(node) {
+    let value;
+
+    switch (node.type) {
+      case 'number':
+        value = node.value;
+        break;
+      case 'constant':
+        value = this.constants[node.name];
+        break;
+      case 'group':
+        value = this.evaluate(node.operand);
+        break;
+      case 'negate':
+        value = -this.evaluate(node.operand);
+        break;
+      case 'percent':
+        value = this.evaluate(node.operand) / 100;
+        break;
+      case 'factorial':
+        value = this.factorial(this.evaluate(node.operand));
+        break;
+      case 'function': {
+        const fn = this.functions[node.name];
+        // Los ángulos se entienden en grados ("seno de 30"), salvo que se expresen con π ("sen(pi/2)")
+        const argument = fn.angle && !this.containsConstant(node.argument, 'pi')
+          ? this.toRadians(this.evaluate(node.argument))
+          : this.evaluate(node.argument);
+        if (fn.domain && !fn.domain(argument)) {
+          throw this.createError('DOMAIN', `${node.name}(${argument}) no está definido`);
+        }
+        value = fn.apply(argument);
+        break;
+      }
+      case 'binary': {
+        const left = this.evaluate(node.left);
+        let right = this.evaluate(node.right);
+        // "100 - 10%" es 100 menos el 10 % de 100
+        if ((node.op === '+' || node.op === '-') && node.right.type === 'percent') {
+          right *= left;
+        }
+        switch (node.op) {
+          case '+': value = left + right; break;
+          case '-': value = left - right; break;
+          case '*': value = left * right; break;
+          case '/':
+            if (right === 0) {
+              throw this.createError('DIVISION_BY_ZERO', 'División entre cero');
+            }
+            value = left / right;
+            break;
+          case '^':
+            if (left === 0 && right < 0) {
+              throw this.createError('DIVISION_BY_ZERO', 'Potencia negativa de cero');
+            }
+            value = Math.pow(left, right);
+            break;
+          default:
+            throw this.createError('SYNTAX', `Operador desconocido: ${node.op}`);
+        }
+        break;
+      }
+      default:
+        throw this.createError('SYNTAX', `Nodo desconocido: ${node.type}`);
+    }
+
+    if (Number.isNaN(value)) {
+      throw this.createError('DOMAIN', 'Resultado no definido');
+    }
+    if (!Number.isFinite(value)) {
+      throw this.createError('OVERFLOW', 'Resultado infinito');
+    }
+
+    return value;
+  },
+
+  /**
+   * Convierte un árbol de expresión en texto legible
+   * @param {Object} node - Nodo del árbol
+   * @returns {string} - Expresión legible ("5 + 3 × 2")
+   */
+  stringify(node) {
+    const symbols = { '+': '+', '-': '-', '*': '×', '/': '÷', '^': '^' };
+
+    switch (node.type) {
+      case 'number':
+        return this.formatNumber(node.value);
+      case 'constant':
+        return node.name === 'pi' ? 'π' : node.name;
+      case 'group':
+        return `(${this.stringify(node.operand)})`;
+      case 'negate':
+        return `-${this.stringify(node.operand)}`;
+      case 'percent':
+        return `${this.stringify(node.operand)}%`;
+      case 'factorial':
+        return `${this.stringify(node.operand)}!`;
+      case 'function': {
+        const argument = this.stringify(node.argument);
+        const wrapped = node.argument.type === 'group' ? argument : `(${argument})`;
+        return `${this.functions[node.name].display}${wrapped}`;
+      }
+      case 'binary':
+        return node.op === '^'
+          ? `${this.stringify(node.left)}^${this.stringify(node.right)}`
+          : `${this.stringify(node.left)} ${symbols[node.op]} ${this.stringify(node.right)}`;
+      default:
+        return '';
+    }
+  },
+
+  /**
+   * Calcula el factorial de un entero no negativo
+   * @param {number} n - Número
+   * @returns {number} - n!
+   */
+  factorial(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw this.createError('DOMAIN', 'El factorial solo está definido para enteros no negativos');
+    }
+    if (n > 170) {
+      throw this.createError('OVERFLOW', 'Factorial demasiado grande');
+    }
+
+    let result = 1;
+    for (let i = 2; i <= n; i++) {
+      result *= i;
+    }
+    return result;
+  },
+
+  /**
+   * Verifica si una constante aparece en un árbol de expresión
+   * @param {Object} node - Nodo del árbol
+   * @param {string} name - Nombre de la constante
+   * @returns {boolean} - true si la constante aparece
+   */
+  containsConstant(node, name) {
+    if (!node) {
+      return false;
+    }
+    if (node.type === 'constant') {
+      return node.name === name;
+    }
+    return [node.operand, node.argument, node.left, node.right]
+      .some(child => this.containsConstant(child, name));
+  },
+
+  /**
+   * Convierte grados a radianes
+   * @param {number} degrees - Ángulo en grados
+   * @returns {number} - Ángulo en radianes
+   */
+  toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  },
+
+  /**
+   * Formatea un resultado eliminando errores de redondeo de coma flotante
+   * @param {number} value - Resultado
+   * @returns {string} - Número formateado (0.1 + 0.2 → "0.3")
+   */
+  formatNumber(value) {
+    const rounded = Number(value.toPrecision(12));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  },
+
+  /**
+   * Crea un error de cálculo con código
+   * @param {string} code - Código del error (clave de errorMessages)
+   * @param {string} message - Mensaje técnico
+   * @returns {Error} - Error con la propiedad code
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+};
+
+module.exports = MathService;
@@ -0,0 +1,396 @@
+const NoteModel = require('../models/noteModel');
+const ListModel = require('../models/listModel');
+const { logger } = require('../config');
+
+/**
+ * Servicio de notas y listas personales
+ * Interpreta comandos de voz como "agrega leche a la lista de compras",
+ * "qué hay en mi lista" o "anota que el wifi es X". Las notas y listas son
+ * privadas: solo las ve y modifica el usuario que las creó.
+ */
+const NotesService = {
+  // Lista usada cuando el usuario no nombra ninguna ("agrega leche a mi lista")
+  defaultListName: 'compras',
+
+  // Nombres alternativos de la lista de compras
+  listAliases: {
+    compra: 'compras',
+    super: 'compras',
+    supermercado: 'compras',
+    mandado: 'compras',
+    mercado: 'compras',
+    tarea: 'tareas',
+    pendientes: 'tareas'
+  },
+
+  // Comandos de voz, en orden de evaluación (los de listas antes que los de notas)
+  commands: [
+    {
+      type: 'list_add',
+      pattern: /^(?:agrega|agregar|agregame|a[ñn]ade|a[ñn]adir|a[ñn][aá]deme|pon|poner|ponme|mete|meter|apunta|ap[uú]ntame|anota|an[oó]tame|incluye|incluir|suma)\s+(.+?)\s+(?:a|en)\s+(?:la|mi)\s+lista(?:\s+(?:de(?:l|\s+la|\s+las|\s+los)?|para(?:\s+el|\s+la)?)\s+(.+))?$/i,
+      fields: ['items', 'list']
+    },
+    {
+      type: 'list_add',
+      pattern: /^(?:agrega|agregar|a[ñn]ade|a[ñn]adir|pon|apunta|anota)\s+(?:a|en)\s+(?:la|mi)\s+lista(?:\s+(?:de(?:l|\s+la|\s+las|\s+los)?)\s+([a-záéíóúüñ]+))?\s*[:,]\s*(.+)$/i,
+      fields: ['list', 'items']
+    },
+    {
+      // "lista de compras: leche, huevos"
+      type: 'list_add',
+      pattern: /^(?:mi\s+)?lista\s+(?:de(?:l|\s+la|\s+las|\s+los)?\s+)?([^:]+?)\s*:\s*(.+)$/i,
+      fields: ['list', 'items']
+    },
+    {
+      type: 'list_remove',
+      pattern: /^(?:quita|quitar|qu[ií]tame|elimina|eliminar|borra|borrar|saca|sacar|tacha|tachar)\s+(.+?)\s+de\s+(?:la|mi)\s+lista(?:\s+(?:de(?:l|\s+la|\s+las|\s+los)?|para(?:\s+el|\s+la)?)\s+(.+))?$/i,
+      fields: ['items', 'list']
+    },
+    {
+      type: 'list_clear',
+      pattern: /^(?:vac[ií]a|vaciar|borra|borrar|limpia|limpiar)\s+(?:toda\s+)?(?:la|mi)\s+lista(?:\s+(?:de(?:l|\s+la|\s+las|\s+los)?)\s+(.+))?$/i,
+      fields: ['list']
+    },
+    {
+      type: 'list_read',
+      pattern: /^(?:qu[eé]\s+(?:hay|tengo|queda|falta|lleva)\s+(?:en|de)\s+(?:la|mi)\s+lista|(?:lee|leer|l[eé]eme|dime|mu[eé]strame|muestra|ver|repite|rep[ií]teme)\s+(?:la|mi)\s+lista|mi\s+lista)(?:\s+(?:de(?:l|\s+la|\s+las|\s+los)?|para(?:\s+el|\s+la)?)\s+(.+))?$/i,
+      fields: ['list']
+    },
+    {
+      type: 'lists_read',
+      pattern: /^(?:qu[eé]\s+listas\s+tengo|mis\s+listas|(?:lee|l[eé]eme|dime|mu[eé]strame)\s+mis\s+listas)$/i,
+      fields: []
+    },
+    {
+      type: 'notes_search',
+      pattern: /^(?:qu[eé]\s+(?:anot[eé]|apunt[eé]|notas?\s+tengo)\s+(?:sobre|de(?:l)?|acerca\s+de)|busca\s+en\s+(?:mis\s+)?notas)\s+(.+)$/i,
+      fields: ['search']
+    },
+    {
+      type: 'notes_read',
+      pattern: /^(?:qu[eé]\s+notas\s+tengo|mis\s+notas|(?:lee|l[eé]eme|dime|mu[eé]strame)\s+mis\s+notas)$/i,
+      fields: []
+    },
+    {
+      type: 'note_delete',
+      pattern: /^(?:borra|borrar|elimina|eliminar|quita)\s+(?:la\s+)?nota\s+(?:sobre|de(?:l)?|acerca\s+de|que\s+dice)\s+(.+)$/i,
+      fields: ['search']
+    },
+    {
+      type: 'note_add',
+      pattern: /^(?:anota|an[oó]tame|apunta|ap[uú]ntame|toma\s+nota|guarda\s+(?:una\s+)?nota|crea\s+(?:una\s+)?nota|nueva\s+nota|nota)(?:\s+(?:de\s+)?que)?\s*[:,]?\s+(.+)$/i,
+      fields: ['content']
+    }
+  ],
+
+  /**
+   * Interpreta un comando de notas o listas
+   * @param {string} text - Texto del usuario
+   * @returns {Object|null} - { type, items, list, search, content } o null si no es un comando
+   */
+  parseCommand(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const cleaned = text.trim()
+      .replace(/^[¿¡\s]+/, '')
+      .replace(/[?!.\s]+$/, '')
+      .replace(/^por\s+favor,?\s+/i, '');
+
+    for (const command of this.commands) {
+      const match = cleaned.match(command.pattern);
+      if (!match) continue;
+
+      const parsed = { type: command.type };
+      command.fields.forEach((field, index) => {
+        parsed[field] = match[index + 1] ? match[index + 1].trim() : null;
+      });
+
+      if (parsed.items !== undefined) {
+        parsed.items = this.splitItems(parsed.items || '');
+        if (parsed.items.length === 0) continue;
+      }
+      if (parsed.list !== undefined) {
+        parsed.list = this.normalizeListName(parsed.list);
+      }
+
+      return parsed;
+    }
+
+    return null;
+  },
+
+  /**
+   * Verifica si una consulta es un comando de notas o listas
+   * @param {string} query - Consulta del usuario
+   * @returns {boolean} - true si es un comando de notas o listas
+   */
+  isNotesCommand(query) {
+    return this.parseCommand(query) !== null;
+  },
+
+  /**
+   * Atiende un comando de voz de notas o listas
+   * @param {string} query - Consulta original del usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} - Respuesta o null si no es un comando de notas o listas
+   */
+  async handleVoiceCommand(query, userId) {
+    const command = this.parseCommand(query);
+
+    if (!command) {
+      return null;
+    }
+
+    if (!userId) {
+      return this.reply('Para guardar notas y listas necesitas iniciar sesión.');
+    }
+
+    logger.info(`Comando de notas/listas: ${command.type} (usuario: ${userId})`);
+
+    switch (command.type) {
+      case 'list_add':
+        return this.addToList(userId, command.list, command.items);
+      case 'list_remove':
+        return this.removeFromList(userId, command.list, command.items);
+      case 'list_clear':
+        return this.clearList(userId, command.list);
+      case 'list_read':
+        return this.readList(userId, command.list);
+      case 'lists_read':
+        return this.readLists(userId);
+      case 'notes_search':
+        return this.readNotes(userId, command.search);
+      case 'notes_read':
+        return this.readNotes(userId);
+      case 'note_delete':
+        return this.deleteNote(userId, command.search);
+      case 'note_add':
+        return this.addNote(userId, command.content);
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Añade elementos a una lista (la crea si no existe)
+   * @param {string} userId - ID del usuario
+   * @param {string} listName - Nombre de la lista
+   * @param {Array<string>} items - Elementos
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async addToList(userId, listName, items) {
+    const list = await ListModel.getOrCreateList(userId, listName);
+    const added = await ListModel.addItems(list.id, userId, items);
+
+    if (added.length === 0) {
+      return this.reply(`${this.capitalize(this.joinItems(items))} ya ${items.length === 1 ? 'está' : 'están'} en tu lista de ${list.name}.`);
+    }
+
+    return this.reply(`Listo, agregué ${this.joinItems(added.map(item => item.content))} a tu lista de ${list.name}.`, { listId: list.id });
+  },
+
+  /**
+   * Quita elementos de una lista
+   * @param {string} userId - ID del usuario
+   * @param {string} listName - Nombre de la lista
+   * @param {Array<string>} items - Elementos
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async removeFromList(userId, listName, items) {
+    const list = await ListModel.getListByName(userId, listName);
+    const removed = list ? await ListModel.removeItemsByContent(list.id, userId, items) : [];
+
+    if (removed.length === 0) {
+      return this.reply(`No encontré ${this.joinItems(items)} en tu lista de ${listName}.`);
+    }
+
+    return this.reply(`Quité ${this.joinItems(removed)} de tu lista de ${list.name}.`, { listId: list.id });
+  },
+
+  /**
+   * Vacía una lista
+   * @param {string} userId - ID del usuario
+   * @param {string} listName - Nombre de la lista
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async clearList(userId, listName) {
+    const list = await ListModel.getListByName(userId, listName);
+    const removed = list ? await ListModel.clearList(list.id, userId) : 0;
+
+    if (removed === 0) {
+      return this.reply(`Tu lista de ${listName} ya está vacía.`);
+    }
+
+    return this.reply(`Vacié tu lista de ${list.name} (${this.countLabel(removed, 'elemento', 'elementos')}).`, { listId: list.id });
+  },
+
+  /**
+   * Lee los elementos pendientes de una lista
+   * @param {string} userId - ID del usuario
+   * @param {string} listName - Nombre de la lista
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async readList(userId, listName) {
+    const list = await ListModel.getListByName(userId, listName);
+    const items = list ? (await ListModel.getItems(list.id, userId)).filter(item => !item.is_checked) : [];
+
+    if (items.length === 0) {
+      return this.reply(`Tu lista de ${listName} está vacía.`);
+    }
+
+    return this.reply(
+      `Tu lista de ${list.name} tiene ${this.countLabel(items.length, 'elemento', 'elementos')}: ${this.joinItems(items.map(item => item.content))}.`,
+      { listId: list.id }
+    );
+  },
+
+  /**
+   * Enumera las listas del usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async readLists(userId) {
+    const lists = await ListModel.getUserLists(userId);
+
+    if (lists.length === 0) {
+      return this.reply('Todavía no tienes listas. Prueba con "agrega leche a la lista de compras".');
+    }
+
+    const described = lists.map(list => `${list.name} (${this.countLabel(list.pending_count, 'elemento', 'elementos')})`);
+    return this.reply(`Tienes ${this.countLabel(lists.length, 'lista', 'listas')}: ${this.joinItems(described)}.`);
+  },
+
+  /**
+   * Guarda una nota
+   * @param {string} userId - ID del usuario
+   * @param {string} content - Contenido de la nota
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async addNote(userId, content) {
+    const note = await NoteModel.createNote(userId, content);
+    return this.reply(`Anotado: ${content}.`, { noteId: note.id });
+  },
+
+  /**
+   * Lee las notas más recientes, opcionalmente filtradas por un texto
+   * @param {string} userId - ID del usuario
+   * @param {string} search - Texto a buscar (opcional)
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async readNotes(userId, search = null) {
+    const notes = await NoteModel.getUserNotes(userId, { search, limit: 5 });
+
+    if (notes.length === 0) {
+      return this.reply(search ? `No tienes notas sobre ${search}.` : 'No tienes notas guardadas.');
+    }
+
+    const contents = notes.map(note => note.content);
+    const intro = search
+      ? `Encontré ${this.countLabel(notes.length, 'nota', 'notas')} sobre ${search}`
+      : notes.length === 1 ? 'Tienes 1 nota' : `Tus ${notes.length} notas más recientes son`;
+
+    return this.reply(`${intro}: ${contents.join('; ')}.`);
+  },
+
+  /**
+   * Borra una nota identificada por su contenido
+   * Solo se borra si la búsqueda identifica una única nota.
+   * @param {string} userId - ID del usuario
+   * @param {string} search - Texto de la nota
+   * @returns {Promise<Object>} - Respuesta
+   */
+  async deleteNote(userId, search) {
+    const notes = await NoteModel.getUserNotes(userId, { search, limit: 2 });
+
+    if (notes.length === 0) {
+      return this.reply(`No encontré ninguna nota sobre ${search}.`);
+    }
+
+    if (notes.length > 1) {
+      return this.reply(`Tienes varias notas sobre ${search}. Dime con más detalle cuál quieres borrar.`);
+    }
+
+    await NoteModel.deleteNote(notes[0].id, userId);
+    return this.reply(`Borré la nota: ${notes[0].content}.`);
+  },
+
+  /**
+   * Separa los elementos dictados ("leche, huevos y pan")
+   * @param {string} text - Texto con los elementos
+   * @returns {Array<string>} - Elementos
+   */
+  splitItems(text) {
+    return text
+      .split(/\s*[,;]\s*|\s+y\s+|\s+e\s+(?=h?[ií])/i)
+      .map(item => item.trim().replace(/^(?:el|la|los|las)\s+/i, '').trim())
+      .filter(Boolean);
+  },
+
+  /**
+   * Normaliza el nombre de una lista ("del súper" → "compras")
+   * @param {string} name - Nombre dictado
+   * @returns {string} - Nombre de la lista
+   */
+  normalizeListName(name) {
+    if (!name) {
+      return this.defaultListName;
+    }
+
+    const cleaned = name.toLowerCase()
+      .replace(/^(?:mi|mis|la|las|el|los)\s+/, '')
+      .trim();
+    const plain = cleaned.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+    return this.listAliases[plain] || cleaned || this.defaultListName;
+  },
+
+  /**
+   * Une elementos en una enumeración natural ("a, b y c")
+   * @param {Array<string>} items - Elementos
+   * @returns {string} - Enumeración
+   */
+  joinItems(items) {
+    if (items.length <= 1) {
+      return items.join('');
+    }
+
+    return `${items.slice(0, -1).join(', ')} y ${items[items.length - 1]}`;
+  },
+
+  /**
+   * @param {number} count - Cantidad
+   * @param {string} singular - Sustantivo en singular
+   * @param {string} plural - Sustantivo en plural
+   * @returns {string} - "1 elemento", "3 elementos"
+   */
+  countLabel(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+  },
+
+  /**
+   * @param {string} text - Texto
+   * @returns {string} - Texto con la primera letra en mayúscula
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  /**
+   * Construye una respuesta del asistente
+   * @param {string} response - Texto de la respuesta
+   * @param {Object} extra - Campos adicionales
+   * @returns {Object} - Respuesta
+   */
+  reply(response, extra = {}) {
+    return {
+      response,
+      source: 'notes',
+      confidence: 1.0,
+      ...extra
+    };
+  }
+};
+
+module.exports = NotesService;
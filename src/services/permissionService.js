@@ -0,0 +1,66 @@
+const { config } = require('../config');
+
+/**
+ * Servicio de roles y permisos (RBAC)
+ * Los permisos tienen la forma "recurso:acción" (por ejemplo knowledge:moderate)
+ * y cada rol tiene su lista en config.rbac.roles.
+ */
+const PermissionService = {
+  /**
+   * Lista los roles disponibles
+   * @returns {Array<string>} - Nombres de los roles
+   */
+  getRoles() {
+    return Object.keys(config.rbac.roles);
+  },
+
+  /**
+   * Indica si un rol existe
+   * @param {string} role - Nombre del rol
+   * @returns {boolean} - true si es un rol válido
+   */
+  isValidRole(role) {
+    return typeof role === 'string' && Object.prototype.hasOwnProperty.call(config.rbac.roles, role);
+  },
+
+  /**
+   * Obtiene los permisos de un rol (un rol desconocido se trata como el rol por defecto)
+   * @param {string} role - Nombre del rol
+   * @returns {Array<string>} - Permisos del rol
+   */
+  getRolePermissions(role) {
+    const effectiveRole = this.isValidRole(role) ? role : config.rbac.defaultRole;
+    return [...config.rbac.roles[effectiveRole]];
+  },
+
+  /**
+   * Obtiene los permisos de un usuario autenticado
+   * Se usan los permisos incluidos en el token; los tokens emitidos antes de
+   * incluirlos se resuelven por su rol.
+   * @param {Object} user - Usuario (payload del JWT)
+   * @returns {Array<string>} - Permisos del usuario
+   */
+  getUserPermissions(user) {
+    if (!user) {
+      return [];
+    }
+
+    if (Array.isArray(user.permissions)) {
+      return user.permissions;
+    }
+
+    return this.getRolePermissions(user.role);
+  },
+
+  /**
+   * Verifica si un usuario tiene un permiso
+   * @param {Object} user - Usuario (payload del JWT)
+   * @param {string} permission - Permiso requerido
+   * @returns {boolean} - true si lo tiene
+   */
+  hasPermission(user, permission) {
+    return this.getUserPermissions(user).includes(permission);
+  }
+};
+
+module.exports = PermissionService;
@@ -0,0 +1,356 @@
+const PromptTemplateModel = require('../models/promptTemplateModel');
+const UserModel = require('../models/userModel');
+const { logger, config } = require('../config');
+
+// Categorías de plantilla: base (reglas comunes), creator (consultas sobre el creador)
+// y una por tipo de consulta; general se usa cuando ninguna otra coincide
+const CATEGORIES = ['base', 'creator', 'definition', 'person', 'location', 'date', 'quantity', 'factual', 'general'];
+
+// Variables que se pueden usar en las plantillas; {{query}} solo en el mensaje del usuario
+const SYSTEM_VARIABLES = ['assistantName', 'creator', 'language'];
+const USER_VARIABLES = [...SYSTEM_VARIABLES, 'query'];
+
+// Idiomas admitidos para las respuestas (valor de la preferencia language)
+const LANGUAGE_NAMES = {
+  es: 'español',
+  en: 'inglés',
+  pt: 'portugués',
+  fr: 'francés',
+  it: 'italiano',
+  de: 'alemán'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Plantillas mínimas por si la base de datos no está disponible antes de la primera carga
+const DEFAULT_TEMPLATES = {
+  base: {
+    version: 0,
+    system_prompt: 'Eres {{assistantName}}, un asistente virtual que da respuestas breves, precisas y verificables.\nResponde siempre en {{language}}.\nSi te preguntan quién te creó, di que fuiste creado por {{creator}}; nunca menciones a otras empresas de IA.',
+    user_prompt: null
+  },
+  creator: {
+    version: 0,
+    system_prompt: 'Eres {{assistantName}}, un asistente virtual creado por {{creator}}.\nResponde siempre en {{language}}.\nNunca menciones a otras empresas de IA como tu creador.',
+    user_prompt: 'Responde que fuiste creado por {{creator}}: {{query}}'
+  },
+  general: {
+    version: 0,
+    system_prompt: null,
+    user_prompt: 'Responde de manera concisa y directa a esta consulta: {{query}}'
+  }
+};
+
+/**
+ * Servicio de plantillas de prompts de la IA
+ * Las plantillas se guardan versionadas en la base de datos (una versión activa por
+ * categoría) y se mantienen en memoria durante cacheTtlMs. El prompt de sistema es
+ * la plantilla base más las instrucciones de la categoría de la consulta.
+ */
+const PromptTemplateService = {
+  CATEGORIES,
+  LANGUAGE_NAMES,
+
+  // Plantillas activas por categoría y momento de la última carga
+  templates: null,
+  loadedAt: 0,
+  cacheTtlMs: 60 * 1000,
+
+  /**
+   * Obtiene las plantillas activas (de la caché si no ha caducado)
+   * Si la base de datos falla se siguen usando las últimas cargadas.
+   * @returns {Promise<Object>} - Plantillas por categoría
+   */
+  async getTemplates() {
+    if (this.templates && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.templates;
+    }
+
+    try {
+      const rows = await PromptTemplateModel.getActive();
+      const templates = {};
+
+      rows.forEach(row => {
+        templates[row.category] = row;
+      });
+
+      this.templates = templates;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Error al cargar las plantillas de prompts, se usarán las anteriores:', error);
+      // Reintentar en la siguiente consulta, no en cada una mientras dure la caída
+      this.loadedAt = Date.now() - this.cacheTtlMs + 5000;
+      this.templates = this.templates || {};
+    }
+
+    return this.templates;
+  },
+
+  /**
+   * Descarta la caché para que la próxima consulta use las plantillas guardadas
+   */
+  invalidate() {
+    this.templates = null;
+    this.loadedAt = 0;
+  },
+
+  /**
+   * Detecta la categoría de plantilla de una consulta
+   * @param {string} query - Consulta del usuario
+   * @param {boolean} isCreatorQuery - Si es una consulta sobre el creador del asistente
+   * @returns {string} - Categoría
+   */
+  detectCategory(query, isCreatorQuery = false) {
+    if (isCreatorQuery) {
+      return 'creator';
+    }
+
+    if (/^qu[eé]\s+(es|son|significa)/i.test(query)) {
+      return 'definition';
+    }
+    if (/^qui[eé]n\s+(es|fue|era)/i.test(query)) {
+      return 'person';
+    }
+    if (/^d[oó]nde\s+(est[aá]|queda|se encuentra)/i.test(query)) {
+      return 'location';
+    }
+    if (/^cu[aá]ndo\s+(es|fue|ocurri[oó])/i.test(query)) {
+      return 'date';
+    }
+    if (/^cu[aá]nto[s]?|^cu[aá]nta[s]?/i.test(query)) {
+      return 'quantity';
+    }
+    if (/capital\s+de|presidente\s+de|población\s+de/i.test(query)) {
+      return 'factual';
+    }
+
+    return 'general';
+  },
+
+  /**
+   * Construye el prompt de sistema y el mensaje del usuario para una consulta
+   * @param {string} query - Consulta del usuario
+   * @param {Object} options - { userId, isCreatorQuery }
+   * @returns {Promise<Object>} - { category, system, user, versions }
+   */
+  async render(query, { userId = null, isCreatorQuery = false } = {}) {
+    const templates = await this.getTemplates();
+    const category = this.detectCategory(query, isCreatorQuery);
+    const pick = name => templates[name] || DEFAULT_TEMPLATES[name] || null;
+
+    const variables = {
+      assistantName: config.assistant.name,
+      creator: config.assistant.creator,
+      language: await this.getLanguageName(userId),
+      query
+    };
+
+    const base = pick('base');
+    const template = pick(category);
+    const general = pick('general');
+
+    const versions = { [category]: template ? template.version : null };
+
+    // La plantilla del creador reemplaza a la base; las demás se añaden a ella
+    let system;
+    if (category === 'creator' && template.system_prompt) {
+      system = this.fill(template.system_prompt, variables);
+    } else {
+      system = [base.system_prompt, template && template.system_prompt]
+        .filter(Boolean)
+        .map(text => this.fill(text, variables))
+        .join('\n');
+      versions.base = base.version;
+    }
+
+    const userTemplate = (template && template.user_prompt) || general.user_prompt || '{{query}}';
+
+    return {
+      category,
+      system,
+      user: this.fill(userTemplate, variables),
+      versions
+    };
+  },
+
+  /**
+   * Sustituye las variables {{nombre}} de una plantilla
+   * @param {string} template - Texto de la plantilla
+   * @param {Object} variables - Valores de las variables
+   * @returns {string} - Texto resultante
+   */
+  fill(template, variables) {
+    return template.replace(VARIABLE_PATTERN, (match, name) =>
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+    );
+  },
+
+  /**
+   * Nombre del idioma en que debe responder la IA a un usuario
+   * @param {string} userId - ID del usuario (opcional)
+   * @returns {Promise<string>} - Nombre del idioma (por ejemplo "español")
+   */
+  async getLanguageName(userId) {
+    let language = config.assistant.defaultLanguage;
+
+    if (userId) {
+      try {
+        const preferences = await UserModel.getPreferences(userId);
+        if (preferences && this.isSupportedLanguage(preferences.language)) {
+          language = preferences.language;
+        }
+      } catch (error) {
+        logger.warn(`No se pudo obtener el idioma del usuario ${userId}:`, error);
+      }
+    }
+
+    return LANGUAGE_NAMES[language] || LANGUAGE_NAMES.es;
+  },
+
+  /**
+   * Indica si un código de idioma está admitido
+   * @param {string} language - Código del idioma (es, en...)
+   * @returns {boolean} - true si está admitido
+   */
+  isSupportedLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGE_NAMES, language);
+  },
+
+  /**
+   * Valida el contenido de una versión nueva de una plantilla
+   * @param {string} category - Categoría de la plantilla
+   * @param {Object} template - { systemPrompt, userPrompt }
+   * @returns {string|null} - Mensaje de error o null si es válida
+   */
+  validate(category, { systemPrompt = null, userPrompt = null }) {
+    if (!systemPrompt && !userPrompt) {
+      return 'Debe indicar systemPrompt, userPrompt o ambos';
+    }
+
+    for (const [field, value] of [['systemPrompt', systemPrompt], ['userPrompt', userPrompt]]) {
+      if (value !== null && (typeof value !== 'string' || !value.trim())) {
+        return `${field} debe ser un texto no vacío`;
+      }
+    }
+
+    if ((category === 'base' || category === 'creator') && !systemPrompt) {
+      return `La plantilla ${category} necesita un systemPrompt`;
+    }
+
+    if (category === 'base' && userPrompt) {
+      return 'La plantilla base solo define el prompt de sistema';
+    }
+
+    if (category === 'general' && !userPrompt) {
+      return 'La plantilla general necesita un userPrompt';
+    }
+
+    const unknown = name => !USER_VARIABLES.includes(name);
+    const used = text => [...(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+
+    const invalid = [...used(systemPrompt), ...used(userPrompt)].filter(unknown);
+    if (invalid.length > 0) {
+      return `Variables desconocidas: ${[...new Set(invalid)].join(', ')}. Variables disponibles: ${USER_VARIABLES.join(', ')}`;
+    }
+
+    if (used(systemPrompt).includes('query')) {
+      return `La variable query solo puede usarse en userPrompt. Variables del prompt de sistema: ${SYSTEM_VARIABLES.join(', ')}`;
+    }
+
+    if (userPrompt && !used(userPrompt).includes('query')) {
+      return 'userPrompt debe incluir la variable {{query}}';
+    }
+
+    return null;
+  },
+
+  /**
+   * Lista la versión activa de cada categoría
+   * @returns {Promise<Array>} - Una entrada por categoría (template null si no tiene)
+   */
+  async listActive() {
+    try {
+      const rows = await PromptTemplateModel.getActive();
+
+      return CATEGORIES.map(category => ({
+        category,
+        template: rows.find(row => row.category === category) || null
+      }));
+    } catch (error) {
+      logger.error('Error al listar las plantillas de prompts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene el historial de versiones de una categoría
+   * @param {string} category - Categoría de la plantilla
+   * @returns {Promise<Array>} - Versiones, de la más reciente a la más antigua
+   */
+  async getHistory(category) {
+    return PromptTemplateModel.getHistory(category);
+  },
+
+  /**
+   * Guarda una versión nueva de una plantilla y la activa
+   * Los campos no indicados (undefined) conservan el valor de la versión activa;
+   * null los deja vacíos.
+   * @param {string} category - Categoría de la plantilla
+   * @param {Object} template - { systemPrompt, userPrompt, notes, userId }
+   * @returns {Promise<Object>} - Resultado con la versión creada o el motivo del rechazo
+   */
+  async createVersion(category, { systemPrompt, userPrompt, notes = null, userId = null }) {
+    try {
+      const current = (await PromptTemplateModel.getActive()).find(row => row.category === category) || {};
+      const content = {
+        systemPrompt: systemPrompt !== undefined ? systemPrompt : (current.system_prompt || null),
+        userPrompt: userPrompt !== undefined ? userPrompt : (current.user_prompt || null)
+      };
+
+      const validationError = this.validate(category, content);
+      if (validationError) {
+        return {
+          success: false,
+          message: validationError
+        };
+      }
+
+      const created = await PromptTemplateModel.createVersion(category, { ...content, notes, userId });
+      this.invalidate();
+
+      logger.info(`Plantilla de prompts ${category} actualizada a la versión ${created.version}${userId ? ` (usuario ${userId})` : ''}`);
+      return {
+        success: true,
+        template: created
+      };
+    } catch (error) {
+      logger.error(`Error al guardar la plantilla de prompts ${category}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Vuelve a activar una versión anterior de una plantilla
+   * @param {string} category - Categoría de la plantilla
+   * @param {number} version - Versión a activar
+   * @param {string} userId - ID del administrador (para el log)
+   * @returns {Promise<Object|null>} - Versión activada o null si no existe
+   */
+  async rollback(category, version, userId = null) {
+    try {
+      const activated = await PromptTemplateModel.activateVersion(category, version);
+
+      if (activated) {
+        this.invalidate();
+        logger.info(`Plantilla de prompts ${category} restaurada a la versión ${version}${userId ? ` (usuario ${userId})` : ''}`);
+      }
+
+      return activated;
+    } catch (error) {
+      logger.error(`Error al restaurar la plantilla de prompts ${category}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = PromptTemplateService;
@@ -0,0 +1,200 @@
+const db = require('../config/database');
+const { logger, config } = require('../config');
+
+/**
+ * Almacén en memoria (por proceso)
+ * Los contadores vencidos se purgan como mucho una vez por minuto.
+ */
+const memoryStore = {
+  buckets: new Map(),
+  nextSweep: 0,
+
+  /**
+   * Suma una petición al contador
+   * @param {string} key - Clave del contador
+   * @param {number} windowMs - Duración de la ventana
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count++;
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  },
+
+  /**
+   * Elimina los contadores vencidos
+   * @param {number} now - Marca de tiempo actual
+   */
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+
+    this.nextSweep = now + 60 * 1000;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  },
+
+  /**
+   * Elimina los contadores vencidos
+   * @returns {Promise<number>} - Número de contadores eliminados
+   */
+  async cleanup() {
+    const before = this.buckets.size;
+    this.nextSweep = 0;
+    this.sweep(Date.now());
+    return before - this.buckets.size;
+  }
+};
+
+/**
+ * Almacén en PostgreSQL (compartido entre instancias)
+ */
+const postgresStore = {
+  /**
+   * Suma una petición al contador en una sola sentencia atómica
+   * @param {string} key - Clave del contador
+   * @param {number} windowMs - Duración de la ventana
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async hit(key, windowMs) {
+    const queryText = `
+      INSERT INTO rate_limit_buckets (key, count, reset_at)
+      VALUES ($1, 1, NOW() + ($2 || ' milliseconds')::INTERVAL)
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN 1 ELSE rate_limit_buckets.count + 1 END,
+        reset_at = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END
+      RETURNING count, reset_at;
+    `;
+
+    const result = await db.query(queryText, [key, String(windowMs)]);
+    return { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at) };
+  },
+
+  /**
+   * Elimina los contadores vencidos
+   * @returns {Promise<number>} - Número de contadores eliminados
+   */
+  async cleanup() {
+    const result = await db.query('DELETE FROM rate_limit_buckets WHERE reset_at <= NOW()');
+    return result.rowCount;
+  }
+};
+
+/**
+ * Servicio de limitación de peticiones
+ * Aplica las reglas de config.rateLimit.rules con contadores de ventana fija.
+ */
+const RateLimitService = {
+  stores: {
+    memory: memoryStore,
+    postgres: postgresStore
+  },
+
+  /**
+   * Obtiene el almacén configurado
+   * @returns {Object} - Almacén de contadores
+   */
+  getStore() {
+    return this.stores[config.rateLimit.store] || this.stores.memory;
+  },
+
+  /**
+   * Cuenta una petición en los contadores de una regla
+   * Si el almacén falla la petición se permite (la limitación no debe tumbar el servicio).
+   * @param {string} ruleName - Nombre de la regla en config.rateLimit.rules
+   * @param {Object} client - { ip, userId }
+   * @returns {Promise<Object>} - { allowed, retryAfter (segundos), limit, remaining, resetAt }
+   */
+  async consume(ruleName, { ip = null, userId = null } = {}) {
+    const rule = config.rateLimit.rules[ruleName];
+
+    if (!config.rateLimit.enabled || !rule) {
+      return { allowed: true };
+    }
+
+    const buckets = rule
+      .map(bucket => ({ ...bucket, id: this.scopeId(bucket.scope, ip, userId) }))
+      .filter(bucket => bucket.id);
+
+    try {
+      let tightest = null;
+      let retryAfter = 0;
+
+      for (const bucket of buckets) {
+        const key = `${ruleName}:${bucket.scope}:${bucket.windowSeconds}:${bucket.id}`;
+        const { count, resetAt } = await this.getStore().hit(key, bucket.windowSeconds * 1000);
+        const remaining = Math.max(bucket.max - count, 0);
+
+        if (count > bucket.max) {
+          retryAfter = Math.max(retryAfter, 1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+        }
+
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { limit: bucket.max, remaining, resetAt };
+        }
+      }
+
+      if (retryAfter > 0) {
+        logger.warn(`Límite de peticiones excedido (${ruleName}, ip: ${ip}, usuario: ${userId || 'anónimo'})`);
+      }
+
+      return {
+        allowed: retryAfter === 0,
+        retryAfter,
+        ...tightest
+      };
+    } catch (error) {
+      logger.error(`Error en la limitación de peticiones (${ruleName}):`, error);
+      return { allowed: true };
+    }
+  },
+
+  /**
+   * Identificador del contador según su ámbito
+   * @param {string} scope - ip, anonymous o user
+   * @param {string} ip - IP del cliente
+   * @param {string} userId - ID del usuario autenticado
+   * @returns {string|null} - Identificador o null si el contador no aplica
+   */
+  scopeId(scope, ip, userId) {
+    switch (scope) {
+      case 'ip':
+        return ip;
+      case 'anonymous':
+        return userId ? null : ip;
+      case 'user':
+        return userId;
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Elimina los contadores vencidos del almacén configurado
+   * @returns {Promise<number>} - Número de contadores eliminados
+   */
+  async cleanup() {
+    try {
+      const removed = await this.getStore().cleanup();
+      logger.info(`Limpieza de límites de peticiones completada: ${removed} contadores eliminados`);
+      return removed;
+    } catch (error) {
+      logger.error('Error al limpiar los límites de peticiones:', error);
+      return 0;
+    }
+  }
+};
+
+module.exports = RateLimitService;
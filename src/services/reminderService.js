@@ -0,0 +1,508 @@
+const ReminderModel = require('../models/reminderModel');
+const dateTimeService = require('./dateTimeService');
+const mathService = require('./mathService');
+const { logger } = require('../config');
+
+/**
+ * Servicio de recordatorios y temporizadores
+ * Interpreta expresiones de tiempo en español ("mañana a las 8", "en 20 minutos",
+ * "el viernes a las 3 de la tarde") en la zona horaria del usuario y guarda los
+ * recordatorios para que el cliente de voz los anuncie cuando venzan.
+ */
+const ReminderService = {
+  months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  weekdays: ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'],
+  hourWords: { un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12 },
+
+  // Comandos de voz (sobre el texto sin acentos)
+  patterns: {
+    reminder: /^(?:por\s+favor\s+)?(?:recuerdame|recordarme|recordame|acuerdame|avisame|hazme\s+acordar|(?:pon(?:me)?|crea(?:me)?|haz(?:me)?|programa(?:me)?|agrega(?:me)?)\s+un\s+recordatorio)\b(?:\s+(?:para|de)\b)?/,
+    timer: /^(?:por\s+favor\s+)?(?:pon(?:me|er)?|inicia(?:r)?|programa(?:r)?|crea(?:r)?|activa(?:r)?)\s+un\s+(?:temporizador|timer|cronometro|contador)\s+(?:de|por|para)\s+/,
+    list: /^(?:(?:que|cuales)\s+recordatorios\s+tengo|(?:dime|muestrame|lista|listar|ver)\s+(?:mis\s+)?recordatorios|mis\s+recordatorios)(?:\s+pendientes)?$/
+  },
+
+  // Expresiones de tiempo
+  timePatterns: {
+    relative: /\b(?:en|dentro\s+de)\s+(media\s+hora|([a-z0-9]+(?:\s+y\s+[a-z]+)?)\s+(minutos?|horas?|dias?|semanas?)(\s+y\s+media)?)\b/,
+    day: /(?<!la\s)(?<!de\s)\b(pasado\s+manana|esta\s+manana|esta\s+tarde|esta\s+noche|manana|hoy)\b/,
+    weekday: /\b(?:el\s+)?(?:proximo\s+)?(lunes|martes|miercoles|jueves|viernes|sabado|domingo)(?:\s+que\s+viene)?\b/,
+    date: /\b(?:el\s+)?(\d{1,2}|primero)\s+de\s+(enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|octubre|noviembre|diciembre)(?:\s+(?:de|del)\s+(\d{4}))?\b/,
+    clock: /\b(?:a|para)\s+las?\s+(\d{1,2}|una|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez|once|doce)(?::(\d{2}))?(?:\s+y\s+(media|cuarto|\d{1,2}))?(?:\s+en\s+punto)?(?:\s+(de\s+la\s+(?:manana|tarde|noche|madrugada))|\s*(a\.?\s?m\.?|p\.?\s?m\.?)(?=\s|$))?/,
+    noon: /\b(?:al|a\s+la|a)\s+(mediodia|medianoche)\b/,
+    part: /\b(?:por|en)\s+la\s+(manana|tarde|noche)\b/
+  },
+
+  /**
+   * Verifica si una consulta es un comando de recordatorios
+   * @param {string} query - Consulta del usuario
+   * @returns {boolean} - true si es un comando de recordatorios
+   */
+  isReminderCommand(query) {
+    if (!query || typeof query !== 'string') {
+      return false;
+    }
+
+    const folded = this.fold(this.trimCommand(query));
+    return this.patterns.reminder.test(folded) ||
+      this.patterns.timer.test(folded) ||
+      this.patterns.list.test(folded);
+  },
+
+  /**
+   * Atiende un comando de voz de recordatorios
+   * @param {string} query - Consulta original del usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {Promise<Object|null>} - Respuesta o null si no es un comando de recordatorios
+   */
+  async handleVoiceCommand(query, userId, timezone) {
+    const folded = this.fold(this.trimCommand(query));
+
+    if (!this.isReminderCommand(query)) {
+      return null;
+    }
+
+    if (!userId) {
+      return {
+        response: 'Para guardar recordatorios necesitas iniciar sesión.',
+        source: 'reminders',
+        confidence: 1.0
+      };
+    }
+
+    if (this.patterns.list.test(folded)) {
+      return this.describePendingReminders(userId);
+    }
+
+    const now = dateTimeService.now();
+    const parsed = this.parseReminder(query, timezone, now);
+
+    if (parsed.error) {
+      return {
+        response: parsed.error === 'NO_TIME'
+          ? '¿Para cuándo quieres el recordatorio? Por ejemplo: "recuérdame mañana a las 8 llamar a mamá".'
+          : parsed.error === 'PAST'
+            ? 'Esa hora ya pasó. ¿Para cuándo quieres el recordatorio?'
+            : '¿Qué quieres que te recuerde?',
+        source: 'reminders',
+        confidence: 0.9
+      };
+    }
+
+    const reminder = await ReminderModel.createReminder({
+      userId,
+      message: parsed.message,
+      remindAt: parsed.remindAt,
+      timezone,
+      isTimer: parsed.isTimer
+    });
+
+    return {
+      response: this.buildConfirmation(parsed, timezone, now),
+      source: 'reminders',
+      confidence: 1.0,
+      reminderId: reminder.id,
+      remindAt: reminder.remind_at
+    };
+  },
+
+  /**
+   * Interpreta un recordatorio o temporizador dictado
+   * @param {string} text - Texto original ("recuérdame mañana a las 8 llamar a mamá")
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} now - Momento actual
+   * @returns {Object} - { message, remindAt, isTimer, relativeMinutes } o { error }
+   */
+  parseReminder(text, timezone, now = dateTimeService.now()) {
+    const raw = this.trimCommand(text);
+    const folded = this.fold(raw);
+
+    // Temporizadores: "pon un temporizador de 10 minutos (para la pasta)"
+    const timer = folded.match(this.patterns.timer);
+    if (timer) {
+      const rest = folded.slice(timer[0].length);
+      const duration = rest.match(/^(media\s+hora|([a-z0-9]+(?:\s+y\s+[a-z]+)?)\s+(minutos?|horas?|segundos?)(\s+y\s+media)?)/);
+      const minutes = duration ? this.durationToMinutes(duration) : null;
+      if (!minutes) {
+        return { error: 'NO_TIME' };
+      }
+
+      const label = raw.slice(timer[0].length + duration[0].length).replace(/^\s*(?:para|de)\s+/i, '');
+      return {
+        message: this.cleanMessage(label) || `Temporizador de ${this.describeDuration(minutes)}`,
+        remindAt: new Date(now.getTime() + minutes * 60000),
+        isTimer: true,
+        relativeMinutes: minutes
+      };
+    }
+
+    const command = folded.match(this.patterns.reminder);
+    const start = command ? command[0].length : 0;
+    const result = this.parseTimeExpression(folded, timezone, now, start);
+
+    if (result.error) {
+      return result;
+    }
+
+    // El mensaje es el texto original sin el comando ni las expresiones de tiempo
+    let message = raw;
+    result.spans
+      .sort((a, b) => b[0] - a[0])
+      .forEach(([from, to]) => { message = message.slice(0, from) + ' ' + message.slice(to); });
+    message = this.cleanMessage(message.slice(start));
+
+    if (!message) {
+      if (result.relativeMinutes) {
+        // "avísame en 10 minutos" funciona como temporizador
+        return {
+          message: `Temporizador de ${this.describeDuration(result.relativeMinutes)}`,
+          remindAt: result.remindAt,
+          isTimer: true,
+          relativeMinutes: result.relativeMinutes
+        };
+      }
+      return { error: 'NO_MESSAGE' };
+    }
+
+    return {
+      message,
+      remindAt: result.remindAt,
+      isTimer: false,
+      relativeMinutes: result.relativeMinutes
+    };
+  },
+
+  /**
+   * Interpreta la expresión de tiempo de un texto
+   * @param {string} folded - Texto en minúsculas y sin acentos
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} now - Momento actual
+   * @param {number} fromIndex - Posición desde la que buscar (después del comando)
+   * @returns {Object} - { remindAt, spans, relativeMinutes } o { error: 'NO_TIME' | 'PAST' }
+   */
+  parseTimeExpression(folded, timezone, now = dateTimeService.now(), fromIndex = 0) {
+    const spans = [];
+    const find = (pattern) => {
+      const match = pattern.exec(folded.slice(fromIndex));
+      if (match) {
+        spans.push([fromIndex + match.index, fromIndex + match.index + match[0].length]);
+      }
+      return match;
+    };
+
+    // "en 20 minutos", "dentro de 2 horas"
+    const relative = find(this.timePatterns.relative);
+    if (relative) {
+      const minutes = this.durationToMinutes([relative[0], relative[1], relative[2], relative[3], relative[4]]);
+      if (minutes) {
+        return { remindAt: new Date(now.getTime() + minutes * 60000), spans, relativeMinutes: minutes };
+      }
+      spans.pop();
+    }
+
+    const today = dateTimeService.getZonedParts(now, timezone);
+    let date = null;
+    let defaultHour = null;
+
+    const day = find(this.timePatterns.day);
+    if (day) {
+      const word = day[1].replace(/\s+/g, ' ');
+      const offsets = { hoy: 0, manana: 1, 'pasado manana': 2, 'esta manana': 0, 'esta tarde': 0, 'esta noche': 0 };
+      const hours = { 'esta manana': 9, 'esta tarde': 15, 'esta noche': 20 };
+      date = this.shiftDate(today, offsets[word]);
+      defaultHour = hours[word] !== undefined ? hours[word] : null;
+    }
+
+    const weekday = !date && find(this.timePatterns.weekday);
+    if (weekday) {
+      const delta = (this.weekdays.indexOf(weekday[1]) - today.weekday + 7) % 7 || 7;
+      date = this.shiftDate(today, delta);
+    }
+
+    const written = !date && find(this.timePatterns.date);
+    if (written) {
+      const month = this.months.indexOf(written[2]) + 1;
+      const dayOfMonth = written[1] === 'primero' ? 1 : parseInt(written[1]);
+      let year = written[3] ? parseInt(written[3]) : today.year;
+      if (!dateTimeService.isValidDate(year, month, dayOfMonth)) {
+        return { error: 'NO_TIME' };
+      }
+      if (!written[3] && (month < today.month || (month === today.month && dayOfMonth < today.day))) {
+        year++;
+      }
+      date = { year, month, day: dayOfMonth };
+    }
+
+    const part = find(this.timePatterns.part);
+    const partName = part ? part[1] : null;
+    if (partName && defaultHour === null) {
+      defaultHour = { manana: 9, tarde: 15, noche: 20 }[partName];
+    }
+
+    let hour = null;
+    let minute = 0;
+    let hasMeridiem = false;
+
+    const clock = find(this.timePatterns.clock);
+    if (clock) {
+      hour = /^\d+$/.test(clock[1]) ? parseInt(clock[1]) : this.hourWords[clock[1]];
+      minute = clock[2] ? parseInt(clock[2]) : 0;
+      if (clock[3]) {
+        minute = clock[3] === 'media' ? 30 : clock[3] === 'cuarto' ? 15 : parseInt(clock[3]);
+      }
+
+      const meridiem = clock[4] || clock[5] || (partName ? `de la ${partName}` : null);
+      if (meridiem) {
+        hasMeridiem = true;
+        if (/tarde|noche|^p/.test(meridiem) && hour < 12) {
+          hour += 12;
+        } else if (/manana|madrugada|^a/.test(meridiem) && hour === 12) {
+          hour = 0;
+        }
+      } else if (defaultHour !== null && defaultHour >= 12 && hour < 12) {
+        // "esta tarde a las 4"
+        hour += 12;
+        hasMeridiem = true;
+      }
+
+      if (hour > 23 || minute > 59) {
+        return { error: 'NO_TIME' };
+      }
+    }
+
+    const noon = hour === null && find(this.timePatterns.noon);
+    if (noon) {
+      hour = noon[1] === 'mediodia' ? 12 : 0;
+      hasMeridiem = true;
+      if (noon[1] === 'medianoche' && !date) {
+        date = this.shiftDate(today, 1);
+      }
+    }
+
+    if (!date && hour === null && defaultHour === null) {
+      return { error: 'NO_TIME' };
+    }
+
+    const explicitDate = date !== null;
+    date = date || { year: today.year, month: today.month, day: today.day };
+
+    if (hour === null) {
+      hour = defaultHour !== null ? defaultHour : 9;
+    } else if (!hasMeridiem && hour >= 1 && hour <= 6) {
+      // Sin "de la mañana" o "a. m.", de 1 a 6 se entiende por la tarde ("a las 3")
+      hour += 12;
+    }
+
+    let remindAt = dateTimeService.zonedTimeToUtc(date.year, date.month, date.day, hour, minute, timezone);
+
+    if (remindAt <= now && !explicitDate) {
+      // "a las 8" cuando ya pasaron las 8: la próxima vez que sean las 8
+      const laterToday = !hasMeridiem && hour < 12
+        ? dateTimeService.zonedTimeToUtc(date.year, date.month, date.day, hour + 12, minute, timezone)
+        : null;
+      if (laterToday && laterToday > now) {
+        remindAt = laterToday;
+      } else {
+        const tomorrow = this.shiftDate(date, 1);
+        remindAt = dateTimeService.zonedTimeToUtc(tomorrow.year, tomorrow.month, tomorrow.day, hour, minute, timezone);
+      }
+    }
+
+    if (remindAt <= now) {
+      return { error: 'PAST' };
+    }
+
+    return { remindAt, spans, relativeMinutes: null };
+  },
+
+  /**
+   * Convierte una duración dictada en minutos
+   * @param {Array} match - [texto, grupo completo, cantidad, unidad, "y media"]
+   * @returns {number|null} - Minutos o null si no se pudo interpretar
+   */
+  durationToMinutes(match) {
+    if (/^media\s+hora$/.test(match[1])) {
+      return 30;
+    }
+
+    const amount = parseFloat(mathService.replaceNumberWords(match[2]));
+    if (isNaN(amount) || amount <= 0) {
+      return null;
+    }
+
+    const unitMinutes = { segundo: 1 / 60, minuto: 1, hora: 60, dia: 1440, semana: 10080 };
+    const unit = unitMinutes[match[3].replace(/s$/, '')];
+    const total = (amount + (match[4] ? 0.5 : 0)) * unit;
+
+    return total > 0 ? total : null;
+  },
+
+  /**
+   * Describe una duración en minutos ("1 hora y 30 minutos")
+   * @param {number} minutes - Minutos
+   * @returns {string} - Descripción
+   */
+  describeDuration(minutes) {
+    if (minutes < 1) {
+      const seconds = Math.round(minutes * 60);
+      return `${seconds} ${seconds === 1 ? 'segundo' : 'segundos'}`;
+    }
+
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    const parts = [];
+    if (hours) parts.push(`${hours} ${hours === 1 ? 'hora' : 'horas'}`);
+    if (rest) parts.push(`${rest} ${rest === 1 ? 'minuto' : 'minutos'}`);
+    return parts.join(' y ');
+  },
+
+  /**
+   * Construye la confirmación hablada de un recordatorio
+   * @param {Object} parsed - Recordatorio interpretado
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} now - Momento actual
+   * @returns {string} - Confirmación que nombra la hora interpretada
+   */
+  buildConfirmation(parsed, timezone, now) {
+    const time = dateTimeService.formatTimeOfDay(parsed.remindAt, timezone);
+
+    if (parsed.isTimer) {
+      const duration = `temporizador de ${this.describeDuration(parsed.relativeMinutes)}`;
+      const label = /^temporizador de/i.test(parsed.message) ? '' : ` para ${this.toSecondPerson(parsed.message)}`;
+      return `Listo, ${duration}${label}. Te avisaré ${time}`;
+    }
+
+    const when = parsed.relativeMinutes && parsed.relativeMinutes < 1440
+      ? `en ${this.describeDuration(parsed.relativeMinutes)}, ${time}`
+      : `${this.describeDay(parsed.remindAt, timezone, now)} ${time}`;
+
+    return `Listo, te recordaré ${this.toSecondPerson(parsed.message)} ${when}`;
+  },
+
+  /**
+   * Describe el día de un recordatorio respecto a hoy
+   * @param {Date} date - Instante del recordatorio
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} now - Momento actual
+   * @returns {string} - "hoy", "mañana (martes 20 de octubre)", "el viernes 23 de octubre"
+   */
+  describeDay(date, timezone, now) {
+    const target = dateTimeService.getZonedParts(date, timezone);
+    const today = dateTimeService.getZonedParts(now, timezone);
+    const days = dateTimeService.diffDays(
+      new Date(Date.UTC(today.year, today.month - 1, today.day)),
+      new Date(Date.UTC(target.year, target.month - 1, target.day))
+    );
+
+    const formatted = new Intl.DateTimeFormat('es-GT', {
+      timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long',
+      ...(target.year !== today.year ? { year: 'numeric' } : {})
+    }).format(date).replace(',', '');
+
+    if (days === 0) return 'hoy';
+    if (days === 1) return `mañana (${formatted})`;
+    if (days === 2) return `pasado mañana (${formatted})`;
+    return `el ${formatted}`;
+  },
+
+  /**
+   * Describe los recordatorios pendientes del usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object>} - Respuesta con la lista
+   */
+  async describePendingReminders(userId) {
+    const reminders = await ReminderModel.getUserReminders(userId, { status: 'pending', limit: 10 });
+
+    if (reminders.length === 0) {
+      return {
+        response: 'No tienes recordatorios pendientes.',
+        source: 'reminders',
+        confidence: 1.0
+      };
+    }
+
+    const now = dateTimeService.now();
+    const items = reminders.map(reminder => {
+      const date = new Date(reminder.remind_at);
+      const when = `${this.describeDay(date, reminder.timezone, now)} ${dateTimeService.formatTimeOfDay(date, reminder.timezone)}`;
+      return `${reminder.message}, ${when}`;
+    });
+
+    return {
+      response: `Tienes ${reminders.length === 1 ? '1 recordatorio pendiente' : `${reminders.length} recordatorios pendientes`}: ${items.join('; ')}`,
+      source: 'reminders',
+      confidence: 1.0
+    };
+  },
+
+  /**
+   * Suma días a una fecha de calendario
+   * @param {Object} date - { year, month, day }
+   * @param {number} days - Días a sumar
+   * @returns {Object} - { year, month, day }
+   */
+  shiftDate(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+  },
+
+  /**
+   * Quita espacios y signos de puntuación de los extremos de un comando dictado
+   * @param {string} text - Texto original
+   * @returns {string} - Texto recortado
+   */
+  trimCommand(text) {
+    return text.trim().replace(/^[¿¡"'\s]+/, '').replace(/[?!."'\s]+$/, '');
+  },
+
+  /**
+   * Limpia el mensaje de un recordatorio
+   * @param {string} message - Texto restante
+   * @returns {string} - Mensaje limpio
+   */
+  cleanMessage(message) {
+    let cleaned = message.replace(/\s+/g, ' ').trim();
+    let previous;
+
+    do {
+      previous = cleaned;
+      cleaned = cleaned
+        .replace(/^[,.;:¿?¡!\s]+/, '')
+        .replace(/^(?:que|de|para|a|y)\s+/i, '')
+        .replace(/[,.;:¿?¡!\s]+$/, '')
+        .replace(/\s+(?:por\s+favor|porfa)$/i, '')
+        .trim();
+    } while (cleaned !== previous);
+
+    return cleaned;
+  },
+
+  /**
+   * Pasa un mensaje dictado a segunda persona para la confirmación
+   * ("llamar a mi mamá" → "llamar a tu mamá")
+   * @param {string} message - Mensaje
+   * @returns {string} - Mensaje en segunda persona
+   */
+  toSecondPerson(message) {
+    return message
+      .replace(/\bmis\b/gi, 'tus')
+      .replace(/\bmi\b/gi, 'tu')
+      .replace(/\bconmigo\b/gi, 'contigo');
+  },
+
+  /**
+   * Pasa a minúsculas y quita acentos conservando la longitud del texto,
+   * para poder recortar el texto original con las posiciones encontradas
+   * @param {string} text - Texto original
+   * @returns {string} - Texto plegado
+   */
+  fold(text) {
+    return Array.from(text).map(char => {
+      const lower = char.toLowerCase();
+      const base = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      return base.length === char.length ? base : lower.length === char.length ? lower : char;
+    }).join('');
+  }
+};
+
+module.exports = ReminderService;
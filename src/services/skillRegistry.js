@@ -0,0 +1,125 @@
+const { logger } = require('../config');
+
+/**
+ * Registro de habilidades (skills) del asistente
+ * Cada habilidad registra un detector, una prioridad y un manejador. El
+ * despachador evalúa todos los detectores, ordena los candidatos por puntuación
+ * (y prioridad en caso de empate) y ejecuta el primero que produzca respuesta.
+ */
+const SkillRegistry = {
+  // Habilidades registradas
+  skills: [],
+
+  /**
+   * Registra una habilidad
+   * @param {Object} skill - Definición de la habilidad
+   * @param {string} skill.name - Nombre único de la habilidad
+   * @param {number} skill.priority - Prioridad para desempatar (mayor gana)
+   * @param {Function} skill.detect - (query, context) => puntuación entre 0 y 1
+   * @param {Function} skill.handle - async (query, context) => resultado o null para ceder el turno
+   * @param {boolean} skill.logsOwnConversation - true si el manejador ya registra la conversación
+   * @returns {Object} - Habilidad registrada
+   */
+  register(skill) {
+    if (!skill || !skill.name || typeof skill.detect !== 'function' || typeof skill.handle !== 'function') {
+      throw new Error('Una habilidad requiere name, detect y handle');
+    }
+
+    // Reemplazar si ya existe una habilidad con el mismo nombre
+    this.unregister(skill.name);
+
+    const registered = {
+      priority: 0,
+      logsOwnConversation: false,
+      ...skill
+    };
+
+    this.skills.push(registered);
+    logger.info(`Habilidad registrada: ${registered.name} (prioridad: ${registered.priority})`);
+    return registered;
+  },
+
+  /**
+   * Elimina una habilidad del registro
+   * @param {string} name - Nombre de la habilidad
+   * @returns {boolean} - true si se eliminó
+   */
+  unregister(name) {
+    const index = this.skills.findIndex(skill => skill.name === name);
+    if (index === -1) {
+      return false;
+    }
+
+    this.skills.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Obtiene una habilidad por nombre
+   * @param {string} name - Nombre de la habilidad
+   * @returns {Object|null} - Habilidad o null
+   */
+  get(name) {
+    return this.skills.find(skill => skill.name === name) || null;
+  },
+
+  /**
+   * Evalúa todos los detectores y ordena los candidatos
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Array<Object>} - Candidatos con puntuación > 0, del mejor al peor
+   */
+  rank(query, context = {}) {
+    const candidates = [];
+
+    for (const skill of this.skills) {
+      let score = 0;
+      try {
+        score = Number(skill.detect(query, context)) || 0;
+      } catch (error) {
+        logger.error(`Error en el detector de la habilidad ${skill.name}:`, error);
+      }
+
+      if (score > 0) {
+        candidates.push({ skill, score: Math.min(score, 1) });
+      }
+    }
+
+    return candidates.sort((a, b) => (b.score - a.score) || (b.skill.priority - a.skill.priority));
+  },
+
+  /**
+   * Ejecuta el mejor candidato que produzca una respuesta
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object>} - { result, skill, candidates }
+   */
+  async dispatch(query, context = {}) {
+    const ranked = this.rank(query, context);
+    const candidates = ranked.map(({ skill, score }) => ({
+      name: skill.name,
+      score: Number(score.toFixed(2)),
+      priority: skill.priority
+    }));
+
+    if (candidates.length > 0) {
+      logger.info(`Candidatos de habilidad: ${candidates.map(c => `${c.name}=${c.score}`).join(', ')}`);
+    }
+
+    for (const { skill } of ranked) {
+      try {
+        const result = await skill.handle(query, context);
+        if (result) {
+          logger.info(`Consulta atendida por la habilidad: ${skill.name}`);
+          return { result, skill, candidates };
+        }
+      } catch (error) {
+        logger.error(`Error en el manejador de la habilidad ${skill.name}:`, error);
+      }
+    }
+
+    return { result: null, skill: null, candidates };
+  }
+};
+
+module.exports = SkillRegistry;
@@ -0,0 +1,27 @@
+/**
+ * Habilidad de cálculo matemático
+ */
+const CalculationSkill = {
+  name: 'calculation',
+  priority: 70,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query, context) {
+    return context.assistant.isCalculationQuery(query) ? 0.95 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object|null>} - Resultado del cálculo o null
+   */
+  async handle(query, context) {
+    return context.assistant.handleCalculationQuery(query);
+  }
+};
+
+module.exports = CalculationSkill;
@@ -0,0 +1,27 @@
+const conversionService = require('../conversionService');
+
+/**
+ * Habilidad de conversión de unidades y monedas
+ */
+const ConversionSkill = {
+  name: 'conversion',
+  priority: 65,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return conversionService.isConversionQuery(query) ? 0.92 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object|null>} - Resultado de la conversión o null
+   */
+  async handle(query) {
+    return conversionService.convertQuery(query);
+  }
+};
+
+module.exports = ConversionSkill;
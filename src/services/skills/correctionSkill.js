@@ -0,0 +1,31 @@
+/**
+ * Habilidad de corrección: "no, París es la capital de Francia"
+ */
+const CorrectionSkill = {
+  name: 'correction',
+  priority: 90,
+  // handleLearningCommand ya registra la conversación
+  logsOwnConversation: true,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query, context) {
+    const { intent } = context;
+    return intent && intent.name === 'correction' && intent.confidence >= 0.6 ? intent.confidence : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object>} - Resultado del aprendizaje de la corrección
+   */
+  async handle(query, context) {
+    const correctionText = query.replace(/^(no|incorrecto|falso|te equivocas)[,.]?\s+/i, '');
+    return context.assistant.handleLearningCommand(correctionText, context.userId);
+  }
+};
+
+module.exports = CorrectionSkill;
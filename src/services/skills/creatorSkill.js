@@ -0,0 +1,60 @@
+/**
+ * Habilidad de identidad: preguntas directas sobre quién creó al asistente
+ */
+const CreatorSkill = {
+  name: 'creator',
+  priority: 85,
+
+  // Consultas exactas que siempre se responden con la información del creador
+  exactQueries: [
+    "quien eres", 
+    "quien te creo", 
+    "quien te creó", 
+    "quien te hizo", 
+    "quien te desarrollo", 
+    "quien te desarrolló",
+    "quien es tu creador",
+    "de donde vienes"
+  ],
+
+  // Variaciones detectadas como verificación secundaria
+  patterns: [
+    /^quien (te|lo) (creo|creó|hizo|desarrollo|desarrolló)(\?)?$/i,
+    /^quienes (te|lo) (crearon|hicieron|desarrollaron)(\?)?$/i,
+    /^quien(es)? te (programo|programó|diseñó|diseño)(\?)?$/i
+  ],
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    if (this.exactQueries.includes(query)) {
+      return 1.0;
+    }
+
+    return this.patterns.some(pattern => pattern.test(query)) ? 0.95 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object>} - Respuesta sobre el creador
+   */
+  async handle(query) {
+    if (this.exactQueries.includes(query)) {
+      return {
+        response: "Fui creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. Ellos me desarrollaron como un asistente virtual capaz de responder preguntas y aprender de las interacciones con los usuarios.",
+        source: "system_info",
+        confidence: 1.0
+      };
+    }
+
+    return {
+      response: "Fui creado por estudiantes de Ingeniería en Sistemas de la Universidad Mariano Gálvez de Guatemala, sede Salamá. Estoy aquí para responder tus preguntas y aprender de nuestras interacciones.",
+      source: "system_info",
+      confidence: 1.0
+    };
+  }
+};
+
+module.exports = CreatorSkill;
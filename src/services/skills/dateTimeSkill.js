@@ -0,0 +1,34 @@
+const dateTimeService = require('../dateTimeService');
+
+/**
+ * Habilidad de fecha, hora y calendario
+ */
+const DateTimeSkill = {
+  name: 'datetime',
+  priority: 75,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return dateTimeService.isDateTimeQuery(query) ? 0.93 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object|null>} - Respuesta temporal o null
+   */
+  async handle(query, context) {
+    // Zona horaria: preferencias del usuario o la enviada por el cliente (usuarios anónimos)
+    const timezone = await dateTimeService.getUserTimezone(
+      context.userId,
+      context.options && context.options.timezone
+    );
+
+    return dateTimeService.answer(query, timezone);
+  }
+};
+
+module.exports = DateTimeSkill;
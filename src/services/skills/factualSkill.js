@@ -0,0 +1,27 @@
+const factualKnowledgeService = require('../factualKnowledgeService');
+
+/**
+ * Habilidad de conocimiento factual directo (capitales, presidentes, etc.)
+ */
+const FactualSkill = {
+  name: 'factual',
+  priority: 50,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return factualKnowledgeService.isDirectFactualQuery(query) ? 0.7 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object|null>} - Respuesta factual o null
+   */
+  async handle(query) {
+    return factualKnowledgeService.getDirectFactualResponse(query);
+  }
+};
+
+module.exports = FactualSkill;
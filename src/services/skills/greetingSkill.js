@@ -0,0 +1,34 @@
+const greetingService = require('../greetingService');
+
+/**
+ * Habilidad de saludos y despedidas
+ */
+const GreetingSkill = {
+  name: 'greeting',
+  priority: 95,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query, context) {
+    const { intent } = context;
+
+    if (intent && intent.name === 'greeting' && intent.confidence >= 0.5) {
+      return 1.0;
+    }
+
+    return greetingService.isGreeting(query) ? 0.9 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object>} - Respuesta al saludo
+   */
+  async handle(query) {
+    return greetingService.getGreetingResponse(query);
+  }
+};
+
+module.exports = GreetingSkill;
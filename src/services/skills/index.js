@@ -0,0 +1,22 @@
+const SkillRegistry = require('../skillRegistry');
+
+// Habilidades incorporadas del asistente
+// Para añadir una habilidad nueva basta con crear su módulo y registrarlo aquí.
+const builtinSkills = [
+  require('./learningSkill'),
+  require('./greetingSkill'),
+  require('./correctionSkill'),
+  require('./creatorSkill'),
+  require('./systemInfoSkill'),
+  require('./reminderSkill'),
+  require('./notesSkill'),
+  require('./dateTimeSkill'),
+  require('./calculationSkill'),
+  require('./conversionSkill'),
+  require('./programmingSkill'),
+  require('./factualSkill')
+];
+
+builtinSkills.forEach(skill => SkillRegistry.register(skill));
+
+module.exports = SkillRegistry;
@@ -0,0 +1,35 @@
+/**
+ * Habilidad de aprendizaje: "aprende que X es Y", "mi color favorito es azul"
+ */
+const LearningSkill = {
+  name: 'learning',
+  priority: 100,
+  // handleLearningCommand ya registra la conversación
+  logsOwnConversation: true,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query, context) {
+    const { intent, assistant } = context;
+
+    if (intent && intent.name === 'learning' && intent.confidence >= 0.5) {
+      return 0.5 + intent.confidence / 2;
+    }
+
+    return assistant.isLearningCommand(query) ? 0.9 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object>} - Resultado del aprendizaje
+   */
+  async handle(query, context) {
+    return context.assistant.handleLearningCommand(query, context.userId);
+  }
+};
+
+module.exports = LearningSkill;
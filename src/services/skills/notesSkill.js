@@ -0,0 +1,30 @@
+const notesService = require('../notesService');
+
+/**
+ * Habilidad de notas y listas personales
+ * ("agrega leche a la lista de compras", "anota que el wifi es X")
+ */
+const NotesSkill = {
+  name: 'notes',
+  priority: 77,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return notesService.isNotesCommand(query) ? 0.97 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object|null>} - Respuesta o null
+   */
+  async handle(query, context) {
+    // El texto original conserva acentos y mayúsculas (contraseñas, nombres)
+    return notesService.handleVoiceCommand(context.rawQuery || query, context.userId);
+  }
+};
+
+module.exports = NotesSkill;
@@ -0,0 +1,59 @@
+const programmingService = require('../programmingService');
+const { logger } = require('../../config');
+
+/**
+ * Habilidad de programación (búsqueda de código y algoritmos incorporados)
+ */
+const ProgrammingSkill = {
+  name: 'programming',
+  priority: 60,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return programmingService.isProgrammingQuery(query) ? 0.8 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object|null>} - Respuesta con código o null
+   */
+  async handle(query) {
+    try {
+      const codeResult = await programmingService.searchCode(query);
+      if (codeResult && codeResult.answer) {
+        return {
+          response: codeResult.answer,
+          source: codeResult.source,
+          confidence: 0.9,
+          context: codeResult.context,
+          url: codeResult.url
+        };
+      }
+    } catch (codeError) {
+      logger.error('Error al buscar código de programación:', codeError);
+    }
+
+    try {
+      const algorithm = programmingService.getSpecificAlgorithm(query) ||
+        programmingService.getBasicAlgorithm(query);
+
+      if (algorithm && algorithm.answer) {
+        return {
+          response: algorithm.answer,
+          source: algorithm.source,
+          confidence: 0.8,
+          context: algorithm.context
+        };
+      }
+    } catch (algorithmError) {
+      logger.error('Error al generar algoritmo básico:', algorithmError);
+    }
+
+    return null;
+  }
+};
+
+module.exports = ProgrammingSkill;
@@ -0,0 +1,35 @@
+const reminderService = require('../reminderService');
+const dateTimeService = require('../dateTimeService');
+
+/**
+ * Habilidad de recordatorios y temporizadores por voz
+ */
+const ReminderSkill = {
+  name: 'reminders',
+  priority: 78,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return reminderService.isReminderCommand(query) ? 0.97 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @param {Object} context - Contexto de la consulta
+   * @returns {Promise<Object|null>} - Confirmación del recordatorio o null
+   */
+  async handle(query, context) {
+    const timezone = await dateTimeService.getUserTimezone(
+      context.userId,
+      context.options && context.options.timezone
+    );
+
+    // El texto original conserva acentos y mayúsculas para el mensaje guardado
+    return reminderService.handleVoiceCommand(context.rawQuery || query, context.userId, timezone);
+  }
+};
+
+module.exports = ReminderSkill;
@@ -0,0 +1,27 @@
+const systemInfoService = require('../systemInfoService');
+
+/**
+ * Habilidad de información del sistema (sede, propósito, capacidades)
+ */
+const SystemInfoSkill = {
+  name: 'system_info',
+  priority: 80,
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {number} - Puntuación entre 0 y 1
+   */
+  detect(query) {
+    return systemInfoService.isSystemInfoQuery(query) ? 0.9 : 0;
+  },
+
+  /**
+   * @param {string} query - Consulta normalizada
+   * @returns {Promise<Object>} - Respuesta con información del sistema
+   */
+  async handle(query) {
+    return systemInfoService.getSystemInfo(query);
+  }
+};
+
+module.exports = SystemInfoSkill;
@@ -0,0 +1,394 @@
+const { config } = require('../config');
+
+/**
+ * Servicio de síntesis de voz
+ * Convierte las respuestas de texto en SSML para el motor TTS del cliente:
+ * quita emoji y formato markdown, resume los bloques de código en lugar de
+ * leerlos, escribe con palabras los números y unidades, y aplica la velocidad
+ * de voz del usuario como prosodia.
+ */
+const SpeechService = {
+  units: ['', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'],
+  teens: ['diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+    'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'],
+  tens: ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'],
+  hundreds: ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'],
+  months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+
+  // Palabras tras un número que no son el sustantivo contado ("1 de enero", "1 y 2")
+  nonNouns: ['de', 'del', 'y', 'o', 'u', 'a', 'al', 'en', 'por', 'para', 'con', 'sin', 'que', 'es', 'son', 'mas', 'más', 'menos', 'entre', 'veces', 'el', 'la', 'los', 'las'],
+
+  // Sustantivos masculinos terminados en -a ("31 días", "1 problema")
+  masculineInA: ['día', 'días', 'dia', 'dias', 'mapa', 'mapas', 'problema', 'problemas', 'idioma', 'idiomas', 'planeta', 'planetas',
+    'sistema', 'sistemas', 'tema', 'temas', 'programa', 'programas', 'clima', 'climas', 'poema', 'poemas', 'sofá', 'sofás'],
+
+  // Abreviaturas de unidades: [singular, plural, género]
+  unitNames: {
+    'km/h': ['kilómetro por hora', 'kilómetros por hora', 'm'],
+    'm/s': ['metro por segundo', 'metros por segundo', 'm'],
+    'mph': ['milla por hora', 'millas por hora', 'f'],
+    'kWh': ['kilovatio hora', 'kilovatios hora', 'm'],
+    'km²': ['kilómetro cuadrado', 'kilómetros cuadrados', 'm'],
+    'm²': ['metro cuadrado', 'metros cuadrados', 'm'],
+    'm³': ['metro cúbico', 'metros cúbicos', 'm'],
+    '°C': ['grado Celsius', 'grados Celsius', 'm'],
+    '°F': ['grado Fahrenheit', 'grados Fahrenheit', 'm'],
+    'km': ['kilómetro', 'kilómetros', 'm'],
+    'cm': ['centímetro', 'centímetros', 'm'],
+    'mm': ['milímetro', 'milímetros', 'm'],
+    'mi': ['milla', 'millas', 'f'],
+    'kg': ['kilogramo', 'kilogramos', 'm'],
+    'mg': ['miligramo', 'miligramos', 'm'],
+    'lb': ['libra', 'libras', 'f'],
+    'oz': ['onza', 'onzas', 'f'],
+    'ml': ['mililitro', 'mililitros', 'm'],
+    'gal': ['galón', 'galones', 'm'],
+    'min': ['minuto', 'minutos', 'm'],
+    'seg': ['segundo', 'segundos', 'm'],
+    'ms': ['milisegundo', 'milisegundos', 'm'],
+    'TB': ['terabyte', 'terabytes', 'm'],
+    'GB': ['gigabyte', 'gigabytes', 'm'],
+    'MB': ['megabyte', 'megabytes', 'm'],
+    'KB': ['kilobyte', 'kilobytes', 'm'],
+    'kW': ['kilovatio', 'kilovatios', 'm'],
+    'm': ['metro', 'metros', 'm'],
+    'g': ['gramo', 'gramos', 'm'],
+    'l': ['litro', 'litros', 'm'],
+    'L': ['litro', 'litros', 'm'],
+    'h': ['hora', 'horas', 'f'],
+    's': ['segundo', 'segundos', 'm'],
+    'W': ['vatio', 'vatios', 'm'],
+    '%': ['por ciento', 'por ciento', 'm']
+  },
+
+  // Símbolos de moneda antepuestos a la cantidad
+  currencySymbols: {
+    'US$': ['dólar', 'dólares', 'm'],
+    '$': ['dólar', 'dólares', 'm'],
+    'Q': ['quetzal', 'quetzales', 'm'],
+    '€': ['euro', 'euros', 'm'],
+    '£': ['libra', 'libras', 'f'],
+    '¥': ['yen', 'yenes', 'm']
+  },
+
+  // Nombres legibles de los lenguajes de los bloques de código
+  languageNames: {
+    js: 'JavaScript', javascript: 'JavaScript', ts: 'TypeScript', typescript: 'TypeScript',
+    py: 'Python', python: 'Python', java: 'Java', sql: 'SQL', html: 'HTML', css: 'CSS',
+    bash: 'la terminal', sh: 'la terminal', shell: 'la terminal', json: 'JSON',
+    c: 'C', cpp: 'C++', csharp: 'C#', cs: 'C#', php: 'PHP', go: 'Go', ruby: 'Ruby'
+  },
+
+  /**
+   * Genera el SSML de una respuesta
+   * @param {string} text - Respuesta en texto plano
+   * @param {Object} options - Opciones de voz
+   * @param {number} options.voiceSpeed - Velocidad de voz del usuario (1.0 = normal)
+   * @returns {string} - Documento SSML
+   */
+  toSSML(text, { voiceSpeed = config.assistant.defaultVoiceSpeed } = {}) {
+    const spoken = this.toSpokenText(text || '');
+
+    // Los saltos de línea (menús de opciones, listas) se convierten en pausas
+    const body = spoken
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph
+        .split('\n')
+        .map(line => this.escapeXml(line.trim()))
+        .filter(Boolean)
+        .join('<break time="300ms"/>'))
+      .filter(Boolean)
+      .join('<break time="600ms"/>');
+
+    return `<speak><prosody rate="${this.prosodyRate(voiceSpeed)}">${body}</prosody></speak>`;
+  },
+
+  /**
+   * Convierte una respuesta en el texto que debe leerse en voz alta
+   * @param {string} text - Respuesta en texto plano
+   * @returns {string} - Texto para leer (con saltos de línea)
+   */
+  toSpokenText(text) {
+    let spoken = this.summarizeCodeBlocks(text);
+    spoken = this.stripEmoji(spoken);
+    spoken = this.stripMarkdown(spoken);
+    spoken = this.verbalizeNumbers(spoken);
+
+    return spoken
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ +([,.;:!?])/g, '$1')
+      .replace(/\n[ \t]+/g, '\n')
+      .trim();
+  },
+
+  /**
+   * Reemplaza los bloques de código por una descripción breve
+   * @param {string} text - Texto
+   * @returns {string} - Texto sin bloques de código
+   */
+  summarizeCodeBlocks(text) {
+    return text
+      .replace(/```([\w#+-]*)[^\n]*\n?([\s\S]*?)```/g, (match, language, code) => {
+        const lines = code.split('\n').filter(line => line.trim()).length;
+        const name = this.languageNames[(language || '').toLowerCase()];
+        const target = name ? ` en ${name}` : '';
+        return `\nTe muestro en pantalla un ejemplo de código${target} de ${lines === 1 ? 'una línea' : `${lines} líneas`}.\n`;
+      })
+      .replace(/`([^`\n]+)`/g, '$1');
+  },
+
+  /**
+   * Quita emoji, pictogramas y marcas de verificación
+   * @param {string} text - Texto
+   * @returns {string} - Texto sin emoji
+   */
+  stripEmoji(text) {
+    return text
+      .replace(/\p{Extended_Pictographic}/gu, '')
+      .replace(/[\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}‍️⃣✓✔✖✗✘•]/gu, '');
+  },
+
+  /**
+   * Quita el formato markdown (encabezados, negritas, viñetas, enlaces)
+   * @param {string} text - Texto
+   * @returns {string} - Texto sin formato
+   */
+  stripMarkdown(text) {
+    return text
+      .replace(/\[([^\]]+)\]\((?:https?:\/\/)?[^)]+\)/g, '$1')
+      .replace(/https?:\/\/\S+/g, 'un enlace')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^[ \t]*[-*+]\s+/gm, '')
+      .replace(/^[ \t]*(\d+)[.)][ \t]+/gm, '$1, ')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[\s(])[*_]([^*_\n]+)[*_](?=[\s).,;:!?]|$)/gm, '$1$2')
+      .replace(/^[ \t]*[-=_*]{3,}[ \t]*$/gm, '');
+  },
+
+  /**
+   * Escribe con palabras fechas, horas, cantidades de dinero, unidades y números
+   * Acepta separador de miles con coma ("1,250.5") y coma decimal ("3,5"); una coma seguida
+   * de exactamente tres cifras se lee como separador de miles.
+   * @param {string} text - Texto
+   * @returns {string} - Texto con los números en palabras
+   */
+  verbalizeNumbers(text) {
+    const number = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?(?![\\d,])|\\d+(?:\\.\\d+|,(?:\\d{1,2}|\\d{4,})(?![\\d,]))?)';
+    const unitPattern = Object.keys(this.unitNames)
+      .sort((a, b) => b.length - a.length)
+      .map(unit => unit.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('|');
+    const currencyPattern = Object.keys(this.currencySymbols)
+      .sort((a, b) => b.length - a.length)
+      .map(symbol => symbol.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('|');
+
+    return text
+      // Fechas dd/mm/aaaa
+      .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (match, day, month, year) => {
+        const monthName = this.months[parseInt(month) - 1];
+        if (!monthName || parseInt(day) < 1 || parseInt(day) > 31) return match;
+        return `${this.numberToWords(day)} de ${monthName} de ${this.numberToWords(year)}`;
+      })
+      // Horas (la hora es femenina: "la una", "las veintiuna")
+      .replace(/\b(\d{1,2}):(\d{2})\b/g, (match, hour, minute) => {
+        const hourWords = this.numberToWords(hour, 'f');
+        return parseInt(minute) === 0 ? hourWords : `${hourWords} y ${this.numberToWords(minute)}`;
+      })
+      // Dinero con símbolo antepuesto: "$5", "Q 1,250.00"
+      .replace(new RegExp(`(^|[\\s(])(-)?(${currencyPattern})\\s?${number}`, 'g'), (match, lead, minus, symbol, amount) => {
+        const [singular, plural, gender] = this.currencySymbols[symbol];
+        const value = parseFloat(this.normalizeAmount(amount));
+        return `${lead}${minus ? 'menos ' : ''}${this.numberToWords(amount, gender)} ${value === 1 ? singular : plural}`;
+      })
+      // Cantidades con unidad abreviada: "5 km", "20 °C", "3,5 kg", "50%"
+      .replace(new RegExp(`(^|[^\\w.,])(-)?${number}\\s?(${unitPattern})(?![\\wáéíóúñ])`, 'g'), (match, lead, minus, amount, unit) => {
+        const [singular, plural, gender] = this.unitNames[unit];
+        const value = parseFloat(this.normalizeAmount(amount));
+        return `${lead}${minus ? 'menos ' : ''}${this.numberToWords(amount, gender)} ${value === 1 ? singular : plural}`;
+      })
+      // Operadores matemáticos entre números
+      .replace(/(\d)\s*[×*]\s*(?=\d)/g, '$1 por ')
+      .replace(/(\d)\s*÷\s*(?=\d)/g, '$1 entre ')
+      .replace(/(\d)\s+\/\s+(?=\d)/g, '$1 entre ')
+      .replace(/(\d)\s*\+\s*(?=\d)/g, '$1 más ')
+      .replace(/(\d)\s+[-−]\s+(?=\d)/g, '$1 menos ')
+      .replace(/(\d)\s*\^\s*(?=\d)/g, '$1 elevado a ')
+      .replace(/\s*=\s*/g, ' es igual a ')
+      .replace(/√\s*/g, 'raíz cuadrada de ')
+      // Números negativos y el resto de números
+      // (el sustantivo que sigue da el género: "21 personas" → "veintiuna personas")
+      .replace(new RegExp(`(^|[\\s(])[-−]${number}(?![\\d])(?=(\\s+[\\wáéíóúñ]+)?)`, 'g'),
+        (match, lead, amount, next) => `${lead}menos ${this.numberToWords(amount, this.nounGender(next))}`)
+      .replace(new RegExp(`${number}(?=(\\s+[\\wáéíóúñ]+)?)`, 'g'),
+        (match, amount, next) => this.numberToWords(amount, this.nounGender(next)));
+  },
+
+  /**
+   * Deduce el género del sustantivo que sigue a un número
+   * @param {string} word - Palabra siguiente (puede venir con espacios delante)
+   * @returns {string|null} - 'f', 'm' o null si no es un sustantivo
+   */
+  nounGender(word) {
+    const noun = (word || '').trim().toLowerCase();
+    if (noun.length < 2 || /\d/.test(noun) || this.nonNouns.includes(noun)) {
+      return null;
+    }
+    if (this.masculineInA.includes(noun)) {
+      return 'm';
+    }
+    return /(?:a|as|ción|ciones|sión|siones|dad|dades|tud|tudes)$/.test(noun) ? 'f' : 'm';
+  },
+
+  /**
+   * Normaliza una cantidad escrita para leerla como número
+   * @param {string|number} value - Cantidad ("1,250.5", "3,5", 42)
+   * @returns {string} - Cantidad con punto decimal y sin separador de miles ("1250.5", "3.5")
+   */
+  normalizeAmount(value) {
+    const text = String(value);
+    return this.hasDecimalComma(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+  },
+
+  /**
+   * Verifica si una cantidad usa coma decimal ("3,5") y no separador de miles ("3,500")
+   * @param {string|number} value - Cantidad
+   * @returns {boolean} - true si la coma es decimal
+   */
+  hasDecimalComma(value) {
+    return /^\d+,(?:\d{1,2}|\d{4,})$/.test(String(value));
+  },
+
+  /**
+   * Escribe un número con palabras en español
+   * @param {string|number} value - Número ("1,250.5", "3,5", 42)
+   * @param {string} gender - Género del sustantivo que sigue ('m', 'f') o null si no sigue ninguno
+   * @returns {string} - Número en palabras
+   */
+  numberToWords(value, gender = null) {
+    let [integerPart, decimalPart] = this.normalizeAmount(value).split('.');
+
+    // Más de dos decimales ("1.41421356237") se redondean a dos para leerlos
+    if (decimalPart && decimalPart.length > 2) {
+      [integerPart, decimalPart] = Number(`${integerPart}.${decimalPart}`).toFixed(2).split('.');
+    }
+
+    const integer = parseInt(integerPart, 10);
+
+    if (isNaN(integer) || integer >= 1e15) {
+      return String(value);
+    }
+
+    let words = this.integerToWords(integer);
+
+    // Apócope ante sustantivo: "un kilómetro", "veintiuna horas"
+    if (gender && !/[1-9]/.test(decimalPart || '')) {
+      words = this.applyGender(words, gender);
+    }
+
+    // "1,250.00" se lee sin decimales
+    if (decimalPart && /[1-9]/.test(decimalPart)) {
+      const leadingZeros = decimalPart.match(/^0*/)[0].length;
+      const rest = decimalPart.slice(leadingZeros);
+      const decimals = Array(leadingZeros).fill('cero');
+      if (rest) decimals.push(this.integerToWords(parseInt(rest, 10)));
+      words += ` ${this.hasDecimalComma(value) ? 'coma' : 'punto'} ${decimals.join(' ')}`;
+    }
+
+    return words;
+  },
+
+  /**
+   * Escribe un entero no negativo con palabras
+   * @param {number} n - Entero
+   * @returns {string} - Entero en palabras
+   */
+  integerToWords(n) {
+    if (n === 0) return 'cero';
+
+    const parts = [];
+    const trillions = Math.floor(n / 1e12);
+    const millions = Math.floor((n % 1e12) / 1e6);
+    const thousands = Math.floor((n % 1e6) / 1000);
+    const rest = n % 1000;
+
+    if (trillions) {
+      parts.push(trillions === 1 ? 'un billón' : `${this.applyGender(this.integerToWords(trillions), 'm')} billones`);
+    }
+    if (millions) {
+      parts.push(millions === 1 ? 'un millón' : `${this.applyGender(this.integerToWords(millions), 'm')} millones`);
+    }
+    if (thousands) {
+      parts.push(thousands === 1 ? 'mil' : `${this.applyGender(this.below1000(thousands), 'm')} mil`);
+    }
+    if (rest) {
+      parts.push(this.below1000(rest));
+    }
+
+    return parts.join(' ');
+  },
+
+  /**
+   * Escribe un número entre 1 y 999
+   * @param {number} n - Número
+   * @returns {string} - Número en palabras
+   */
+  below1000(n) {
+    if (n === 100) return 'cien';
+
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = hundreds ? [this.hundreds[hundreds]] : [];
+
+    if (rest >= 10 && rest < 30) {
+      parts.push(this.teens[rest - 10]);
+    } else if (rest >= 30) {
+      const unit = rest % 10;
+      parts.push(unit ? `${this.tens[Math.floor(rest / 10)]} y ${this.units[unit]}` : this.tens[Math.floor(rest / 10)]);
+    } else if (rest > 0) {
+      parts.push(this.units[rest]);
+    }
+
+    return parts.join(' ');
+  },
+
+  /**
+   * Concuerda "uno" con el sustantivo que sigue
+   * @param {string} words - Número en palabras
+   * @param {string} gender - 'm' o 'f'
+   * @returns {string} - "un"/"una", "veintiún"/"veintiuna"
+   */
+  applyGender(words, gender) {
+    if (/veintiuno$/.test(words)) {
+      return words.replace(/veintiuno$/, gender === 'f' ? 'veintiuna' : 'veintiún');
+    }
+    return words.replace(/(^|\s)uno$/, gender === 'f' ? '$1una' : '$1un');
+  },
+
+  /**
+   * Convierte la velocidad de voz del usuario en un valor de prosodia
+   * @param {number} voiceSpeed - Velocidad (1.0 = normal)
+   * @returns {string} - Porcentaje para <prosody rate>
+   */
+  prosodyRate(voiceSpeed) {
+    const speed = Number(voiceSpeed);
+    const safeSpeed = isNaN(speed) || speed <= 0 ? 1 : Math.min(Math.max(speed, 0.5), 2);
+    return `${Math.round(safeSpeed * 100)}%`;
+  },
+
+  /**
+   * Escapa los caracteres reservados de XML
+   * @param {string} text - Texto
+   * @returns {string} - Texto escapado
+   */
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+};
+
+module.exports = SpeechService;
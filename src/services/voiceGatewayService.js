@@ -0,0 +1,436 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { URL } = require('url');
+const AuthService = require('./authService');
+const AssistantService = require('./assistantService');
+const UserModel = require('../models/userModel');
+const RateLimitService = require('./rateLimitService');
+const { logger, config } = require('../config');
+
+// Códigos de cierre propios de la pasarela
+const CLOSE_UNAUTHORIZED = 4001;
+
+/**
+ * Pasarela WebSocket para el cliente de voz siempre activo
+ * El cliente se autentica una sola vez con el JWT (cabecera Authorization,
+ * parámetro ?token= o mensaje {type: 'auth'}) y mantiene la conexión abierta
+ * hasta que caduca el token (cierre 4001 'token_expired').
+ *
+ * Mensajes del cliente:
+ * - { type: 'auth', token }
+ * - { type: 'wake' } - se detectó la palabra de activación
+ * - { type: 'utterance', id, text, options } - frase transcrita
+ * - { type: 'cancel', id } / { type: 'barge_in' } - el usuario interrumpe la respuesta en curso
+ * - { type: 'ping' }
+ *
+ * Mensajes del servidor: ready, listening, event (intent/status/token),
+ * response, cancelled, error y pong.
+ */
+const VoiceGatewayService = {
+  server: null,
+  heartbeat: null,
+
+  /**
+   * Monta la pasarela sobre el servidor HTTP
+   * @param {Object} httpServer - Servidor HTTP de Express
+   * @returns {Object} - Servidor WebSocket
+   */
+  attach(httpServer) {
+    const gatewayConfig = config.assistant.voiceGateway;
+
+    this.server = new WebSocketServer({
+      server: httpServer,
+      path: gatewayConfig.path,
+      maxPayload: gatewayConfig.maxPayloadBytes
+    });
+
+    this.server.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    // Detectar conexiones caídas (el cliente no respondió al ping anterior)
+    this.heartbeat = setInterval(() => {
+      this.server.clients.forEach(socket => {
+        if (socket.isAlive === false) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, gatewayConfig.heartbeatIntervalMs);
+    this.server.on('close', () => clearInterval(this.heartbeat));
+
+    logger.info(`Pasarela de voz WebSocket disponible en ${gatewayConfig.path}`);
+    return this.server;
+  },
+
+  /**
+   * Atiende una conexión nueva
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} req - Solicitud HTTP de upgrade
+   */
+  handleConnection(socket, req) {
+    const state = {
+      user: null,
+      preferences: null,
+      sessionId: null,
+      current: null,
+      requestCounter: 0,
+      ip: req.socket.remoteAddress,
+      // Autenticación del handshake en curso; los mensajes esperan a que termine
+      authPending: null,
+      // Cierra la conexión cuando caduca el token con el que se autenticó
+      expiryTimer: null
+    };
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    // Autenticación en el handshake (clientes que pueden enviar cabeceras o query)
+    const handshakeToken = this.extractToken(req);
+    let authTimer = null;
+
+    if (handshakeToken) {
+      state.authPending = this.authenticate(socket, state, handshakeToken)
+        .catch(error => {
+          logger.error('Error al autenticar la conexión de voz:', error);
+          this.send(socket, { type: 'error', code: 'auth_failed', message: 'No se pudo verificar el token' });
+          socket.close(CLOSE_UNAUTHORIZED, 'auth_failed');
+          return false;
+        })
+        .finally(() => { state.authPending = null; });
+    } else {
+      authTimer = setTimeout(() => {
+        if (!state.user) {
+          this.send(socket, { type: 'error', code: 'auth_timeout', message: 'No se recibió el token de autenticación' });
+          socket.close(CLOSE_UNAUTHORIZED, 'auth_timeout');
+        }
+      }, config.assistant.voiceGateway.authTimeoutMs);
+    }
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString('utf8'));
+      } catch (parseError) {
+        this.send(socket, { type: 'error', code: 'invalid_message', message: 'El mensaje debe ser JSON' });
+        return;
+      }
+
+      try {
+        // Los mensajes que llegan durante la autenticación del handshake se atienden al terminar
+        if (state.authPending) {
+          await state.authPending;
+          if (!state.user) {
+            return;
+          }
+        }
+
+        await this.handleMessage(socket, state, message);
+      } catch (error) {
+        logger.error('Error en la pasarela de voz:', error);
+        this.send(socket, { type: 'error', id: message.id, code: 'internal_error', message: 'Error al procesar el mensaje' });
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      clearTimeout(state.expiryTimer);
+      if (state.current) {
+        state.current.cancelled = true;
+        state.current.controller.abort();
+      }
+      if (state.user) {
+        logger.info(`Conexión de voz cerrada (usuario: ${state.user.id})`);
+      }
+    });
+  },
+
+  /**
+   * Procesa un mensaje del cliente
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} state - Estado de la conexión
+   * @param {Object} message - Mensaje recibido
+   * @returns {Promise<void>}
+   */
+  async handleMessage(socket, state, message) {
+    if (message.type === 'ping') {
+      this.send(socket, { type: 'pong' });
+      return;
+    }
+
+    if (message.type === 'auth') {
+      await this.authenticate(socket, state, message.token);
+      return;
+    }
+
+    if (!state.user) {
+      this.send(socket, { type: 'error', code: 'auth_required', message: 'Primero debes autenticarte' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'wake':
+        // Refrescar las preferencias por si se cambiaron desde otro dispositivo
+        state.preferences = await this.loadPreferences(state.user.id);
+        this.send(socket, { type: 'listening', voice: this.voiceSettings(state.preferences) });
+        break;
+      case 'utterance':
+        await this.handleUtterance(socket, state, message);
+        break;
+      case 'cancel':
+      case 'barge_in':
+        this.cancelCurrent(socket, state, message.id);
+        break;
+      default:
+        this.send(socket, { type: 'error', code: 'unknown_type', message: `Tipo de mensaje desconocido: ${message.type}` });
+    }
+  },
+
+  /**
+   * Verifica el JWT y deja la conexión lista para recibir frases
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} state - Estado de la conexión
+   * @param {string} token - JWT
+   * @returns {Promise<boolean>} - true si se autenticó
+   */
+  async authenticate(socket, state, token) {
+    if (state.user) {
+      this.send(socket, { type: 'error', code: 'already_authenticated', message: 'La conexión ya está autenticada' });
+      return true;
+    }
+
+    let decoded = null;
+    try {
+      decoded = token ? await AuthService.authenticateToken(token) : null;
+    } catch (error) {
+      // Fallo al consultar los tokens revocados: no se puede verificar la sesión
+      logger.error('Error al verificar el token de la conexión de voz:', error);
+      this.send(socket, { type: 'error', code: 'auth_failed', message: 'No se pudo verificar el token' });
+      socket.close(CLOSE_UNAUTHORIZED, 'auth_failed');
+      return false;
+    }
+
+    if (!decoded) {
+      this.send(socket, { type: 'error', code: 'unauthorized', message: 'Token inválido o expirado' });
+      socket.close(CLOSE_UNAUTHORIZED, 'unauthorized');
+      return false;
+    }
+
+    state.user = decoded;
+    socket.user = decoded;
+    this.scheduleExpiry(socket, state, decoded.exp);
+    state.preferences = await this.loadPreferences(decoded.id);
+
+    logger.info(`Conexión de voz autenticada (usuario: ${decoded.id})`);
+    this.send(socket, {
+      type: 'ready',
+      user: { id: decoded.id, username: decoded.username },
+      voice: this.voiceSettings(state.preferences)
+    });
+    return true;
+  },
+
+  /**
+   * Programa el cierre de la conexión cuando caduca su token de acceso
+   * El token solo se verifica al autenticar; sin esto la conexión seguiría abierta indefinidamente.
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} state - Estado de la conexión
+   * @param {number} exp - Expiración del token (segundos desde epoch)
+   */
+  scheduleExpiry(socket, state, exp) {
+    if (!exp) {
+      return;
+    }
+
+    // setTimeout no admite retardos mayores de ~24,8 días
+    const delay = Math.min(Math.max(exp * 1000 - Date.now(), 0), 2147483647);
+
+    clearTimeout(state.expiryTimer);
+    state.expiryTimer = setTimeout(() => {
+      logger.info(`Token de la conexión de voz caducado (usuario: ${state.user.id})`);
+      this.send(socket, { type: 'error', code: 'token_expired', message: 'La sesión ha caducado, vuelve a autenticarte' });
+      socket.close(CLOSE_UNAUTHORIZED, 'token_expired');
+    }, delay);
+  },
+
+  /**
+   * Procesa una frase transcrita y envía la respuesta con las preferencias de voz
+   * Una frase nueva interrumpe la anterior si aún no había terminado.
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} state - Estado de la conexión
+   * @param {Object} message - { id, text, options }
+   * @returns {Promise<void>}
+   */
+  async handleUtterance(socket, state, message) {
+    const text = typeof message.text === 'string' ? message.text.trim() : '';
+    const id = message.id !== undefined ? String(message.id) : String(++state.requestCounter);
+
+    if (!text) {
+      this.send(socket, { type: 'error', id, code: 'empty_utterance', message: 'La frase está vacía' });
+      return;
+    }
+
+    // Mismos límites que POST /api/assistant/query
+    const limit = await RateLimitService.consume('query', { ip: state.ip, userId: state.user.id });
+    if (!limit.allowed) {
+      this.send(socket, {
+        type: 'error',
+        id,
+        code: 'rate_limited',
+        message: `Demasiadas solicitudes. Inténtalo de nuevo en ${limit.retryAfter} segundos`,
+        retryAfter: limit.retryAfter
+      });
+      return;
+    }
+
+    if (state.current) {
+      this.cancelCurrent(socket, state, state.current.id);
+    }
+
+    // El AbortController corta la consulta (y la petición al proveedor de IA) si el usuario interrumpe
+    const request = { id, cancelled: false, controller: new AbortController() };
+    state.current = request;
+
+    const options = {
+      ...(message.options && typeof message.options === 'object' ? message.options : {}),
+      sessionId: state.sessionId,
+      voiceSpeed: this.voiceSettings(state.preferences).speed,
+      signal: request.controller.signal,
+      onEvent: (event, data) => {
+        if (!request.cancelled) {
+          this.send(socket, { type: 'event', id, event, data });
+        }
+      }
+    };
+
+    const result = await AssistantService.processQuery(text, state.user.id, options);
+
+    if (result && result.sessionId) {
+      state.sessionId = result.sessionId;
+    }
+
+    // La respuesta de una frase interrumpida se descarta (no se guarda en la sesión)
+    if (request.cancelled) {
+      return;
+    }
+
+    state.current = null;
+    this.send(socket, {
+      type: 'response',
+      id,
+      data: {
+        ...result,
+        voice: this.voiceSettings(state.preferences)
+      }
+    });
+  },
+
+  /**
+   * Cancela la respuesta en curso (barge-in)
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} state - Estado de la conexión
+   * @param {string} id - ID de la frase a cancelar (opcional: por defecto la actual)
+   */
+  cancelCurrent(socket, state, id) {
+    const request = state.current;
+
+    if (!request || (id !== undefined && String(id) !== request.id)) {
+      this.send(socket, { type: 'cancelled', id: id !== undefined ? String(id) : null, pending: false });
+      return;
+    }
+
+    request.cancelled = true;
+    request.controller.abort();
+    state.current = null;
+    this.send(socket, { type: 'cancelled', id: request.id, pending: true });
+  },
+
+  /**
+   * Cierra las conexiones de un usuario tras revocar sus sesiones
+   * @param {string} userId - ID del usuario
+   * @param {string} jti - Cerrar solo la conexión autenticada con este token (opcional)
+   * @returns {number} - Número de conexiones cerradas
+   */
+  disconnectUser(userId, jti = null) {
+    if (!this.server) {
+      return 0;
+    }
+
+    let closed = 0;
+
+    this.server.clients.forEach(socket => {
+      if (socket.user && socket.user.id === userId && (!jti || socket.user.jti === jti)) {
+        this.send(socket, { type: 'error', code: 'session_revoked', message: 'La sesión fue cerrada' });
+        socket.close(CLOSE_UNAUTHORIZED, 'session_revoked');
+        closed++;
+      }
+    });
+
+    if (closed > 0) {
+      logger.info(`${closed} conexiones de voz cerradas para usuario ${userId}`);
+    }
+    return closed;
+  },
+
+  /**
+   * Obtiene las preferencias de voz del usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} - Preferencias o null
+   */
+  async loadPreferences(userId) {
+    try {
+      return await UserModel.getPreferences(userId);
+    } catch (error) {
+      logger.warn(`No se pudieron cargar las preferencias de voz del usuario ${userId}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Preferencias de voz que el cliente debe aplicar al sintetizar
+   * @param {Object|null} preferences - Preferencias del usuario
+   * @returns {Object} - { type, speed, wakeWord }
+   */
+  voiceSettings(preferences) {
+    const prefs = preferences || {};
+
+    return {
+      type: prefs.voice_type || config.assistant.defaultVoiceType,
+      speed: prefs.voice_speed !== undefined && prefs.voice_speed !== null
+        ? Number(prefs.voice_speed)
+        : config.assistant.defaultVoiceSpeed,
+      wakeWord: prefs.wake_word || config.assistant.defaultWakeWord
+    };
+  },
+
+  /**
+   * Obtiene el JWT del handshake (cabecera Authorization o parámetro token)
+   * @param {Object} req - Solicitud HTTP de upgrade
+   * @returns {string|null} - Token o null
+   */
+  extractToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.split(' ')[1];
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      return url.searchParams.get('token');
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Envía un mensaje si la conexión sigue abierta
+   * @param {Object} socket - Conexión WebSocket
+   * @param {Object} payload - Mensaje
+   */
+  send(socket, payload) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(payload));
+    }
+  }
+};
+
+module.exports = VoiceGatewayService;
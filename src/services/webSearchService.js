@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { logger, config } = require('../config');
+const mathService = require('./mathService');
 const cheerio = require('cheerio'); // Asegúrate de instalar esta dependencia: npm install cheerio
 
 /**
@@ -260,50 +261,17 @@ const WebSearchService = {
    */
   detectAndSolveCalculation(query) {
     try {
-      // Patrones para detectar operaciones matemáticas
-      const patterns = [
-        // Patrones para expresiones directas como "2+2" o "5*3"
-        /(\d+\s*[\+\-\*\/]\s*\d+)/,
-        // Patrones para preguntas como "cuánto es 2+2" o "cuanto son 5*3"
-        /cu[aá]nto\s+(es|son|vale|valen)\s+(.*?(\d+\s*[\+\-\*\/]\s*\d+))/i,
-        // Patrón para "sumame 2+2" u otras variaciones
-        /(sum[aá]n?[me]e|calcula|resuelve|opera)\s+(.*?(\d+\s*[\+\-\*\/]\s*\d+))/i
-      ];
-      
-      let expressionToEvaluate = null;
-      
-      // Buscar una expresión matemática que coincida con los patrones
-      for (const pattern of patterns) {
-        const match = query.match(pattern);
-        if (match) {
-          // Si encontramos una expresión matemática directa (patrón 1)
-          if (match[1] && match[1].match(/\d+\s*[\+\-\*\/]\s*\d+/)) {
-            expressionToEvaluate = match[1];
-          }
-          // Si encontramos una expresión en una pregunta (patrones 2 y 3)
-          else if (match[3] && match[3].match(/\d+\s*[\+\-\*\/]\s*\d+/)) {
-            expressionToEvaluate = match[3];
-          }
-          break;
-        }
-      }
-      
-      if (expressionToEvaluate) {
-        // Limpiar la expresión
-        expressionToEvaluate = expressionToEvaluate.replace(/[^\d\+\-\*\/\(\)\.]/g, '');
-        
-        // Evaluar la expresión
-        const result = eval(expressionToEvaluate);
-        
-        return {
-          answer: `El resultado de ${expressionToEvaluate} es ${result}.`,
-          source: 'Cálculo matemático',
-          context: `Operación: ${expressionToEvaluate}`,
-          url: null
-        };
+      const calculation = mathService.solve(query);
+      if (!calculation) {
+        return null;
       }
-      
-      return null;
+
+      return {
+        answer: calculation.response,
+        source: 'Cálculo matemático',
+        context: `Operación: ${calculation.expression}`,
+        url: null
+      };
     } catch (error) {
       logger.warn('Error al evaluar expresión matemática:', error);
       return null;
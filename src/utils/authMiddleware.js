@@ -7,7 +7,7 @@ const { logger } = require('../config');
  * @param {Object} res - Objeto de respuesta
  * @param {Function} next - Función para continuar al siguiente middleware
  */
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
   try {
     // Obtener el token del encabezado de autorización
     const authHeader = req.headers.authorization;
@@ -22,8 +22,8 @@ const authenticateJWT = (req, res, next) => {
     // Extraer el token
     const token = authHeader.split(' ')[1];
     
-    // Verificar el token
-    const decoded = AuthService.verifyToken(token);
+    // Verificar el token (firma, expiración y lista de revocados)
+    const decoded = await AuthService.authenticateToken(token);
     
     if (!decoded) {
       return res.status(401).json({
@@ -54,7 +54,7 @@ const authenticateJWT = (req, res, next) => {
  * @param {Object} res - Objeto de respuesta
  * @param {Function} next - Función para continuar al siguiente middleware
  */
-const optionalAuthJWT = (req, res, next) => {
+const optionalAuthJWT = async (req, res, next) => {
   try {
     // Obtener el token del encabezado de autorización
     const authHeader = req.headers.authorization;
@@ -67,8 +67,8 @@ const optionalAuthJWT = (req, res, next) => {
     // Extraer el token
     const token = authHeader.split(' ')[1];
     
-    // Verificar el token
-    const decoded = AuthService.verifyToken(token);
+    // Verificar el token (firma, expiración y lista de revocados)
+    const decoded = await AuthService.authenticateToken(token);
     
     // Si el token es válido, añadir info del usuario
     if (decoded) {
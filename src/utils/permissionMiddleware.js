@@ -0,0 +1,41 @@
+const PermissionService = require('../services/permissionService');
+const { logger } = require('../config');
+
+/**
+ * Crea un middleware que exige uno o varios permisos
+ * Debe usarse después de authenticateJWT.
+ * @param {...string} permissions - Permisos requeridos (se exigen todos)
+ * @returns {Function} - Middleware de Express
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Acceso no autorizado. Se requiere autenticación'
+      });
+    }
+
+    const missing = permissions.filter(permission => !PermissionService.hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      logger.warn(`Acceso denegado al usuario ${req.user.id} (${req.user.role || 'sin rol'}) en ${req.method} ${req.originalUrl}: falta ${missing.join(', ')}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso prohibido. No tienes permisos para realizar esta acción'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error en middleware de verificación de permisos:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error al procesar la autorización'
+    });
+  }
+};
+
+module.exports = {
+  requirePermission
+};
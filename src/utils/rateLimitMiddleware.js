@@ -0,0 +1,42 @@
+const RateLimitService = require('../services/rateLimitService');
+const { logger } = require('../config');
+
+/**
+ * Crea un middleware que aplica una regla de limitación de peticiones
+ * Si la ruta usa autenticación, debe ir después de authenticateJWT u
+ * optionalAuthJWT para contar por usuario.
+ * @param {string} ruleName - Nombre de la regla en config.rateLimit.rules
+ * @returns {Function} - Middleware de Express
+ */
+const rateLimit = (ruleName) => async (req, res, next) => {
+  try {
+    const result = await RateLimitService.consume(ruleName, {
+      ip: req.ip,
+      userId: req.user ? req.user.id : null
+    });
+
+    if (result.limit !== undefined) {
+      res.set('X-RateLimit-Limit', String(result.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt.getTime() / 1000)));
+    }
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Demasiadas solicitudes. Inténtalo de nuevo en ${result.retryAfter} segundos`,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error en middleware de limitación de peticiones:', error);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit
+};